@@ -0,0 +1,115 @@
+/**
+ * Backfill do Kommo pela linha de comando
+ *
+ * Importa leads que ja existem no Kommo (criados entre --from e --to) para a
+ * planilha do cliente, com o mesmo filtro de trafego pago e busca de telefone
+ * de um lead novo. Leads ja registrados em kommo_events sao pulados.
+ *
+ * Uso:
+ *   npm run kommo:backfill -- --client <slug> --from 2026-01-01 --to 2026-01-31 [--pipeline <id>] [--rate <leads/min>]
+ *   npm run kommo:backfill -- --resume <jobId>
+ *
+ * O job fica em kommo_backfill_jobs (origem 'cli') e aparece no dashboard.
+ */
+
+require('dotenv').config();
+const pgService = require('./src/pgService');
+const clientManager = require('./src/clientManager');
+const sheetsService = require('./src/sheetsService');
+const kommoBackfill = require('./src/infra/kommoBackfill');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+    }
+    return args;
+}
+
+function printProgress(job) {
+    console.log(`   Página ${job.page - 1}: ${job.scanned} lidos, ${job.inserted} inseridos, ` +
+        `${job.skipped_existing} já registrados, ${job.skipped_organic} orgânicos, ` +
+        `${job.skipped_pipeline} de outro pipeline, ${job.failed} falhas`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!pgService.initialize()) {
+        console.error('❌ DATABASE_URL não configurada (o backfill precisa do PostgreSQL)');
+        process.exit(1);
+    }
+    await clientManager.loadClients();
+    try {
+        await sheetsService.initialize();
+    } catch (err) {
+        console.error(`❌ Falha ao inicializar Google Sheets: ${err.message}`);
+        process.exit(1);
+    }
+
+    let job;
+    if (args.resume) {
+        job = await kommoBackfill.getJob(pgService, args.resume);
+        if (!job) {
+            console.error(`❌ Job ${args.resume} não encontrado`);
+            process.exit(1);
+        }
+        if (job.origin !== 'cli' || !['running', 'failed'].includes(job.status)) {
+            console.error(`❌ Job ${job.id} (${job.origin}, ${job.status}) não pode ser retomado pela linha de comando`);
+            process.exit(1);
+        }
+        console.log(`🔁 Retomando job ${job.id} (${job.client_slug}) a partir da página ${job.page}`);
+    } else {
+        const request = { from: args.from, to: args.to, pipeline_id: args.pipeline, rate_per_minute: args.rate };
+        const errors = kommoBackfill.validateRequest(request);
+        if (!args.client) errors.unshift('--client é obrigatório');
+        if (errors.length > 0) {
+            console.error(`❌ ${errors.join('; ')}`);
+            console.error('Uso: npm run kommo:backfill -- --client <slug> --from <data> --to <data> [--pipeline <id>] [--rate <leads/min>]');
+            process.exit(1);
+        }
+
+        const client = clientManager.findBySlug(args.client);
+        if (!client) {
+            console.error(`❌ Cliente ${args.client} não encontrado ou inativo`);
+            process.exit(1);
+        }
+
+        job = await kommoBackfill.createJob(pgService, client, request, { createdBy: 'cli', origin: 'cli' });
+        console.log(`🔍 Job ${job.id}: leads de ${client.id} criados entre ${request.from} e ${request.to}`);
+    }
+
+    let interrupted = false;
+    process.on('SIGINT', () => {
+        console.log(`\n⏸️  Interrompendo... retome com: npm run kommo:backfill -- --resume ${job.id}`);
+        interrupted = true;
+    });
+
+    try {
+        await kommoBackfill.runJob(pgService, job, { onProgress: printProgress, shouldStop: () => interrupted });
+    } catch (err) {
+        await kommoBackfill.failJob(pgService, job.id, err);
+        console.error(`❌ ${err.message} — retome com: npm run kommo:backfill -- --resume ${job.id}`);
+        process.exit(1);
+    }
+
+    const result = await kommoBackfill.getJob(pgService, job.id);
+    console.log(`\n✅ Job ${result.id}: ${result.status}`);
+    console.log(`   Lidos: ${result.scanned} | Inseridos: ${result.inserted} | Já registrados: ${result.skipped_existing}` +
+        ` | Orgânicos: ${result.skipped_organic} | Outro pipeline: ${result.skipped_pipeline} | Falhas: ${result.failed}`);
+    for (const lead of result.report || []) {
+        console.log(`   + Lead ${lead.kommo_lead_id}: ${lead.name || '-'} (${lead.phone || 'sem telefone'}, ${lead.channel || '-'})`);
+    }
+    for (const error of result.errors || []) {
+        console.log(`   ! ${error.kommo_lead_id ? `Lead ${error.kommo_lead_id}: ` : ''}${error.error}`);
+    }
+    process.exit(0);
+}
+
+main().catch(err => {
+    console.error('❌ Erro no backfill:', err.message);
+    process.exit(1);
+});
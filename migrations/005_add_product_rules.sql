@@ -0,0 +1,29 @@
+-- Migration 005: Per-client product detection rules
+-- Replaces the hardcoded PRODUCT_KEYWORDS list in webhookHandler.js.
+-- match_on: 'campaign' (UTM/ad fields), 'message' (first message text) or 'both'
+
+CREATE TABLE IF NOT EXISTS product_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    product VARCHAR(255) NOT NULL,
+    keywords TEXT[] NOT NULL DEFAULT '{}',
+    match_on VARCHAR(20) NOT NULL DEFAULT 'both',
+    priority INTEGER NOT NULL DEFAULT 100,
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_rules_client ON product_rules(client_id, priority);
+
+-- Seed existing clients with the previous hardcoded rules (INSS / previdenciário)
+INSERT INTO product_rules (client_id, product, keywords, match_on, priority)
+SELECT c.id, r.product, r.keywords, 'both', r.priority
+FROM clients c
+CROSS JOIN (VALUES
+    ('BPC/LOAS', ARRAY['bpc', 'loas', 'benefício', 'beneficio', 'deficiência', 'deficiencia', 'idoso'], 10),
+    ('SALÁRIO-MATERNIDADE', ARRAY['maternidade', 'gestante', 'grávida', 'gravida', 'bebê', 'bebe', 'salário-maternidade', 'salario maternidade'], 20),
+    ('AUXÍLIO-DOENÇA', ARRAY['auxílio-doença', 'auxilio doenca', 'doença', 'doenca', 'afastamento', 'incapacidade'], 30),
+    ('APOSENTADORIA', ARRAY['aposentadoria', 'aposentar', 'inss', 'tempo de contribuição'], 40)
+) AS r(product, keywords, priority)
+WHERE NOT EXISTS (SELECT 1 FROM product_rules pr WHERE pr.client_id = c.id);
@@ -0,0 +1,20 @@
+-- Migration 006: Per-client origin/channel detection rules
+-- Replaces the fixed regexes in detectOrigin() and the PAID_CHANNELS list.
+-- field: 'source' (source/channel/medium/utm_source/utm_medium), 'campaign'
+--        (utm_campaign/ad names) or a payload path such as 'visit.params.gclid'
+-- pattern: case-insensitive regex. Clients without rules use the default set.
+
+CREATE TABLE IF NOT EXISTS channel_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    field VARCHAR(100) NOT NULL,
+    pattern TEXT NOT NULL,
+    channel VARCHAR(100) NOT NULL,
+    is_paid BOOLEAN NOT NULL DEFAULT TRUE,
+    priority INTEGER NOT NULL DEFAULT 100,
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_channel_rules_client ON channel_rules(client_id, priority);
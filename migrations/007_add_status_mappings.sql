@@ -0,0 +1,34 @@
+-- Migration 007: Per-client Tintim status mapping
+-- Maps a Tintim status (by status.id or name) to the sheet label, the canonical
+-- funnel stage and whether it counts as a sale. Statuses without a mapping are
+-- collected in unmapped_statuses so they can be mapped from the dashboard.
+
+CREATE TABLE IF NOT EXISTS status_mappings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    tintim_status_id VARCHAR(100),
+    tintim_status_name VARCHAR(255),
+    sheet_label VARCHAR(255) NOT NULL,
+    stage VARCHAR(20) NOT NULL CHECK (stage IN ('new', 'contacted', 'proposal', 'won', 'lost', 'disqualified')),
+    is_sale BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (tintim_status_id IS NOT NULL OR tintim_status_name IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_status_mappings_client ON status_mappings(client_id);
+
+CREATE TABLE IF NOT EXISTS unmapped_statuses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    status_key VARCHAR(300) NOT NULL,
+    tintim_status_id VARCHAR(100),
+    tintim_status_name VARCHAR(255),
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (client_id, status_key)
+);
+
+-- Canonical stage of status updates
+ALTER TABLE leads_log ADD COLUMN IF NOT EXISTS stage VARCHAR(20);
@@ -0,0 +1,22 @@
+-- Migration 008: Idempotency keys for Tintim webhooks
+-- Key = sha256 of Tintim identifiers (status id, updated_isoformat) + a hash of
+-- the normalized payload. Replaces the "same phone within 30s" heuristic.
+-- Rows expire after the retention window and are purged periodically.
+-- A claim starts as 'processing' and becomes 'done' only after a successful
+-- result; 'failed' claims and stale 'processing' claims can be reclaimed.
+
+CREATE TABLE IF NOT EXISTS webhook_idempotency (
+    idempotency_key VARCHAR(64) PRIMARY KEY,
+    trace_id UUID NOT NULL,
+    phone VARCHAR(50),
+    event_type VARCHAR(50),
+    status_id VARCHAR(100),
+    source_updated_at VARCHAR(50),
+    status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('processing', 'done', 'failed')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_idempotency_expires ON webhook_idempotency(expires_at);
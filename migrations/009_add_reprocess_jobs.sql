@@ -0,0 +1,29 @@
+-- Migration 009: Bulk reprocessing jobs
+-- A job replays every webhook_events (tintim) or kommo_events (kommo) row that
+-- matches its filters and was stored before snapshot_at, so the events written
+-- by the replay itself are never picked up again. Progress is checkpointed by
+-- (last_event_at, last_event_id), which lets a running job resume after restart.
+
+CREATE TABLE IF NOT EXISTS reprocess_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source VARCHAR(10) NOT NULL CHECK (source IN ('tintim', 'kommo')),
+    filters JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+    rate_per_minute INTEGER NOT NULL,
+    snapshot_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    total INTEGER NOT NULL DEFAULT 0,
+    processed INTEGER NOT NULL DEFAULT 0,
+    succeeded INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    last_event_at TIMESTAMPTZ,
+    last_event_id UUID,
+    errors JSONB NOT NULL DEFAULT '[]',
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_reprocess_jobs_status ON reprocess_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_client ON webhook_events(client_id);
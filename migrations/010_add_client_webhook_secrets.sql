@@ -0,0 +1,20 @@
+-- Migration 010: Per-client webhook secrets
+-- Each client gets its own endpoint (/webhook/tintim/:clientSlug) authenticated
+-- either by a URL token (?token=) or by an HMAC-SHA256 signature of the body,
+-- using webhook_secret. Existing clients get a random token.
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS webhook_secret VARCHAR(128);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS webhook_auth_mode VARCHAR(10) NOT NULL DEFAULT 'token';
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS webhook_secret_rotated_at TIMESTAMPTZ;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'clients_webhook_auth_mode_check') THEN
+        ALTER TABLE clients ADD CONSTRAINT clients_webhook_auth_mode_check CHECK (webhook_auth_mode IN ('token', 'hmac'));
+    END IF;
+END $$;
+
+UPDATE clients
+SET webhook_secret = replace(uuid_generate_v4()::text || uuid_generate_v4()::text, '-', ''),
+    webhook_secret_rotated_at = NOW()
+WHERE webhook_secret IS NULL;
@@ -0,0 +1,23 @@
+-- Migration 011: Returning leads
+-- A phone that already has a lead for the client is a returning lead. The
+-- client's returning_lead_action decides what happens in the sheet:
+--   tag    → new row tagged "(Retorno)" linking to the first contact (default)
+--   reopen → the existing row goes back to "Lead Gerado"
+--   ignore → nothing is written
+-- Returning leads are logged with event_type 'returning_lead' and
+-- first_contact_at, so the dashboard counts them apart from new leads.
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS returning_lead_action VARCHAR(10) NOT NULL DEFAULT 'tag';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'clients_returning_lead_action_check') THEN
+        ALTER TABLE clients ADD CONSTRAINT clients_returning_lead_action_check CHECK (returning_lead_action IN ('tag', 'reopen', 'ignore'));
+    END IF;
+END $$;
+
+ALTER TABLE leads_log ADD COLUMN IF NOT EXISTS first_contact_at TIMESTAMPTZ;
+
+-- Lookup by phone tail (last 9 digits), the same match the sheet search uses
+CREATE INDEX IF NOT EXISTS idx_leads_log_client_phone_tail
+    ON leads_log (client_id, RIGHT(regexp_replace(phone, '\D', '', 'g'), 9));
@@ -0,0 +1,58 @@
+-- Migration 012: E.164 phone numbers
+-- Phones are now stored in E.164 ("+5533988836450") in leads_log and
+-- keyword_conversions, and compared by exact match. Existing rows are
+-- converted here so old and new rows of the same number keep matching.
+-- phone_format controls how the number is written to the client's sheet:
+--   br            → (33)98883-6450 (default, foreign numbers as +<DDI>...)
+--   international → +55 33 98883-6450
+--   e164          → +5533988836450
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS phone_format VARCHAR(15) NOT NULL DEFAULT 'br';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'clients_phone_format_check') THEN
+        ALTER TABLE clients ADD CONSTRAINT clients_phone_format_check CHECK (phone_format IN ('br', 'international', 'e164'));
+    END IF;
+END $$;
+
+-- Same rules as normalizePhone() (src/utils/formatter.js), so converted rows
+-- match what the runtime stores: "+"/"00" keep their DDI, "+55" is added only
+-- to Brazilian national numbers (valid DDD + 9-digit mobile starting with 9 or
+-- 8-digit landline starting with 2-9, optional leading "0"), anything else
+-- with 10+ digits already carries its DDI ("14155552671" → "+14155552671").
+-- Later migrations that convert stored phones reuse normalize_phone().
+CREATE OR REPLACE FUNCTION normalize_phone(phone TEXT) RETURNS TEXT AS $$
+DECLARE
+    raw TEXT := btrim(coalesce(phone, ''));
+    digits TEXT := regexp_replace(coalesce(phone, ''), '\D', '', 'g');
+    national TEXT;
+    subscriber TEXT;
+BEGIN
+    IF digits = '' THEN RETURN ''; END IF;
+    IF length(digits) < 10 THEN RETURN digits; END IF;
+    IF left(raw, 1) = '+' THEN RETURN '+' || digits; END IF;
+    IF left(digits, 2) = '00' THEN RETURN '+' || substr(digits, 3); END IF;
+
+    national := CASE WHEN left(digits, 1) = '0' THEN substr(digits, 2) ELSE digits END;
+    subscriber := substr(national, 3);
+    IF left(national, 2) IN (
+        '11', '12', '13', '14', '15', '16', '17', '18', '19', '21', '22', '24', '27', '28',
+        '31', '32', '33', '34', '35', '37', '38', '41', '42', '43', '44', '45', '46', '47', '48', '49',
+        '51', '53', '54', '55', '61', '62', '63', '64', '65', '66', '67', '68', '69',
+        '71', '73', '74', '75', '77', '79', '81', '82', '83', '84', '85', '86', '87', '88', '89',
+        '91', '92', '93', '94', '95', '96', '97', '98', '99'
+    ) AND ((length(subscriber) = 9 AND left(subscriber, 1) = '9')
+        OR (length(subscriber) = 8 AND subscriber ~ '^[2-9]')) THEN
+        RETURN '+55' || national;
+    END IF;
+
+    RETURN '+' || digits;
+END
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+UPDATE leads_log SET phone = normalize_phone(phone)
+WHERE normalize_phone(phone) NOT IN ('', phone);
+
+UPDATE keyword_conversions SET lead_phone = normalize_phone(lead_phone)
+WHERE normalize_phone(lead_phone) NOT IN ('', lead_phone);
@@ -0,0 +1,37 @@
+-- Migration 014: Meta click-to-WhatsApp attribution
+-- Parallel to keyword_conversions for Meta Ads leads: one row per lead with
+-- the ctwa_clid, campaign, ad set, ad and creative (the CTWA "ad" referral
+-- Tintim sends). Sales mark the lead's latest row as converted, like
+-- upsertKeywordConversion does for Google Ads.
+
+CREATE TABLE IF NOT EXISTS meta_conversions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID REFERENCES clients(id),
+    ctwa_clid VARCHAR(500),
+    campaign VARCHAR(255),
+    adset_name VARCHAR(255),
+    ad_id VARCHAR(100),
+    ad_name VARCHAR(255),
+    creative_title VARCHAR(500),
+    creative_body TEXT,
+    creative_media_type VARCHAR(50),
+    creative_source_url TEXT,
+    creative_thumbnail_url TEXT,
+    utm_source VARCHAR(100),
+    utm_medium VARCHAR(100),
+    utm_content VARCHAR(255),
+    location_state VARCHAR(100),
+    lead_phone VARCHAR(50),
+    lead_name VARCHAR(255),
+    lead_status VARCHAR(255),
+    product VARCHAR(255),
+    sale_amount DECIMAL(12,2) DEFAULT 0,
+    converted BOOLEAN DEFAULT FALSE,
+    converted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mc_client ON meta_conversions(client_id);
+CREATE INDEX IF NOT EXISTS idx_mc_created ON meta_conversions(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mc_client_campaign ON meta_conversions(client_id, campaign);
+CREATE INDEX IF NOT EXISTS idx_mc_phone ON meta_conversions(lead_phone);
@@ -0,0 +1,40 @@
+-- Migration 015: Google Ads offline conversion export
+-- Converted keyword_conversions rows with a gclid are exported as Google Ads
+-- offline-conversion upload files (CSV in Google's template). Every generated
+-- file is a google_ads_exports row and the exported conversions point at it,
+-- so the next export only picks up what was not uploaded yet.
+-- Per client: conversion action name, timezone of the conversion times,
+-- currency and whether the daily scheduled export runs.
+
+ALTER TABLE keyword_conversions ADD COLUMN IF NOT EXISTS converted_at TIMESTAMPTZ;
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS google_ads_conversion_name VARCHAR(255);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS google_ads_timezone VARCHAR(64) NOT NULL DEFAULT 'America/Sao_Paulo';
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS google_ads_currency VARCHAR(3) NOT NULL DEFAULT 'BRL';
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS google_ads_auto_export BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS google_ads_exports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    trigger VARCHAR(10) NOT NULL DEFAULT 'manual'
+        CHECK (trigger IN ('manual', 'scheduled')),
+    period_from DATE NOT NULL,
+    period_to DATE NOT NULL,
+    conversion_name VARCHAR(255) NOT NULL,
+    timezone VARCHAR(64) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    row_count INTEGER NOT NULL DEFAULT 0,
+    skipped_count INTEGER NOT NULL DEFAULT 0,
+    total_value DECIMAL(14,2) NOT NULL DEFAULT 0,
+    csv TEXT NOT NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_google_ads_exports_client ON google_ads_exports(client_id, created_at DESC);
+
+ALTER TABLE keyword_conversions ADD COLUMN IF NOT EXISTS google_ads_export_id UUID
+    REFERENCES google_ads_exports(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_kc_google_ads_pending ON keyword_conversions(client_id)
+    WHERE converted = true AND google_ads_export_id IS NULL;
@@ -0,0 +1,55 @@
+-- Migration 016: Meta Conversions API offline events
+-- Every won lead (Tintim sale status / sale_amount, Kommo status 142) of a
+-- client with meta_capi_enabled becomes a Purchase event in meta_capi_events,
+-- with a deterministic event_id: a repeated webhook for the same sale hits the
+-- (client_id, event_id) unique key instead of producing a second event, and
+-- Meta uses the same event_id to deduplicate on its side.
+-- Pending events are sent in batches per client, either as NDJSON files or
+-- POSTed to the Conversions API endpoint (meta_capi_delivery), and each row
+-- keeps its own delivery status.
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS meta_capi_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS meta_capi_delivery VARCHAR(10) NOT NULL DEFAULT 'ndjson';
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS meta_dataset_id VARCHAR(50);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS meta_page_id VARCHAR(50);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS meta_capi_token TEXT;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS meta_capi_currency VARCHAR(3) NOT NULL DEFAULT 'BRL';
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS meta_capi_test_event_code VARCHAR(50);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'clients_meta_capi_delivery_check') THEN
+        ALTER TABLE clients ADD CONSTRAINT clients_meta_capi_delivery_check CHECK (meta_capi_delivery IN ('ndjson', 'http'));
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS meta_capi_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    event_id VARCHAR(64) NOT NULL,
+    event_name VARCHAR(50) NOT NULL DEFAULT 'Purchase',
+    event_time TIMESTAMPTZ NOT NULL,
+    lead_phone VARCHAR(50),
+    source VARCHAR(10) NOT NULL CHECK (source IN ('tintim', 'kommo')),
+    source_ref VARCHAR(100),
+    ctwa_clid VARCHAR(500),
+    value DECIMAL(12,2) NOT NULL DEFAULT 0,
+    currency VARCHAR(3) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    delivery VARCHAR(10),
+    destination TEXT,
+    response TEXT,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_attempt_at TIMESTAMPTZ,
+    sent_at TIMESTAMPTZ,
+    UNIQUE (client_id, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meta_capi_events_pending ON meta_capi_events(client_id, created_at)
+    WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_meta_capi_events_client ON meta_capi_events(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_meta_capi_events_phone ON meta_capi_events(lead_phone);
@@ -0,0 +1,16 @@
+-- Migration 017: Lead timeline lookups
+-- GET /api/leads/:phone/timeline matches raw phones stored by the Tintim and
+-- Kommo webhooks (webhook_events.phone, the webhook_received step of
+-- lead_trail and contact events in kommo_events) by their digits only, so
+-- these expression indexes keep the lookup off a sequential scan.
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_phone_digits
+    ON webhook_events ((regexp_replace(COALESCE(phone, ''), '\D', '', 'g')));
+
+CREATE INDEX IF NOT EXISTS idx_lead_trail_received_phone_digits
+    ON lead_trail ((regexp_replace(COALESCE(metadata->'payload'->>'phone', ''), '\D', '', 'g')))
+    WHERE step_name = 'webhook_received';
+
+CREATE INDEX IF NOT EXISTS idx_kommo_events_phone_digits
+    ON kommo_events ((regexp_replace(COALESCE(payload->>'phone', ''), '\D', '', 'g')))
+    WHERE kommo_lead_id IS NOT NULL;
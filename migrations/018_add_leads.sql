@@ -0,0 +1,107 @@
+-- Migration 018: Canonical leads table
+-- leads_log is append-only: one row per pipeline event. leads keeps the
+-- current state of each lead, one row per client + normalized phone (E.164),
+-- also reachable by the Kommo lead id: current status/stage, product, the
+-- original origin, first contact, close date, sale amount and where the lead
+-- lives in the spreadsheet. Both webhook handlers upsert it
+-- (pgService.upsertLead) and the dashboard reads sales and origins from it
+-- instead of guessing sales from leads_log statuses.
+
+CREATE TABLE IF NOT EXISTS leads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    phone VARCHAR(50) NOT NULL,
+    kommo_lead_id VARCHAR(50),
+    name VARCHAR(255),
+    status VARCHAR(255),
+    stage VARCHAR(20),
+    product VARCHAR(255),
+    origin VARCHAR(100),
+    first_contact_at TIMESTAMPTZ,
+    closed_at TIMESTAMPTZ,
+    sale_amount DECIMAL(12,2),
+    sheet_name VARCHAR(100),
+    sheet_row INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    last_event_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (client_id, phone)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leads_client_kommo ON leads(client_id, kommo_lead_id)
+    WHERE kommo_lead_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_leads_created ON leads(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_leads_closed ON leads(closed_at DESC) WHERE closed_at IS NOT NULL;
+
+-- Backfill from leads_log: the first successful lead event gives name, product,
+-- origin and the first contact; the latest successful event gives the current
+-- status and sheet location. Historical sales still come from the status
+-- guess, since leads_log has no other record of them.
+INSERT INTO leads (client_id, phone, name, status, stage, product, origin, first_contact_at,
+                   closed_at, sale_amount, sheet_name, sheet_row, created_at, updated_at, last_event_at)
+WITH ok AS (
+    SELECT * FROM leads_log
+    WHERE processing_result = 'success' AND client_id IS NOT NULL AND phone LIKE '+%'
+),
+first_event AS (
+    SELECT DISTINCT ON (client_id, phone)
+           client_id, phone, lead_name, product, origin, sheet_name, sheet_row, created_at,
+           COALESCE(first_contact_at, created_at) AS first_contact_at
+    FROM ok
+    WHERE event_type IN ('new_lead', 'returning_lead')
+    ORDER BY client_id, phone, created_at ASC
+),
+last_event AS (
+    SELECT DISTINCT ON (client_id, phone)
+           client_id, phone, status, stage, sheet_name, sheet_row, created_at
+    FROM ok
+    ORDER BY client_id, phone, created_at DESC
+),
+sales AS (
+    SELECT client_id, phone, MIN(created_at) AS closed_at, MAX(sale_amount) AS sale_amount
+    FROM ok
+    WHERE event_type = 'status_update'
+      AND (sale_amount > 0 OR stage = 'won'
+           OR status ILIKE ANY(ARRAY['%comprou%','%fechou%','%vendido%','%ganhou%','%contrato%']))
+    GROUP BY client_id, phone
+)
+SELECT le.client_id, le.phone, f.lead_name, le.status, le.stage, f.product, f.origin,
+       COALESCE(f.first_contact_at, le.created_at),
+       s.closed_at, COALESCE(s.sale_amount, CASE WHEN s.closed_at IS NOT NULL THEN 0 END),
+       COALESCE(le.sheet_name, f.sheet_name),
+       CASE WHEN le.sheet_name IS NOT NULL THEN le.sheet_row ELSE f.sheet_row END,
+       COALESCE(f.created_at, le.created_at), le.created_at, le.created_at
+FROM last_event le
+LEFT JOIN first_event f ON f.client_id = le.client_id AND f.phone = le.phone
+LEFT JOIN sales s ON s.client_id = le.client_id AND s.phone = le.phone
+ON CONFLICT DO NOTHING;
+
+-- Kommo lead ids of the backfilled leads, from the contact events (raw phone,
+-- no client: the client comes from the lead's own events)
+UPDATE leads l
+SET kommo_lead_id = k.kommo_lead_id
+FROM (
+    SELECT DISTINCT ON (client_id, phone) client_id, phone, kommo_lead_id
+    FROM (
+        SELECT DISTINCT ON (client_id, kommo_lead_id)
+               client_id, kommo_lead_id, created_at,
+               normalize_phone(raw_phone) AS phone
+        FROM (
+            SELECT kc.kommo_lead_id, kc.created_at,
+                   (SELECT kl.client_id FROM kommo_events kl
+                    WHERE kl.kommo_lead_id = kc.kommo_lead_id AND kl.client_id IS NOT NULL
+                    LIMIT 1) AS client_id,
+                   kc.payload->>'phone' AS raw_phone,
+                   regexp_replace(COALESCE(kc.payload->>'phone', ''), '\D', '', 'g') AS digits
+            FROM kommo_events kc
+            WHERE kc.event_type LIKE 'contact.%' AND kc.kommo_lead_id IS NOT NULL
+        ) raw
+        WHERE length(digits) >= 10 AND client_id IS NOT NULL
+        ORDER BY client_id, kommo_lead_id, created_at DESC
+    ) by_lead
+    ORDER BY client_id, phone, created_at DESC
+) k
+WHERE l.client_id = k.client_id AND l.phone = k.phone AND l.kommo_lead_id IS NULL
+  AND NOT EXISTS (
+      SELECT 1 FROM leads o WHERE o.client_id = k.client_id AND o.kommo_lead_id = k.kommo_lead_id
+  );
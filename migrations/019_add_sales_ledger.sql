@@ -0,0 +1,55 @@
+-- Migration 019: Sales ledger
+-- leads.sale_amount held a single value overwritten by every status update, so
+-- a second sale to the same person replaced the first and a cancelled contract
+-- kept its revenue. lead_sales records every sale, refund and cancellation of
+-- a lead (amount, date, source, product); the lead's total is the net of its
+-- entries and the dashboard revenue comes from the entries of the period.
+-- A repeated webhook hits the (client_id, source, source_ref) unique key.
+-- Status mappings can mark a Tintim status as a refund or a cancellation, and
+-- each client chooses what goes to the sheet's "Valor de Fechamento" column:
+-- the latest sale or the running total.
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS sheet_sale_value VARCHAR(10) NOT NULL DEFAULT 'latest';
+ALTER TABLE status_mappings ADD COLUMN IF NOT EXISTS sale_event VARCHAR(12);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'clients_sheet_sale_value_check') THEN
+        ALTER TABLE clients ADD CONSTRAINT clients_sheet_sale_value_check CHECK (sheet_sale_value IN ('latest', 'total'));
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'status_mappings_sale_event_check') THEN
+        ALTER TABLE status_mappings ADD CONSTRAINT status_mappings_sale_event_check CHECK (sale_event IN ('refund', 'cancellation'));
+    END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS lead_sales (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    lead_phone VARCHAR(50),
+    kommo_lead_id VARCHAR(50),
+    kind VARCHAR(12) NOT NULL CHECK (kind IN ('sale', 'refund', 'cancellation')),
+    amount DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (amount >= 0),
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    source VARCHAR(10) NOT NULL CHECK (source IN ('tintim', 'kommo', 'manual', 'backfill')),
+    source_ref VARCHAR(200),
+    product VARCHAR(255),
+    note TEXT,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (lead_phone IS NOT NULL OR kommo_lead_id IS NOT NULL),
+    UNIQUE (client_id, source, source_ref)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_sales_phone ON lead_sales(client_id, lead_phone, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_lead_sales_kommo ON lead_sales(client_id, kommo_lead_id)
+    WHERE kommo_lead_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_lead_sales_occurred ON lead_sales(occurred_at DESC);
+
+-- Backfill: one sale per lead already closed, with the amount it had
+INSERT INTO lead_sales (client_id, lead_phone, kommo_lead_id, kind, amount, occurred_at, source, source_ref, product)
+SELECT client_id, phone, kommo_lead_id, 'sale', GREATEST(COALESCE(sale_amount, 0), 0), closed_at,
+       'backfill', 'lead-' || id, product
+FROM leads
+WHERE closed_at IS NOT NULL
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,33 @@
+-- Migration 020: Per-client Kommo API credentials
+-- The Kommo API (lead → contact → phone enrichment) used a single global
+-- KOMMO_SUBDOMAIN / KOMMO_ACCESS_TOKEN, so only one account could be enriched.
+-- Each client now has its own integration: subdomain, the OAuth2 integration
+-- (client id/secret, redirect URI) and the tokens obtained through the
+-- authorization-code flow. Access tokens are refreshed before they expire and
+-- the refresh token is rotated on every refresh; a failed refresh marks the
+-- integration as 'error' and raises an alert.
+-- Secrets and tokens are stored encrypted (AES-256-GCM, KOMMO_CREDENTIALS_KEY).
+
+CREATE TABLE IF NOT EXISTS kommo_integrations (
+    client_id UUID PRIMARY KEY REFERENCES clients(id) ON DELETE CASCADE,
+    subdomain VARCHAR(100) NOT NULL,
+    integration_id VARCHAR(100),
+    client_secret TEXT,
+    redirect_uri TEXT,
+    access_token TEXT,
+    refresh_token TEXT,
+    token_expires_at TIMESTAMPTZ,
+    status VARCHAR(12) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'connected', 'error')),
+    oauth_state VARCHAR(64),
+    last_refresh_at TIMESTAMPTZ,
+    last_error TEXT,
+    connected_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_kommo_integrations_state ON kommo_integrations(oauth_state)
+    WHERE oauth_state IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_kommo_integrations_expiry ON kommo_integrations(token_expires_at)
+    WHERE refresh_token IS NOT NULL;
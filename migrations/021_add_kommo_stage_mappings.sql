@@ -0,0 +1,22 @@
+-- Migration 021: Per-client Kommo pipeline stage mapping
+-- Only Closed Won (142) and Closed Lost (143) were understood; every other
+-- stage change was logged and dropped. Each client's pipelines and stages are
+-- synced from the Kommo pipelines API (GET /api/v4/leads/pipelines) and each
+-- stage can carry the label written to the sheet's Status column and the
+-- canonical funnel stage. A stage without a label doesn't touch the sheet.
+
+CREATE TABLE IF NOT EXISTS kommo_stage_mappings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    pipeline_id BIGINT NOT NULL,
+    pipeline_name VARCHAR(255),
+    status_id BIGINT NOT NULL,
+    status_name VARCHAR(255),
+    sort INTEGER NOT NULL DEFAULT 0,
+    sheet_label VARCHAR(255),
+    stage VARCHAR(20) CHECK (stage IN ('new', 'contacted', 'proposal', 'won', 'lost', 'disqualified')),
+    synced_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (client_id, pipeline_id, status_id)
+);
@@ -0,0 +1,22 @@
+-- Migration 022: Route Kommo events by account + pipeline
+-- Kommo events were matched to a client by kommo_account_id only, so one Kommo
+-- account couldn't serve two clients and leads from unrelated pipelines went
+-- into the sheet. A client now lists the pipelines it receives
+-- (kommo_pipeline_ids; empty = every pipeline of the account not claimed by
+-- another client) and the pipelines to ignore (kommo_ignored_pipeline_ids).
+-- kommo_pipeline_id (single value, never used for routing) seeds the list and
+-- is kept as the comma-separated copy.
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS kommo_pipeline_ids TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS kommo_ignored_pipeline_ids TEXT[] NOT NULL DEFAULT '{}';
+
+UPDATE clients
+SET kommo_pipeline_ids = ARRAY(
+    SELECT trim(p) FROM unnest(string_to_array(kommo_pipeline_id, ',')) AS p
+    WHERE trim(p) <> ''
+)
+WHERE kommo_pipeline_id IS NOT NULL AND trim(kommo_pipeline_id) <> ''
+  AND kommo_pipeline_ids = '{}';
+
+CREATE INDEX IF NOT EXISTS idx_clients_kommo_account ON clients(kommo_account_id)
+    WHERE kommo_account_id IS NOT NULL;
@@ -0,0 +1,35 @@
+-- Migration 023: Kommo historical backfill
+-- Imports leads that already exist in Kommo (client switching to Kommo, webhook
+-- downtime): a job pages through GET /api/v4/leads for a created_at range and
+-- pipelines, applies the paid-source filter and the phone lookup of a new lead
+-- and inserts the leads not yet recorded in kommo_events. The page is
+-- checkpointed so an interrupted job resumes; report keeps the inserted leads.
+-- Jobs started from the CLI (origin 'cli') are run by the CLI, not the server.
+
+CREATE TABLE IF NOT EXISTS kommo_backfill_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    date_from TIMESTAMPTZ NOT NULL,
+    date_to TIMESTAMPTZ NOT NULL,
+    pipeline_ids TEXT[] NOT NULL DEFAULT '{}',
+    origin VARCHAR(10) NOT NULL DEFAULT 'dashboard' CHECK (origin IN ('dashboard', 'cli')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+    rate_per_minute INTEGER NOT NULL,
+    page INTEGER NOT NULL DEFAULT 1,
+    scanned INTEGER NOT NULL DEFAULT 0,
+    inserted INTEGER NOT NULL DEFAULT 0,
+    skipped_existing INTEGER NOT NULL DEFAULT 0,
+    skipped_organic INTEGER NOT NULL DEFAULT 0,
+    skipped_pipeline INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    report JSONB NOT NULL DEFAULT '[]',
+    errors JSONB NOT NULL DEFAULT '[]',
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_kommo_backfill_jobs_status ON kommo_backfill_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_kommo_backfill_jobs_client ON kommo_backfill_jobs(client_id, created_at DESC);
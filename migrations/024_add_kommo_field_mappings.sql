@@ -0,0 +1,17 @@
+-- Migration 024: Per-client Kommo custom field → sheet field mapping
+-- Only the "Fonte de prospecção" custom field was read and the product was
+-- always left empty. Clients keep product, city, notes and budget in Kommo
+-- custom fields: each mapping points a logical sheet field (produto, cidade,
+-- comentarios, valor) to a Kommo lead custom field, by field id (numeric) or
+-- field code. Applied when the lead is inserted and on later leads[update].
+
+CREATE TABLE IF NOT EXISTS kommo_field_mappings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    sheet_field VARCHAR(20) NOT NULL CHECK (sheet_field IN ('produto', 'cidade', 'comentarios', 'valor')),
+    kommo_field VARCHAR(100) NOT NULL,
+    kommo_field_name VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (client_id, sheet_field)
+);
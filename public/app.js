@@ -39,13 +39,13 @@ const refs = {
 
 // Sections that belong to Automação Leads app
 const AUTOMACAO_SECTIONS = ['automacao', 'clients', 'logs', 'alerts'];
-const TINTIM_SECTIONS = ['automacao', 'clients', 'logs', 'alerts', 'keywords'];
+const TINTIM_SECTIONS = ['automacao', 'clients', 'logs', 'alerts', 'keywords', 'meta'];
 
 function navigateTo(section, replace = false) {
     if (!section) section = 'dashboard';
 
     // Normalize section names
-    const validSections = ['dashboard', 'automacao', 'clients', 'settings', 'client-details', 'logs', 'alerts', 'keywords', 'sdr', 'calculadora', 'relatorio'];
+    const validSections = ['dashboard', 'automacao', 'clients', 'settings', 'client-details', 'logs', 'alerts', 'keywords', 'meta', 'sdr', 'calculadora', 'relatorio'];
     if (!validSections.includes(section)) section = 'dashboard';
 
     state.currentSection = section;
@@ -88,6 +88,7 @@ function navigateTo(section, replace = false) {
         logs: 'Automação de Leads',
         alerts: 'Automação de Leads',
         keywords: 'Palavras-Chave',
+        meta: 'Meta Ads',
         sdr: 'SDR de IA',
         calculadora: 'Calculadora',
         relatorio: 'Relatórios'
@@ -122,6 +123,7 @@ function navigateTo(section, replace = false) {
         }
     }
     if (section === 'keywords') loadKeywordsSection();
+    if (section === 'meta') loadMetaSection();
     if (section === 'sdr') loadSDRSection();
     if (section === 'calculadora') loadCalcSection();
     if (section === 'alerts') loadAlertsSection();
@@ -379,7 +381,9 @@ function updatePeriodLabels() {
     const labelErrors = document.getElementById('label-errors');
     const labelRevenue = document.getElementById('label-revenue');
     const labelConversion = document.getElementById('label-conversion');
+    const labelReturning = document.getElementById('label-returning');
     if (labelLeads) labelLeads.textContent = `Leads ${label}`;
+    if (labelReturning) labelReturning.textContent = `Retornos ${label}`;
     if (labelSales) labelSales.textContent = `Vendas ${label}`;
     if (labelErrors) labelErrors.textContent = `Erros ${label}`;
     if (labelRevenue) labelRevenue.textContent = `Receita ${label}`;
@@ -982,6 +986,8 @@ async function loadAutomacaoOverview() {
         const revenueEl = $('#stat-revenue');
         const conversionEl = $('#stat-conversion');
         if (leadsEl) leadsEl.textContent = dashboardStats.newLeads || 0;
+        const returningEl = $('#stat-returning');
+        if (returningEl) returningEl.textContent = dashboardStats.returningLeads || 0;
         if (salesEl) salesEl.textContent = dashboardStats.sales || 0;
         if (revenueEl) revenueEl.textContent = formatBRL(dashboardStats.revenue);
         const rate = dashboardStats.newLeads > 0
@@ -1346,6 +1352,7 @@ function renderLogItem(log, detailed = false) {
 
     const isFailed = log.result === 'failed' || log.result === 'error';
     const isNewLead = log.event_type === 'new_lead';
+    const isReturning = log.event_type === 'returning_lead';
     const isUpdate = log.event_type === 'status_update' || log.event_type === 'lead.update';
     const SALE_STATUS_KWS = ["comprou","comprado","venda","vendido","fechou","fechado","ganho","ganhou","convertido","contrato","assinado","pago","pagou","sale","won","closed"];
     const isSaleByStatus = log.status && SALE_STATUS_KWS.some(kw => log.status.toLowerCase().includes(kw));
@@ -1378,6 +1385,10 @@ function renderLogItem(log, detailed = false) {
         icon = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.3"/></svg>';
         iconClass = 'stat-icon-clients';
         badge = '<span class="badge-status badge-update">Atualizado</span>';
+    } else if (isReturning) {
+        icon = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path></svg>';
+        iconClass = 'stat-icon-status';
+        badge = '<span class="badge-status badge-returning">Retorno</span>';
     } else {
         // new_lead + success (default)
         icon = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path><circle cx="9" cy="7" r="4"></circle><line x1="23" y1="13" x2="17" y2="13"></line><line x1="20" y1="10" x2="20" y2="16"></line></svg>';
@@ -1435,6 +1446,7 @@ function renderLogItem(log, detailed = false) {
             ${detailed ? `<span style="font-size:0.7rem;color:var(--text-tertiary);">${fullDate}</span>` : ''}
         </div>
     `;
+    if (log.phone) bindLeadDrawer(div, log.phone);
     return div;
 }
 
@@ -1444,6 +1456,158 @@ function formatPhoneDisplay(phone) {
         .replace(/(\d{2})(\d{2})(\d{4})(\d{4})/, '+$1 ($2) $3-$4');
 }
 
+// ============================================
+// Lead Drawer (visão 360 de um telefone)
+// ============================================
+const LEAD_TIMELINE_TYPES = {
+    webhook: { label: 'Webhook Tintim', cls: 'lead-tl-webhook' },
+    processing: { label: 'Planilha', cls: 'lead-tl-processing' },
+    trail: { label: 'Trail', cls: 'lead-tl-trail' },
+    kommo: { label: 'Kommo', cls: 'lead-tl-kommo' },
+    keyword: { label: 'Google Ads', cls: 'lead-tl-google' },
+    keyword_sale: { label: 'Venda (Google Ads)', cls: 'lead-tl-sale' },
+    meta: { label: 'Meta', cls: 'lead-tl-meta' },
+    meta_sale: { label: 'Venda (Meta)', cls: 'lead-tl-sale' },
+    capi: { label: 'Conversions API', cls: 'lead-tl-meta' },
+};
+
+// Linhas com telefone abrem o drawer; cliques em botões, links e ícones seguem normais
+function bindLeadDrawer(el, phone) {
+    el.classList.add('lead-drawer-trigger');
+    el.addEventListener('click', (e) => {
+        if (e.target.closest('button, a, .error-icon-container, .payload-preview')) return;
+        openLeadDrawer(phone);
+    });
+}
+
+function describeTimelineItem(item) {
+    const parts = [];
+    switch (item.type) {
+        case 'processing':
+            if (item.status) parts.push(escapeHtml(item.status.replace(/^Processado:\s*/, '')));
+            if (item.sheet_name) parts.push('Aba <strong>' + escapeHtml(item.sheet_name) + '</strong>' + (item.sheet_row ? ', linha ' + item.sheet_row : ''));
+            if (item.origin) parts.push(escapeHtml(item.origin));
+            if (parseFloat(item.sale_amount) > 0) parts.push(formatConversionValue(parseFloat(item.sale_amount)));
+            if (item.error_message) parts.push('<span class="lead-tl-error">' + escapeHtml(item.error_message) + '</span>');
+            break;
+        case 'webhook':
+        case 'kommo':
+            parts.push(escapeHtml(item.event_type || ''));
+            if (item.kommo_lead_id) parts.push('Lead #' + escapeHtml(String(item.kommo_lead_id)));
+            if (item.skipped_by_flag) parts.push('ignorado pela flag ' + escapeHtml(item.skipped_by_flag));
+            else if (item.status) parts.push(escapeHtml(item.status));
+            break;
+        case 'keyword':
+            parts.push(escapeHtml(item.keyword || '—'));
+            if (item.campaign) parts.push(escapeHtml(item.campaign));
+            if (item.gclid) parts.push('gclid');
+            break;
+        case 'meta':
+            parts.push(escapeHtml(item.campaign || '—'));
+            if (item.ad_name) parts.push(escapeHtml(item.ad_name));
+            if (item.ctwa_clid) parts.push('ctwa_clid');
+            break;
+        case 'keyword_sale':
+        case 'meta_sale':
+            parts.push(formatConversionValue(parseFloat(item.sale_amount) || 0));
+            if (item.keyword || item.campaign) parts.push(escapeHtml(item.keyword || item.campaign));
+            if (item.exported) parts.push('exportada');
+            break;
+        case 'capi':
+            parts.push('Purchase ' + formatConversionValue(parseFloat(item.sale_amount) || 0));
+            parts.push(escapeHtml(item.status) + (item.attempts ? ' (' + item.attempts + ' tentativa' + (item.attempts > 1 ? 's' : '') + ')' : ''));
+            if (item.error_message) parts.push('<span class="lead-tl-error">' + escapeHtml(item.error_message) + '</span>');
+            break;
+    }
+    return parts.filter(Boolean).join(' · ');
+}
+
+function renderTimelineItem(item) {
+    const type = LEAD_TIMELINE_TYPES[item.type] || { label: item.type, cls: '' };
+    const date = new Date(item.timestamp).toLocaleString('pt-BR');
+    let extra = '';
+
+    if (item.type === 'trail') {
+        extra = '<div class="lead-tl-steps">' + item.steps.map(step =>
+            '<span class="lead-tl-step ' + escapeHtml(step.status) + '" title="' + escapeHtml(step.detail || '') + '">' +
+            escapeHtml(formatStepName(step.step_name)) +
+            (step.sheet_row ? ' · linha ' + step.sheet_row : '') +
+            '</span>'
+        ).join('') + '</div>' +
+            '<a href="#" class="lead-tl-link" onclick="event.preventDefault();openTrailModal(\'' + escapeHtml(item.trace_id) + '\')">Ver trail completo</a>';
+    } else if (item.payload) {
+        const payloadId = 'lead-payload-' + item.id;
+        extra = '<button class="btn-text btn-sm" onclick="togglePayload(\'' + payloadId + '\')">Ver Payload</button>' +
+            '<div id="' + payloadId + '" class="payload-preview" style="display:none">' +
+            '<pre class="lead-tl-payload">' + escapeHtml(JSON.stringify(item.payload, null, 2)) + '</pre></div>';
+    }
+
+    return '<div class="lead-tl-item ' + type.cls + (item.status === 'error' || item.status === 'failed' ? ' lead-tl-failed' : '') + '">' +
+        '<div class="lead-tl-dot"></div>' +
+        '<div class="lead-tl-content">' +
+        '<div class="lead-tl-head"><span class="lead-tl-type">' + escapeHtml(type.label) + '</span>' +
+        '<span class="lead-tl-time">' + date + '</span></div>' +
+        '<div class="lead-tl-client">' + escapeHtml(item.client || '') + '</div>' +
+        (item.type === 'trail' ? '' : '<div class="lead-tl-desc">' + describeTimelineItem(item) + '</div>') +
+        extra +
+        '</div></div>';
+}
+
+async function openLeadDrawer(phone, clientSlug) {
+    const drawer = document.getElementById('lead-drawer');
+    const title = document.getElementById('lead-drawer-title');
+    const summary = document.getElementById('lead-drawer-summary');
+    const timeline = document.getElementById('lead-drawer-timeline');
+    if (!drawer || !phone) return;
+
+    // O drawer fica abaixo dos modais; o de keywords/Meta é fechado para não cobri-lo
+    const kwModal = document.getElementById('modal-keyword-detail');
+    if (kwModal) kwModal.style.display = 'none';
+
+    drawer.classList.add('visible');
+    title.textContent = formatPhoneDisplay(phone) || phone;
+    summary.innerHTML = '';
+    timeline.innerHTML = '<p class="empty-state">Carregando...</p>';
+
+    try {
+        const qs = clientSlug ? '?client=' + encodeURIComponent(clientSlug) : '';
+        const res = await fetch('/api/leads/' + encodeURIComponent(phone) + '/timeline' + qs, { credentials: 'same-origin' });
+        if (res.status === 404) {
+            timeline.innerHTML = '<p class="empty-state">Nenhum evento encontrado para este telefone</p>';
+            return;
+        }
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const data = await res.json();
+
+        title.textContent = data.name ? cleanDisplayName(data.name) : formatPhoneDisplay(data.phone);
+        summary.innerHTML =
+            '<div class="lead-drawer-row"><span>Telefone</span><strong>' + escapeHtml(data.phone) + '</strong></div>' +
+            '<div class="lead-drawer-row"><span>Clientes</span><strong>' + escapeHtml(data.clients.join(', ') || '—') + '</strong></div>' +
+            '<div class="lead-drawer-row"><span>Primeiro evento</span><strong>' + (data.firstSeen ? new Date(data.firstSeen).toLocaleString('pt-BR') : '—') + '</strong></div>' +
+            '<div class="lead-drawer-row"><span>Último evento</span><strong>' + (data.lastSeen ? new Date(data.lastSeen).toLocaleString('pt-BR') : '—') + '</strong></div>' +
+            (data.sheetRows.length ? '<div class="lead-drawer-sheets">' + data.sheetRows.map(r =>
+                '<span class="badge-status badge-update">' + escapeHtml(r.client) + ' · ' + escapeHtml(r.sheet_name) + (r.sheet_row ? ' #' + r.sheet_row : '') + '</span>'
+            ).join('') + '</div>' : '');
+
+        timeline.innerHTML = data.items.map(renderTimelineItem).join('');
+    } catch (e) {
+        timeline.innerHTML = '<p class="empty-state">Erro ao carregar timeline do lead</p>';
+    }
+}
+window.openLeadDrawer = openLeadDrawer;
+
+function closeLeadDrawer() {
+    document.getElementById('lead-drawer')?.classList.remove('visible');
+}
+
+document.getElementById('lead-drawer-close')?.addEventListener('click', closeLeadDrawer);
+document.getElementById('lead-drawer-backdrop')?.addEventListener('click', closeLeadDrawer);
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && $('#lead-drawer')?.classList.contains('visible')) {
+        closeLeadDrawer();
+    }
+});
+
 // ============================================
 // Client Management
 // ============================================
@@ -1601,6 +1765,10 @@ async function loadClients() {
                     Ver detalhes
                 </button>
                 <div style="flex:1"></div>
+                <button class="btn-text" onclick="openClientSettings('${escapeHtml(client.slug)}')">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="4" y1="21" x2="4" y2="14"></line><line x1="4" y1="10" x2="4" y2="3"></line><line x1="12" y1="21" x2="12" y2="12"></line><line x1="12" y1="8" x2="12" y2="3"></line><line x1="20" y1="21" x2="20" y2="16"></line><line x1="20" y1="12" x2="20" y2="3"></line><line x1="1" y1="14" x2="7" y2="14"></line><line x1="9" y1="8" x2="15" y2="8"></line><line x1="17" y1="16" x2="23" y2="16"></line></svg>
+                    Regras
+                </button>
                 <button class="btn-text" onclick="handleEditClient('${escapeHtml(client.slug)}')">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path></svg>
                     Editar
@@ -1671,8 +1839,9 @@ refs.clientForm?.addEventListener('submit', async (e) => {
         sheet_name: 'auto',
         active: true,
         webhook_source: $('#client-webhook-source').value,
-        kommo_pipeline_id: null,
         kommo_account_id: $('#client-kommo-account') ? $('#client-kommo-account').value.trim() || null : null,
+        kommo_pipeline_ids: $('#client-kommo-pipelines') ? $('#client-kommo-pipelines').value.trim() : '',
+        kommo_ignored_pipeline_ids: $('#client-kommo-ignored-pipelines') ? $('#client-kommo-ignored-pipelines').value.trim() : '',
     };
 
     try {
@@ -1699,10 +1868,12 @@ refs.clientForm?.addEventListener('submit', async (e) => {
 function toggleKommoPipelineField() {
     const source = document.getElementById('client-webhook-source');
     const group = document.getElementById('kommo-pipeline-group');
+    const pipelinesGroup = document.getElementById('kommo-pipelines-group');
     const instanceGroup = document.getElementById('client-instance');
     if (!source || !group) return;
     const val = source.value;
     group.style.display = (val === 'kommo' || val === 'both') ? '' : 'none';
+    if (pipelinesGroup) pipelinesGroup.style.display = group.style.display;
     // Tintim instance is optional when source is kommo-only
     if (instanceGroup) {
         instanceGroup.required = (val !== 'kommo');
@@ -1738,6 +1909,7 @@ async function loadSettings() {
         const dashboardUrl = $('#webhook-url');
         if (webhookInput) webhookInput.value = data.webhook_url || '';
         if (dashboardUrl) dashboardUrl.textContent = data.webhook_url || '';
+        renderClientWebhooks(data.clients || []);
     } catch {
         const webhookInput = $('#settings-webhook-input');
         const fallback = `${window.location.origin}/webhook/tintim`;
@@ -1774,6 +1946,64 @@ async function loadSettings() {
     } catch { /* silêncio */ }
 }
 
+// URLs de webhook por cliente (/webhook/tintim/:clientSlug)
+function renderClientWebhooks(clients) {
+    const body = $('#client-webhooks-body');
+    if (!body) return;
+    if (clients.length === 0) {
+        body.innerHTML = '<tr><td colspan="4" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhum cliente ativo</td></tr>';
+        return;
+    }
+
+    body.innerHTML = clients.map(c => `
+        <tr>
+            <td>${escapeHtml(c.name)}</td>
+            <td>
+                <select class="setting-input" style="width:auto;" onchange="rotateClientWebhookSecret('${escapeHtml(c.slug)}', this.value)">
+                    <option value="token" ${c.auth_mode === 'token' ? 'selected' : ''}>Token na URL</option>
+                    <option value="hmac" ${c.auth_mode === 'hmac' ? 'selected' : ''}>HMAC</option>
+                </select>
+            </td>
+            <td><code class="webhook-url" style="font-size:0.75rem;word-break:break-all;">${escapeHtml(c.webhook_url)}</code></td>
+            <td style="text-align:right;white-space:nowrap;">
+                <button class="btn-icon" title="Copiar URL" onclick="copyClientWebhookUrl('${escapeHtml(c.webhook_url)}')">⧉</button>
+                <button class="btn-secondary btn-sm" onclick="rotateClientWebhookSecret('${escapeHtml(c.slug)}')">Rotacionar</button>
+            </td>
+        </tr>`).join('');
+}
+
+window.copyClientWebhookUrl = function (url) {
+    navigator.clipboard.writeText(url).then(() => showToast('URL copiada!', 'success'));
+};
+
+window.rotateClientWebhookSecret = async function (slug, mode) {
+    const msg = mode
+        ? `Trocar a autenticação de "${slug}" para ${mode === 'hmac' ? 'HMAC' : 'token na URL'}? Um novo segredo será gerado e o atual deixa de funcionar.`
+        : `Gerar um novo segredo para "${slug}"? O atual deixa de funcionar imediatamente.`;
+    if (!confirm(msg)) {
+        loadSettings();
+        return;
+    }
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(slug)}/webhook-secret/rotate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(mode ? { mode } : {}),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Erro ao rotacionar');
+        if (data.auth_mode === 'hmac') {
+            prompt('Novo segredo HMAC (copie agora, ele não será exibido novamente):', data.secret);
+        } else {
+            showToast('Novo token gerado — atualize a URL no Tintim', 'success');
+        }
+        loadSettings();
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
 // Salvar webhook URL
 $('#btn-save-webhook')?.addEventListener('click', async () => {
     const input = $('#settings-webhook-input');
@@ -2149,6 +2379,13 @@ init();
 // ============================================
 let currentDetailClientId = null;
 
+// Client details page: per-client rules and recent leads
+window.openClientSettings = function (clientId) {
+    currentDetailClientId = clientId;
+    navigateTo('client-details');
+    loadClientDetails(clientId);
+};
+
 async function navigateToClientDetails(clientId) {
     // Redirect to logs filtered by this client
     if (typeof viewClientLogs === 'function') {
@@ -2282,7 +2519,7 @@ function applyFilterToResults() {
             (item.status && SALE_FILTER_KWS.some(kw => item.status.toLowerCase().includes(kw)))
         );
     } else if (currentLogFilter === 'new_leads') {
-        filtered = filtered.filter(item => item.event_type === 'new_lead');
+        filtered = filtered.filter(item => item.event_type === 'new_lead' || item.event_type === 'returning_lead');
     }
 
     renderInvestigationResults(filtered);
@@ -2372,6 +2609,7 @@ function renderRawResults(container, results) {
                     </div>
                 </div>
             </div>`;
+        if (item.phone) bindLeadDrawer(div, item.phone);
         container.appendChild(div);
     });
 }
@@ -2405,6 +2643,19 @@ async function loadClientDetails(clientId) {
     if (!container) return;
 
     container.innerHTML = '<div class="activity-empty"><p>Carregando logs...</p></div>';
+    loadClientChannelRules(clientId);
+    loadClientStatusMappings(clientId);
+    loadClientReturningLeadAction(clientId);
+    loadClientPhoneFormat(clientId);
+    loadClientWebhookSubscriptions(clientId);
+    loadClientGoogleAds(clientId);
+    loadClientMetaCapi(clientId);
+    loadClientSalesLedger(clientId);
+    loadClientKommoAuth(clientId);
+    loadClientKommoStages(clientId);
+    loadClientKommoFields(clientId);
+    loadClientKommoBackfill(clientId);
+    loadClientKommoSheetSync(clientId);
 
     // Set loading state in header
     if (titleEl) titleEl.textContent = 'Carregando...';
@@ -2459,47 +2710,1475 @@ async function loadClientDetails(clientId) {
     }
 }
 
-async function loadClientDetailOrigins(clientSlug) {
-    const card = document.getElementById('client-origins-card');
-    const container = document.getElementById('client-origins-container');
-    if (!card || !container) return;
+async function loadClientDetailOrigins(clientSlug) {
+    const card = document.getElementById('client-origins-card');
+    const container = document.getElementById('client-origins-container');
+    if (!card || !container) return;
+
+    try {
+        const allOrigins = await fetchClientOrigins();
+        const clientData = allOrigins.filter(r => r.slug === clientSlug);
+
+        if (clientData.length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+
+        card.style.display = '';
+        const totalLeads = clientData.reduce((s, o) => s + o.leads, 0);
+
+        let html = '<div class="client-origins-grid">';
+        clientData.forEach(o => {
+            const cls = getOriginClass(o.origin);
+            const pct = totalLeads > 0 ? ((o.leads / totalLeads) * 100).toFixed(1) : '0';
+            const conv = o.leads > 0 ? ((o.sales / o.leads) * 100).toFixed(1) : '0';
+            html += `
+                <div class="client-origin-card ${cls}">
+                    <div class="origin-label">
+                        <span class="automacao-origin-dot ${cls}"></span>
+                        ${escapeHtml(getOriginLabel(o.origin))}
+                    </div>
+                    <div class="origin-value">${o.leads}</div>
+                    <div class="origin-pct">${pct}% dos leads</div>
+                    <div class="origin-detail">${o.sales} vendas · ${formatBRL(o.revenue)} · ${conv}% conv.</div>
+                </div>`;
+        });
+        html += '</div>';
+        container.innerHTML = html;
+    } catch (e) {
+        console.error('Erro ao carregar origens do cliente:', e);
+        card.style.display = 'none';
+    }
+}
+
+// ============================================
+// Channel Rules (per client)
+// ============================================
+
+let channelRulesState = { rules: [], usingDefaults: true };
+
+async function loadClientChannelRules(clientSlug) {
+    const body = document.getElementById('channel-rules-body');
+    const status = document.getElementById('channel-rules-status');
+    if (!body) return;
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(clientSlug)}/channel-rules`);
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao carregar regras');
+        channelRulesState = await res.json();
+        renderChannelRules();
+        if (status) status.textContent = channelRulesState.usingDefaults ? 'Usando regras padrão' : `${channelRulesState.rules.length} regras personalizadas`;
+    } catch (e) {
+        console.error('Erro ao carregar regras de canal:', e);
+        body.innerHTML = `<tr><td colspan="6" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
+    }
+}
+
+function renderChannelRules() {
+    const body = document.getElementById('channel-rules-body');
+    if (!body) return;
+    const { rules, usingDefaults } = channelRulesState;
+
+    if (rules.length === 0) {
+        body.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhuma regra</td></tr>';
+        return;
+    }
+
+    // Regras padrão são somente leitura até o cliente personalizar
+    body.innerHTML = rules.map((r, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td><code>${escapeHtml(r.field)}</code></td>
+            <td><code>${escapeHtml(r.pattern)}</code></td>
+            <td>${escapeHtml(r.channel)}</td>
+            <td>${r.is_paid ? 'Sim' : 'Não'}</td>
+            <td style="text-align:right;white-space:nowrap;">
+                ${usingDefaults ? '<span class="text-secondary" style="font-size:0.75rem;">padrão</span>' : `
+                <button class="btn-icon" title="Subir" onclick="moveChannelRule(${i}, -1)" ${i === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn-icon" title="Descer" onclick="moveChannelRule(${i}, 1)" ${i === rules.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="btn-icon" title="${r.is_paid ? 'Marcar como orgânico' : 'Marcar como pago'}" onclick="toggleChannelRulePaid(${i})">$</button>
+                <button class="btn-icon" title="Remover" onclick="deleteChannelRule('${r.id}')">✕</button>`}
+            </td>
+        </tr>`).join('');
+}
+
+async function channelRulesRequest(url, method, body) {
+    const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Erro ao salvar regra');
+    return data;
+}
+
+function channelRulesUrl(suffix) {
+    return `/admin/clients/${encodeURIComponent(currentDetailClientId)}/channel-rules${suffix || ''}`;
+}
+
+window.moveChannelRule = async function (index, delta) {
+    const ids = channelRulesState.rules.map(r => r.id);
+    const target = index + delta;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    try {
+        channelRulesState = await channelRulesRequest(channelRulesUrl('/order'), 'PUT', { ids });
+        renderChannelRules();
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+window.toggleChannelRulePaid = async function (index) {
+    const rule = channelRulesState.rules[index];
+    try {
+        await channelRulesRequest(channelRulesUrl(`/${rule.id}`), 'PUT', { ...rule, is_paid: !rule.is_paid });
+        loadClientChannelRules(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+window.deleteChannelRule = async function (ruleId) {
+    if (!confirm('Remover esta regra de canal?')) return;
+    try {
+        await channelRulesRequest(channelRulesUrl(`/${ruleId}`), 'DELETE');
+        showToast('Regra removida', 'success');
+        loadClientChannelRules(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+document.getElementById('btn-reset-channel-rules')?.addEventListener('click', async () => {
+    if (!currentDetailClientId) return;
+    const msg = channelRulesState.usingDefaults
+        ? 'Copiar as regras padrão para este cliente para poder editá-las?'
+        : 'Substituir as regras deste cliente pelas regras padrão?';
+    if (!confirm(msg)) return;
+    try {
+        channelRulesState = await channelRulesRequest(channelRulesUrl('/reset'), 'POST');
+        renderChannelRules();
+        showToast('Regras padrão restauradas', 'success');
+        loadClientChannelRules(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+});
+
+document.getElementById('form-channel-rule')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+    try {
+        // Primeira regra personalizada: parte da cópia das regras padrão
+        if (channelRulesState.usingDefaults) {
+            await channelRulesRequest(channelRulesUrl('/reset'), 'POST');
+        }
+        await channelRulesRequest(channelRulesUrl(), 'POST', {
+            field: $('#channel-rule-field').value.trim(),
+            pattern: $('#channel-rule-pattern').value.trim(),
+            channel: $('#channel-rule-channel').value.trim(),
+            is_paid: $('#channel-rule-paid').checked,
+        });
+        e.target.reset();
+        $('#channel-rule-paid').checked = true;
+        showToast('Regra adicionada', 'success');
+        loadClientChannelRules(currentDetailClientId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+// ============================================
+// Tintim Status Mapping (per client)
+// ============================================
+
+const STAGE_LABELS = {
+    new: 'Novo',
+    contacted: 'Em contato',
+    proposal: 'Proposta',
+    won: 'Ganho',
+    lost: 'Perdido',
+    disqualified: 'Desqualificado',
+};
+
+const SALE_EVENT_LABELS = {
+    sale: 'Venda',
+    refund: 'Estorno',
+    cancellation: 'Cancelamento',
+};
+
+let statusMappingsState = { mappings: [], unmapped: [] };
+let editingStatusMappingId = null;
+
+function formatTintimStatus(statusId, statusName) {
+    const parts = [];
+    if (statusName) parts.push(escapeHtml(statusName));
+    if (statusId) parts.push(`<code>#${escapeHtml(String(statusId))}</code>`);
+    return parts.join(' ') || '—';
+}
+
+async function loadClientStatusMappings(clientSlug) {
+    const body = document.getElementById('status-mappings-body');
+    if (!body) return;
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(clientSlug)}/status-mappings`);
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao carregar mapeamentos');
+        statusMappingsState = await res.json();
+        renderStatusMappings();
+    } catch (e) {
+        console.error('Erro ao carregar mapeamento de status:', e);
+        body.innerHTML = `<tr><td colspan="5" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
+    }
+}
+
+function renderStatusMappings() {
+    const body = document.getElementById('status-mappings-body');
+    const unmappedEl = document.getElementById('status-unmapped-list');
+    const status = document.getElementById('status-mappings-status');
+    const { mappings, unmapped } = statusMappingsState;
+
+    if (status) {
+        status.textContent = unmapped.length > 0
+            ? `${unmapped.length} status sem mapeamento`
+            : `${mappings.length} mapeados`;
+        status.style.color = unmapped.length > 0 ? 'var(--accent-orange)' : '';
+    }
+
+    if (unmappedEl) {
+        unmappedEl.innerHTML = unmapped.length === 0 ? '' : `
+            <div style="padding:12px 16px;border-bottom:1px solid var(--border-subtle);background:var(--bg-elevated);">
+                <div style="font-size:0.8rem;font-weight:600;margin-bottom:8px;">Recebidos sem mapeamento (gravados com o nome do Tintim)</div>
+                ${unmapped.map((u, i) => `
+                    <div style="display:flex;align-items:center;gap:12px;padding:4px 0;font-size:0.85rem;">
+                        <span style="flex:1;">${formatTintimStatus(u.tintim_status_id, u.tintim_status_name)}</span>
+                        <span class="text-secondary">${u.occurrences}x · ${formatTimeAgo(u.last_seen_at)}</span>
+                        <button class="btn-secondary btn-sm" onclick="prefillStatusMapping(${i})">Mapear</button>
+                    </div>`).join('')}
+            </div>`;
+    }
+
+    if (!body) return;
+    if (mappings.length === 0) {
+        body.innerHTML = '<tr><td colspan="5" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhum mapeamento — o status do Tintim é gravado como veio</td></tr>';
+        return;
+    }
+
+    body.innerHTML = mappings.map((m, i) => `
+        <tr>
+            <td>${formatTintimStatus(m.tintim_status_id, m.tintim_status_name)}</td>
+            <td>${escapeHtml(m.sheet_label)}</td>
+            <td>${escapeHtml(STAGE_LABELS[m.stage] || m.stage)}</td>
+            <td>${m.is_sale ? 'Venda' : m.sale_event ? SALE_EVENT_LABELS[m.sale_event] : 'Não'}</td>
+            <td style="text-align:right;white-space:nowrap;">
+                <button class="btn-icon" title="Editar" onclick="editStatusMapping(${i})">✎</button>
+                <button class="btn-icon" title="Remover" onclick="deleteStatusMapping('${m.id}')">✕</button>
+            </td>
+        </tr>`).join('');
+}
+
+function fillStatusMappingForm(data) {
+    $('#status-mapping-id').value = data.tintim_status_id || '';
+    $('#status-mapping-name').value = data.tintim_status_name || '';
+    $('#status-mapping-label').value = data.sheet_label || data.tintim_status_name || '';
+    $('#status-mapping-stage').value = data.stage || 'contacted';
+    $('#status-mapping-sale').value = data.is_sale ? 'sale' : (data.sale_event || '');
+    $('#status-mapping-label').focus();
+}
+
+window.prefillStatusMapping = function (index) {
+    editingStatusMappingId = null;
+    fillStatusMappingForm(statusMappingsState.unmapped[index]);
+};
+
+window.editStatusMapping = function (index) {
+    const mapping = statusMappingsState.mappings[index];
+    editingStatusMappingId = mapping.id;
+    fillStatusMappingForm(mapping);
+};
+
+window.deleteStatusMapping = async function (mappingId) {
+    if (!confirm('Remover este mapeamento de status?')) return;
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(currentDetailClientId)}/status-mappings/${mappingId}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao remover');
+        showToast('Mapeamento removido', 'success');
+        loadClientStatusMappings(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+document.getElementById('form-status-mapping')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+
+    const base = `/admin/clients/${encodeURIComponent(currentDetailClientId)}/status-mappings`;
+    const url = editingStatusMappingId ? `${base}/${editingStatusMappingId}` : base;
+    try {
+        const res = await fetch(url, {
+            method: editingStatusMappingId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                tintim_status_id: $('#status-mapping-id').value.trim() || null,
+                tintim_status_name: $('#status-mapping-name').value.trim() || null,
+                sheet_label: $('#status-mapping-label').value.trim(),
+                stage: $('#status-mapping-stage').value,
+                is_sale: $('#status-mapping-sale').value === 'sale',
+                sale_event: ['refund', 'cancellation'].includes($('#status-mapping-sale').value) ? $('#status-mapping-sale').value : null,
+            }),
+        });
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao salvar');
+        editingStatusMappingId = null;
+        e.target.reset();
+        showToast('Mapeamento salvo', 'success');
+        loadClientStatusMappings(currentDetailClientId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+// ============================================
+// Returning Leads (per client)
+// ============================================
+
+async function loadClientReturningLeadAction(clientSlug) {
+    const select = document.getElementById('returning-lead-action');
+    const status = document.getElementById('returning-lead-status');
+    if (!select) return;
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(clientSlug)}/returning-leads`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Erro ao carregar configuração');
+        select.value = data.action;
+        if (status) status.textContent = '';
+    } catch (e) {
+        console.error('Erro ao carregar ação de leads retornando:', e);
+        if (status) status.textContent = e.message;
+    }
+}
+
+document.getElementById('form-returning-lead-action')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(currentDetailClientId)}/returning-leads`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action: $('#returning-lead-action').value }),
+        });
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao salvar');
+        showToast('Ação para leads retornando salva', 'success');
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+// ============================================
+// Phone Format (per client)
+// ============================================
+
+async function loadClientPhoneFormat(clientSlug) {
+    const select = document.getElementById('phone-format');
+    const example = document.getElementById('phone-format-example');
+    if (!select) return;
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(clientSlug)}/phone-format`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Erro ao carregar formato');
+        select.value = data.format;
+        if (example) example.textContent = `Ex: ${data.example}`;
+    } catch (e) {
+        console.error('Erro ao carregar formato de telefone:', e);
+        if (example) example.textContent = e.message;
+    }
+}
+
+document.getElementById('form-phone-format')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(currentDetailClientId)}/phone-format`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ format: $('#phone-format').value }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Erro ao salvar');
+        const example = document.getElementById('phone-format-example');
+        if (example) example.textContent = `Ex: ${data.example}`;
+        showToast('Formato de telefone salvo', 'success');
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+// ============================================
+// Outbound Webhooks (per client)
+// ============================================
+
+const DELIVERY_STATUS_BADGES = {
+    success: '<span class="badge-status badge-new">Entregue</span>',
+    pending: '<span class="badge-status badge-warning">Pendente</span>',
+    failed: '<span class="badge-status badge-error">Falhou</span>',
+};
+
+let webhookSubscriptions = [];
+let editingWebhookSubscriptionId = null;
+let openDeliveriesSubscriptionId = null;
+
+async function loadClientWebhookSubscriptions(clientSlug) {
+    const body = document.getElementById('webhook-subscriptions-body');
+    const status = document.getElementById('webhook-subscriptions-status');
+    if (!body) return;
+
+    closeWebhookDeliveries();
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(clientSlug)}/webhook-subscriptions`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Erro ao carregar webhooks');
+        webhookSubscriptions = data.subscriptions;
+        if (status) status.textContent = `${webhookSubscriptions.filter(s => s.active).length} ativos`;
+        renderWebhookSubscriptions();
+    } catch (e) {
+        console.error('Erro ao carregar webhooks de saída:', e);
+        body.innerHTML = `<tr><td colspan="5" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
+    }
+}
+
+function renderWebhookSubscriptions() {
+    const body = document.getElementById('webhook-subscriptions-body');
+    if (!body) return;
+
+    if (webhookSubscriptions.length === 0) {
+        body.innerHTML = '<tr><td colspan="5" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhum webhook de saída</td></tr>';
+        return;
+    }
+
+    body.innerHTML = webhookSubscriptions.map((s, i) => `
+        <tr>
+            <td style="word-break:break-all;">${escapeHtml(s.url)}${s.description ? `<br><small class="text-secondary">${escapeHtml(s.description)}</small>` : ''}</td>
+            <td>${s.events.map(ev => `<code>${escapeHtml(ev)}</code>`).join(' ')}</td>
+            <td><button class="btn-secondary btn-sm" onclick="copyWebhookSecret(${i})">Copiar</button></td>
+            <td>${s.active ? 'Sim' : 'Não'}</td>
+            <td style="text-align:right;white-space:nowrap;">
+                <button class="btn-secondary btn-sm" onclick="openWebhookDeliveries(${i})">Entregas</button>
+                <button class="btn-icon" title="${s.active ? 'Desativar' : 'Ativar'}" onclick="toggleWebhookSubscription(${i})">${s.active ? '⏸' : '▶'}</button>
+                <button class="btn-icon" title="Editar" onclick="editWebhookSubscription(${i})">✎</button>
+                <button class="btn-icon" title="Remover" onclick="deleteWebhookSubscription('${s.id}')">✕</button>
+            </td>
+        </tr>`).join('');
+}
+
+function webhookSubscriptionsUrl(suffix = '') {
+    return `/admin/clients/${encodeURIComponent(currentDetailClientId)}/webhook-subscriptions${suffix}`;
+}
+
+async function saveWebhookSubscription(id, data) {
+    const res = await fetch(webhookSubscriptionsUrl(id ? `/${id}` : ''), {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    });
+    if (!res.ok) throw new Error((await res.json()).error || 'Erro ao salvar');
+    return res.json();
+}
+
+window.copyWebhookSecret = async function (index) {
+    try {
+        await navigator.clipboard.writeText(webhookSubscriptions[index].secret);
+        showToast('Segredo copiado', 'success');
+    } catch (e) {
+        showToast('Não foi possível copiar o segredo', 'error');
+    }
+};
+
+window.editWebhookSubscription = function (index) {
+    const s = webhookSubscriptions[index];
+    editingWebhookSubscriptionId = s.id;
+    $('#webhook-subscription-url').value = s.url;
+    $('#webhook-subscription-description').value = s.description || '';
+    document.querySelectorAll('#webhook-subscription-events input').forEach(cb => {
+        cb.checked = s.events.includes(cb.value);
+    });
+    $('#webhook-subscription-url').focus();
+};
+
+window.toggleWebhookSubscription = async function (index) {
+    const s = webhookSubscriptions[index];
+    try {
+        await saveWebhookSubscription(s.id, { url: s.url, events: s.events, description: s.description, active: !s.active });
+        showToast(s.active ? 'Webhook desativado' : 'Webhook ativado', 'success');
+        loadClientWebhookSubscriptions(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+window.deleteWebhookSubscription = async function (subscriptionId) {
+    if (!confirm('Remover este webhook de saída e o log de entregas?')) return;
+    try {
+        const res = await fetch(webhookSubscriptionsUrl(`/${subscriptionId}`), { method: 'DELETE' });
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao remover');
+        showToast('Webhook removido', 'success');
+        loadClientWebhookSubscriptions(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+window.openWebhookDeliveries = async function (index) {
+    const s = webhookSubscriptions[index];
+    const panel = document.getElementById('webhook-deliveries-panel');
+    const body = document.getElementById('webhook-deliveries-body');
+    if (!panel || !body) return;
+
+    openDeliveriesSubscriptionId = s.id;
+    panel.style.display = '';
+    $('#webhook-deliveries-title').textContent = `Entregas — ${s.url}`;
+    body.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--text-tertiary);padding:24px;">Carregando...</td></tr>';
+
+    try {
+        const res = await fetch(webhookSubscriptionsUrl(`/${s.id}/deliveries`));
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Erro ao carregar entregas');
+        if (data.deliveries.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhuma entrega ainda</td></tr>';
+            return;
+        }
+        body.innerHTML = data.deliveries.map(d => `
+            <tr>
+                <td title="${escapeHtml(new Date(d.created_at).toLocaleString('pt-BR'))}">${formatTimeAgo(d.created_at)}${d.replay_of ? ' <small class="text-secondary">(reenvio)</small>' : ''}</td>
+                <td><code>${escapeHtml(d.event_type)}</code></td>
+                <td>${DELIVERY_STATUS_BADGES[d.status] || escapeHtml(d.status)}</td>
+                <td>${d.attempts}</td>
+                <td>${d.response_status ? `HTTP ${d.response_status}` : ''}${d.error ? ` <small class="text-secondary">${escapeHtml(d.error)}</small>` : ''}</td>
+                <td style="text-align:right;"><button class="btn-secondary btn-sm" onclick="replayWebhookDelivery('${d.id}')">Reenviar</button></td>
+            </tr>`).join('');
+    } catch (e) {
+        body.innerHTML = `<tr><td colspan="6" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
+    }
+};
+
+window.closeWebhookDeliveries = function () {
+    openDeliveriesSubscriptionId = null;
+    const panel = document.getElementById('webhook-deliveries-panel');
+    if (panel) panel.style.display = 'none';
+};
+
+window.replayWebhookDelivery = async function (deliveryId) {
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(currentDetailClientId)}/webhook-deliveries/${deliveryId}/replay`, { method: 'POST' });
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao reenviar');
+        showToast('Entrega reenfileirada', 'success');
+        const index = webhookSubscriptions.findIndex(s => s.id === openDeliveriesSubscriptionId);
+        if (index >= 0) setTimeout(() => openWebhookDeliveries(index), 1500);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+document.getElementById('form-webhook-subscription')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+
+    const events = [...document.querySelectorAll('#webhook-subscription-events input:checked')].map(cb => cb.value);
+    const current = webhookSubscriptions.find(s => s.id === editingWebhookSubscriptionId);
+    try {
+        await saveWebhookSubscription(editingWebhookSubscriptionId, {
+            url: $('#webhook-subscription-url').value.trim(),
+            description: $('#webhook-subscription-description').value.trim() || null,
+            events,
+            active: current ? current.active : true,
+        });
+        editingWebhookSubscriptionId = null;
+        $('#webhook-subscription-url').value = '';
+        $('#webhook-subscription-description').value = '';
+        showToast('Webhook salvo', 'success');
+        loadClientWebhookSubscriptions(currentDetailClientId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+// ============================================
+// Google Ads Offline Conversions (per client)
+// ============================================
+
+function googleAdsUrl(suffix = '') {
+    return `/admin/clients/${encodeURIComponent(currentDetailClientId)}/google-ads${suffix}`;
+}
+
+function formatConversionValue(value) {
+    return 'R$ ' + (value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2 });
+}
+
+async function loadClientGoogleAds(clientSlug) {
+    const body = document.getElementById('google-ads-exports-body');
+    const pending = document.getElementById('google-ads-pending');
+    if (!body) return;
+
+    try {
+        const base = `/admin/clients/${encodeURIComponent(clientSlug)}/google-ads`;
+        const [settingsRes, exportsRes] = await Promise.all([fetch(base), fetch(`${base}/exports`)]);
+        const settings = await settingsRes.json();
+        const data = await exportsRes.json();
+        if (!settingsRes.ok) throw new Error(settings.error || 'Erro ao carregar configuração');
+        if (!exportsRes.ok) throw new Error(data.error || 'Erro ao carregar exportações');
+
+        $('#google-ads-conversion-name').value = settings.conversion_name;
+        $('#google-ads-timezone').value = settings.timezone;
+        $('#google-ads-currency').value = settings.currency;
+        $('#google-ads-auto-export').checked = settings.auto_export;
+        if (pending && data.pending) {
+            pending.textContent = `${data.pending.rows} pendentes (${data.pending.from} a ${data.pending.to})`;
+        }
+
+        if (data.exports.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhum arquivo gerado</td></tr>';
+            return;
+        }
+        body.innerHTML = data.exports.map(x => `
+            <tr>
+                <td title="${escapeHtml(new Date(x.created_at).toLocaleString('pt-BR'))}">${formatTimeAgo(x.created_at)}</td>
+                <td>${escapeHtml(x.period_from)} a ${escapeHtml(x.period_to)}</td>
+                <td>${x.trigger === 'scheduled' ? 'Automático' : escapeHtml(x.created_by || 'Manual')}</td>
+                <td>${x.row_count}${x.skipped_count ? ` <small class="text-secondary">(${x.skipped_count} sem GCLID)</small>` : ''}</td>
+                <td>${formatConversionValue(x.total_value)}</td>
+                <td style="text-align:right;"><a class="btn-secondary btn-sm" href="${googleAdsUrl(`/exports/${x.id}/csv`)}" download>CSV</a></td>
+            </tr>`).join('');
+    } catch (e) {
+        console.error('Erro ao carregar exportações do Google Ads:', e);
+        body.innerHTML = `<tr><td colspan="6" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
+    }
+}
+
+function googleAdsExportRequest(extra = {}) {
+    const data = { include_exported: $('#google-ads-include-exported').checked, ...extra };
+    if ($('#google-ads-export-from').value) data.from = $('#google-ads-export-from').value;
+    if ($('#google-ads-export-to').value) data.to = $('#google-ads-export-to').value;
+    return fetch(googleAdsUrl('/exports'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }).then(async res => {
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro na exportação');
+        return result;
+    });
+}
+
+document.getElementById('form-google-ads-settings')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+
+    try {
+        const res = await fetch(googleAdsUrl(), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                conversion_name: $('#google-ads-conversion-name').value.trim(),
+                timezone: $('#google-ads-timezone').value.trim() || 'America/Sao_Paulo',
+                currency: ($('#google-ads-currency').value.trim() || 'BRL').toUpperCase(),
+                auto_export: $('#google-ads-auto-export').checked,
+            }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Erro ao salvar');
+        showToast('Configuração do Google Ads salva', 'success');
+        loadClientGoogleAds(currentDetailClientId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+document.getElementById('btn-google-ads-preview')?.addEventListener('click', async () => {
+    if (!currentDetailClientId) return;
+    try {
+        const preview = await googleAdsExportRequest({ dry_run: true });
+        const skipped = preview.skipped ? `, ${preview.skipped} sem GCLID` : '';
+        showToast(`${preview.rows} conversões (${formatConversionValue(preview.total_value)})${skipped}`, 'info');
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+document.getElementById('form-google-ads-export')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+
+    try {
+        const result = await googleAdsExportRequest();
+        if (!result.export) {
+            showToast('Nenhuma conversão nova no período', 'info');
+            return;
+        }
+        showToast(`Arquivo gerado com ${result.rows} conversões`, 'success');
+        window.location.href = googleAdsUrl(`/exports/${result.export.id}/csv`);
+        loadClientGoogleAds(currentDetailClientId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+// ============================================
+// Meta Conversions API (per client)
+// ============================================
+
+const CAPI_STATUS_BADGES = {
+    sent: '<span class="badge-status badge-new">Enviado</span>',
+    pending: '<span class="badge-status badge-warning">Pendente</span>',
+    failed: '<span class="badge-status badge-error">Falhou</span>',
+};
+
+function metaCapiUrl(suffix = '') {
+    return `/admin/clients/${encodeURIComponent(currentDetailClientId)}/meta-capi${suffix}`;
+}
+
+async function loadClientMetaCapi(clientSlug) {
+    const body = document.getElementById('meta-capi-events-body');
+    const counts = document.getElementById('meta-capi-counts');
+    if (!body) return;
+
+    try {
+        const base = `/admin/clients/${encodeURIComponent(clientSlug)}/meta-capi`;
+        const [settingsRes, eventsRes] = await Promise.all([fetch(base), fetch(`${base}/events`)]);
+        const settings = await settingsRes.json();
+        const data = await eventsRes.json();
+        if (!settingsRes.ok) throw new Error(settings.error || 'Erro ao carregar configuração');
+        if (!eventsRes.ok) throw new Error(data.error || 'Erro ao carregar eventos');
+
+        $('#meta-capi-enabled').checked = settings.enabled;
+        $('#meta-capi-delivery').value = settings.delivery;
+        $('#meta-capi-dataset').value = settings.dataset_id;
+        $('#meta-capi-page').value = settings.page_id;
+        $('#meta-capi-currency').value = settings.currency;
+        $('#meta-capi-test-code').value = settings.test_event_code;
+        $('#meta-capi-token').value = '';
+        $('#meta-capi-token').placeholder = settings.has_token ? 'Access token (salvo — preencha para trocar)' : 'Access token';
+        if (counts) counts.textContent = `${data.counts.sent} enviados · ${data.counts.pending} pendentes · ${data.counts.failed} com falha`;
+
+        if (data.events.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhuma venda registrada</td></tr>';
+            return;
+        }
+        body.innerHTML = data.events.map(ev => `
+            <tr>
+                <td title="${escapeHtml(ev.event_id)}">${escapeHtml(new Date(ev.event_time).toLocaleString('pt-BR'))}</td>
+                <td>${escapeHtml(ev.lead_phone || '')}</td>
+                <td>${escapeHtml(ev.currency)} ${ev.value.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}</td>
+                <td>${escapeHtml(ev.source)}${ev.ctwa_clid ? ' <small class="text-secondary">(CTWA)</small>' : ''}</td>
+                <td>${CAPI_STATUS_BADGES[ev.status] || escapeHtml(ev.status)} <small class="text-secondary">${ev.attempts}x</small>${ev.error ? `<br><small class="text-secondary">${escapeHtml(ev.error)}</small>` : ''}</td>
+                <td style="text-align:right;">${ev.status === 'failed' ? `<button class="btn-secondary btn-sm" onclick="retryMetaCapiEvent('${ev.id}')">Reenviar</button>` : ''}</td>
+            </tr>`).join('');
+    } catch (e) {
+        console.error('Erro ao carregar Conversions API:', e);
+        body.innerHTML = `<tr><td colspan="6" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
+    }
+}
+
+async function postMetaCapi(suffix, data = {}) {
+    const res = await fetch(metaCapiUrl(suffix), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    });
+    const result = await res.json();
+    if (!res.ok) throw new Error(result.error || 'Erro');
+    return result;
+}
+
+window.retryMetaCapiEvent = async function (eventId) {
+    try {
+        await postMetaCapi('/retry', { event_id: eventId });
+        showToast('Evento reenfileirado', 'success');
+        loadClientMetaCapi(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+document.getElementById('form-meta-capi')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+
+    const data = {
+        enabled: $('#meta-capi-enabled').checked,
+        delivery: $('#meta-capi-delivery').value,
+        dataset_id: $('#meta-capi-dataset').value.trim(),
+        page_id: $('#meta-capi-page').value.trim(),
+        currency: ($('#meta-capi-currency').value.trim() || 'BRL').toUpperCase(),
+        test_event_code: $('#meta-capi-test-code').value.trim(),
+    };
+    const token = $('#meta-capi-token').value.trim();
+    if (token) data.access_token = token;
+
+    try {
+        const res = await fetch(metaCapiUrl(), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data),
+        });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao salvar');
+        showToast('Conversions API salva', 'success');
+        loadClientMetaCapi(currentDetailClientId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+document.getElementById('btn-meta-capi-flush')?.addEventListener('click', async () => {
+    if (!currentDetailClientId) return;
+    try {
+        const { results } = await postMetaCapi('/flush');
+        const sent = results.reduce((sum, r) => sum + r.sent, 0);
+        const failed = results.find(r => r.error);
+        showToast(failed ? `Falha no envio: ${failed.error}` : `${sent} eventos enviados`, failed ? 'error' : 'success');
+        loadClientMetaCapi(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+});
+
+document.getElementById('btn-meta-capi-retry')?.addEventListener('click', async () => {
+    if (!currentDetailClientId) return;
+    try {
+        const { retried } = await postMetaCapi('/retry');
+        showToast(`${retried} eventos reenfileirados`, 'success');
+        loadClientMetaCapi(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+});
+
+// ============================================
+// Sales Ledger (per client)
+// ============================================
+
+function salesLedgerUrl(suffix = '') {
+    return `/admin/clients/${encodeURIComponent(currentDetailClientId)}${suffix}`;
+}
+
+async function loadClientSalesLedger(clientSlug) {
+    const body = document.getElementById('sales-ledger-body');
+    if (!body) return;
+
+    $('#sales-ledger-summary').textContent = '';
+    body.innerHTML = '<tr><td colspan="5" style="text-align:center;color:var(--text-tertiary);padding:24px;">Informe um telefone</td></tr>';
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(clientSlug)}/sales-ledger`);
+        const settings = await res.json();
+        if (!res.ok) throw new Error(settings.error || 'Erro ao carregar livro de vendas');
+        $('#sales-ledger-sheet-value').value = settings.sheet_sale_value;
+    } catch (e) {
+        console.error('Erro ao carregar livro de vendas:', e);
+    }
+}
+
+async function loadSalesLedgerEntries(phone) {
+    const body = document.getElementById('sales-ledger-body');
+    const summaryEl = document.getElementById('sales-ledger-summary');
+
+    try {
+        const res = await fetch(salesLedgerUrl(`/leads/${encodeURIComponent(phone)}/sales`));
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Erro ao carregar lançamentos');
+
+        const s = data.summary;
+        summaryEl.textContent = `${data.phone} · total ${formatConversionValue(s.total)} · última venda ${formatConversionValue(s.latest)} · ${s.sales} vendas, ${s.refunds + s.cancellations} estornos/cancelamentos`;
+
+        if (data.entries.length === 0) {
+            body.innerHTML = '<tr><td colspan="5" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhum lançamento para este telefone</td></tr>';
+            return;
+        }
+        body.innerHTML = data.entries.map(entry => `
+            <tr>
+                <td>${escapeHtml(new Date(entry.occurred_at).toLocaleDateString('pt-BR'))}</td>
+                <td>${escapeHtml(SALE_EVENT_LABELS[entry.kind] || entry.kind)}</td>
+                <td>${entry.kind === 'sale' ? '' : '− '}${formatConversionValue(entry.amount)}</td>
+                <td>${escapeHtml(entry.product || '')}</td>
+                <td>${escapeHtml(entry.source)}${entry.created_by ? ` <small class="text-secondary">(${escapeHtml(entry.created_by)})</small>` : ''}${entry.note ? `<br><small class="text-secondary">${escapeHtml(entry.note)}</small>` : ''}</td>
+            </tr>`).join('');
+    } catch (e) {
+        summaryEl.textContent = '';
+        body.innerHTML = `<tr><td colspan="5" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
+    }
+}
+
+document.getElementById('form-sales-ledger-settings')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+
+    try {
+        const res = await fetch(salesLedgerUrl('/sales-ledger'), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sheet_sale_value: $('#sales-ledger-sheet-value').value }),
+        });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao salvar');
+        showToast('Valor de Fechamento salvo', 'success');
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+document.getElementById('form-sales-ledger-lookup')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+    const phone = $('#sales-ledger-phone').value.trim();
+    if (phone) loadSalesLedgerEntries(phone);
+});
+
+document.getElementById('form-sales-ledger-entry')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+
+    const phone = $('#sales-ledger-phone').value.trim();
+    if (!phone) {
+        showToast('Informe o telefone do lead', 'error');
+        return;
+    }
+    const kind = $('#sales-ledger-kind').value;
+    const amount = $('#sales-ledger-amount').value;
+    const date = $('#sales-ledger-date').value;
+    if (kind !== 'sale' && !amount && !confirm(`${SALE_EVENT_LABELS[kind]} sem valor desfaz a última venda. Continuar?`)) return;
+
+    try {
+        const res = await fetch(salesLedgerUrl(`/leads/${encodeURIComponent(phone)}/sales`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                kind,
+                amount: amount ? parseFloat(amount) : null,
+                occurred_at: date ? `${date}T12:00:00` : null,
+                product: $('#sales-ledger-product').value.trim() || null,
+                note: $('#sales-ledger-note').value.trim() || null,
+            }),
+        });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao lançar');
+        e.target.reset();
+        const sheetFailed = result.sheet && !result.sheet.success;
+        showToast(sheetFailed ? `Lançado — planilha não atualizada: ${result.sheet.error}` : 'Lançamento registrado', sheetFailed ? 'info' : 'success');
+        loadSalesLedgerEntries(phone);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+// ============================================
+// Kommo API credentials (per client)
+// ============================================
+
+const KOMMO_AUTH_STATUS = {
+    pending: 'Aguardando conexão',
+    connected: 'Conectado',
+    error: 'Erro',
+};
+
+function kommoAuthUrl(suffix = '') {
+    return `/admin/clients/${encodeURIComponent(currentDetailClientId)}/kommo${suffix}`;
+}
+
+async function loadClientKommoAuth(clientSlug) {
+    const status = document.getElementById('kommo-auth-status');
+    if (!status) return;
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(clientSlug)}/kommo`);
+        const settings = await res.json();
+        if (!res.ok) throw new Error(settings.error || 'Erro ao carregar integração');
+
+        $('#kommo-auth-subdomain').value = settings.subdomain || '';
+        $('#kommo-auth-integration-id').value = settings.integration_id || '';
+        $('#kommo-auth-redirect').value = settings.redirect_uri || '';
+        $('#kommo-auth-redirect').placeholder = `URL de redirecionamento (${settings.default_redirect_uri})`;
+        $('#kommo-auth-secret').value = '';
+        $('#kommo-auth-secret').placeholder = settings.has_secret ? 'Chave secreta (salva — preencha para trocar)' : 'Chave secreta';
+        $('#kommo-auth-token').value = '';
+
+        if (!settings.key_configured) {
+            status.textContent = 'KOMMO_CREDENTIALS_KEY não configurada no servidor';
+        } else if (!settings.configured) {
+            status.textContent = 'Sem integração própria (credencial global)';
+        } else {
+            const parts = [KOMMO_AUTH_STATUS[settings.status] || settings.status];
+            if (settings.long_lived) parts.push('token de longa duração');
+            if (settings.token_expires_at) parts.push(`expira em ${new Date(settings.token_expires_at).toLocaleString('pt-BR')}`);
+            if (settings.status === 'error' && settings.last_error) parts.push(settings.last_error);
+            status.textContent = parts.join(' · ');
+        }
+    } catch (e) {
+        console.error('Erro ao carregar integração Kommo:', e);
+        status.textContent = e.message;
+    }
+}
+
+document.getElementById('form-kommo-auth')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+
+    const data = {
+        subdomain: $('#kommo-auth-subdomain').value.trim(),
+        integration_id: $('#kommo-auth-integration-id').value.trim(),
+        redirect_uri: $('#kommo-auth-redirect').value.trim(),
+    };
+    const secret = $('#kommo-auth-secret').value.trim();
+    if (secret) data.client_secret = secret;
+    const token = $('#kommo-auth-token').value.trim();
+    if (token) data.access_token = token;
+
+    try {
+        const res = await fetch(kommoAuthUrl(), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data),
+        });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao salvar');
+        showToast('Integração Kommo salva', 'success');
+        loadClientKommoAuth(currentDetailClientId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+document.getElementById('btn-kommo-auth-connect')?.addEventListener('click', async () => {
+    if (!currentDetailClientId) return;
+    try {
+        const res = await fetch(kommoAuthUrl('/authorize'));
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao conectar');
+        window.open(result.url, 'kommo-oauth', 'width=760,height=720');
+        showToast('Autorize o acesso na janela do Kommo e recarregue o cliente', 'info');
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+});
+
+document.getElementById('btn-kommo-auth-refresh')?.addEventListener('click', async () => {
+    if (!currentDetailClientId) return;
+    try {
+        const res = await fetch(kommoAuthUrl('/refresh'), { method: 'POST' });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao renovar');
+        showToast('Token renovado', 'success');
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+    loadClientKommoAuth(currentDetailClientId);
+});
+
+document.getElementById('btn-kommo-auth-delete')?.addEventListener('click', async () => {
+    if (!currentDetailClientId) return;
+    if (!confirm('Remover a integração Kommo deste cliente? A busca de telefone volta a usar a credencial global.')) return;
+    try {
+        const res = await fetch(kommoAuthUrl(), { method: 'DELETE' });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao remover');
+        showToast('Integração removida', 'success');
+        loadClientKommoAuth(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+});
+
+// ============================================
+// Kommo pipeline stages (per client)
+// ============================================
+
+function kommoStagesUrl(suffix = '') {
+    return `/admin/clients/${encodeURIComponent(currentDetailClientId)}/kommo-stages${suffix}`;
+}
+
+function renderKommoStages(mappings) {
+    const body = document.getElementById('kommo-stages-body');
+    if (!body) return;
+
+    if (mappings.length === 0) {
+        body.innerHTML = '<tr><td colspan="5" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhuma etapa — clique em "Sincronizar com o Kommo"</td></tr>';
+        return;
+    }
+    const stageOptions = (selected) => ['<option value="">—</option>']
+        .concat(Object.entries(STAGE_LABELS).map(([value, label]) =>
+            `<option value="${value}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`))
+        .join('');
+
+    body.innerHTML = mappings.map(m => `
+        <tr data-kommo-stage="${m.id}">
+            <td>${escapeHtml(m.pipeline_name || String(m.pipeline_id))}</td>
+            <td>${escapeHtml(m.status_name || String(m.status_id))} <small class="text-secondary">${m.status_id}</small></td>
+            <td><input type="text" class="setting-input kommo-stage-label" value="${escapeHtml(m.sheet_label || '')}" placeholder="Não altera a planilha"></td>
+            <td><select class="setting-input kommo-stage-funnel">${stageOptions(m.stage)}</select></td>
+            <td style="text-align:right;"><button class="btn-primary btn-sm" onclick="saveKommoStage('${m.id}')">Salvar</button></td>
+        </tr>`).join('');
+}
+
+async function loadClientKommoStages(clientSlug) {
+    const body = document.getElementById('kommo-stages-body');
+    if (!body) return;
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(clientSlug)}/kommo-stages`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Erro ao carregar etapas');
+        renderKommoStages(data.mappings);
+    } catch (e) {
+        console.error('Erro ao carregar etapas Kommo:', e);
+        body.innerHTML = `<tr><td colspan="5" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
+    }
+}
+
+window.saveKommoStage = async function (mappingId) {
+    const row = document.querySelector(`[data-kommo-stage="${mappingId}"]`);
+    if (!row || !currentDetailClientId) return;
+
+    try {
+        const res = await fetch(kommoStagesUrl(`/${mappingId}`), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                sheet_label: row.querySelector('.kommo-stage-label').value.trim(),
+                stage: row.querySelector('.kommo-stage-funnel').value || null,
+            }),
+        });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao salvar');
+        showToast('Etapa salva', 'success');
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+document.getElementById('btn-kommo-stages-sync')?.addEventListener('click', async () => {
+    if (!currentDetailClientId) return;
+    try {
+        const res = await fetch(kommoStagesUrl('/sync'), { method: 'POST' });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao sincronizar');
+        showToast(`${result.synced} etapas sincronizadas`, 'success');
+        renderKommoStages(result.mappings);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+});
+
+// ============================================
+// Kommo custom fields (per client)
+// ============================================
+
+const KOMMO_SHEET_FIELD_LABELS = {
+    produto: 'Produto',
+    cidade: 'Cidade',
+    comentarios: 'Comentários',
+    valor: 'Valor de Fechamento',
+};
+
+function kommoFieldsUrl(suffix = '') {
+    return `/admin/clients/${encodeURIComponent(currentDetailClientId)}/kommo-fields${suffix}`;
+}
+
+async function loadClientKommoFields(clientSlug) {
+    const body = document.getElementById('kommo-fields-body');
+    if (!body) return;
+
+    const available = document.getElementById('kommo-fields-available');
+    if (available && available.dataset.client !== clientSlug) available.innerHTML = '';
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(clientSlug)}/kommo-fields`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Erro ao carregar campos');
+
+        body.innerHTML = data.sheetFields.map(field => {
+            const mapping = data.mappings.find(m => m.sheet_field === field);
+            return `<tr data-kommo-field="${field}">
+                <td>${escapeHtml(KOMMO_SHEET_FIELD_LABELS[field] || field)}</td>
+                <td>
+                    <input type="text" class="setting-input kommo-field-key" list="kommo-fields-available" value="${escapeHtml(mapping ? mapping.kommo_field : '')}" placeholder="Não mapeado">
+                    ${mapping && mapping.kommo_field_name ? `<small class="text-secondary">${escapeHtml(mapping.kommo_field_name)}</small>` : ''}
+                </td>
+                <td style="text-align:right;">
+                    <button class="btn-primary btn-sm" onclick="saveKommoField('${field}')">Salvar</button>
+                    ${mapping ? `<button class="btn-icon" title="Remover" onclick="deleteKommoField('${field}')">✕</button>` : ''}
+                </td>
+            </tr>`;
+        }).join('');
+    } catch (e) {
+        console.error('Erro ao carregar campos Kommo:', e);
+        body.innerHTML = `<tr><td colspan="3" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
+    }
+}
+
+window.saveKommoField = async function (sheetField) {
+    const row = document.querySelector(`[data-kommo-field="${sheetField}"]`);
+    if (!row || !currentDetailClientId) return;
+
+    const kommoField = row.querySelector('.kommo-field-key').value.trim();
+    const option = Array.from(document.querySelectorAll('#kommo-fields-available option')).find(o => o.value === kommoField);
+    try {
+        const res = await fetch(kommoFieldsUrl(`/${sheetField}`), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ kommo_field: kommoField, kommo_field_name: option ? option.dataset.name : null }),
+        });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao salvar');
+        showToast('Campo salvo', 'success');
+        loadClientKommoFields(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+window.deleteKommoField = async function (sheetField) {
+    if (!currentDetailClientId) return;
+    try {
+        const res = await fetch(kommoFieldsUrl(`/${sheetField}`), { method: 'DELETE' });
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao remover');
+        showToast('Campo removido', 'success');
+        loadClientKommoFields(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+document.getElementById('btn-kommo-fields-load')?.addEventListener('click', async () => {
+    if (!currentDetailClientId) return;
+    try {
+        const res = await fetch(kommoFieldsUrl('/available'));
+        const fields = await res.json();
+        if (!res.ok) throw new Error(fields.error || 'Erro ao buscar campos');
+        const available = document.getElementById('kommo-fields-available');
+        available.dataset.client = currentDetailClientId;
+        available.innerHTML = fields.map(f =>
+            `<option value="${escapeHtml(f.code || String(f.id))}" data-name="${escapeHtml(f.name || '')}">${escapeHtml(f.name || '')} (${f.id})</option>`).join('');
+        showToast(`${fields.length} campos encontrados — escolha na lista de cada linha`, 'success');
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+});
+
+// ============================================
+// Kommo historical backfill (per client)
+// ============================================
+
+let kommoBackfillPollTimer = null;
+
+function kommoBackfillUrl(suffix = '') {
+    return `/admin/clients/${encodeURIComponent(currentDetailClientId)}/kommo-backfill${suffix}`;
+}
+
+function formatKommoBackfillResult(job) {
+    const parts = [`${job.inserted} inserido${job.inserted !== 1 ? 's' : ''} de ${job.scanned}`];
+    if (job.skipped_existing > 0) parts.push(`${job.skipped_existing} já registrado${job.skipped_existing !== 1 ? 's' : ''}`);
+    if (job.skipped_organic > 0) parts.push(`${job.skipped_organic} orgânico${job.skipped_organic !== 1 ? 's' : ''}`);
+    if (job.skipped_pipeline > 0) parts.push(`${job.skipped_pipeline} de outro pipeline`);
+    let html = escapeHtml(parts.join(' · '));
+    if (job.failed > 0) html += ` · <span style="color:var(--accent-red);">${job.failed} falha${job.failed !== 1 ? 's' : ''}</span>`;
+    return html;
+}
+
+async function loadClientKommoBackfill(clientSlug) {
+    const body = document.getElementById('kommo-backfill-body');
+    if (!body) return;
+
+    const report = document.getElementById('kommo-backfill-report');
+    if (report && report.dataset.client !== clientSlug) report.style.display = 'none';
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(clientSlug)}/kommo-backfill`);
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao carregar importações');
+        const jobs = await res.json();
+
+        body.innerHTML = jobs.length === 0
+            ? '<tr><td colspan="5" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhuma importação</td></tr>'
+            : jobs.map(job => {
+                const active = job.status === 'pending' || job.status === 'running';
+                const pipelines = job.pipeline_ids && job.pipeline_ids.length > 0 ? ` · ${escapeHtml(job.pipeline_ids.join(', '))}` : '';
+                return `<tr>
+                    <td>${formatTimeAgo(job.created_at)}${job.origin === 'cli' ? ' <small class="text-secondary">CLI</small>' : ''}</td>
+                    <td>${formatDateShort(job.date_from)} → ${formatDateShort(job.date_to)}${pipelines}</td>
+                    <td>${formatKommoBackfillResult(job)}</td>
+                    <td>${REPROCESS_STATUS_LABELS[job.status] || job.status}</td>
+                    <td style="text-align:right;">
+                        ${job.inserted > 0 ? `<button class="btn-icon" title="Leads inseridos" onclick="showKommoBackfillReport('${job.id}')">☰</button>` : ''}
+                        ${active ? `<button class="btn-icon" title="Cancelar" onclick="cancelKommoBackfill('${job.id}')">✕</button>` : ''}
+                    </td>
+                </tr>`;
+            }).join('');
+
+        // Atualiza o progresso enquanto houver importação ativa deste cliente
+        clearTimeout(kommoBackfillPollTimer);
+        if (jobs.some(j => j.status === 'pending' || j.status === 'running')) {
+            kommoBackfillPollTimer = setTimeout(() => {
+                if (currentDetailClientId === clientSlug) loadClientKommoBackfill(clientSlug);
+            }, 5000);
+        }
+    } catch (e) {
+        console.error('Erro ao carregar importações Kommo:', e);
+        body.innerHTML = `<tr><td colspan="5" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
+    }
+}
+
+window.showKommoBackfillReport = async function (jobId) {
+    const container = document.getElementById('kommo-backfill-report');
+    if (!container || !currentDetailClientId) return;
 
     try {
-        const allOrigins = await fetchClientOrigins();
-        const clientData = allOrigins.filter(r => r.slug === clientSlug);
+        const res = await fetch(kommoBackfillUrl(`/${jobId}`));
+        const job = await res.json();
+        if (!res.ok) throw new Error(job.error || 'Erro ao carregar importação');
+
+        const rows = (job.report || []).map(lead => `
+            <tr>
+                <td>${escapeHtml(String(lead.kommo_lead_id))}</td>
+                <td>${escapeHtml(lead.name || '-')}</td>
+                <td>${escapeHtml(lead.phone || 'sem telefone')}</td>
+                <td>${escapeHtml(lead.channel || '-')}</td>
+            </tr>`).join('');
+        const errors = (job.errors || []).map(err =>
+            `<li>${err.kommo_lead_id ? `Lead ${escapeHtml(String(err.kommo_lead_id))}: ` : ''}${escapeHtml(err.error || '')}</li>`).join('');
 
-        if (clientData.length === 0) {
-            card.style.display = 'none';
-            return;
-        }
+        container.innerHTML = `
+            <table class="data-table">
+                <thead><tr><th>Lead Kommo</th><th>Nome</th><th>Telefone</th><th>Canal</th></tr></thead>
+                <tbody>${rows || '<tr><td colspan="4" style="text-align:center;color:var(--text-tertiary);padding:16px;">Nenhum lead inserido</td></tr>'}</tbody>
+            </table>
+            ${errors ? `<ul class="form-hint" style="color:var(--accent-red);margin-top:8px;">${errors}</ul>` : ''}`;
+        container.dataset.client = currentDetailClientId;
+        container.style.display = 'block';
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
 
-        card.style.display = '';
-        const totalLeads = clientData.reduce((s, o) => s + o.leads, 0);
+window.cancelKommoBackfill = async function (jobId) {
+    if (!currentDetailClientId) return;
+    if (!confirm('Cancelar esta importação? Os leads já inseridos continuam na planilha.')) return;
+    try {
+        const res = await fetch(kommoBackfillUrl(`/${jobId}/cancel`), { method: 'POST' });
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao cancelar');
+        showToast('Importação cancelada', 'success');
+        loadClientKommoBackfill(currentDetailClientId);
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
 
-        let html = '<div class="client-origins-grid">';
-        clientData.forEach(o => {
-            const cls = getOriginClass(o.origin);
-            const pct = totalLeads > 0 ? ((o.leads / totalLeads) * 100).toFixed(1) : '0';
-            const conv = o.leads > 0 ? ((o.sales / o.leads) * 100).toFixed(1) : '0';
-            html += `
-                <div class="client-origin-card ${cls}">
-                    <div class="origin-label">
-                        <span class="automacao-origin-dot ${cls}"></span>
-                        ${escapeHtml(getOriginLabel(o.origin))}
-                    </div>
-                    <div class="origin-value">${o.leads}</div>
-                    <div class="origin-pct">${pct}% dos leads</div>
-                    <div class="origin-detail">${o.sales} vendas · ${formatBRL(o.revenue)} · ${conv}% conv.</div>
-                </div>`;
+document.getElementById('form-kommo-backfill')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDetailClientId) return;
+
+    const from = $('#kommo-backfill-from').value;
+    const to = $('#kommo-backfill-to').value;
+    try {
+        const res = await fetch(kommoBackfillUrl(), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                from: `${from}T00:00:00-03:00`,
+                to: `${to}T23:59:59-03:00`,
+                pipeline_id: $('#kommo-backfill-pipeline').value.trim() || null,
+                rate_per_minute: $('#kommo-backfill-rate').value || null,
+            }),
         });
-        html += '</div>';
-        container.innerHTML = html;
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao iniciar importação');
+        showToast('Importação iniciada', 'success');
+        loadClientKommoBackfill(currentDetailClientId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
+// ============================================
+// Kommo reverse sync: sheet Status → Kommo stage (per client)
+// ============================================
+
+const KOMMO_SHEET_SYNC_RESULTS = {
+    success: 'Movido no Kommo',
+    unmapped: 'Status sem etapa',
+    ambiguous: 'Status em mais de um pipeline',
+    closed_in_kommo: 'Lead fechado no Kommo',
+    failed: 'Falha na API',
+};
+
+function kommoSheetSyncUrl(suffix = '') {
+    return `/admin/clients/${encodeURIComponent(currentDetailClientId)}/kommo-sheet-sync${suffix}`;
+}
+
+async function loadClientKommoSheetSync(clientSlug) {
+    const body = document.getElementById('kommo-sheet-sync-body');
+    if (!body) return;
+
+    try {
+        const res = await fetch(`/admin/clients/${encodeURIComponent(clientSlug)}/kommo-sheet-sync`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Erro ao carregar sincronização');
+
+        const checkbox = document.getElementById('kommo-sheet-sync-enabled');
+        checkbox.checked = data.enabled;
+        checkbox.disabled = data.webhook_source !== 'kommo' && !data.enabled;
+        checkbox.title = checkbox.disabled ? 'Disponível apenas para clientes com webhook do Kommo' : `Verifica a planilha a cada ${data.interval_minutes} min`;
+
+        body.innerHTML = data.events.length === 0
+            ? '<tr><td colspan="4" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhuma mudança enviada</td></tr>'
+            : data.events.map(event => {
+                const color = event.result === 'success' ? 'var(--accent-green)' : event.result === 'failed' ? 'var(--accent-red)' : 'var(--text-secondary)';
+                return `<tr>
+                    <td>${formatTimeAgo(event.created_at)}</td>
+                    <td>${escapeHtml(String(event.kommo_lead_id || '-'))}</td>
+                    <td>${escapeHtml(event.sheet_status || '-')}</td>
+                    <td style="color:${color};">${escapeHtml(KOMMO_SHEET_SYNC_RESULTS[event.result] || event.result)}</td>
+                </tr>`;
+            }).join('');
     } catch (e) {
-        console.error('Erro ao carregar origens do cliente:', e);
-        card.style.display = 'none';
+        console.error('Erro ao carregar sincronização reversa Kommo:', e);
+        body.innerHTML = `<tr><td colspan="4" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
     }
 }
 
+document.getElementById('kommo-sheet-sync-enabled')?.addEventListener('change', async (e) => {
+    if (!currentDetailClientId) return;
+    const enabled = e.target.checked;
+    try {
+        const res = await fetch(kommoSheetSyncUrl(), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled }),
+        });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao salvar');
+        showToast(enabled ? 'Sincronização reversa ligada' : 'Sincronização reversa desligada', 'success');
+    } catch (err) {
+        e.target.checked = !enabled;
+        showToast(err.message, 'error');
+    }
+});
+
+document.getElementById('btn-kommo-sheet-sync-run')?.addEventListener('click', async () => {
+    if (!currentDetailClientId) return;
+    try {
+        const res = await fetch(kommoSheetSyncUrl('/run'), { method: 'POST' });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Erro ao verificar planilha');
+        showToast(`${result.changed} Status alterado${result.changed !== 1 ? 's' : ''} · ${result.moved} movido${result.moved !== 1 ? 's' : ''} no Kommo`, 'success');
+        loadClientKommoSheetSync(currentDetailClientId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
 // ============================================
 // Client Edit Logic
 // ============================================
@@ -2528,6 +4207,8 @@ function openModalForEdit(client) {
     $('#client-sheet').value = client.spreadsheet_id;
     $('#client-webhook-source').value = client.webhook_source || 'tintim';
     if ($('#client-kommo-account')) $('#client-kommo-account').value = client.kommo_account_id || '';
+    if ($('#client-kommo-pipelines')) $('#client-kommo-pipelines').value = (client.kommo_pipeline_ids || []).join(', ');
+    if ($('#client-kommo-ignored-pipelines')) $('#client-kommo-ignored-pipelines').value = (client.kommo_ignored_pipeline_ids || []).join(', ');
     toggleKommoPipelineField();
 
     // Change UI to "Edit" mode
@@ -2552,6 +4233,9 @@ openModal = function () {
         $('#client-name').value = '';
         $('#client-instance').value = '';
         $('#client-sheet').value = '';
+        if ($('#client-kommo-account')) $('#client-kommo-account').value = '';
+        if ($('#client-kommo-pipelines')) $('#client-kommo-pipelines').value = '';
+        if ($('#client-kommo-ignored-pipelines')) $('#client-kommo-ignored-pipelines').value = '';
 
         const title = refs.modal.querySelector('h3');
         if (title) title.textContent = 'Novo Cliente';
@@ -3768,6 +5452,9 @@ async function loadCalcSection() {
 // ============================================
 
 async function loadAlertsSection() {
+    loadUnmappedStatusesAlert();
+    loadReprocessJobs();
+
     // Try new errors-summary endpoint first, fallback to legacy
     try {
         const res = await fetch("/api/dashboard/errors-summary");
@@ -3792,6 +5479,169 @@ async function loadAlertsSection() {
     }
 }
 
+// Status do Tintim recebidos sem mapeamento (todos os clientes)
+async function loadUnmappedStatusesAlert() {
+    const container = document.getElementById("alerts-unmapped-statuses");
+    if (!container) return;
+
+    try {
+        const res = await fetch("/api/dashboard/unmapped-statuses");
+        if (!res.ok) throw new Error("Falha ao carregar status");
+        const unmapped = await res.json();
+        if (unmapped.length === 0) {
+            container.innerHTML = "";
+            return;
+        }
+
+        container.innerHTML = `<div class="card" style="margin-bottom:20px;">
+            <div class="card-header"><h3 class="card-title">Status sem mapeamento (${unmapped.length})</h3></div>
+            <div class="card-body" style="padding:0;">
+                <table class="data-table">
+                    <thead><tr><th>Cliente</th><th>Status Tintim</th><th style="text-align:right;">Ocorrências</th><th>Último</th><th></th></tr></thead>
+                    <tbody>
+                        ${unmapped.map(u => `<tr>
+                            <td>${escapeHtml(u.client_name)}</td>
+                            <td>${formatTintimStatus(u.tintim_status_id, u.tintim_status_name)}</td>
+                            <td style="text-align:right;">${u.occurrences}</td>
+                            <td>${formatTimeAgo(u.last_seen_at)}</td>
+                            <td style="text-align:right;"><button class="btn-secondary btn-sm" onclick="openClientSettings('${escapeHtml(u.client_slug)}')">Mapear</button></td>
+                        </tr>`).join("")}
+                    </tbody>
+                </table>
+            </div>
+        </div>`;
+    } catch (err) {
+        console.error("Erro ao carregar status sem mapeamento:", err);
+        container.innerHTML = "";
+    }
+}
+
+// ============================================
+// Reprocessamento em massa (webhook_events / kommo_events)
+// ============================================
+
+const REPROCESS_STATUS_LABELS = {
+    pending: 'Na fila',
+    running: 'Rodando',
+    completed: 'Concluído',
+    failed: 'Falhou',
+    cancelled: 'Cancelado',
+};
+let reprocessPollTimer = null;
+
+function getReprocessRequest() {
+    const from = $('#reprocess-from').value;
+    const to = $('#reprocess-to').value;
+    return {
+        source: $('#reprocess-source').value,
+        rate_per_minute: $('#reprocess-rate').value || null,
+        filters: {
+            client: $('#reprocess-client').value.trim() || null,
+            from: from ? `${from}T00:00:00-03:00` : null,
+            to: to ? `${to}T23:59:59-03:00` : null,
+            processing_result: $('#reprocess-result').value.trim() || null,
+        },
+    };
+}
+
+function formatReprocessFilters(filters) {
+    const parts = [];
+    if (filters.client) parts.push(filters.client);
+    if (filters.from || filters.to) parts.push(`${filters.from ? formatDateShort(filters.from) : '…'} → ${filters.to ? formatDateShort(filters.to) : '…'}`);
+    if (filters.processing_result && filters.processing_result.length > 0) parts.push(filters.processing_result.join(', '));
+    return escapeHtml(parts.join(' · ') || 'Todos');
+}
+
+function formatDateShort(value) {
+    return new Date(value).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+}
+
+async function loadReprocessJobs() {
+    const body = document.getElementById('reprocess-jobs-body');
+    if (!body) return;
+
+    try {
+        const res = await fetch('/api/reprocess/jobs');
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao carregar jobs');
+        const jobs = await res.json();
+
+        body.innerHTML = jobs.length === 0
+            ? '<tr><td colspan="6" style="text-align:center;color:var(--text-tertiary);padding:24px;">Nenhum job</td></tr>'
+            : jobs.map(job => {
+                const pct = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100;
+                const active = job.status === 'pending' || job.status === 'running';
+                return `<tr>
+                    <td>${formatTimeAgo(job.created_at)}</td>
+                    <td>${job.source === 'kommo' ? 'Kommo' : 'Tintim'}</td>
+                    <td>${formatReprocessFilters(job.filters || {})}</td>
+                    <td>${job.processed}/${job.total} (${pct}%)${job.failed > 0 ? ` · <span style="color:var(--accent-red);">${job.failed} falha${job.failed !== 1 ? 's' : ''}</span>` : ''}</td>
+                    <td>${REPROCESS_STATUS_LABELS[job.status] || job.status}</td>
+                    <td style="text-align:right;">${active ? `<button class="btn-icon" title="Cancelar" onclick="cancelReprocessJob('${job.id}')">✕</button>` : ''}</td>
+                </tr>`;
+            }).join('');
+
+        // Atualiza o progresso enquanto houver job ativo
+        clearTimeout(reprocessPollTimer);
+        if (jobs.some(j => j.status === 'pending' || j.status === 'running')) {
+            reprocessPollTimer = setTimeout(loadReprocessJobs, 5000);
+        }
+    } catch (e) {
+        console.error('Erro ao carregar jobs de reprocessamento:', e);
+        body.innerHTML = `<tr><td colspan="6" style="text-align:center;color:var(--accent-red);padding:24px;">${escapeHtml(e.message)}</td></tr>`;
+    }
+}
+
+window.cancelReprocessJob = async function (jobId) {
+    if (!confirm('Cancelar este reprocessamento? Os eventos já processados não são desfeitos.')) return;
+    try {
+        const res = await fetch(`/api/reprocess/jobs/${jobId}/cancel`, { method: 'POST' });
+        if (!res.ok) throw new Error((await res.json()).error || 'Erro ao cancelar');
+        showToast('Job cancelado', 'success');
+        loadReprocessJobs();
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+};
+
+async function postReprocess(dryRun) {
+    const res = await fetch('/api/reprocess/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...getReprocessRequest(), dry_run: dryRun }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Erro no reprocessamento');
+    return data;
+}
+
+document.getElementById('btn-reprocess-preview')?.addEventListener('click', async () => {
+    const preview = $('#reprocess-preview');
+    try {
+        const data = await postReprocess(true);
+        const detail = data.byResult.map(r => `${r.processing_result || 'sem resultado'}: ${r.count}`).join(', ');
+        preview.textContent = `${data.total} evento${data.total !== 1 ? 's' : ''} seriam reprocessados${detail ? ` (${detail})` : ''}`;
+    } catch (e) {
+        showToast(e.message, 'error');
+    }
+});
+
+document.getElementById('form-reprocess')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        const preview = await postReprocess(true);
+        if (preview.total === 0) {
+            showToast('Nenhum evento encontrado para esse filtro', 'info');
+            return;
+        }
+        if (!confirm(`Reprocessar ${preview.total} evento${preview.total !== 1 ? 's' : ''}? Leads podem ser reinseridos na planilha.`)) return;
+        await postReprocess(false);
+        showToast('Reprocessamento iniciado', 'success');
+        loadReprocessJobs();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+});
+
 function renderErrorsSummaryNew(data) {
     // Update stat cards
     const rateEl = document.getElementById("error-success-rate");
@@ -3956,8 +5806,15 @@ function formatStepName(step) {
         sheet_resolved: "Resolucao aba",
         tab_created: "Criacao de aba",
         lead_inserted: "Insercao do lead",
+        returning_lead: "Lead retornando",
+        lead_reopened: "Reabertura do lead",
         status_updated: "Atualizacao status",
         sale_recovered: "Recuperacao venda",
+        keyword_extracted: "Keyword Google Ads",
+        meta_attributed: "Atribuicao Meta",
+        trail_tracking: "Rastreamento (trail)",
+        status_mapped: "Mapeamento status",
+        sale_recorded: "Livro de vendas",
     };
     return names[step] || step;
 }
@@ -4008,6 +5865,11 @@ function renderTrailTimeline(steps) {
         var detailClass = step.status === "error" ? "trail-step-detail error-detail" : "trail-step-detail";
         var timeStr = step.duration_ms != null ? step.duration_ms + "ms" : "";
         var createdTime = new Date(step.created_at).toLocaleTimeString("pt-BR");
+        // Duplicatas apontam para o trace que processou o webhook original
+        var originalTraceId = step.metadata && step.metadata.originalTraceId;
+        var originalLink = originalTraceId
+            ? '<a href="#" class="trail-step-detail" onclick="event.preventDefault();openTrailModal(\'' + escapeHtml(originalTraceId) + '\')">Ver trail original</a>'
+            : '';
 
         return '<div class="trail-step">' +
             '<div class="trail-step-dot ' + dotClass + '">' + step.step_order + '</div>' +
@@ -4015,6 +5877,7 @@ function renderTrailTimeline(steps) {
             '<div class="trail-step-content">' +
             '<div class="trail-step-name">' + stepLabel + ' (' + escapeHtml(step.step_name) + ')</div>' +
             '<div class="' + detailClass + '">' + escapeHtml(step.detail || "") + '</div>' +
+            originalLink +
             '<div class="trail-step-time">' + createdTime + (timeStr ? ' - ' + timeStr : '') + '</div>' +
             '</div>' +
             '</div>';
@@ -4866,8 +6729,8 @@ async function loadKeywordsTrend() {
     } catch (e) { console.error('Keywords trend error', e); }
 }
 
-function renderKwTrendChart(data) {
-    const canvas = document.getElementById('kw-trend-canvas');
+function renderKwTrendChart(data, { canvasId = 'kw-trend-canvas', tooltipId = 'kw-chart-tooltip', color = 'rgba(66, 133, 244, 0.7)' } = {}) {
+    const canvas = document.getElementById(canvasId);
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
     const dpr = window.devicePixelRatio || 1;
@@ -4923,7 +6786,7 @@ function renderKwTrendChart(data) {
     const legendY = 8;
     ctx.font = '11px Inter, sans-serif';
     ctx.textAlign = 'left';
-    ctx.fillStyle = 'rgba(66, 133, 244, 0.7)';
+    ctx.fillStyle = color;
     ctx.fillRect(w - 220, legendY - 6, 10, 10);
     ctx.fillStyle = '#8b8d97';
     ctx.fillText('Leads', w - 206, legendY + 3);
@@ -4944,7 +6807,7 @@ function renderKwTrendChart(data) {
         const y = padding.top + chartH - barH;
 
         // Lead bar
-        ctx.fillStyle = 'rgba(66, 133, 244, 0.7)';
+        ctx.fillStyle = color;
         ctx.beginPath();
         ctx.roundRect(x, y, barWidth, barH, [3, 3, 0, 0]);
         ctx.fill();
@@ -4972,7 +6835,7 @@ function renderKwTrendChart(data) {
     });
 
     // Tooltip on hover
-    const tooltip = document.getElementById('kw-chart-tooltip');
+    const tooltip = document.getElementById(tooltipId);
     if (tooltip) {
         canvas.onmousemove = function(e) {
             const canvasRect = canvas.getBoundingClientRect();
@@ -4997,6 +6860,12 @@ function renderKwTrendChart(data) {
 }
 
 
+// <tr> de lead nos modais de detalhe: com telefone, abre o drawer do lead
+function leadRowOpen(phone) {
+    if (!phone) return '<tr>';
+    return '<tr class="kw-row-clickable" data-phone="' + escapeHtml(phone) + '" onclick="openLeadDrawer(this.dataset.phone)">';
+}
+
 async function openKeywordDetail(keyword) {
     const modal = document.getElementById('modal-keyword-detail');
     const title = document.getElementById('kw-detail-title');
@@ -5027,7 +6896,7 @@ async function openKeywordDetail(keyword) {
             '</tr></thead><tbody>' +
             data.map(row => {
                 const date = row.created_at ? new Date(row.created_at).toLocaleDateString('pt-BR') : '—';
-                return '<tr>' +
+                return leadRowOpen(row.lead_phone) +
                     '<td>' + escapeHtml(row.lead_name || '—') + '</td>' +
                     '<td>' + escapeHtml(row.lead_phone || '—') + '</td>' +
                     '<td>' + escapeHtml(row.lead_status || '—') + '</td>' +
@@ -5228,3 +7097,228 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
+// ============================================
+// Meta Ads Section (atribuição click-to-WhatsApp)
+// ============================================
+
+const metaState = {
+    period: '7d',
+    clientId: null,
+    dateFrom: null,
+    dateTo: null,
+    level: 'campaigns',
+    rows: [],
+};
+
+// Colunas de cada nível da tabela de performance (/api/meta/<nível>)
+const META_LEVEL_COLUMNS = {
+    campaigns: [{ key: 'campaign', label: 'Campanha' }],
+    adsets: [{ key: 'adset_name', label: 'Conjunto' }, { key: 'campaign', label: 'Campanha' }],
+    ads: [{ key: 'ad_name', label: 'Anúncio' }, { key: 'adset_name', label: 'Conjunto' }, { key: 'campaign', label: 'Campanha' }],
+    creatives: [{ key: 'creative_title', label: 'Criativo' }, { key: 'creative_media_type', label: 'Mídia' }],
+};
+
+function buildMetaParams() {
+    const now = new Date();
+    const params = new URLSearchParams();
+    if (metaState.clientId) params.set('client', metaState.clientId);
+    if (metaState.period === 'custom' && metaState.dateFrom && metaState.dateTo) {
+        params.set('from', metaState.dateFrom);
+        params.set('to', metaState.dateTo);
+    } else {
+        const days = metaState.period === '7d' ? 7 : metaState.period === '90d' ? 90 : 30;
+        params.set('from', new Date(now.getTime() - days * 86400000).toISOString());
+        params.set('to', now.toISOString());
+    }
+    return params;
+}
+
+async function loadMetaSection() {
+    const select = document.getElementById('meta-client-select');
+    if (select && select.options.length <= 1) {
+        try {
+            const clients = await fetch('/admin/clients', { credentials: 'same-origin' }).then(r => r.json());
+            clients.forEach(c => {
+                const opt = document.createElement('option');
+                opt.value = c._db_id || c.id;
+                opt.textContent = c.name;
+                select.appendChild(opt);
+            });
+        } catch (e) { console.error('Failed to load clients for meta', e); }
+    }
+
+    await Promise.all([
+        loadMetaStats(),
+        loadMetaTrend(),
+        loadMetaPerformance(),
+    ]);
+}
+
+async function loadMetaStats() {
+    try {
+        const data = await fetch('/api/meta/stats?' + buildMetaParams(), { credentials: 'same-origin' }).then(r => r.json());
+        const el = (id) => document.getElementById(id);
+        if (el('meta-stat-leads')) el('meta-stat-leads').textContent = data.totalLeads || 0;
+        if (el('meta-stat-clid')) el('meta-stat-clid').textContent = data.withClickId || 0;
+        if (el('meta-stat-top')) el('meta-stat-top').textContent = data.topCampaign || '—';
+        if (el('meta-stat-rate')) el('meta-stat-rate').textContent = (data.conversionRate || 0) + '%';
+        if (el('meta-stat-conversions')) el('meta-stat-conversions').textContent = data.totalConversions || 0;
+        if (el('meta-stat-value')) el('meta-stat-value').textContent = 'R$ ' + (data.totalValue || 0).toLocaleString('pt-BR', {minimumFractionDigits: 2});
+    } catch (e) { console.error('Meta stats error', e); }
+}
+
+async function loadMetaTrend() {
+    try {
+        const data = await fetch('/api/meta/trend?' + buildMetaParams(), { credentials: 'same-origin' }).then(r => r.json());
+        renderKwTrendChart(data, { canvasId: 'meta-trend-canvas', tooltipId: 'meta-chart-tooltip', color: 'rgba(8, 102, 255, 0.7)' });
+    } catch (e) { console.error('Meta trend error', e); }
+}
+
+async function loadMetaPerformance() {
+    const head = document.getElementById('meta-performance-head');
+    const tbody = document.getElementById('meta-performance-body');
+    if (!head || !tbody) return;
+
+    const columns = META_LEVEL_COLUMNS[metaState.level];
+    const colspan = columns.length + 5;
+    head.innerHTML = '<tr>' + columns.map(c => '<th>' + c.label + '</th>').join('') +
+        '<th>Leads</th><th>Conversoes</th><th>Taxa</th><th>Valor Total</th><th>Ultima Data</th></tr>';
+
+    try {
+        const data = await fetch('/api/meta/' + metaState.level + '?' + buildMetaParams(), { credentials: 'same-origin' }).then(r => r.json());
+        metaState.rows = data || [];
+
+        if (metaState.rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="' + colspan + '" class="empty-state">Nenhum lead Meta no periodo</td></tr>';
+            return;
+        }
+
+        const maxLeads = Math.max(...metaState.rows.map(d => parseInt(d.leads, 10)));
+        tbody.innerHTML = metaState.rows.map((row, i) => {
+            const leads = parseInt(row.leads, 10);
+            const value = parseFloat(row.total_value || 0);
+            const barWidth = maxLeads > 0 ? (leads / maxLeads * 100) : 0;
+            const lastDate = row.last_date ? new Date(row.last_date).toLocaleDateString('pt-BR') : '—';
+            const cells = columns.map((c, ci) => {
+                const text = escapeHtml(row[c.key] || '(sem ' + c.label.toLowerCase() + ')');
+                if (ci > 0) return '<td>' + text + '</td>';
+                const thumb = row.creative_thumbnail_url ? '<img class="meta-creative-thumb" src="' + escapeHtml(row.creative_thumbnail_url) + '" alt="">' : '';
+                return '<td><div class="kw-cell-bar"><div class="kw-bar" style="width:' + barWidth + '%"></div>' + thumb + '<span class="kw-keyword-text">' + text + '</span></div></td>';
+            }).join('');
+            return '<tr class="kw-row-clickable" onclick="openMetaDetail(' + i + ')">' + cells +
+                '<td>' + leads + '</td>' +
+                '<td>' + parseInt(row.conversions, 10) + '</td>' +
+                '<td>' + parseFloat(row.rate || 0) + '%</td>' +
+                '<td>R$ ' + value.toLocaleString('pt-BR', {minimumFractionDigits: 2}) + '</td>' +
+                '<td>' + lastDate + '</td>' +
+                '</tr>';
+        }).join('');
+    } catch (e) { console.error('Meta performance error', e); }
+}
+
+// Leads de uma linha da tabela (reaproveita o modal de detalhe das keywords)
+window.openMetaDetail = async function (index) {
+    const row = metaState.rows[index];
+    const modal = document.getElementById('modal-keyword-detail');
+    const title = document.getElementById('kw-detail-title');
+    const body = document.getElementById('kw-detail-body');
+    if (!row || !modal) return;
+
+    const columns = META_LEVEL_COLUMNS[metaState.level];
+    modal.style.display = 'flex';
+    if (title) title.textContent = columns[0].label + ': ' + (row[columns[0].key] || '—');
+    if (body) body.innerHTML = '<p style="color:var(--text-secondary)">Carregando...</p>';
+
+    try {
+        const params = buildMetaParams();
+        const filterColumns = metaState.level === 'creatives' ? ['creative_title'] : columns.map(c => c.key).concat(metaState.level === 'ads' ? ['ad_id'] : []);
+        filterColumns.forEach(key => params.set(key, row[key] || ''));
+
+        const data = await fetch('/api/meta/detail?' + params.toString(), { credentials: 'same-origin' }).then(r => r.json());
+        if (!data || data.length === 0) {
+            body.innerHTML = '<p class="empty-state">Nenhum lead encontrado</p>';
+            return;
+        }
+
+        body.innerHTML = '<table class="keywords-table" style="width:100%"><thead><tr>' +
+            '<th>Nome</th><th>Telefone</th><th>Status</th><th>Anúncio</th><th>Convertido</th><th>Data</th>' +
+            '</tr></thead><tbody>' +
+            data.map(lead => leadRowOpen(lead.lead_phone) +
+                '<td>' + escapeHtml(lead.lead_name || '—') + '</td>' +
+                '<td>' + escapeHtml(lead.lead_phone || '—') + '</td>' +
+                '<td>' + escapeHtml(lead.lead_status || '—') + '</td>' +
+                '<td>' + escapeHtml(lead.ad_name || lead.ad_id || '—') + '</td>' +
+                '<td>' + (lead.converted ? '<span style="color:var(--accent-green)">Sim</span>' : 'Nao') + '</td>' +
+                '<td>' + (lead.created_at ? new Date(lead.created_at).toLocaleDateString('pt-BR') : '—') + '</td>' +
+                '</tr>').join('') +
+            '</tbody></table>';
+    } catch (e) {
+        body.innerHTML = '<p class="empty-state">Erro ao carregar detalhes</p>';
+    }
+};
+
+// Meta event listeners
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.meta-period').forEach(pill => {
+        pill.addEventListener('click', () => {
+            document.querySelectorAll('.meta-period').forEach(p => p.classList.remove('active'));
+            pill.classList.add('active');
+            metaState.period = pill.dataset.metaperiod;
+            const customRange = document.getElementById('meta-custom-range');
+            if (customRange) customRange.style.display = metaState.period === 'custom' ? 'flex' : 'none';
+            if (metaState.period !== 'custom') loadMetaSection();
+        });
+    });
+
+    document.querySelectorAll('.meta-level').forEach(pill => {
+        pill.addEventListener('click', () => {
+            document.querySelectorAll('.meta-level').forEach(p => p.classList.remove('active'));
+            pill.classList.add('active');
+            metaState.level = pill.dataset.metalevel;
+            loadMetaPerformance();
+        });
+    });
+
+    const metaClientSelect = document.getElementById('meta-client-select');
+    if (metaClientSelect) {
+        metaClientSelect.addEventListener('change', () => {
+            metaState.clientId = metaClientSelect.value || null;
+            loadMetaSection();
+        });
+    }
+
+    const btnMetaApply = document.getElementById('btn-meta-apply');
+    if (btnMetaApply) {
+        btnMetaApply.addEventListener('click', () => {
+            const from = document.getElementById('meta-from');
+            const to = document.getElementById('meta-to');
+            if (from && to && from.value && to.value) {
+                metaState.dateFrom = new Date(from.value).toISOString();
+                metaState.dateTo = new Date(to.value + 'T23:59:59').toISOString();
+                loadMetaSection();
+            }
+        });
+    }
+
+    document.getElementById('btn-reload-meta')?.addEventListener('click', () => loadMetaSection());
+
+    const btnMetaBackfill = document.getElementById('btn-meta-backfill');
+    if (btnMetaBackfill) {
+        btnMetaBackfill.addEventListener('click', async () => {
+            if (!confirm('Migrar leads Meta historicos dos webhooks salvos? Isso pode levar alguns segundos.')) return;
+            btnMetaBackfill.disabled = true;
+            btnMetaBackfill.textContent = 'Migrando...';
+            try {
+                const res = await fetch('/api/meta/backfill', { method: 'POST', credentials: 'same-origin' }).then(r => r.json());
+                alert('Migrados: ' + (res.migrated || 0) + ' registros');
+                loadMetaSection();
+            } catch (e) {
+                alert('Erro ao migrar: ' + e.message);
+            } finally {
+                btnMetaBackfill.disabled = false;
+                btnMetaBackfill.textContent = 'Migrar dados historicos';
+            }
+        });
+    }
+});
+
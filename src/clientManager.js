@@ -15,6 +15,49 @@ const pgService = require('./pgService');
 
 const CONFIG_PATH = path.join(__dirname, '..', 'config', 'clients.json');
 
+/**
+ * Lista de pipelines do Kommo: array ou texto separado por vírgula/espaço.
+ */
+function parsePipelineIds(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+    return [...new Set(list.map(id => String(id).trim()).filter(Boolean))];
+}
+
+/**
+ * Normaliza o roteamento Kommo de um cliente (aceita o antigo kommo_pipeline_id
+ * como lista) e valida contra os demais clientes da mesma conta.
+ */
+function normalizeKommoRouting(clientData, otherClients) {
+    const pipelines = parsePipelineIds(clientData.kommo_pipeline_ids !== undefined
+        ? clientData.kommo_pipeline_ids
+        : clientData.kommo_pipeline_id);
+    const ignored = parsePipelineIds(clientData.kommo_ignored_pipeline_ids);
+
+    const invalid = pipelines.concat(ignored).filter(id => !/^\d+$/.test(id));
+    if (invalid.length > 0) throw new Error(`Pipeline Kommo inválido: ${invalid.join(', ')} (use o ID numérico)`);
+    const both = pipelines.filter(id => ignored.includes(id));
+    if (both.length > 0) throw new Error(`Pipeline ${both.join(', ')} está nas listas de recebidos e ignorados`);
+
+    const account = clientData.kommo_account_id ? String(clientData.kommo_account_id) : null;
+    if (account) {
+        const sameAccount = otherClients.filter(c => c.active !== false && c.kommo_account_id && String(c.kommo_account_id) === account);
+        for (const other of sameAccount) {
+            const taken = pipelines.filter(id => parsePipelineIds(other.kommo_pipeline_ids || other.kommo_pipeline_id).includes(id));
+            if (taken.length > 0) throw new Error(`Pipeline ${taken.join(', ')} já é do cliente "${other.name}"`);
+            if (pipelines.length === 0 && parsePipelineIds(other.kommo_pipeline_ids || other.kommo_pipeline_id).length === 0) {
+                throw new Error(`A conta Kommo ${account} já é usada por "${other.name}" sem pipelines definidos — informe os pipelines de cada cliente`);
+            }
+        }
+    }
+
+    return {
+        ...clientData,
+        kommo_pipeline_ids: pipelines,
+        kommo_ignored_pipeline_ids: ignored,
+        kommo_pipeline_id: pipelines.join(',') || null,
+    };
+}
+
 class ClientManager {
     constructor() {
         this.clients = [];
@@ -108,6 +151,9 @@ class ClientManager {
      * Adiciona um cliente. Persiste no PostgreSQL se disponível.
      */
     async addClient(clientData) {
+        const others = await this.getAllClients();
+        clientData = normalizeKommoRouting(clientData, (others || []).filter(c => c.id !== clientData.id));
+
         // Tentar PostgreSQL primeiro
         if (pgService.isAvailable()) {
             await pgService.addClient(clientData);
@@ -128,6 +174,32 @@ class ClientManager {
         return clientData;
     }
 
+    /**
+     * Atualiza um cliente. Campos ausentes mantêm o valor atual.
+     * Retorna null se o cliente não existe.
+     */
+    async updateClient(slug, updates) {
+        const all = (await this.getAllClients()) || [];
+        const current = all.find(c => c.id === slug);
+        if (!current) return null;
+
+        const merged = normalizeKommoRouting({ ...current, ...updates, id: slug }, all.filter(c => c.id !== slug));
+
+        // Tentar PostgreSQL primeiro
+        if (pgService.isAvailable()) {
+            await pgService.updateClient(slug, merged);
+            await this.loadClients();
+            return merged;
+        }
+
+        // Fallback: salvar no arquivo
+        const configRaw = fs.readFileSync(CONFIG_PATH, 'utf-8');
+        const config = JSON.parse(configRaw);
+        config.clients = config.clients.map(c => (c.id === slug ? { ...c, ...merged } : c));
+        this.saveClients(config.clients);
+        return merged;
+    }
+
     /**
      * Remove (desativa) um cliente.
      */
@@ -156,6 +228,10 @@ class ClientManager {
         return this.clientsByInstanceId.get(instanceId) || null;
     }
 
+    findBySlug(slug) {
+        return this.clients.find(c => c.id === slug) || null;
+    }
+
     async reloadClients() {
         logger.info('Recarregando configurações...');
         return await this.loadClients();
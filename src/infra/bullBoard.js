@@ -6,7 +6,7 @@
 const { createBullBoard } = require('@bull-board/api');
 const { BullMQAdapter } = require('@bull-board/api/bullMQAdapter');
 const { ExpressAdapter } = require('@bull-board/express');
-const { getTintimQueue, getKommoQueue } = require('./queues');
+const { getTintimQueue, getKommoQueue, getOutboundQueue } = require('./queues');
 
 function setupBullBoard(app, requireAuth) {
     const serverAdapter = new ExpressAdapter();
@@ -16,6 +16,7 @@ function setupBullBoard(app, requireAuth) {
         queues: [
             new BullMQAdapter(getTintimQueue()),
             new BullMQAdapter(getKommoQueue()),
+            new BullMQAdapter(getOutboundQueue()),
         ],
         serverAdapter,
     });
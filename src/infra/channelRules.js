@@ -0,0 +1,245 @@
+/**
+ * ChannelRules — Per-client origin/channel detection rules
+ *
+ * Ordered rules (field, regex pattern, resulting channel, counts-as-paid).
+ * The first matching rule decides the channel; if nothing matches the lead is
+ * "WhatsApp" and not paid. Clients without rules use DEFAULT_RULES, which are
+ * the regexes detectOrigin() used before.
+ */
+
+const cache = require('./cache');
+const { logger } = require('../utils/logger');
+
+const CACHE_TTL = 300;
+
+const FALLBACK_ORIGIN = { channel: 'WhatsApp', isPaid: false };
+
+// Aggregated fields: 'source' and 'campaign'. Anything else is a payload path.
+const AGGREGATE_FIELDS = {
+    source: ['source', 'channel', 'medium', 'utmSource', 'utm_source', 'utmMedium', 'utm_medium'],
+    campaign: ['utmCampaign', 'utm_campaign', 'campaign', 'adName', 'ad_name', 'adSetName', 'adset_name'],
+};
+
+const DEFAULT_RULES = [
+    { field: 'source', pattern: 'google|gclid|g_ads|googleads|search|pmax|performance.max', channel: 'Google Ads', is_paid: true, priority: 10 },
+    { field: 'source', pattern: 'meta|facebook|instagram|fb|ig|fbclid|meta_ads', channel: 'Meta Ads', is_paid: true, priority: 20 },
+    { field: 'source', pattern: 'cpc|cpm|paid|ads|ppc', channel: 'Tráfego Pago', is_paid: false, priority: 30 },
+    { field: 'campaign', pattern: 'google|gclid|search|pmax', channel: 'Google Ads', is_paid: true, priority: 40 },
+    { field: 'campaign', pattern: 'meta|facebook|instagram|fb|ig', channel: 'Meta Ads', is_paid: true, priority: 50 },
+];
+
+function getPath(obj, path) {
+    return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function getFieldValue(payload, field) {
+    const keys = AGGREGATE_FIELDS[field];
+    if (keys) {
+        return keys.map(k => payload[k]).filter(Boolean).join(' ').toLowerCase();
+    }
+    const value = getPath(payload, field);
+    return value == null ? '' : String(value).toLowerCase();
+}
+
+/**
+ * Applies rules in order. Returns the channel plus the rule/value that decided it.
+ */
+function matchOrigin(payload, rules) {
+    for (const rule of rules) {
+        if (rule.active === false) continue;
+
+        const value = getFieldValue(payload, rule.field);
+        if (!value) continue;
+
+        let regex;
+        try {
+            regex = new RegExp(rule.pattern, 'i');
+        } catch (err) {
+            logger.warn('Invalid channel rule pattern', { ruleId: rule.id, pattern: rule.pattern });
+            continue;
+        }
+
+        if (regex.test(value)) {
+            return { channel: rule.channel, isPaid: !!rule.is_paid, rule, field: rule.field, value };
+        }
+    }
+
+    return { ...FALLBACK_ORIGIN, rule: null, field: null, value: null };
+}
+
+function mapRule(row) {
+    return {
+        id: row.id,
+        field: row.field,
+        pattern: row.pattern,
+        channel: row.channel,
+        is_paid: row.is_paid,
+        priority: row.priority,
+        active: row.active,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+    };
+}
+
+function validateRule(data) {
+    const errors = [];
+    if (!data.field || !String(data.field).trim()) errors.push('field é obrigatório');
+    if (!data.channel || !String(data.channel).trim()) errors.push('channel é obrigatório');
+    if (!data.pattern) {
+        errors.push('pattern é obrigatório');
+    } else {
+        try {
+            new RegExp(data.pattern, 'i');
+        } catch (err) {
+            errors.push(`pattern inválido: ${err.message}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Active rules for a client loaded by clientManager (uses client._db_id).
+ * Falls back to DEFAULT_RULES when the client has none.
+ */
+async function getRules(pgService, client) {
+    if (!pgService.isAvailable() || !client._db_id) return DEFAULT_RULES;
+
+    const cacheKey = `clients:channelRules:${client._db_id}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+        const { rows } = await pgService.query(
+            'SELECT * FROM channel_rules WHERE client_id = $1 AND active = true ORDER BY priority ASC, created_at ASC',
+            [client._db_id]
+        );
+        const rules = rows.length > 0 ? rows.map(mapRule) : DEFAULT_RULES;
+        await cache.set(cacheKey, rules, CACHE_TTL);
+        return rules;
+    } catch (err) {
+        logger.error('Error reading channel rules', { client: client.slug, error: err.message });
+        return DEFAULT_RULES;
+    }
+}
+
+async function listRules(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT cr.* FROM channel_rules cr
+         JOIN clients c ON c.id = cr.client_id
+         WHERE c.slug = $1
+         ORDER BY cr.priority ASC, cr.created_at ASC`,
+        [clientSlug]
+    );
+    return rows.map(mapRule);
+}
+
+async function createRule(pgService, clientSlug, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `INSERT INTO channel_rules (client_id, field, pattern, channel, is_paid, priority, active)
+         SELECT id, $2, $3, $4, $5,
+                COALESCE($6, (SELECT COALESCE(MAX(priority), 0) + 10 FROM channel_rules WHERE client_id = clients.id)),
+                $7
+         FROM clients WHERE slug = $1
+         RETURNING *`,
+        [
+            clientSlug,
+            String(data.field).trim(),
+            data.pattern,
+            String(data.channel).trim(),
+            data.is_paid !== false,
+            data.priority != null ? parseInt(data.priority, 10) : null,
+            data.active !== false,
+        ]
+    );
+    return rows[0] ? mapRule(rows[0]) : null;
+}
+
+async function updateRule(pgService, clientSlug, ruleId, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `UPDATE channel_rules cr SET
+            field = $3,
+            pattern = $4,
+            channel = $5,
+            is_paid = $6,
+            priority = COALESCE($7, cr.priority),
+            active = $8,
+            updated_at = NOW()
+         FROM clients c
+         WHERE cr.id = $2 AND cr.client_id = c.id AND c.slug = $1
+         RETURNING cr.*`,
+        [
+            clientSlug,
+            ruleId,
+            String(data.field).trim(),
+            data.pattern,
+            String(data.channel).trim(),
+            data.is_paid !== false,
+            data.priority != null ? parseInt(data.priority, 10) : null,
+            data.active !== false,
+        ]
+    );
+    return rows[0] ? mapRule(rows[0]) : null;
+}
+
+async function deleteRule(pgService, clientSlug, ruleId) {
+    if (!pgService.isAvailable()) return false;
+
+    const { rowCount } = await pgService.query(
+        `DELETE FROM channel_rules cr
+         USING clients c
+         WHERE cr.id = $2 AND cr.client_id = c.id AND c.slug = $1`,
+        [clientSlug, ruleId]
+    );
+    return rowCount > 0;
+}
+
+/**
+ * Rewrites priorities following the given id order (10, 20, 30...).
+ */
+async function reorderRules(pgService, clientSlug, ruleIds) {
+    if (!pgService.isAvailable()) return null;
+
+    await pgService.query(
+        `UPDATE channel_rules cr SET priority = o.idx * 10, updated_at = NOW()
+         FROM clients c, unnest($2::uuid[]) WITH ORDINALITY AS o(id, idx)
+         WHERE cr.id = o.id AND cr.client_id = c.id AND c.slug = $1`,
+        [clientSlug, ruleIds]
+    );
+    return listRules(pgService, clientSlug);
+}
+
+/**
+ * Replaces the client's rules with a copy of DEFAULT_RULES (starting point for customization).
+ */
+async function resetRules(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return null;
+
+    await pgService.query(
+        'DELETE FROM channel_rules WHERE client_id = (SELECT id FROM clients WHERE slug = $1)',
+        [clientSlug]
+    );
+    for (const rule of DEFAULT_RULES) {
+        await createRule(pgService, clientSlug, rule);
+    }
+    return listRules(pgService, clientSlug);
+}
+
+module.exports = {
+    matchOrigin,
+    getRules,
+    listRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    reorderRules,
+    resetRules,
+    validateRule,
+    DEFAULT_RULES,
+    AGGREGATE_FIELDS,
+};
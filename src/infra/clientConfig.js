@@ -2,7 +2,8 @@
  * ClientConfig — Centralized feature flags per client
  *
  * Reads feature_flags JSONB column from clients table.
- * Defaults are applied if no flags are set (all features enabled).
+ * Defaults are applied if no flags are set (all features enabled, except
+ * kommo_reverse_sync, which is opt-in).
  */
 
 const { logger } = require('../utils/logger');
@@ -13,6 +14,7 @@ const DEFAULT_FLAGS = {
     keyword_tracking: true,
     organic_filter: true,
     trail_tracking: true,
+    kommo_reverse_sync: false,
 };
 
 function getConfig(client) {
@@ -0,0 +1,399 @@
+/**
+ * GoogleAdsExport — Offline conversion upload files for Google Ads
+ *
+ * Converted keyword_conversions rows with a gclid are written as a CSV in
+ * Google's offline-conversion template:
+ *
+ *   Parameters:TimeZone=America/Sao_Paulo
+ *   Google Click ID,Conversion Name,Conversion Time,Conversion Value,Conversion Currency
+ *
+ * Conversion times are the sale time (converted_at) in the client's timezone,
+ * and the from/to dates of an export are calendar days in that timezone too.
+ * Each file is stored in google_ads_exports and its rows are marked with the
+ * export id, so exports are incremental: already uploaded conversions are
+ * skipped unless includeExported is set.
+ *
+ * Clients with google_ads_auto_export get a daily scheduled export of the last
+ * GOOGLE_ADS_EXPORT_LOOKBACK_DAYS days (Google rejects clicks older than 90 days).
+ */
+
+const { logger } = require('../utils/logger');
+
+const TRIGGERS = ['manual', 'scheduled'];
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+const DEFAULT_CURRENCY = 'BRL';
+const CSV_HEADER = ['Google Click ID', 'Conversion Name', 'Conversion Time', 'Conversion Value', 'Conversion Currency'];
+const LOOKBACK_DAYS = parseInt(process.env.GOOGLE_ADS_EXPORT_LOOKBACK_DAYS || '90', 10);
+const SCHEDULE_HOUR = parseInt(process.env.GOOGLE_ADS_EXPORT_HOUR || '6', 10);
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let checkInterval = null;
+// slug → client-local day of the last scheduled run, so days with nothing to
+// export (no file stored) are not retried every hour
+const lastScheduledDay = new Map();
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * "YYYY-MM-DD" of the given instant in the timezone.
+ */
+function localDate(date, timezone) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+    }).format(date);
+}
+
+function addDays(isoDate, days) {
+    const d = new Date(`${isoDate}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+function getSettings(client) {
+    return {
+        conversion_name: client.google_ads_conversion_name || '',
+        timezone: client.google_ads_timezone || DEFAULT_TIMEZONE,
+        currency: client.google_ads_currency || DEFAULT_CURRENCY,
+        auto_export: client.google_ads_auto_export === true,
+    };
+}
+
+function validateSettings(data) {
+    const errors = [];
+    if (data.conversion_name !== undefined && String(data.conversion_name).length > 255) {
+        errors.push('conversion_name deve ter no máximo 255 caracteres');
+    }
+    if (data.timezone !== undefined && !isValidTimezone(data.timezone)) {
+        errors.push('timezone inválido (use um fuso IANA, ex: America/Sao_Paulo)');
+    }
+    if (data.currency !== undefined && !/^[A-Z]{3}$/.test(String(data.currency))) {
+        errors.push('currency inválida (código ISO 4217, ex: BRL)');
+    }
+    if (data.auto_export === true && !String(data.conversion_name || '').trim()) {
+        errors.push('conversion_name é obrigatório para a exportação automática');
+    }
+    return errors;
+}
+
+async function setSettings(pgService, clientSlug, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `UPDATE clients SET
+            google_ads_conversion_name = $2,
+            google_ads_timezone = $3,
+            google_ads_currency = $4,
+            google_ads_auto_export = $5,
+            updated_at = NOW()
+         WHERE slug = $1
+         RETURNING google_ads_conversion_name, google_ads_timezone, google_ads_currency, google_ads_auto_export`,
+        [
+            clientSlug,
+            String(data.conversion_name || '').trim() || null,
+            data.timezone || DEFAULT_TIMEZONE,
+            data.currency || DEFAULT_CURRENCY,
+            data.auto_export === true,
+        ]
+    );
+    return rows[0] ? getSettings(rows[0]) : null;
+}
+
+function validateExportRequest(data) {
+    const errors = [];
+    for (const field of ['from', 'to']) {
+        if (data[field] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(data[field]))) {
+            errors.push(`${field} inválido (use YYYY-MM-DD)`);
+        }
+    }
+    if (errors.length === 0 && data.from && data.to && data.from > data.to) {
+        errors.push('from deve ser anterior a to');
+    }
+    return errors;
+}
+
+// ============================================
+// CSV
+// ============================================
+
+function csvField(value) {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * rows: [{ gclid, conversion_time: 'YYYY-MM-DD HH:mm:ss', sale_amount }]
+ */
+function buildCsv(rows, { conversionName, timezone, currency }) {
+    const lines = [`Parameters:TimeZone=${timezone}`, CSV_HEADER.join(',')];
+    for (const row of rows) {
+        const value = parseFloat(row.sale_amount) || 0;
+        lines.push([
+            row.gclid,
+            conversionName,
+            row.conversion_time,
+            value > 0 ? value.toFixed(2) : '',
+            value > 0 ? currency : '',
+        ].map(csvField).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+// ============================================
+// Exports
+// ============================================
+
+function mapExport(row) {
+    return {
+        id: row.id,
+        trigger: row.trigger,
+        period_from: row.period_from,
+        period_to: row.period_to,
+        conversion_name: row.conversion_name,
+        timezone: row.timezone,
+        currency: row.currency,
+        row_count: row.row_count,
+        skipped_count: row.skipped_count,
+        total_value: parseFloat(row.total_value) || 0,
+        created_by: row.created_by,
+        created_at: row.created_at,
+    };
+}
+
+async function findClient(pgService, clientSlug) {
+    const { rows } = await pgService.query(
+        `SELECT id, slug, google_ads_conversion_name, google_ads_timezone, google_ads_currency, google_ads_auto_export
+         FROM clients WHERE slug = $1`,
+        [clientSlug]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Converted rows of the period, with the conversion time already rendered in
+ * the client's timezone. Rows without converted_at (sales before it existed)
+ * fall back to the lead's created_at.
+ */
+async function fetchConversions(pgService, clientId, { from, to, timezone, includeExported }) {
+    const { rows } = await pgService.query(
+        `SELECT id, gclid, sale_amount,
+                to_char(COALESCE(converted_at, created_at) AT TIME ZONE $2, 'YYYY-MM-DD HH24:MI:SS') AS conversion_time
+         FROM keyword_conversions
+         WHERE client_id = $1
+           AND converted = true
+           AND COALESCE(converted_at, created_at) >= ($3::date)::timestamp AT TIME ZONE $2
+           AND COALESCE(converted_at, created_at) < ($4::date + 1)::timestamp AT TIME ZONE $2
+           ${includeExported ? '' : 'AND google_ads_export_id IS NULL'}
+         ORDER BY COALESCE(converted_at, created_at)`,
+        [clientId, timezone, from, to]
+    );
+    return {
+        rows: rows.filter(r => r.gclid && String(r.gclid).trim()),
+        skipped: rows.filter(r => !r.gclid || !String(r.gclid).trim()).length,
+    };
+}
+
+function resolvePeriod(settings, { from, to }) {
+    const periodTo = to || localDate(new Date(), settings.timezone);
+    const periodFrom = from || addDays(periodTo, -(LOOKBACK_DAYS - 1));
+    return { from: periodFrom, to: periodTo };
+}
+
+/**
+ * Counts what an export of the period would contain, without writing anything.
+ * Returns null when the client does not exist.
+ */
+async function previewExport(pgService, clientSlug, options = {}) {
+    if (!pgService.isAvailable()) return null;
+
+    const client = await findClient(pgService, clientSlug);
+    if (!client) return null;
+
+    const settings = getSettings(client);
+    const period = resolvePeriod(settings, options);
+    const { rows, skipped } = await fetchConversions(pgService, client.id, {
+        ...period, timezone: settings.timezone, includeExported: options.includeExported === true,
+    });
+    return {
+        ...period,
+        rows: rows.length,
+        skipped,
+        total_value: rows.reduce((sum, r) => sum + (parseFloat(r.sale_amount) || 0), 0),
+    };
+}
+
+/**
+ * Generates the CSV for the period and marks the exported conversions.
+ * Returns { export, rows, skipped } — export is null when there was nothing to
+ * export — or null when the client does not exist. Throws when the client has
+ * no conversion name configured.
+ */
+async function createExport(pgService, clientSlug, { from, to, includeExported = false, trigger = 'manual', createdBy = null } = {}) {
+    if (!pgService.isAvailable()) return null;
+
+    const client = await findClient(pgService, clientSlug);
+    if (!client) return null;
+
+    const settings = getSettings(client);
+    if (!settings.conversion_name) {
+        throw new Error('Nome da conversão do Google Ads não configurado para este cliente');
+    }
+
+    const period = resolvePeriod(settings, { from, to });
+    const { rows, skipped } = await fetchConversions(pgService, client.id, {
+        ...period, timezone: settings.timezone, includeExported,
+    });
+    if (rows.length === 0) return { export: null, rows: 0, skipped };
+
+    const csv = buildCsv(rows, {
+        conversionName: settings.conversion_name,
+        timezone: settings.timezone,
+        currency: settings.currency,
+    });
+    const totalValue = rows.reduce((sum, r) => sum + (parseFloat(r.sale_amount) || 0), 0);
+
+    // File and markers in a single statement, so a failed insert leaves the rows pending
+    const { rows: inserted } = await pgService.query(
+        `WITH new_export AS (
+            INSERT INTO google_ads_exports
+                (client_id, trigger, period_from, period_to, conversion_name, timezone, currency,
+                 row_count, skipped_count, total_value, csv, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING *
+         ), marked AS (
+            UPDATE keyword_conversions SET google_ads_export_id = (SELECT id FROM new_export)
+            WHERE id = ANY($13::uuid[])
+         )
+         SELECT id, trigger, period_from::text AS period_from, period_to::text AS period_to, conversion_name,
+                timezone, currency, row_count, skipped_count, total_value, created_by, created_at
+         FROM new_export`,
+        [
+            client.id, TRIGGERS.includes(trigger) ? trigger : 'manual', period.from, period.to,
+            settings.conversion_name, settings.timezone, settings.currency,
+            rows.length, skipped, totalValue, csv, createdBy,
+            rows.map(r => r.id),
+        ]
+    );
+
+    logger.info('Google Ads export created', { client: clientSlug, trigger, rows: rows.length, skipped, ...period });
+    return { export: mapExport(inserted[0]), rows: rows.length, skipped };
+}
+
+async function listExports(pgService, clientSlug, { limit = 30 } = {}) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT e.id, e.trigger, e.period_from::text AS period_from, e.period_to::text AS period_to, e.conversion_name, e.timezone, e.currency,
+                e.row_count, e.skipped_count, e.total_value, e.created_by, e.created_at
+         FROM google_ads_exports e
+         JOIN clients c ON c.id = e.client_id
+         WHERE c.slug = $1
+         ORDER BY e.created_at DESC
+         LIMIT $2`,
+        [clientSlug, Math.min(Math.max(parseInt(limit, 10) || 30, 1), 200)]
+    );
+    return rows.map(mapExport);
+}
+
+/**
+ * { filename, csv } of a stored export, or null.
+ */
+async function getExportFile(pgService, clientSlug, exportId) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT e.csv, e.period_from::text AS period_from, e.period_to::text AS period_to
+         FROM google_ads_exports e
+         JOIN clients c ON c.id = e.client_id
+         WHERE c.slug = $1 AND e.id = $2`,
+        [clientSlug, exportId]
+    );
+    if (!rows[0]) return null;
+
+    return {
+        filename: `google-ads-${clientSlug}-${rows[0].period_from}_${rows[0].period_to}.csv`,
+        csv: rows[0].csv,
+    };
+}
+
+// ============================================
+// Scheduled export
+// ============================================
+
+/**
+ * Clients with auto export on, past the scheduled hour in their timezone and
+ * without a scheduled export today (also in their timezone).
+ */
+async function runScheduledExports(pgService) {
+    if (!pgService.isAvailable()) return;
+
+    try {
+        const { rows } = await pgService.query(
+            `SELECT c.slug, (NOW() AT TIME ZONE c.google_ads_timezone)::date::text AS today
+             FROM clients c
+             WHERE c.active = true
+               AND c.google_ads_auto_export = true
+               AND COALESCE(c.google_ads_conversion_name, '') <> ''
+               AND EXTRACT(HOUR FROM NOW() AT TIME ZONE c.google_ads_timezone) >= $1
+               AND NOT EXISTS (
+                   SELECT 1 FROM google_ads_exports e
+                   WHERE e.client_id = c.id
+                     AND e.trigger = 'scheduled'
+                     AND (e.created_at AT TIME ZONE c.google_ads_timezone)::date = (NOW() AT TIME ZONE c.google_ads_timezone)::date
+               )`,
+            [SCHEDULE_HOUR]
+        );
+
+        for (const { slug, today } of rows) {
+            if (lastScheduledDay.get(slug) === today) continue;
+            lastScheduledDay.set(slug, today);
+            try {
+                const result = await createExport(pgService, slug, { trigger: 'scheduled' });
+                if (!result.export) {
+                    logger.info('Google Ads scheduled export: nothing new', { client: slug, skipped: result.skipped });
+                }
+            } catch (err) {
+                logger.error('Google Ads scheduled export failed', { client: slug, error: err.message });
+            }
+        }
+    } catch (err) {
+        logger.error('Google Ads scheduled export check failed', { error: err.message });
+    }
+}
+
+function startScheduledExports(pgService) {
+    if (checkInterval) return;
+
+    checkInterval = setInterval(() => runScheduledExports(pgService), CHECK_INTERVAL_MS);
+    setTimeout(() => runScheduledExports(pgService), 60 * 1000);
+
+    logger.info(`Google Ads scheduled exports started (daily after ${SCHEDULE_HOUR}h client time)`);
+}
+
+function stopScheduledExports() {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+    }
+}
+
+module.exports = {
+    getSettings,
+    setSettings,
+    validateSettings,
+    validateExportRequest,
+    buildCsv,
+    previewExport,
+    createExport,
+    listExports,
+    getExportFile,
+    startScheduledExports,
+    stopScheduledExports,
+    CSV_HEADER,
+};
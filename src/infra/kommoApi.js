@@ -0,0 +1,318 @@
+/**
+ * KommoApi — Calls to the Kommo REST API (v4) on behalf of a client
+ *
+ * Credentials come from kommoAuth (the client's own integration or the global
+ * KOMMO_SUBDOMAIN / KOMMO_ACCESS_TOKEN). A 401 refreshes the token and the
+ * request is tried once more. Failures are logged and return null, so callers
+ * can fall back to what they already know.
+ *
+ *   - Rate limit: token bucket per Kommo account (subdomain), at most
+ *     KOMMO_API_RATE_PER_SECOND requests/s (Kommo allows 7) in this process
+ *   - 429 / 5xx / network errors are retried (Retry-After when sent, else
+ *     exponential backoff); a 429 also pauses the account's bucket
+ *   - Lead → main contact and contact → phone/name are cached in Redis per
+ *     account subdomain (KOMMO_CACHE_TTL_SECONDS); contacts[add|update]
+ *     webhooks drop the contact
+ *   - Metrics: lucari_kommo_api_* (requests, duration, retries, throttle, cache)
+ *
+ * KOMMO_API_BASE_URL points every account to another server, e.g. the
+ * recorded-fixture mock (src/kommo-mock-server.js).
+ */
+
+const kommoAuth = require('./kommoAuth');
+const cache = require('./cache');
+const metrics = require('./metrics');
+const { normalizePhone } = require('../utils/formatter');
+const { logger } = require('../utils/logger');
+
+const REQUEST_TIMEOUT_MS = 15000;
+const RATE_PER_SECOND = parseFloat(process.env.KOMMO_API_RATE_PER_SECOND) || 7;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+const CACHE_TTL = parseInt(process.env.KOMMO_CACHE_TTL_SECONDS, 10) || 6 * 3600;
+
+// subdomain → { tokens, updatedAt, blockedUntil }
+const buckets = new Map();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function bucketFor(subdomain) {
+    let bucket = buckets.get(subdomain);
+    if (!bucket) {
+        bucket = { tokens: RATE_PER_SECOND, updatedAt: Date.now(), blockedUntil: 0 };
+        buckets.set(subdomain, bucket);
+    }
+    return bucket;
+}
+
+/**
+ * Waits for a request slot of the account. Returns the time waited (ms).
+ */
+async function acquire(subdomain) {
+    const bucket = bucketFor(subdomain);
+    const startedAt = Date.now();
+
+    while (true) {
+        const now = Date.now();
+        if (bucket.blockedUntil > now) {
+            await sleep(bucket.blockedUntil - now);
+            continue;
+        }
+        bucket.tokens = Math.min(RATE_PER_SECOND, bucket.tokens + ((now - bucket.updatedAt) / 1000) * RATE_PER_SECOND);
+        bucket.updatedAt = now;
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return Date.now() - startedAt;
+        }
+        await sleep(Math.ceil(((1 - bucket.tokens) / RATE_PER_SECOND) * 1000));
+    }
+}
+
+/**
+ * Delay before a retry: Retry-After (seconds or HTTP date) when present,
+ * otherwise exponential backoff. Capped at MAX_RETRY_DELAY_MS.
+ */
+function retryDelay(res, attempt) {
+    const header = res && res.headers.get('retry-after');
+    let delay = null;
+    if (header) {
+        const seconds = Number(header);
+        delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(header).getTime() - Date.now();
+    }
+    if (delay === null || !Number.isFinite(delay) || delay < 0) delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+    return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+// "leads/123?with=contacts" → "leads/:id" (low-cardinality metric label)
+function endpointLabel(path) {
+    return path.replace(/\?.*$/, '').replace(/\/\d+/g, '/:id');
+}
+
+/**
+ * <method> /api/v4/<path> (JSON body when given) — parsed JSON ({} for an
+ * empty list), or null (no credentials, HTTP error). label identifies the
+ * resource in the logs ("lead 123").
+ */
+async function request(pgService, client, method, path, label, body) {
+    const action = method === 'GET' ? 'buscar' : 'atualizar';
+    let credentials = await kommoAuth.getAccessToken(pgService, client);
+    if (!credentials) {
+        logger.warn(`[Kommo API] Sem credenciais Kommo para o cliente ${client ? client.id : 'N/A'}`);
+        return null;
+    }
+
+    const endpoint = endpointLabel(path);
+    let refreshed = false;
+
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+        const waited = await acquire(credentials.subdomain);
+        metrics.kommoApiThrottleWait.observe(waited / 1000);
+
+        const endTimer = metrics.kommoApiDuration.startTimer({ endpoint });
+        let res;
+        try {
+            res = await fetch(`${kommoAuth.apiBaseUrl(credentials.subdomain)}/api/v4/${path}`, {
+                method,
+                headers: {
+                    'Authorization': `Bearer ${credentials.token}`,
+                    'Content-Type': 'application/json',
+                },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+            });
+        } catch (err) {
+            endTimer();
+            metrics.kommoApiRequests.inc({ endpoint, status: 'error' });
+            const message = err.name === 'TimeoutError' ? `timeout após ${REQUEST_TIMEOUT_MS}ms` : err.message;
+            if (attempt < MAX_RETRIES) {
+                metrics.kommoApiRetries.inc({ reason: 'network' });
+                logger.warn(`[Kommo API] Erro ao ${action} ${label}: ${message} — nova tentativa (${attempt + 1}/${MAX_RETRIES})`);
+                await sleep(retryDelay(null, attempt));
+                continue;
+            }
+            logger.error(`[Kommo API] Erro ao ${action} ${label}: ${message}`);
+            return null;
+        }
+        endTimer();
+        metrics.kommoApiRequests.inc({ endpoint, status: String(res.status) });
+
+        if (res.status === 401 && !refreshed) {
+            refreshed = true;
+            credentials = await kommoAuth.getAccessToken(pgService, client, { forceRefresh: true });
+            if (!credentials) return null;
+            attempt--;
+            continue;
+        }
+
+        if ((res.status === 429 || res.status >= 500) && attempt < MAX_RETRIES) {
+            const delay = retryDelay(res, attempt);
+            metrics.kommoApiRetries.inc({ reason: res.status === 429 ? '429' : '5xx' });
+            if (res.status === 429) {
+                // Limite da conta: segura todas as chamadas dela, não só esta
+                const bucket = bucketFor(credentials.subdomain);
+                bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + delay);
+                bucket.tokens = 0;
+            }
+            logger.warn(`[Kommo API] HTTP ${res.status} ao ${action} ${label} — nova tentativa em ${delay}ms (${attempt + 1}/${MAX_RETRIES})`);
+            await sleep(delay);
+            continue;
+        }
+
+        if (!res.ok) {
+            logger.warn(`[Kommo API] Falha ao ${action} ${label}: HTTP ${res.status}`);
+            return null;
+        }
+        // 204: listagem sem resultados
+        if (res.status === 204) return {};
+        try {
+            return await res.json();
+        } catch (err) {
+            logger.error(`[Kommo API] Resposta inválida ao ${action} ${label}: ${err.message}`);
+            return null;
+        }
+    }
+    return null;
+}
+
+async function get(pgService, client, path, label) {
+    return request(pgService, client, 'GET', path, label);
+}
+
+/**
+ * PATCH /api/v4/<path> with a JSON body, e.g. moving a lead to another stage.
+ */
+async function patch(pgService, client, path, label, body) {
+    return request(pgService, client, 'PATCH', path, label, body);
+}
+
+// ---- Lead → contato → telefone (com cache) ----
+
+/**
+ * Cache namespace of the client's Kommo account: the subdomain of its
+ * credentials, which contact webhooks also carry (account.subdomain), so
+ * invalidation reaches the same keys. Null without credentials.
+ */
+async function accountKey(pgService, client) {
+    const credentials = await kommoAuth.getAccessToken(pgService, client);
+    return credentials && credentials.subdomain ? String(credentials.subdomain).toLowerCase() : null;
+}
+
+function leadCacheKey(account, leadId) {
+    return `kommo:${account}:lead:${leadId}`;
+}
+
+function contactCacheKey(account, contactId) {
+    return `kommo:${account}:contact:${contactId}`;
+}
+
+/**
+ * Phone (custom field PHONE) of a contact returned by the API.
+ */
+function extractPhoneFromContact(contact) {
+    if (!contact || !Array.isArray(contact.custom_fields_values)) return null;
+    const field = contact.custom_fields_values.find(f => f.field_code === 'PHONE');
+    if (!field || !Array.isArray(field.values) || field.values.length === 0) return null;
+    return field.values[0].value || null;
+}
+
+/**
+ * Main contact id of a lead (is_main first), or null.
+ */
+async function getLeadContactId(pgService, client, leadId) {
+    const account = await accountKey(pgService, client);
+    if (!account) {
+        logger.warn(`[Kommo API] Sem credenciais Kommo para o cliente ${client ? client.id : 'N/A'}`);
+        return null;
+    }
+    const key = leadCacheKey(account, leadId);
+    const cached = await cache.get(key);
+    if (cached) {
+        metrics.kommoApiCache.inc({ kind: 'lead', result: 'hit' });
+        return cached.contactId;
+    }
+    metrics.kommoApiCache.inc({ kind: 'lead', result: 'miss' });
+
+    const lead = await get(pgService, client, `leads/${leadId}?with=contacts`, `lead ${leadId}`);
+    if (!lead) return null;
+
+    const contacts = (lead._embedded && lead._embedded.contacts) || [];
+    if (contacts.length === 0) {
+        // Sem cache: o contato pode ser vinculado logo depois
+        logger.info(`[Kommo API] Lead ${leadId} nao tem contatos vinculados`);
+        return null;
+    }
+    const main = contacts.find(c => c.is_main) || contacts[0];
+    await cache.set(key, { contactId: main.id }, CACHE_TTL);
+    return main.id;
+}
+
+/**
+ * Phone (normalized) and name of a contact: { phone, name }, or null.
+ */
+async function getContact(pgService, client, contactId) {
+    const account = await accountKey(pgService, client);
+    if (!account) {
+        logger.warn(`[Kommo API] Sem credenciais Kommo para o cliente ${client ? client.id : 'N/A'}`);
+        return null;
+    }
+    const key = contactCacheKey(account, contactId);
+    const cached = await cache.get(key);
+    if (cached) {
+        metrics.kommoApiCache.inc({ kind: 'contact', result: 'hit' });
+        return cached;
+    }
+    metrics.kommoApiCache.inc({ kind: 'contact', result: 'miss' });
+
+    const contact = await get(pgService, client, `contacts/${contactId}`, `contato ${contactId}`);
+    if (!contact) return null;
+
+    const result = {
+        phone: normalizePhone(extractPhoneFromContact(contact)) || null,
+        name: contact.name || null,
+    };
+    await cache.set(key, result, CACHE_TTL);
+    return result;
+}
+
+/**
+ * Phone and name of a lead's main contact:
+ * lead (with=contacts) → contact → PHONE. Returns { phone, contactName }
+ * (nulls when not found).
+ */
+async function getLeadPhone(pgService, client, leadId) {
+    const contactId = await getLeadContactId(pgService, client, leadId);
+    if (!contactId) return { phone: null, contactName: null };
+
+    const contact = await getContact(pgService, client, contactId);
+    if (!contact) return { phone: null, contactName: null };
+
+    logger.info(`[Kommo API] Lead ${leadId} -> contato ${contactId}: phone=${contact.phone || 'N/A'}, name=${contact.name || 'N/A'}`);
+    return { phone: contact.phone, contactName: contact.name };
+}
+
+/**
+ * Drops a contact (and the lead → contact links of its leads) from the cache
+ * when it changes in Kommo. subdomain is the Kommo account of the webhook
+ * (account.subdomain).
+ */
+async function invalidateContact(subdomain, contactId, leadIds = []) {
+    if (!subdomain) return;
+    const account = String(subdomain).toLowerCase();
+    if (contactId) await cache.del(contactCacheKey(account, contactId));
+    for (const leadId of leadIds) {
+        await cache.del(leadCacheKey(account, leadId));
+    }
+}
+
+module.exports = {
+    get,
+    patch,
+    getLeadPhone,
+    getLeadContactId,
+    getContact,
+    invalidateContact,
+    extractPhoneFromContact,
+};
@@ -0,0 +1,517 @@
+/**
+ * KommoAuth — Per-client Kommo API credentials (OAuth2)
+ *
+ * Each client has its own Kommo integration in kommo_integrations: the
+ * account subdomain, the OAuth2 integration (id, secret, redirect URI) and the
+ * tokens. Two ways to connect:
+ *   - authorization code: the dashboard opens Kommo's consent page
+ *     (buildAuthorizeUrl), Kommo redirects to /oauth/kommo/callback with a
+ *     code and the state, and the code is exchanged for access + refresh tokens
+ *   - long-lived token: a private integration's token pasted in the dashboard
+ *     (no refresh; the expiry comes from the token itself)
+ *
+ * Access tokens are refreshed before they expire — on demand (getAccessToken)
+ * and by a periodic check — and Kommo rotates the refresh token on every
+ * refresh, so the new pair is saved right away. A failed refresh marks the
+ * integration as 'error' and sends an alert; long-lived tokens close to
+ * expiring are alerted too.
+ *
+ * Clients without an integration fall back to the global KOMMO_SUBDOMAIN /
+ * KOMMO_ACCESS_TOKEN.
+ *
+ * Secrets and tokens are encrypted with AES-256-GCM using a key derived from
+ * KOMMO_CREDENTIALS_KEY; nothing is stored without it.
+ *
+ * No refresh happens inside a simulation (dry-run): the rotated refresh token
+ * would not be saved.
+ */
+
+const crypto = require('crypto');
+const simulation = require('./simulation');
+const { sendAlert } = require('./alerts');
+const { logger } = require('../utils/logger');
+
+const AUTHORIZE_URL = 'https://www.kommo.com/oauth';
+const CALLBACK_PATH = '/oauth/kommo/callback';
+const STATUSES = ['pending', 'connected', 'error'];
+const REQUEST_TIMEOUT_MS = 15000;
+// Refresh when the access token has less than this left
+const REFRESH_MARGIN_MS = 10 * 60 * 1000;
+const CHECK_INTERVAL_MS = parseInt(process.env.KOMMO_TOKEN_CHECK_MINUTES || '30', 10) * 60 * 1000;
+const LONG_LIVED_WARNING_DAYS = 7;
+const ERROR_LIMIT = 500;
+
+let checkInterval = null;
+// One refresh at a time per client: the refresh token is single-use
+const refreshing = new Map();
+
+// ============================================
+// Encryption
+// ============================================
+
+function getKey() {
+    const secret = process.env.KOMMO_CREDENTIALS_KEY;
+    return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+function isKeyConfigured() {
+    return !!getKey();
+}
+
+function encrypt(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const key = getKey();
+    if (!key) throw new Error('KOMMO_CREDENTIALS_KEY não configurada');
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+function decrypt(value) {
+    if (!value) return null;
+    const key = getKey();
+    if (!key) throw new Error('KOMMO_CREDENTIALS_KEY não configurada');
+
+    const [version, iv, tag, data] = String(value).split(':');
+    if (version !== 'v1' || !data) throw new Error('Credencial do Kommo em formato inválido');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Expiry of a Kommo token (JWT `exp`), or null when it isn't a JWT.
+ */
+function tokenExpiry(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+        return payload.exp ? new Date(payload.exp * 1000).toISOString() : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Base URL of an account's API. KOMMO_API_BASE_URL points every account at a
+ * local stand-in (fixtures/tests).
+ */
+function apiBaseUrl(subdomain) {
+    return (process.env.KOMMO_API_BASE_URL || `https://${subdomain}.kommo.com`).replace(/\/+$/, '');
+}
+
+const SUBDOMAIN_PATTERN = /^[a-z0-9-]+$/;
+
+function normalizeSubdomain(value) {
+    return String(value || '').trim().toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/\.kommo\.com.*$/, '')
+        .replace(/\/.*$/, '');
+}
+
+// ============================================
+// Settings (admin)
+// ============================================
+
+function mapSettings(row) {
+    return {
+        subdomain: row.subdomain || '',
+        integration_id: row.integration_id || '',
+        redirect_uri: row.redirect_uri || '',
+        has_secret: !!row.client_secret,
+        status: row.status || null,
+        connected: !!row.access_token,
+        long_lived: !!row.access_token && !row.refresh_token,
+        token_expires_at: row.token_expires_at || null,
+        last_refresh_at: row.last_refresh_at || null,
+        last_error: row.last_error || null,
+        connected_at: row.connected_at || null,
+        key_configured: isKeyConfigured(),
+    };
+}
+
+/**
+ * Integration of a client (slug); { configured: false } when it has none.
+ * Returns null when the client doesn't exist.
+ */
+async function getSettings(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT c.id AS db_id, k.*
+         FROM clients c
+         LEFT JOIN kommo_integrations k ON k.client_id = c.id
+         WHERE c.slug = $1`,
+        [clientSlug]
+    );
+    if (!rows[0]) return null;
+    if (!rows[0].client_id) return { configured: false, status: null, key_configured: isKeyConfigured() };
+    return { configured: true, ...mapSettings(rows[0]) };
+}
+
+/**
+ * hasSecret: whether the client already has a stored integration secret (the
+ * secret is write-only, an empty client_secret keeps the current one).
+ */
+function validateSettings(data, { hasSecret = false } = {}) {
+    const errors = [];
+    const subdomain = normalizeSubdomain(data.subdomain);
+    if (!subdomain) errors.push('subdomain é obrigatório');
+    else if (!SUBDOMAIN_PATTERN.test(subdomain)) errors.push('subdomain inválido (ex: minhaempresa)');
+    if (data.integration_id && !data.client_secret && !hasSecret) {
+        errors.push('client_secret é obrigatório para a integração OAuth');
+    }
+    if (data.redirect_uri && !/^https?:\/\/\S+$/.test(String(data.redirect_uri))) errors.push('redirect_uri deve ser uma URL http(s)');
+    if ((data.client_secret || data.access_token) && !isKeyConfigured()) {
+        errors.push('KOMMO_CREDENTIALS_KEY não configurada no servidor');
+    }
+    return errors;
+}
+
+/**
+ * Saves the integration. A long-lived access_token connects the client right
+ * away (and drops the refresh token); otherwise the current tokens are kept.
+ */
+async function setSettings(pgService, clientSlug, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const accessToken = data.access_token ? String(data.access_token).trim() : null;
+    const { rows } = await pgService.query(
+        `INSERT INTO kommo_integrations (client_id, subdomain, integration_id, client_secret, redirect_uri,
+                                         access_token, token_expires_at, status, connected_at)
+         SELECT id, $2, $3, $4::text, $5, $6::text, $7::timestamptz,
+                CASE WHEN $6::text IS NULL THEN 'pending' ELSE 'connected' END,
+                CASE WHEN $6::text IS NULL THEN NULL ELSE NOW() END
+         FROM clients WHERE slug = $1
+         ON CONFLICT (client_id) DO UPDATE SET
+            subdomain = EXCLUDED.subdomain,
+            integration_id = EXCLUDED.integration_id,
+            client_secret = COALESCE($4::text, kommo_integrations.client_secret),
+            redirect_uri = EXCLUDED.redirect_uri,
+            access_token = COALESCE($6::text, kommo_integrations.access_token),
+            refresh_token = CASE WHEN $6::text IS NULL THEN kommo_integrations.refresh_token END,
+            token_expires_at = CASE WHEN $6::text IS NULL THEN kommo_integrations.token_expires_at ELSE $7::timestamptz END,
+            status = CASE WHEN $6::text IS NULL THEN kommo_integrations.status ELSE 'connected' END,
+            last_error = CASE WHEN $6::text IS NULL THEN kommo_integrations.last_error END,
+            connected_at = CASE WHEN $6::text IS NULL THEN kommo_integrations.connected_at ELSE NOW() END,
+            updated_at = NOW()
+         RETURNING *`,
+        [
+            clientSlug,
+            normalizeSubdomain(data.subdomain),
+            data.integration_id ? String(data.integration_id).trim() : null,
+            data.client_secret ? encrypt(String(data.client_secret).trim()) : null,
+            data.redirect_uri ? String(data.redirect_uri).trim() : null,
+            accessToken ? encrypt(accessToken) : null,
+            accessToken ? tokenExpiry(accessToken) : null,
+        ]
+    );
+    return rows[0] ? { configured: true, ...mapSettings(rows[0]) } : null;
+}
+
+async function deleteIntegration(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return false;
+
+    const { rowCount } = await pgService.query(
+        `DELETE FROM kommo_integrations k
+         USING clients c
+         WHERE k.client_id = c.id AND c.slug = $1`,
+        [clientSlug]
+    );
+    return rowCount > 0;
+}
+
+// ============================================
+// OAuth2 authorization code flow
+// ============================================
+
+async function requestToken(subdomain, body) {
+    let res;
+    try {
+        res = await fetch(`${apiBaseUrl(subdomain)}/oauth2/access_token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+    } catch (err) {
+        throw new Error(err.name === 'TimeoutError' ? `timeout após ${REQUEST_TIMEOUT_MS}ms` : err.message);
+    }
+    const text = await res.text();
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${text.slice(0, 300)}`);
+
+    const data = JSON.parse(text);
+    if (!data.access_token) throw new Error('Resposta do Kommo sem access_token');
+    return data;
+}
+
+async function saveTokens(pgService, clientDbId, tokens, { subdomain = null } = {}) {
+    const expiresAt = tokens.expires_in
+        ? new Date(Date.now() + Number(tokens.expires_in) * 1000).toISOString()
+        : tokenExpiry(tokens.access_token);
+
+    await pgService.query(
+        `UPDATE kommo_integrations SET
+            access_token = $2,
+            refresh_token = $3,
+            token_expires_at = $4,
+            subdomain = COALESCE($5, subdomain),
+            status = 'connected',
+            last_error = NULL,
+            last_refresh_at = NOW(),
+            updated_at = NOW()
+         WHERE client_id = $1`,
+        [clientDbId, encrypt(tokens.access_token), encrypt(tokens.refresh_token), expiresAt, subdomain]
+    );
+    return expiresAt;
+}
+
+/**
+ * Kommo consent page URL for a client. A new state is stored for the callback;
+ * the client's redirect_uri (or defaultRedirectUri) must be the one registered
+ * in the Kommo integration.
+ */
+async function buildAuthorizeUrl(pgService, clientSlug, { defaultRedirectUri } = {}) {
+    if (!pgService.isAvailable()) return null;
+
+    const state = crypto.randomBytes(24).toString('hex');
+    const { rows } = await pgService.query(
+        `UPDATE kommo_integrations k SET
+            oauth_state = $2,
+            redirect_uri = COALESCE(k.redirect_uri, $3),
+            updated_at = NOW()
+         FROM clients c
+         WHERE k.client_id = c.id AND c.slug = $1
+         RETURNING k.integration_id, k.client_secret`,
+        [clientSlug, state, defaultRedirectUri || null]
+    );
+    if (!rows[0]) return null;
+    if (!rows[0].integration_id || !rows[0].client_secret) {
+        throw new Error('Configure integration_id e client_secret antes de conectar');
+    }
+
+    const params = new URLSearchParams({ client_id: rows[0].integration_id, state, mode: 'popup' });
+    return `${AUTHORIZE_URL}?${params.toString()}`;
+}
+
+/**
+ * Kommo redirect after consent: { code, state, referer }. Exchanges the code
+ * for tokens and returns { slug, name }.
+ */
+async function handleCallback(pgService, { code, state, referer }) {
+    if (!pgService.isAvailable()) throw new Error('PostgreSQL indisponível');
+    if (!code || !state) throw new Error('Parâmetros code/state ausentes');
+
+    const { rows } = await pgService.query(
+        `SELECT k.*, c.slug, c.name FROM kommo_integrations k
+         JOIN clients c ON c.id = k.client_id
+         WHERE k.oauth_state = $1`,
+        [String(state)]
+    );
+    const row = rows[0];
+    if (!row) throw new Error('Autorização expirada ou inválida — clique em Conectar novamente');
+
+    // referer: conta que autorizou (subdominio.kommo.com). Vem na URL, então é
+    // validado como no cadastro — o client_secret é enviado para esse host
+    const subdomain = normalizeSubdomain(referer) || row.subdomain;
+    if (!subdomain || !SUBDOMAIN_PATTERN.test(subdomain)) {
+        throw new Error('Subdomínio do Kommo inválido no retorno da autorização');
+    }
+    try {
+        const tokens = await requestToken(subdomain, {
+            client_id: row.integration_id,
+            client_secret: decrypt(row.client_secret),
+            grant_type: 'authorization_code',
+            code: String(code),
+            redirect_uri: row.redirect_uri,
+        });
+        await saveTokens(pgService, row.client_id, tokens, { subdomain });
+        await pgService.query(
+            `UPDATE kommo_integrations SET oauth_state = NULL, connected_at = NOW() WHERE client_id = $1`,
+            [row.client_id]
+        );
+        logger.info('Kommo OAuth: client connected', { client: row.slug, subdomain });
+        return { slug: row.slug, name: row.name };
+    } catch (err) {
+        await markError(pgService, row, `Falha na autorização: ${err.message}`);
+        throw new Error(`Falha ao obter o token do Kommo: ${err.message}`);
+    }
+}
+
+// ============================================
+// Refresh
+// ============================================
+
+async function markError(pgService, row, message) {
+    await pgService.query(
+        `UPDATE kommo_integrations SET status = 'error', last_error = $2, updated_at = NOW() WHERE client_id = $1`,
+        [row.client_id, message.slice(0, ERROR_LIMIT)]
+    );
+}
+
+async function doRefresh(pgService, row) {
+    const slug = row.slug || row.client_id;
+    try {
+        const tokens = await requestToken(row.subdomain, {
+            client_id: row.integration_id,
+            client_secret: decrypt(row.client_secret),
+            grant_type: 'refresh_token',
+            refresh_token: decrypt(row.refresh_token),
+            redirect_uri: row.redirect_uri,
+        });
+        const expiresAt = await saveTokens(pgService, row.client_id, tokens);
+        logger.info('Kommo OAuth: token refreshed', { client: slug, expiresAt });
+        return { subdomain: row.subdomain, token: tokens.access_token };
+    } catch (err) {
+        logger.error('Kommo OAuth: token refresh failed', { client: slug, error: err.message });
+        await markError(pgService, row, `Falha ao renovar o token: ${err.message}`);
+        await sendAlert(`Kommo token (${slug})`, `Falha ao renovar o token do Kommo de <b>${slug}</b> (${row.subdomain}).\n${err.message}\nReconecte a integração no dashboard.`);
+        return null;
+    }
+}
+
+/**
+ * Refreshes a client's tokens (row from kommo_integrations, with slug).
+ * Concurrent calls for the same client share the same refresh.
+ */
+function refreshTokens(pgService, row) {
+    if (simulation.isActive()) return Promise.resolve(null);
+    if (!row.refresh_token || !row.integration_id || !row.client_secret) return Promise.resolve(null);
+
+    if (!refreshing.has(row.client_id)) {
+        refreshing.set(row.client_id, doRefresh(pgService, row).finally(() => refreshing.delete(row.client_id)));
+    }
+    return refreshing.get(row.client_id);
+}
+
+async function loadIntegration(pgService, clientDbId) {
+    const { rows } = await pgService.query(
+        `SELECT k.*, c.slug FROM kommo_integrations k
+         JOIN clients c ON c.id = k.client_id
+         WHERE k.client_id = $1`,
+        [clientDbId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Credentials for a Kommo API call on behalf of a client (loaded by
+ * clientManager): { subdomain, token } or null. Refreshes the access token
+ * when it is about to expire (or forceRefresh, e.g. after a 401).
+ */
+async function getAccessToken(pgService, client, { forceRefresh = false } = {}) {
+    if (client && client._db_id && pgService.isAvailable()) {
+        try {
+            const row = await loadIntegration(pgService, client._db_id);
+            if (row) {
+                if (!row.access_token) {
+                    logger.warn('[Kommo API] Integração do cliente sem token — conecte pelo dashboard', { client: client.slug || client.id });
+                    return null;
+                }
+                const expiresAt = row.token_expires_at ? new Date(row.token_expires_at).getTime() : null;
+                const expiring = expiresAt !== null && expiresAt - Date.now() < REFRESH_MARGIN_MS;
+                if ((forceRefresh || expiring) && row.refresh_token) {
+                    const refreshed = await refreshTokens(pgService, row);
+                    if (refreshed) return refreshed;
+                }
+                if (expiresAt !== null && expiresAt <= Date.now()) return null;
+                return { subdomain: row.subdomain, token: decrypt(row.access_token) };
+            }
+        } catch (err) {
+            logger.error('[Kommo API] Erro ao ler credenciais do cliente', { client: client.slug || client.id, error: err.message });
+            return null;
+        }
+    }
+
+    // Sem integração própria: credencial global (conta única)
+    const subdomain = process.env.KOMMO_SUBDOMAIN;
+    const token = process.env.KOMMO_ACCESS_TOKEN;
+    if (!subdomain || !token) return null;
+    return { subdomain, token };
+}
+
+/**
+ * Manual refresh from the dashboard. Returns the new settings or throws.
+ */
+async function refreshNow(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT k.*, c.slug FROM kommo_integrations k
+         JOIN clients c ON c.id = k.client_id
+         WHERE c.slug = $1`,
+        [clientSlug]
+    );
+    if (!rows[0]) return null;
+    if (!rows[0].refresh_token) throw new Error('Integração sem refresh token (token de longa duração ou não conectada)');
+
+    const refreshed = await refreshTokens(pgService, rows[0]);
+    if (!refreshed) throw new Error('Falha ao renovar o token — veja o erro da integração');
+    return getSettings(pgService, clientSlug);
+}
+
+/**
+ * Periodic check: refreshes access tokens that expire before the next check
+ * (which also keeps refresh tokens from expiring unused) and alerts on
+ * long-lived tokens about to expire.
+ */
+async function refreshExpiring(pgService) {
+    if (!pgService.isAvailable() || !isKeyConfigured()) return 0;
+
+    const { rows } = await pgService.query(
+        `SELECT k.*, c.slug FROM kommo_integrations k
+         JOIN clients c ON c.id = k.client_id
+         WHERE c.active = true AND k.access_token IS NOT NULL
+           AND k.token_expires_at < NOW() + make_interval(secs => $1)`,
+        [Math.round((CHECK_INTERVAL_MS + REFRESH_MARGIN_MS) / 1000) + LONG_LIVED_WARNING_DAYS * 86400]
+    );
+
+    let refreshed = 0;
+    const refreshBefore = Date.now() + CHECK_INTERVAL_MS + REFRESH_MARGIN_MS;
+    for (const row of rows) {
+        const expiresAt = new Date(row.token_expires_at).getTime();
+        if (row.refresh_token) {
+            if (expiresAt < refreshBefore && await refreshTokens(pgService, row)) refreshed++;
+            continue;
+        }
+        const days = Math.max(0, Math.floor((expiresAt - Date.now()) / 86400000));
+        await sendAlert(`Kommo token (${row.slug})`, `O token de longa duração do Kommo de <b>${row.slug}</b> (${row.subdomain}) expira em ${days} dia(s).\nGere um novo token e salve no dashboard.`);
+    }
+    return refreshed;
+}
+
+function startTokenRefresh(pgService) {
+    if (checkInterval) return;
+
+    const run = () => refreshExpiring(pgService).catch(err => logger.error('Kommo OAuth: refresh check error', { error: err.message }));
+    checkInterval = setInterval(run, CHECK_INTERVAL_MS);
+    run();
+
+    logger.info(`Kommo token refresh started (${CHECK_INTERVAL_MS / 60000}min interval)`);
+}
+
+function stopTokenRefresh() {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+    }
+}
+
+module.exports = {
+    getAccessToken,
+    getSettings,
+    setSettings,
+    validateSettings,
+    deleteIntegration,
+    buildAuthorizeUrl,
+    handleCallback,
+    refreshNow,
+    refreshExpiring,
+    startTokenRefresh,
+    stopTokenRefresh,
+    isKeyConfigured,
+    apiBaseUrl,
+    CALLBACK_PATH,
+    STATUSES,
+};
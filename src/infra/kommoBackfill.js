@@ -0,0 +1,318 @@
+/**
+ * KommoBackfill — Import of leads that already exist in Kommo
+ *
+ * For a client switching to Kommo, or after webhook downtime: a job pages
+ * through GET /api/v4/leads for a created_at range (and pipelines), and each
+ * lead not yet recorded in kommo_events goes through kommoHandler.importLead —
+ * the same routing, paid-source filter and phone lookup as a new lead.
+ *
+ *   - Jobs are tracked in kommo_backfill_jobs; one runs at a time
+ *   - Rate limited (inserted leads/minute) for the Sheets and Kommo quotas
+ *   - The page is checkpointed, so a 'running' job resumes after a restart
+ *     (leads already imported are skipped)
+ *   - report keeps the inserted leads (lead id, name, phone, channel)
+ *
+ * Jobs created by the CLI (kommo_backfill.js, origin 'cli') run in the CLI
+ * process and are never picked up by the server runner.
+ */
+
+const { logger } = require('../utils/logger');
+
+const DEFAULT_RATE_PER_MINUTE = parseInt(process.env.KOMMO_BACKFILL_RATE_PER_MINUTE, 10) || 30;
+const MAX_RATE_PER_MINUTE = 120;
+const PAGE_SIZE = 250;
+const MAX_REPORT_ENTRIES = 1000;
+const MAX_STORED_ERRORS = 50;
+
+let pg = null;
+let running = false;
+let stopping = false;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function toUnix(value) {
+    return Math.floor(new Date(value).getTime() / 1000);
+}
+
+function validateRequest(data) {
+    const errors = [];
+    for (const field of ['from', 'to']) {
+        if (!data[field]) errors.push(`${field} é obrigatório`);
+        else if (isNaN(new Date(data[field]).getTime())) errors.push(`${field} não é uma data válida`);
+    }
+    if (errors.length === 0 && new Date(data.from) > new Date(data.to)) errors.push('from deve ser anterior a to');
+    if (data.pipeline_id && !/^\d+$/.test(String(data.pipeline_id).trim())) errors.push('pipeline_id deve ser o ID numérico do pipeline');
+    if (data.rate_per_minute != null && data.rate_per_minute !== '') {
+        const rate = parseInt(data.rate_per_minute, 10);
+        if (!rate || rate < 1 || rate > MAX_RATE_PER_MINUTE) errors.push(`rate_per_minute deve estar entre 1 e ${MAX_RATE_PER_MINUTE}`);
+    }
+    return errors;
+}
+
+/**
+ * Creates a job for a client (loaded by clientManager). Without pipeline_id
+ * the client's own pipelines are used (none = the whole account; leads of
+ * other clients' pipelines are skipped on import).
+ */
+async function createJob(pgService, client, data, { createdBy = null, origin = 'dashboard' } = {}) {
+    if (!pgService.isAvailable() || !client || !client._db_id) return null;
+
+    const pipelines = data.pipeline_id
+        ? [String(data.pipeline_id).trim()]
+        : (client.kommo_pipeline_ids || []).map(String);
+    const rate = data.rate_per_minute ? parseInt(data.rate_per_minute, 10) : DEFAULT_RATE_PER_MINUTE;
+
+    const { rows } = await pgService.query(
+        `INSERT INTO kommo_backfill_jobs (client_id, date_from, date_to, pipeline_ids, origin, status, rate_per_minute, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+            client._db_id,
+            new Date(data.from).toISOString(),
+            new Date(data.to).toISOString(),
+            pipelines,
+            origin,
+            origin === 'cli' ? 'running' : 'pending',
+            rate,
+            createdBy,
+        ]
+    );
+    logger.info(`[Kommo Backfill] Job criado: ${rows[0].id} (${client.id}, ${data.from} → ${data.to}, origem ${origin})`);
+
+    if (origin !== 'cli') kick();
+    return rows[0];
+}
+
+async function getJob(pgService, jobId) {
+    if (!pgService.isAvailable()) return null;
+    const { rows } = await pgService.query(
+        `SELECT j.*, c.slug AS client_slug FROM kommo_backfill_jobs j
+         JOIN clients c ON c.id = j.client_id
+         WHERE j.id = $1`,
+        [jobId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Jobs of a client (slug), newest first, without the report.
+ */
+async function listJobs(pgService, clientSlug, limit = 20) {
+    if (!pgService.isAvailable()) return [];
+    const { rows } = await pgService.query(
+        `SELECT j.id, j.date_from, j.date_to, j.pipeline_ids, j.origin, j.status, j.rate_per_minute, j.page,
+                j.scanned, j.inserted, j.skipped_existing, j.skipped_organic, j.skipped_pipeline, j.failed,
+                j.errors, j.created_by, j.created_at, j.started_at, j.finished_at
+         FROM kommo_backfill_jobs j
+         JOIN clients c ON c.id = j.client_id
+         WHERE c.slug = $1
+         ORDER BY j.created_at DESC
+         LIMIT $2`,
+        [clientSlug, limit]
+    );
+    return rows;
+}
+
+/**
+ * Cancels a pending/running job. The runner checks the status between leads.
+ */
+async function cancelJob(pgService, jobId) {
+    if (!pgService.isAvailable()) return null;
+    const { rows } = await pgService.query(
+        `UPDATE kommo_backfill_jobs SET status = 'cancelled', finished_at = NOW()
+         WHERE id = $1 AND status IN ('pending', 'running')
+         RETURNING *`,
+        [jobId]
+    );
+    return rows[0] || null;
+}
+
+function leadsPath(job, page) {
+    const params = new URLSearchParams({
+        page: String(page),
+        limit: String(PAGE_SIZE),
+        'filter[created_at][from]': String(toUnix(job.date_from)),
+        'filter[created_at][to]': String(toUnix(job.date_to)),
+        'order[created_at]': 'asc',
+    });
+    (job.pipeline_ids || []).forEach((id, i) => params.append(`filter[pipeline_id][${i}]`, String(id)));
+    return `leads?${params.toString()}`;
+}
+
+async function recordedLeadIds(pgService, leadIds) {
+    if (leadIds.length === 0) return new Set();
+    const { rows } = await pgService.query(
+        'SELECT DISTINCT kommo_lead_id FROM kommo_events WHERE kommo_lead_id = ANY($1)',
+        [leadIds]
+    );
+    return new Set(rows.map(r => String(r.kommo_lead_id)));
+}
+
+/**
+ * Runs a job to the end (or until it is cancelled / the runner stops).
+ * onProgress(job counters) is called after each page (CLI output).
+ */
+async function runJob(pgService, job, { onProgress, shouldStop = () => false } = {}) {
+    // Carregados sob demanda: kommoHandler depende de infra/*
+    const clientManager = require('../clientManager');
+    const kommoApi = require('./kommoApi');
+    const kommoHandler = require('../kommoHandler');
+
+    const client = (clientManager.clients || []).find(c => c._db_id === job.client_id);
+    if (!client) throw new Error('Cliente do job não encontrado ou inativo');
+
+    const interval = Math.ceil(60000 / job.rate_per_minute);
+    logger.info(`[Kommo Backfill] Iniciando job ${job.id} (${client.id}, página ${job.page})`);
+
+    await pgService.query(
+        `UPDATE kommo_backfill_jobs SET status = 'running', started_at = COALESCE(started_at, NOW()) WHERE id = $1`,
+        [job.id]
+    );
+
+    let page = job.page;
+    while (true) {
+        const data = await kommoApi.get(pgService, client, leadsPath(job, page), `leads (página ${page})`);
+        if (!data) throw new Error(`Falha ao buscar a página ${page} de leads na API do Kommo`);
+
+        const leads = (data._embedded && data._embedded.leads) || [];
+        const recorded = await recordedLeadIds(pgService, leads.map(l => String(l.id)));
+        const counters = { scanned: leads.length, inserted: 0, skipped_existing: 0, skipped_organic: 0, skipped_pipeline: 0, failed: 0 };
+        const report = [];
+        const errors = [];
+
+        for (const apiLead of leads) {
+            if (stopping || shouldStop()) return;
+            const current = await getJob(pgService, job.id);
+            if (!current || current.status === 'cancelled') {
+                logger.info(`[Kommo Backfill] Job ${job.id} cancelado`);
+                return;
+            }
+
+            if (recorded.has(String(apiLead.id))) {
+                counters.skipped_existing++;
+                continue;
+            }
+
+            const startedAt = Date.now();
+            let result;
+            try {
+                result = await kommoHandler.importLead(apiLead, client);
+            } catch (err) {
+                result = { status: 'failed', leadId: apiLead.id, error: err.message };
+            }
+
+            if (result.status === 'inserted') {
+                counters.inserted++;
+                report.push({ kommo_lead_id: result.leadId, name: result.name, phone: result.phone, channel: result.channel });
+            } else if (result.status === 'failed') {
+                counters.failed++;
+                errors.push({ kommo_lead_id: result.leadId, error: result.error, at: new Date().toISOString() });
+            } else {
+                counters[result.status]++;
+                continue;
+            }
+
+            const wait = interval - (Date.now() - startedAt);
+            if (wait > 0) await sleep(wait);
+        }
+
+        page++;
+        const { rows } = await pgService.query(
+            `UPDATE kommo_backfill_jobs SET
+                page = $2,
+                scanned = scanned + $3,
+                inserted = inserted + $4,
+                skipped_existing = skipped_existing + $5,
+                skipped_organic = skipped_organic + $6,
+                skipped_pipeline = skipped_pipeline + $7,
+                failed = failed + $8,
+                report = CASE WHEN jsonb_array_length(report) < ${MAX_REPORT_ENTRIES} THEN report || $9::jsonb ELSE report END,
+                errors = CASE WHEN jsonb_array_length(errors) < ${MAX_STORED_ERRORS} THEN errors || $10::jsonb ELSE errors END
+             WHERE id = $1
+             RETURNING *`,
+            [
+                job.id, page, counters.scanned, counters.inserted, counters.skipped_existing,
+                counters.skipped_organic, counters.skipped_pipeline, counters.failed,
+                JSON.stringify(report), JSON.stringify(errors),
+            ]
+        );
+        if (onProgress && rows[0]) onProgress(rows[0]);
+
+        if (leads.length < PAGE_SIZE || !(data._links && data._links.next)) break;
+    }
+
+    await pgService.query(
+        `UPDATE kommo_backfill_jobs SET status = 'completed', finished_at = NOW() WHERE id = $1 AND status = 'running'`,
+        [job.id]
+    );
+    logger.info(`[Kommo Backfill] Job ${job.id} concluído`);
+}
+
+async function failJob(pgService, jobId, err) {
+    logger.error(`[Kommo Backfill] Job ${jobId} falhou`, { error: err.message });
+    await pgService.query(
+        `UPDATE kommo_backfill_jobs SET status = 'failed', finished_at = NOW(),
+            errors = errors || $2::jsonb
+         WHERE id = $1`,
+        [jobId, JSON.stringify([{ error: err.message, at: new Date().toISOString() }])]
+    ).catch(updateErr => {
+        logger.error(`[Kommo Backfill] Erro ao marcar job ${jobId} como falho: ${updateErr.message}`);
+    });
+}
+
+/**
+ * Runs queued dashboard jobs one at a time (running first, so interrupted
+ * jobs resume).
+ */
+async function kick() {
+    if (running || stopping || !pg || !pg.isAvailable()) return;
+    running = true;
+    try {
+        while (!stopping) {
+            const { rows } = await pg.query(
+                `SELECT * FROM kommo_backfill_jobs
+                 WHERE status IN ('running', 'pending') AND origin = 'dashboard'
+                 ORDER BY (status = 'running') DESC, created_at ASC
+                 LIMIT 1`
+            );
+            if (rows.length === 0) break;
+
+            try {
+                await runJob(pg, rows[0]);
+            } catch (err) {
+                await failJob(pg, rows[0].id, err);
+            }
+        }
+    } catch (err) {
+        // kick() roda sem await: um erro do banco aqui não pode virar rejeição não tratada
+        logger.error(`[Kommo Backfill] Erro ao buscar jobs na fila: ${err.message}`);
+    } finally {
+        running = false;
+    }
+}
+
+function startBackfillRunner(pgService) {
+    pg = pgService;
+    stopping = false;
+    kick();
+}
+
+// Stops between leads; a 'running' job resumes from its page on next start
+function stopBackfillRunner() {
+    stopping = true;
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    runJob,
+    failJob,
+    validateRequest,
+    startBackfillRunner,
+    stopBackfillRunner,
+    DEFAULT_RATE_PER_MINUTE,
+};
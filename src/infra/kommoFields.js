@@ -0,0 +1,208 @@
+/**
+ * KommoFields — Per-client Kommo custom field → sheet field mapping
+ *
+ * Clients keep product, city, notes and budget in Kommo lead custom fields.
+ * Each mapping points one of the logical sheet fields below to a Kommo field,
+ * by field id (numeric) or field code:
+ *
+ *   produto:     "Produto" column (and leads.product)
+ *   cidade:      "Cidade" column
+ *   comentarios: appended to "Comentários" (the team's text is kept)
+ *   valor:       "Valor de Fechamento" column, as an amount — only while the
+ *                lead has no sale (the sales ledger owns it afterwards)
+ *
+ * Multi-value fields (multiselect, checkboxes) are joined with ", ".
+ * Applied when the lead is inserted and on later leads[update] events
+ * (kommoHandler).
+ */
+
+const cache = require('./cache');
+const kommoApi = require('./kommoApi');
+const { logger } = require('../utils/logger');
+
+const SHEET_FIELDS = ['produto', 'cidade', 'comentarios', 'valor'];
+const CACHE_TTL = 300;
+
+function mapRow(row) {
+    return {
+        id: row.id,
+        sheet_field: row.sheet_field,
+        kommo_field: row.kommo_field,
+        kommo_field_name: row.kommo_field_name,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+    };
+}
+
+function cacheKey(clientDbId) {
+    return `clients:kommoFields:${clientDbId}`;
+}
+
+function toArray(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'object') return Object.values(value);
+    return [value];
+}
+
+/**
+ * Text of a custom field of the lead (webhook or API format), matched by id
+ * when the key is numeric and by code otherwise. null when absent or empty.
+ */
+function fieldText(customFields, key) {
+    const byId = /^\d+$/.test(key);
+    const field = toArray(customFields).find(f => byId
+        ? String(f.id) === key
+        : f.code && String(f.code).toLowerCase() === key.toLowerCase());
+    if (!field) return null;
+
+    const values = toArray(field.values)
+        .map(v => (v && typeof v === 'object' ? v.value : v))
+        .filter(v => v !== undefined && v !== null && String(v).trim() !== '')
+        .map(v => String(v).trim());
+    return values.length > 0 ? values.join(', ') : null;
+}
+
+/**
+ * "1500", "1.500,00", "R$ 1.500,50" → number, or null.
+ */
+function parseAmount(text) {
+    let value = String(text).replace(/[^\d.,-]/g, '');
+    if (value.includes(',')) value = value.replace(/\./g, '').replace(',', '.');
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) && amount > 0 ? Math.round(amount * 100) / 100 : null;
+}
+
+async function getMappings(pgService, client) {
+    if (!pgService.isAvailable() || !client._db_id) return [];
+
+    const cached = await cache.get(cacheKey(client._db_id));
+    if (cached) return cached;
+
+    try {
+        const { rows } = await pgService.query(
+            'SELECT * FROM kommo_field_mappings WHERE client_id = $1',
+            [client._db_id]
+        );
+        const mappings = rows.map(mapRow);
+        await cache.set(cacheKey(client._db_id), mappings, CACHE_TTL);
+        return mappings;
+    } catch (err) {
+        logger.error('Error reading Kommo field mappings', { client: client.id, error: err.message });
+        return [];
+    }
+}
+
+/**
+ * Sheet field values of a lead for a client loaded by clientManager:
+ * { produto?, cidade?, comentarios?, valor? } — only mapped fields present in
+ * the lead (valor as a number).
+ */
+async function extractFields(pgService, client, customFields) {
+    if (!client) return {};
+    const mappings = await getMappings(pgService, client);
+
+    const fields = {};
+    for (const mapping of mappings) {
+        const text = fieldText(customFields, mapping.kommo_field);
+        if (text === null) continue;
+        if (mapping.sheet_field === 'valor') {
+            const amount = parseAmount(text);
+            if (amount !== null) fields.valor = amount;
+        } else {
+            fields[mapping.sheet_field] = text;
+        }
+    }
+    return fields;
+}
+
+async function listMappings(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT m.* FROM kommo_field_mappings m
+         JOIN clients c ON c.id = m.client_id
+         WHERE c.slug = $1
+         ORDER BY m.sheet_field`,
+        [clientSlug]
+    );
+    return rows.map(mapRow);
+}
+
+function validateMapping(sheetField, data) {
+    const errors = [];
+    if (!SHEET_FIELDS.includes(sheetField)) errors.push(`campo da planilha inválido (use: ${SHEET_FIELDS.join(', ')})`);
+    const kommoField = data.kommo_field ? String(data.kommo_field).trim() : '';
+    if (!kommoField) errors.push('kommo_field é obrigatório (ID ou código do campo no Kommo)');
+    else if (kommoField.length > 100) errors.push('kommo_field muito longo (máx. 100)');
+    if (data.kommo_field_name && String(data.kommo_field_name).trim().length > 255) errors.push('kommo_field_name muito longo (máx. 255)');
+    return errors;
+}
+
+/**
+ * Points a sheet field of a client (slug) to a Kommo field (one per sheet field).
+ */
+async function setMapping(pgService, clientSlug, sheetField, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `INSERT INTO kommo_field_mappings (client_id, sheet_field, kommo_field, kommo_field_name)
+         SELECT id, $2, $3, $4 FROM clients WHERE slug = $1
+         ON CONFLICT (client_id, sheet_field) DO UPDATE SET
+            kommo_field = EXCLUDED.kommo_field,
+            kommo_field_name = EXCLUDED.kommo_field_name,
+            updated_at = NOW()
+         RETURNING *`,
+        [
+            clientSlug,
+            sheetField,
+            String(data.kommo_field).trim(),
+            data.kommo_field_name && String(data.kommo_field_name).trim() ? String(data.kommo_field_name).trim() : null,
+        ]
+    );
+    if (!rows[0]) return null;
+
+    await cache.del(cacheKey(rows[0].client_id));
+    return mapRow(rows[0]);
+}
+
+async function deleteMapping(pgService, clientSlug, sheetField) {
+    if (!pgService.isAvailable()) return false;
+
+    const { rows } = await pgService.query(
+        `DELETE FROM kommo_field_mappings m
+         USING clients c
+         WHERE m.sheet_field = $2 AND m.client_id = c.id AND c.slug = $1
+         RETURNING m.client_id`,
+        [clientSlug, sheetField]
+    );
+    if (!rows[0]) return false;
+
+    await cache.del(cacheKey(rows[0].client_id));
+    return true;
+}
+
+/**
+ * Lead custom fields of the client's Kommo account, for the dashboard:
+ * [{ id, name, code, type }], or null when the API can't be reached.
+ */
+async function fetchLeadFields(pgService, client) {
+    const data = await kommoApi.get(pgService, client, 'leads/custom_fields?limit=250', 'campos do lead');
+    if (!data) return null;
+
+    const fields = (data._embedded && data._embedded.custom_fields) || [];
+    return fields.map(f => ({ id: f.id, name: f.name || null, code: f.code || null, type: f.type || null }));
+}
+
+module.exports = {
+    extractFields,
+    fieldText,
+    parseAmount,
+    getMappings,
+    listMappings,
+    setMapping,
+    deleteMapping,
+    validateMapping,
+    fetchLeadFields,
+    SHEET_FIELDS,
+};
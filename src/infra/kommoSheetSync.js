@@ -0,0 +1,314 @@
+/**
+ * KommoSheetSync — Sheet Status column → Kommo pipeline stage (reverse sync)
+ *
+ * Opt-in per client (feature flag kommo_reverse_sync) for clients with
+ * webhook_source = 'kommo'. Every KOMMO_REVERSE_SYNC_MINUTES the Status and
+ * Telefone columns of the sheets holding the client's open Kommo leads are
+ * read. A Status that differs from the one we last wrote (leads.status) was
+ * changed by the team: it is matched to a stage by its label in the stage
+ * mapping (kommoStages, the lead's current pipeline first) and the lead is
+ * moved there through the API. Unknown labels and Comprou/Perdido are left
+ * alone — sales and losses stay in Kommo.
+ *
+ * Loop protection, both ways:
+ *   - webhook → sheet → Kommo: every sheet write of the handler also updates
+ *     leads.status, leads touched in the last GRACE_SECONDS wait for the next
+ *     poll, and a lead already at the target stage in Kommo is not moved
+ *   - sheet → Kommo → webhook: the move is marked in Redis (pushMarkerKey)
+ *     and the leads[status] webhook it causes doesn't rewrite the sheet
+ *     (kommoHandler → consumePushMarker)
+ *
+ * Each move (or refusal) is logged in kommo_events as lead.sheet_sync.
+ */
+
+const cache = require('./cache');
+const kommoApi = require('./kommoApi');
+const kommoStages = require('./kommoStages');
+const clientConfig = require('./clientConfig');
+const { normalizePhone } = require('../utils/formatter');
+const { logger } = require('../utils/logger');
+
+const INTERVAL_MS = (parseInt(process.env.KOMMO_REVERSE_SYNC_MINUTES, 10) || 5) * 60 * 1000;
+const GRACE_SECONDS = 120;
+const LOOKBACK_DAYS = 60;
+const PUSH_MARKER_TTL = 600;
+const EVENT_TYPE = 'lead.sheet_sync';
+
+let checkInterval = null;
+let running = false;
+// client:lead → Status da planilha já recusado (sem etapa, lead fechado no
+// Kommo...), para não repetir a chamada e o log a cada ciclo
+const refused = new Map();
+
+function pushMarkerKey(client, leadId) {
+    return `kommo:pushed:${client._db_id}:${leadId}`;
+}
+
+function sameStatus(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function isEnabled(client) {
+    const features = clientConfig.getConfig(client).features;
+    return client.webhook_source === 'kommo' && !!client.spreadsheet_id &&
+        features.kommo_reverse_sync === true && features.sheets_enabled && features.kommo_enabled;
+}
+
+/**
+ * Called by the leads[status] webhook: true (and the marker is dropped) when
+ * the lead was moved to this stage by the reverse sync, so the sheet already
+ * shows it.
+ */
+async function consumePushMarker(client, leadId, statusId) {
+    if (!client || !client._db_id) return false;
+    const key = pushMarkerKey(client, leadId);
+    const marker = await cache.get(key);
+    if (!marker || Number(marker.status_id) !== Number(statusId)) return false;
+    await cache.del(key);
+    return true;
+}
+
+/**
+ * Stage for a sheet label: a mapping of the lead's current pipeline first,
+ * otherwise the only pipeline that has the label. { stage }, or
+ * { stage: null, reason } when the label is unmapped or ambiguous.
+ */
+function pickStage(mappings, label, pipelineId) {
+    const candidates = mappings
+        .filter(m => m.sheet_label && sameStatus(m.sheet_label, label))
+        .sort((a, b) => a.sort - b.sort);
+    if (candidates.length === 0) return { stage: null, reason: 'unmapped' };
+
+    const samePipeline = candidates.find(m => m.pipeline_id === Number(pipelineId));
+    if (samePipeline) return { stage: samePipeline };
+
+    const pipelines = new Set(candidates.map(m => m.pipeline_id));
+    if (pipelines.size > 1) return { stage: null, reason: 'ambiguous' };
+    return { stage: candidates[0] };
+}
+
+function logEvent(pgService, client, leadId, payload, result) {
+    pgService.query(
+        'INSERT INTO kommo_events (client_id, event_type, kommo_lead_id, kommo_account_id, payload, processing_result) VALUES ($1, $2, $3, $4, $5, $6)',
+        [client._db_id, EVENT_TYPE, String(leadId), client.kommo_account_id || null, JSON.stringify(payload), result]
+    ).catch(err => logger.error(`[Kommo Planilha] Erro ao logar evento: ${err.message}`));
+}
+
+/**
+ * Open Kommo leads of the client with the sheet they were written to.
+ */
+async function candidateLeads(pgService, client) {
+    const { rows } = await pgService.query(
+        `SELECT phone, kommo_lead_id, status, stage, sheet_name FROM leads
+         WHERE client_id = $1
+           AND kommo_lead_id IS NOT NULL
+           AND sheet_name IS NOT NULL
+           AND closed_at IS NULL
+           AND COALESCE(stage, '') NOT IN ('won', 'lost')
+           AND last_event_at < NOW() - make_interval(secs => $2)
+           AND last_event_at > NOW() - make_interval(days => $3)`,
+        [client._db_id, GRACE_SECONDS, LOOKBACK_DAYS]
+    );
+    return rows;
+}
+
+/**
+ * Phone (E.164) → { sheetName, row, status }. The most recent monthly sheet
+ * is read first: active leads are copied to it at the start of the month.
+ */
+async function readSheetStatuses(sheetsService, client, sheetNames) {
+    const latest = (await sheetsService.getMonthlySheetNames(client.spreadsheet_id))[0];
+    const ordered = [...new Set([latest, ...sheetNames].filter(Boolean))];
+
+    const byPhone = new Map();
+    for (const sheetName of ordered) {
+        let rows;
+        try {
+            rows = await sheetsService.readLeadStatuses(client.spreadsheet_id, sheetName);
+        } catch (err) {
+            logger.warn(`[Kommo Planilha] Erro ao ler "${sheetName}" (${client.id}): ${err.message}`);
+            continue;
+        }
+        for (const entry of rows || []) {
+            const phone = normalizePhone(entry.phone);
+            if (!phone || byPhone.has(phone)) continue;
+            byPhone.set(phone, { sheetName, row: entry.row, status: entry.status });
+        }
+    }
+    return byPhone;
+}
+
+/**
+ * Moves one lead to the stage of the Status typed in the sheet.
+ * Returns the result: moved, already_at_stage, unmapped, ambiguous,
+ * closed_in_kommo or failed.
+ */
+async function pushStatus(pgService, client, lead, entry, mappings) {
+    const leadId = lead.kommo_lead_id;
+    const payload = { phone: lead.phone, sheet_name: entry.sheetName, sheet_row: entry.row, sheet_status: entry.status, previous_status: lead.status };
+
+    if (!mappings.some(m => m.sheet_label && sameStatus(m.sheet_label, entry.status))) {
+        logEvent(pgService, client, leadId, payload, 'unmapped');
+        return 'unmapped';
+    }
+
+    const current = await kommoApi.get(pgService, client, `leads/${leadId}`, `lead ${leadId}`);
+    if (!current) {
+        logEvent(pgService, client, leadId, payload, 'failed');
+        return 'failed';
+    }
+    if (kommoStages.FIXED_STATUSES.includes(Number(current.status_id))) {
+        logEvent(pgService, client, leadId, { ...payload, kommo_status_id: current.status_id }, 'closed_in_kommo');
+        return 'closed_in_kommo';
+    }
+
+    const { stage, reason } = pickStage(mappings, entry.status, current.pipeline_id);
+    if (!stage) {
+        logEvent(pgService, client, leadId, payload, reason);
+        return reason;
+    }
+
+    const status = entry.status;
+    if (stage.status_id === Number(current.status_id) && stage.pipeline_id === Number(current.pipeline_id)) {
+        // Já está na etapa (ex: o webhook escreveu a planilha durante a leitura)
+        await pgService.upsertLead(client._db_id, { kommoLeadId: leadId, status, stage: stage.stage });
+        return 'already_at_stage';
+    }
+
+    const key = pushMarkerKey(client, leadId);
+    await cache.set(key, { status_id: stage.status_id }, PUSH_MARKER_TTL);
+    const moved = await kommoApi.patch(pgService, client, `leads/${leadId}`, `lead ${leadId}`, {
+        status_id: stage.status_id,
+        pipeline_id: stage.pipeline_id,
+    });
+    const result = { ...payload, from_pipeline_id: current.pipeline_id, from_status_id: current.status_id, pipeline_id: stage.pipeline_id, status_id: stage.status_id };
+    if (!moved) {
+        await cache.del(key);
+        logEvent(pgService, client, leadId, result, 'failed');
+        return 'failed';
+    }
+
+    await pgService.upsertLead(client._db_id, { kommoLeadId: leadId, status, stage: stage.stage });
+    logEvent(pgService, client, leadId, result, 'success');
+    logger.info(`[Kommo Planilha] Lead ${leadId} (${client.id}) movido para "${stage.status_name || stage.status_id}" — Status "${status}" na planilha`);
+    return 'moved';
+}
+
+/**
+ * One pass for a client (loaded by clientManager). Returns
+ * { checked, changed, moved, skipped, failed }.
+ */
+async function syncClient(pgService, sheetsService, client) {
+    const summary = { checked: 0, changed: 0, moved: 0, skipped: 0, failed: 0 };
+    if (!pgService.isAvailable() || !sheetsService.sheets || !client._db_id) return summary;
+
+    const leads = await candidateLeads(pgService, client);
+    summary.checked = leads.length;
+    if (leads.length === 0) return summary;
+
+    const statuses = await readSheetStatuses(sheetsService, client, leads.map(l => l.sheet_name));
+    const changed = leads
+        .map(lead => ({ lead, entry: statuses.get(lead.phone) }))
+        .filter(({ lead, entry }) => entry && entry.status && !sameStatus(entry.status, lead.status));
+    summary.changed = changed.length;
+    if (changed.length === 0) return summary;
+
+    const mappings = await kommoStages.getMappings(pgService, client);
+    for (const { lead, entry } of changed) {
+        const refusedKey = `${client._db_id}:${lead.kommo_lead_id}`;
+        if (sameStatus(refused.get(refusedKey), entry.status)) {
+            summary.skipped++;
+            continue;
+        }
+
+        let result;
+        try {
+            result = await pushStatus(pgService, client, lead, entry, mappings);
+        } catch (err) {
+            logger.error(`[Kommo Planilha] Erro ao mover lead ${lead.kommo_lead_id} (${client.id}): ${err.message}`);
+            result = 'failed';
+        }
+
+        if (result === 'moved') summary.moved++;
+        else if (result === 'failed') summary.failed++;
+        else summary.skipped++;
+
+        if (result === 'unmapped' || result === 'ambiguous' || result === 'closed_in_kommo') {
+            refused.set(refusedKey, entry.status);
+            logger.info(`[Kommo Planilha] Status "${entry.status}" do lead ${lead.kommo_lead_id} (${client.id}) não enviado ao Kommo: ${result}`);
+        } else {
+            refused.delete(refusedKey);
+        }
+    }
+    return summary;
+}
+
+async function runSync(pgService, sheetsService) {
+    if (running || !pgService.isAvailable()) return;
+    running = true;
+
+    // Carregado sob demanda: clientManager depende de pgService
+    const clientManager = require('../clientManager');
+    try {
+        for (const client of (clientManager.clients || []).filter(isEnabled)) {
+            try {
+                const summary = await syncClient(pgService, sheetsService, client);
+                if (summary.changed > 0) logger.info(`[Kommo Planilha] ${client.id}: ${JSON.stringify(summary)}`);
+            } catch (err) {
+                logger.error(`[Kommo Planilha] Erro no cliente ${client.id}: ${err.message}`);
+            }
+        }
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Latest reverse sync events of a client (slug), for the dashboard.
+ */
+async function listEvents(pgService, clientSlug, limit = 20) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT e.kommo_lead_id, e.payload, e.processing_result, e.created_at
+         FROM kommo_events e
+         JOIN clients c ON c.id = e.client_id
+         WHERE c.slug = $1 AND e.event_type = $2
+         ORDER BY e.created_at DESC
+         LIMIT $3`,
+        [clientSlug, EVENT_TYPE, limit]
+    );
+    return rows.map(r => ({
+        kommo_lead_id: r.kommo_lead_id,
+        sheet_status: r.payload ? r.payload.sheet_status : null,
+        phone: r.payload ? r.payload.phone : null,
+        result: r.processing_result,
+        created_at: r.created_at,
+    }));
+}
+
+function startSheetSync(pgService, sheetsService) {
+    if (checkInterval) return;
+
+    checkInterval = setInterval(() => runSync(pgService, sheetsService), INTERVAL_MS);
+    setTimeout(() => runSync(pgService, sheetsService), 60 * 1000);
+
+    logger.info(`Kommo reverse sync started (${INTERVAL_MS / 60000}min interval)`);
+}
+
+function stopSheetSync() {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+    }
+}
+
+module.exports = {
+    syncClient,
+    consumePushMarker,
+    isEnabled,
+    listEvents,
+    startSheetSync,
+    stopSheetSync,
+    INTERVAL_MS,
+};
@@ -0,0 +1,212 @@
+/**
+ * KommoStages — Per-client Kommo pipeline stage → sheet status mapping
+ *
+ * The client's pipelines and stages come from the Kommo pipelines API
+ * (GET /api/v4/leads/pipelines) and are kept in kommo_stage_mappings, one row
+ * per pipeline + stage. Each stage can define the label written to the sheet's
+ * Status column and the canonical funnel stage; stages without a label don't
+ * touch the sheet. New stages start without a label: the dashboard opts them
+ * in.
+ *
+ * Closed Won (142) and Closed Lost (143) exist in every pipeline and keep
+ * their own handling (sales ledger / loss), so they aren't synced.
+ *
+ * A stage change for a pipeline/stage not synced yet triggers a sync (at most
+ * once per SYNC_COOLDOWN_MS per client after a successful sync, or
+ * SYNC_RETRY_MS after a failed one), so stages created in Kommo show up
+ * without a manual sync.
+ */
+
+const cache = require('./cache');
+const kommoApi = require('./kommoApi');
+const simulation = require('./simulation');
+const { STAGES } = require('./statusMappings');
+const { logger } = require('../utils/logger');
+
+const FIXED_STATUSES = [142, 143];
+const CACHE_TTL = 300;
+const SYNC_COOLDOWN_MS = 10 * 60 * 1000;
+const SYNC_RETRY_MS = 60 * 1000;
+
+// client uuid → earliest time of the next automatic sync
+const nextSync = new Map();
+
+function mapRow(row) {
+    return {
+        id: row.id,
+        pipeline_id: Number(row.pipeline_id),
+        pipeline_name: row.pipeline_name,
+        status_id: Number(row.status_id),
+        status_name: row.status_name,
+        sort: row.sort,
+        sheet_label: row.sheet_label,
+        stage: row.stage,
+        synced_at: row.synced_at,
+        updated_at: row.updated_at,
+    };
+}
+
+function cacheKey(clientDbId) {
+    return `clients:kommoStages:${clientDbId}`;
+}
+
+/**
+ * Pipelines and stages of the client's Kommo account:
+ * [{ pipeline_id, pipeline_name, status_id, status_name, sort }], or null when
+ * the API can't be reached.
+ */
+async function fetchStages(pgService, client) {
+    const data = await kommoApi.get(pgService, client, 'leads/pipelines', 'pipelines');
+    if (!data || !data._embedded || !Array.isArray(data._embedded.pipelines)) return null;
+
+    const stages = [];
+    for (const pipeline of data._embedded.pipelines) {
+        const statuses = (pipeline._embedded && pipeline._embedded.statuses) || [];
+        for (const status of statuses) {
+            if (FIXED_STATUSES.includes(Number(status.id))) continue;
+            stages.push({
+                pipeline_id: Number(pipeline.id),
+                pipeline_name: pipeline.name || null,
+                status_id: Number(status.id),
+                status_name: status.name || null,
+                sort: Number(status.sort) || 0,
+            });
+        }
+    }
+    return stages;
+}
+
+/**
+ * Syncs a client's stages (client loaded by clientManager) from the Kommo API.
+ * Names and order are updated; labels and funnel stages set in the dashboard
+ * are kept, and new stages have no label. Returns { synced } or null when the API can't be reached.
+ */
+async function syncStages(pgService, client) {
+    if (!pgService.isAvailable() || !client || !client._db_id) return null;
+
+    // Holds concurrent automatic syncs while the API call runs; a failure only
+    // waits SYNC_RETRY_MS
+    nextSync.set(client._db_id, Date.now() + SYNC_RETRY_MS);
+    const stages = await fetchStages(pgService, client);
+    if (!stages) return null;
+    nextSync.set(client._db_id, Date.now() + SYNC_COOLDOWN_MS);
+
+    for (const stage of stages) {
+        await pgService.query(
+            `INSERT INTO kommo_stage_mappings (client_id, pipeline_id, pipeline_name, status_id, status_name, sort, sheet_label, synced_at)
+             VALUES ($1, $2, $3, $4, $5, $6, NULL, NOW())
+             ON CONFLICT (client_id, pipeline_id, status_id) DO UPDATE SET
+                pipeline_name = EXCLUDED.pipeline_name,
+                status_name = EXCLUDED.status_name,
+                sort = EXCLUDED.sort,
+                synced_at = NOW()`,
+            [client._db_id, stage.pipeline_id, stage.pipeline_name, stage.status_id, stage.status_name, stage.sort]
+        );
+    }
+    await cache.del(cacheKey(client._db_id));
+
+    logger.info('Kommo stages synced', { client: client.id, stages: stages.length });
+    return { synced: stages.length };
+}
+
+async function getMappings(pgService, client) {
+    if (!pgService.isAvailable() || !client._db_id) return [];
+
+    const cached = await cache.get(cacheKey(client._db_id));
+    if (cached) return cached;
+
+    try {
+        const { rows } = await pgService.query(
+            'SELECT * FROM kommo_stage_mappings WHERE client_id = $1',
+            [client._db_id]
+        );
+        const mappings = rows.map(mapRow);
+        await cache.set(cacheKey(client._db_id), mappings, CACHE_TTL);
+        return mappings;
+    } catch (err) {
+        logger.error('Error reading Kommo stage mappings', { client: client.id, error: err.message });
+        return [];
+    }
+}
+
+function findMapping(mappings, pipelineId, statusId) {
+    return mappings.find(m => m.status_id === Number(statusId) &&
+        (!pipelineId || m.pipeline_id === Number(pipelineId))) || null;
+}
+
+/**
+ * Mapping of a Kommo stage for a client, or null. Unknown stages trigger a
+ * sync from the API (throttled per client).
+ */
+async function resolveStage(pgService, client, pipelineId, statusId) {
+    if (!client || !statusId || FIXED_STATUSES.includes(Number(statusId))) return null;
+
+    let mapping = findMapping(await getMappings(pgService, client), pipelineId, statusId);
+    if (mapping || simulation.isActive()) return mapping;
+
+    if (Date.now() < (nextSync.get(client._db_id) || 0)) return null;
+
+    try {
+        if (await syncStages(pgService, client)) {
+            mapping = findMapping(await getMappings(pgService, client), pipelineId, statusId);
+        }
+    } catch (err) {
+        logger.error('Error syncing Kommo stages', { client: client.id, error: err.message });
+    }
+    return mapping;
+}
+
+async function listMappings(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT m.* FROM kommo_stage_mappings m
+         JOIN clients c ON c.id = m.client_id
+         WHERE c.slug = $1
+         ORDER BY m.pipeline_name, m.pipeline_id, m.sort`,
+        [clientSlug]
+    );
+    return rows.map(mapRow);
+}
+
+function validateMapping(data) {
+    const errors = [];
+    if (data.sheet_label && String(data.sheet_label).trim().length > 255) errors.push('sheet_label muito longo (máx. 255)');
+    if (data.stage && !STAGES.includes(data.stage)) errors.push(`stage inválido (use: ${STAGES.join(', ')})`);
+    return errors;
+}
+
+async function updateMapping(pgService, clientSlug, mappingId, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `UPDATE kommo_stage_mappings m SET
+            sheet_label = $3,
+            stage = $4,
+            updated_at = NOW()
+         FROM clients c
+         WHERE m.id = $2 AND m.client_id = c.id AND c.slug = $1
+         RETURNING m.*`,
+        [
+            clientSlug,
+            mappingId,
+            data.sheet_label && String(data.sheet_label).trim() ? String(data.sheet_label).trim() : null,
+            data.stage || null,
+        ]
+    );
+    if (!rows[0]) return null;
+
+    await cache.del(cacheKey(rows[0].client_id));
+    return mapRow(rows[0]);
+}
+
+module.exports = {
+    resolveStage,
+    findMapping,
+    syncStages,
+    getMappings,
+    listMappings,
+    updateMapping,
+    validateMapping,
+    FIXED_STATUSES,
+};
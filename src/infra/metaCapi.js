@@ -0,0 +1,454 @@
+/**
+ * MetaCapi — Won leads sent back to Meta as Conversions API events
+ *
+ * Sales detected by the Tintim and Kommo handlers are recorded as Purchase
+ * events in meta_capi_events (clients with meta_capi_enabled only):
+ *
+ *   { event_name: 'Purchase', event_time, event_id, action_source,
+ *     user_data: { ph: [sha256(phone digits)], ctwa_clid?, page_id? },
+ *     custom_data: { value, currency } }
+ *
+ * Leads that came from a click-to-WhatsApp ad (ctwa_clid in meta_conversions)
+ * are sent as business_messaging events; the rest as system_generated.
+ *
+ * event_id is derived from the sale (Kommo lead id, or phone + sale day for
+ * Tintim), so repeated webhooks for the same sale don't create a second event
+ * and Meta deduplicates anything sent twice.
+ *
+ * Pending events are flushed in batches per client through a transport chosen
+ * per client (meta_capi_delivery):
+ *   - ndjson: appended to META_CAPI_NDJSON_DIR/<slug>-<YYYY-MM-DD>.ndjson
+ *   - http:   POST { data, access_token, test_event_code? } to META_CAPI_ENDPOINT
+ * A failed batch stays pending (with backoff) until META_CAPI_MAX_ATTEMPTS.
+ *
+ * Nothing is recorded inside a simulation (dry-run).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const simulation = require('./simulation');
+const { normalizePhone, formatDateBR } = require('../utils/formatter');
+const { logger } = require('../utils/logger');
+
+const DELIVERY_MODES = ['ndjson', 'http'];
+const STATUSES = ['pending', 'sent', 'failed'];
+const DEFAULT_CURRENCY = 'BRL';
+const DEFAULT_ENDPOINT = 'https://graph.facebook.com/v21.0/{dataset_id}/events';
+const BATCH_SIZE = Math.min(parseInt(process.env.META_CAPI_BATCH_SIZE || '500', 10), 1000);
+const MAX_ATTEMPTS = parseInt(process.env.META_CAPI_MAX_ATTEMPTS || '5', 10);
+const FLUSH_INTERVAL_MS = parseInt(process.env.META_CAPI_FLUSH_INTERVAL_SECONDS || '60', 10) * 1000;
+const REQUEST_TIMEOUT_MS = 15000;
+const RESPONSE_LIMIT = 1000;
+
+let flushInterval = null;
+let flushing = false;
+
+function hashPhone(phone) {
+    const digits = normalizePhone(phone).replace(/\D/g, '');
+    return digits ? crypto.createHash('sha256').update(digits).digest('hex') : null;
+}
+
+function buildEventId(source, clientId, saleRef) {
+    const hash = crypto.createHash('sha256').update(`${clientId}|${saleRef}`).digest('hex').slice(0, 40);
+    return `${source}-${hash}`;
+}
+
+/**
+ * The Conversions API event for one sale.
+ */
+function buildEvent({ eventId, eventTime, phone, value, currency, ctwaClid, pageId }) {
+    const userData = { ph: [hashPhone(phone)].filter(Boolean) };
+    if (ctwaClid) {
+        userData.ctwa_clid = ctwaClid;
+        if (pageId) userData.page_id = pageId;
+    }
+
+    const event = {
+        event_name: 'Purchase',
+        event_time: Math.floor(eventTime.getTime() / 1000),
+        event_id: eventId,
+        action_source: ctwaClid ? 'business_messaging' : 'system_generated',
+        user_data: userData,
+        custom_data: { value: Number(value) || 0, currency },
+    };
+    if (ctwaClid) event.messaging_channel = 'whatsapp';
+    return event;
+}
+
+// ============================================
+// Settings (admin)
+// ============================================
+
+function mapSettings(row) {
+    return {
+        enabled: row.meta_capi_enabled === true,
+        delivery: row.meta_capi_delivery || 'ndjson',
+        dataset_id: row.meta_dataset_id || '',
+        page_id: row.meta_page_id || '',
+        currency: row.meta_capi_currency || DEFAULT_CURRENCY,
+        test_event_code: row.meta_capi_test_event_code || '',
+        has_token: !!row.meta_capi_token,
+    };
+}
+
+async function getSettings(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT meta_capi_enabled, meta_capi_delivery, meta_dataset_id, meta_page_id,
+                meta_capi_token, meta_capi_currency, meta_capi_test_event_code
+         FROM clients WHERE slug = $1`,
+        [clientSlug]
+    );
+    return rows[0] ? mapSettings(rows[0]) : null;
+}
+
+/**
+ * hasToken: whether the client already has a stored access token (the token is
+ * write-only, an empty access_token keeps the current one).
+ */
+function validateSettings(data, { hasToken = false } = {}) {
+    const errors = [];
+    if (data.delivery !== undefined && !DELIVERY_MODES.includes(data.delivery)) {
+        errors.push(`delivery inválido (use: ${DELIVERY_MODES.join(', ')})`);
+    }
+    if (data.currency !== undefined && !/^[A-Z]{3}$/.test(String(data.currency))) {
+        errors.push('currency inválida (código ISO 4217, ex: BRL)');
+    }
+    for (const field of ['dataset_id', 'page_id']) {
+        if (data[field] && !/^\d+$/.test(String(data[field]))) errors.push(`${field} deve ser numérico`);
+    }
+    if (data.enabled === true && data.delivery === 'http') {
+        if (!data.dataset_id) errors.push('dataset_id é obrigatório para envio http');
+        if (!data.access_token && !hasToken) errors.push('access_token é obrigatório para envio http');
+    }
+    return errors;
+}
+
+async function setSettings(pgService, clientSlug, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `UPDATE clients SET
+            meta_capi_enabled = $2,
+            meta_capi_delivery = $3,
+            meta_dataset_id = $4,
+            meta_page_id = $5,
+            meta_capi_currency = $6,
+            meta_capi_test_event_code = $7,
+            meta_capi_token = COALESCE($8, meta_capi_token),
+            updated_at = NOW()
+         WHERE slug = $1
+         RETURNING meta_capi_enabled, meta_capi_delivery, meta_dataset_id, meta_page_id,
+                   meta_capi_token, meta_capi_currency, meta_capi_test_event_code`,
+        [
+            clientSlug,
+            data.enabled === true,
+            data.delivery || 'ndjson',
+            data.dataset_id ? String(data.dataset_id) : null,
+            data.page_id ? String(data.page_id) : null,
+            data.currency || DEFAULT_CURRENCY,
+            data.test_event_code ? String(data.test_event_code).trim() : null,
+            data.access_token ? String(data.access_token).trim() : null,
+        ]
+    );
+    return rows[0] ? mapSettings(rows[0]) : null;
+}
+
+// ============================================
+// Recording sales
+// ============================================
+
+async function findCtwaClid(pgService, clientDbId, phone) {
+    const { rows } = await pgService.query(
+        `SELECT ctwa_clid FROM meta_conversions
+         WHERE client_id = $1 AND lead_phone = $2 AND ctwa_clid IS NOT NULL
+         ORDER BY created_at DESC LIMIT 1`,
+        [clientDbId, phone]
+    );
+    return rows[0] ? rows[0].ctwa_clid : null;
+}
+
+/**
+ * Records a won lead for the client loaded by clientManager (uses client._db_id).
+ *
+ * sale: { phone, value, source: 'tintim' | 'kommo', saleRef?, eventTime? }
+ *   saleRef identifies the sale for deduplication (the sales ledger entry, or
+ *   the Kommo won event); without it the phone and the sale day are used.
+ *
+ * A repeated sale only updates a still pending event when it brings a higher
+ * value (Tintim often sends the amount in a later update). Never throws.
+ */
+async function recordPurchase(pgService, client, sale) {
+    if (simulation.isActive() || !client || !client._db_id || !pgService.isAvailable()) return null;
+    if (client.meta_capi_enabled !== true) return null;
+
+    // Meta needs at least one user identifier to match the event
+    const phone = normalizePhone(sale.phone);
+    if (!phone) return null;
+
+    try {
+        const eventTime = sale.eventTime && !isNaN(new Date(sale.eventTime)) ? new Date(sale.eventTime) : new Date();
+        const saleRef = sale.saleRef ? String(sale.saleRef) : `${phone}@${formatDateBR(eventTime.toISOString())}`;
+        const eventId = buildEventId(sale.source, client._db_id, saleRef);
+        const ctwaClid = await findCtwaClid(pgService, client._db_id, phone);
+        const currency = client.meta_capi_currency || DEFAULT_CURRENCY;
+        const value = Number(sale.value) || 0;
+
+        const event = buildEvent({ eventId, eventTime, phone, value, currency, ctwaClid, pageId: client.meta_page_id });
+
+        const { rows } = await pgService.query(
+            `INSERT INTO meta_capi_events
+                (client_id, event_id, event_time, lead_phone, source, source_ref, ctwa_clid, value, currency, payload)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             ON CONFLICT (client_id, event_id) DO UPDATE SET
+                value = EXCLUDED.value,
+                payload = EXCLUDED.payload
+             WHERE meta_capi_events.status = 'pending' AND EXCLUDED.value > meta_capi_events.value
+             RETURNING id, (xmax = 0) AS inserted`,
+            [client._db_id, eventId, eventTime, phone, sale.source, saleRef, ctwaClid, value, currency, JSON.stringify(event)]
+        );
+
+        if (rows.length === 0) {
+            logger.info('Meta CAPI: sale already recorded', { client: client.slug || client.id, eventId });
+            return null;
+        }
+        logger.info(`Meta CAPI: purchase ${rows[0].inserted ? 'recorded' : 'value updated'}`, { client: client.slug || client.id, eventId, value, ctwa: !!ctwaClid });
+        return { id: rows[0].id, eventId };
+    } catch (err) {
+        logger.error('Meta CAPI: error recording purchase', { client: client.slug || client.id, error: err.message });
+        return null;
+    }
+}
+
+// ============================================
+// Transports
+// ============================================
+
+/**
+ * Each transport sends one batch of events for a client and returns
+ * { destination, response }; throwing marks the batch as a failed attempt.
+ */
+const TRANSPORTS = {
+    async ndjson(client, events) {
+        const dir = process.env.META_CAPI_NDJSON_DIR || path.join(process.cwd(), 'exports', 'meta-capi');
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${client.slug}-${new Date().toISOString().slice(0, 10)}.ndjson`);
+        await fs.promises.appendFile(file, events.map(e => JSON.stringify(e)).join('\n') + '\n');
+        return { destination: file, response: null };
+    },
+
+    async http(client, events) {
+        if (!client.meta_dataset_id || !client.meta_capi_token) {
+            throw new Error('dataset_id/access_token não configurados');
+        }
+        const url = (process.env.META_CAPI_ENDPOINT || DEFAULT_ENDPOINT)
+            .replace('{dataset_id}', encodeURIComponent(client.meta_dataset_id));
+        const body = { data: events, access_token: client.meta_capi_token };
+        if (client.meta_capi_test_event_code) body.test_event_code = client.meta_capi_test_event_code;
+
+        let res;
+        try {
+            res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+            });
+        } catch (err) {
+            throw new Error(err.name === 'TimeoutError' ? `timeout após ${REQUEST_TIMEOUT_MS}ms` : err.message);
+        }
+        const text = (await res.text().catch(() => '')).slice(0, RESPONSE_LIMIT);
+        if (!res.ok) throw new Error(`HTTP ${res.status}: ${text}`);
+        return { destination: url, response: text };
+    },
+};
+
+// ============================================
+// Flushing
+// ============================================
+
+async function flushClient(pgService, client) {
+    // Failed attempts back off: 1, 2, 4, 8... minutes
+    const { rows: events } = await pgService.query(
+        `SELECT id, payload FROM meta_capi_events
+         WHERE client_id = $1 AND status = 'pending'
+           AND (last_attempt_at IS NULL OR last_attempt_at < NOW() - INTERVAL '1 minute' * power(2, attempts - 1))
+         ORDER BY created_at
+         LIMIT $2`,
+        [client.id, BATCH_SIZE]
+    );
+    if (events.length === 0) return { client: client.slug, sent: 0, failed: 0 };
+
+    const ids = events.map(e => e.id);
+    const transport = TRANSPORTS[client.meta_capi_delivery] || TRANSPORTS.ndjson;
+    try {
+        const { destination, response } = await transport(client, events.map(e => e.payload));
+        await pgService.query(
+            `UPDATE meta_capi_events SET
+                status = 'sent', attempts = attempts + 1, delivery = $2, destination = $3,
+                response = $4, error = NULL, last_attempt_at = NOW(), sent_at = NOW()
+             WHERE id = ANY($1::uuid[])`,
+            [ids, client.meta_capi_delivery, destination, response]
+        );
+        logger.info('Meta CAPI: batch sent', { client: client.slug, delivery: client.meta_capi_delivery, events: ids.length });
+        return { client: client.slug, sent: ids.length, failed: 0 };
+    } catch (err) {
+        const { rows } = await pgService.query(
+            `UPDATE meta_capi_events SET
+                attempts = attempts + 1,
+                status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE 'pending' END,
+                delivery = $4, error = $2, last_attempt_at = NOW()
+             WHERE id = ANY($1::uuid[])
+             RETURNING status`,
+            [ids, err.message, MAX_ATTEMPTS, client.meta_capi_delivery]
+        );
+        const failed = rows.filter(r => r.status === 'failed').length;
+        logger.warn('Meta CAPI: batch failed', { client: client.slug, delivery: client.meta_capi_delivery, events: ids.length, failed, error: err.message });
+        return { client: client.slug, sent: 0, failed, error: err.message };
+    }
+}
+
+/**
+ * Sends the pending events of every enabled client (or only clientSlug).
+ * Returns one summary per client with pending events.
+ */
+async function flushPending(pgService, { clientSlug = null } = {}) {
+    if (!pgService.isAvailable() || flushing) return [];
+    flushing = true;
+
+    try {
+        const params = [];
+        let filter = '';
+        if (clientSlug) { params.push(clientSlug); filter = 'AND c.slug = $1'; }
+        const { rows: clients } = await pgService.query(
+            `SELECT c.id, c.slug, c.meta_capi_delivery, c.meta_dataset_id, c.meta_capi_token, c.meta_capi_test_event_code
+             FROM clients c
+             WHERE c.meta_capi_enabled = true ${filter}
+               AND EXISTS (SELECT 1 FROM meta_capi_events e WHERE e.client_id = c.id AND e.status = 'pending')`,
+            params
+        );
+
+        const results = [];
+        for (const client of clients) {
+            try {
+                results.push(await flushClient(pgService, client));
+            } catch (err) {
+                logger.error('Meta CAPI: flush error', { client: client.slug, error: err.message });
+            }
+        }
+        return results;
+    } finally {
+        flushing = false;
+    }
+}
+
+function startCapiDispatcher(pgService) {
+    if (flushInterval) return;
+
+    flushInterval = setInterval(() => {
+        flushPending(pgService).catch(err => logger.error('Meta CAPI: dispatcher error', { error: err.message }));
+    }, FLUSH_INTERVAL_MS);
+
+    logger.info(`Meta CAPI dispatcher started (${FLUSH_INTERVAL_MS / 1000}s interval)`);
+}
+
+function stopCapiDispatcher() {
+    if (flushInterval) {
+        clearInterval(flushInterval);
+        flushInterval = null;
+    }
+}
+
+// ============================================
+// Delivery status (admin)
+// ============================================
+
+function mapEvent(row) {
+    return {
+        id: row.id,
+        event_id: row.event_id,
+        event_name: row.event_name,
+        event_time: row.event_time,
+        lead_phone: row.lead_phone,
+        source: row.source,
+        source_ref: row.source_ref,
+        ctwa_clid: row.ctwa_clid,
+        value: parseFloat(row.value) || 0,
+        currency: row.currency,
+        status: row.status,
+        attempts: row.attempts,
+        delivery: row.delivery,
+        destination: row.destination,
+        response: row.response,
+        error: row.error,
+        created_at: row.created_at,
+        last_attempt_at: row.last_attempt_at,
+        sent_at: row.sent_at,
+    };
+}
+
+async function listEvents(pgService, clientSlug, { status, phone, limit = 50 } = {}) {
+    if (!pgService.isAvailable()) return null;
+
+    const params = [clientSlug];
+    let where = 'c.slug = $1';
+    if (STATUSES.includes(status)) { params.push(status); where += ` AND e.status = $${params.length}`; }
+    if (phone) { params.push(normalizePhone(phone)); where += ` AND e.lead_phone = $${params.length}`; }
+    params.push(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500));
+
+    const { rows } = await pgService.query(
+        `SELECT e.* FROM meta_capi_events e
+         JOIN clients c ON c.id = e.client_id
+         WHERE ${where}
+         ORDER BY e.created_at DESC
+         LIMIT $${params.length}`,
+        params
+    );
+    const { rows: counts } = await pgService.query(
+        `SELECT e.status, COUNT(*)::int AS total FROM meta_capi_events e
+         JOIN clients c ON c.id = e.client_id
+         WHERE c.slug = $1
+         GROUP BY e.status`,
+        [clientSlug]
+    );
+    return {
+        events: rows.map(mapEvent),
+        counts: Object.fromEntries(STATUSES.map(s => [s, (counts.find(r => r.status === s) || {}).total || 0])),
+    };
+}
+
+/**
+ * Puts failed events (all of the client, or just eventId) back in the queue.
+ */
+async function retryFailed(pgService, clientSlug, eventId = null) {
+    if (!pgService.isAvailable()) return null;
+
+    const params = [clientSlug];
+    let filter = '';
+    if (eventId) { params.push(eventId); filter = 'AND e.id = $2'; }
+    const { rowCount } = await pgService.query(
+        `UPDATE meta_capi_events e SET status = 'pending', attempts = 0, error = NULL, last_attempt_at = NULL
+         FROM clients c
+         WHERE e.client_id = c.id AND c.slug = $1 AND e.status = 'failed' ${filter}`,
+        params
+    );
+    return rowCount;
+}
+
+module.exports = {
+    recordPurchase,
+    flushPending,
+    startCapiDispatcher,
+    stopCapiDispatcher,
+    getSettings,
+    setSettings,
+    validateSettings,
+    listEvents,
+    retryFailed,
+    buildEvent,
+    hashPhone,
+    TRANSPORTS,
+    DELIVERY_MODES,
+};
@@ -94,6 +94,43 @@ const queueFailed = new client.Gauge({
     registers: [register],
 });
 
+// Kommo API client (kommoApi)
+const kommoApiRequests = new client.Counter({
+    name: 'lucari_kommo_api_requests_total',
+    help: 'Kommo API requests by endpoint and HTTP status (network errors: status "error")',
+    labelNames: ['endpoint', 'status'],
+    registers: [register],
+});
+
+const kommoApiDuration = new client.Histogram({
+    name: 'lucari_kommo_api_request_duration_seconds',
+    help: 'Kommo API request duration in seconds',
+    labelNames: ['endpoint'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 15],
+    registers: [register],
+});
+
+const kommoApiRetries = new client.Counter({
+    name: 'lucari_kommo_api_retries_total',
+    help: 'Kommo API retries by reason (429, 5xx, network)',
+    labelNames: ['reason'],
+    registers: [register],
+});
+
+const kommoApiThrottleWait = new client.Histogram({
+    name: 'lucari_kommo_api_throttle_wait_seconds',
+    help: 'Time spent waiting for the Kommo API rate limiter',
+    buckets: [0, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register],
+});
+
+const kommoApiCache = new client.Counter({
+    name: 'lucari_kommo_api_cache_total',
+    help: 'Kommo lead → contact → phone cache lookups',
+    labelNames: ['kind', 'result'],
+    registers: [register],
+});
+
 // Normalize route for metric labels (avoid high cardinality)
 function normalizeRoute(path) {
     if (!path) return 'unknown';
@@ -117,5 +154,10 @@ module.exports = {
     queueWaiting,
     queueActive,
     queueFailed,
+    kommoApiRequests,
+    kommoApiDuration,
+    kommoApiRetries,
+    kommoApiThrottleWait,
+    kommoApiCache,
     normalizeRoute,
 };
@@ -0,0 +1,334 @@
+/**
+ * OutboundWebhooks — Lead lifecycle events sent to subscriber URLs
+ *
+ * Each client can register subscriptions (URL + event filter). When the
+ * pipeline emits an event, one webhook_deliveries row is created per matching
+ * subscription and delivered through the webhook-outbound queue, which retries
+ * with exponential backoff. Without Redis the delivery is attempted once inline.
+ *
+ * Requests are POSTed as JSON and signed like the inbound HMAC mode:
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of the raw body with the subscription secret>
+ *
+ * Nothing is emitted inside a simulation (dry-run).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const cache = require('./cache');
+const simulation = require('./simulation');
+const { isRedisConnected } = require('./redis');
+const { generateSecret, signBody } = require('./webhookAuth');
+const { logger } = require('../utils/logger');
+
+const EVENTS = ['lead.created', 'lead.status_changed', 'lead.sold', 'lead.filtered'];
+const CACHE_TTL = 300;
+const RESPONSE_BODY_LIMIT = 1000;
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+function mapSubscription(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: row.events || [],
+        secret: row.secret,
+        description: row.description,
+        active: row.active,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+    };
+}
+
+function mapDelivery(row) {
+    return {
+        id: row.id,
+        subscription_id: row.subscription_id,
+        event_id: row.event_id,
+        event_type: row.event_type,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        response_status: row.response_status,
+        response_body: row.response_body,
+        error: row.error,
+        replay_of: row.replay_of,
+        created_at: row.created_at,
+        last_attempt_at: row.last_attempt_at,
+        delivered_at: row.delivered_at,
+    };
+}
+
+function validateSubscription(data) {
+    const errors = [];
+    let url = null;
+    try {
+        url = new URL(String(data.url || ''));
+    } catch (err) {
+        // handled below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push('url inválida (use http:// ou https://)');
+    if (!Array.isArray(data.events) || data.events.length === 0) {
+        errors.push('events é obrigatório');
+    } else {
+        const unknown = data.events.filter(e => !EVENTS.includes(e));
+        if (unknown.length > 0) errors.push(`eventos inválidos: ${unknown.join(', ')} (use: ${EVENTS.join(', ')})`);
+    }
+    return errors;
+}
+
+// ============================================
+// Subscriptions (admin)
+// ============================================
+
+async function listSubscriptions(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT ws.* FROM webhook_subscriptions ws
+         JOIN clients c ON c.id = ws.client_id
+         WHERE c.slug = $1
+         ORDER BY ws.created_at`,
+        [clientSlug]
+    );
+    return rows.map(mapSubscription);
+}
+
+async function createSubscription(pgService, clientSlug, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `INSERT INTO webhook_subscriptions (client_id, url, events, secret, description, active)
+         SELECT id, $2, $3, $4, $5, $6 FROM clients WHERE slug = $1
+         RETURNING *`,
+        [
+            clientSlug,
+            String(data.url).trim(),
+            [...new Set(data.events)],
+            generateSecret(),
+            data.description ? String(data.description).trim() : null,
+            data.active !== false,
+        ]
+    );
+    return rows[0] ? mapSubscription(rows[0]) : null;
+}
+
+async function updateSubscription(pgService, clientSlug, subscriptionId, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `UPDATE webhook_subscriptions ws SET
+            url = $3,
+            events = $4,
+            description = $5,
+            active = $6,
+            secret = COALESCE($7, ws.secret),
+            updated_at = NOW()
+         FROM clients c
+         WHERE ws.id = $2 AND ws.client_id = c.id AND c.slug = $1
+         RETURNING ws.*`,
+        [
+            clientSlug,
+            subscriptionId,
+            String(data.url).trim(),
+            [...new Set(data.events)],
+            data.description ? String(data.description).trim() : null,
+            data.active !== false,
+            data.rotate_secret === true ? generateSecret() : null,
+        ]
+    );
+    return rows[0] ? mapSubscription(rows[0]) : null;
+}
+
+async function deleteSubscription(pgService, clientSlug, subscriptionId) {
+    if (!pgService.isAvailable()) return false;
+
+    const { rowCount } = await pgService.query(
+        `DELETE FROM webhook_subscriptions ws
+         USING clients c
+         WHERE ws.id = $2 AND ws.client_id = c.id AND c.slug = $1`,
+        [clientSlug, subscriptionId]
+    );
+    return rowCount > 0;
+}
+
+async function listDeliveries(pgService, clientSlug, subscriptionId, { limit = 50 } = {}) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT wd.* FROM webhook_deliveries wd
+         JOIN webhook_subscriptions ws ON ws.id = wd.subscription_id
+         JOIN clients c ON c.id = ws.client_id
+         WHERE c.slug = $1 AND ws.id = $2
+         ORDER BY wd.created_at DESC
+         LIMIT $3`,
+        [clientSlug, subscriptionId, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)]
+    );
+    return rows.map(mapDelivery);
+}
+
+// ============================================
+// Emitting and delivering
+// ============================================
+
+/**
+ * Active subscriptions of a client loaded by clientManager (uses client._db_id).
+ */
+async function getActiveSubscriptions(pgService, client) {
+    if (!pgService.isAvailable() || !client._db_id) return [];
+
+    const cacheKey = `clients:webhookSubscriptions:${client._db_id}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return cached;
+
+    const { rows } = await pgService.query(
+        'SELECT * FROM webhook_subscriptions WHERE client_id = $1 AND active = true',
+        [client._db_id]
+    );
+    const subscriptions = rows.map(mapSubscription);
+    await cache.set(cacheKey, subscriptions, CACHE_TTL);
+    return subscriptions;
+}
+
+function enqueue(pgService, deliveryId) {
+    if (isRedisConnected()) {
+        const { getOutboundQueue } = require('./queues');
+        return getOutboundQueue().add('deliver', { deliveryId }, { jobId: deliveryId });
+    }
+    // Sync mode: a single attempt, the delivery can be replayed from the dashboard
+    return deliver(pgService, deliveryId, { lastAttempt: true }).catch(() => {});
+}
+
+/**
+ * Emits a lifecycle event for the client. Never throws and is safe to call
+ * without awaiting — failures only affect the deliveries.
+ */
+async function emit(pgService, client, eventType, data) {
+    if (simulation.isActive() || !client || !pgService.isAvailable()) return 0;
+
+    try {
+        const subscriptions = (await getActiveSubscriptions(pgService, client))
+            .filter(s => s.events.includes(eventType));
+        if (subscriptions.length === 0) return 0;
+
+        const payload = {
+            id: uuidv4(),
+            event: eventType,
+            created_at: new Date().toISOString(),
+            client: { slug: client.slug || client.id, name: client.name },
+            data,
+        };
+
+        for (const subscription of subscriptions) {
+            const { rows } = await pgService.query(
+                `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+                 VALUES ($1, $2, $3, $4)
+                 RETURNING id`,
+                [subscription.id, payload.id, eventType, JSON.stringify(payload)]
+            );
+            await enqueue(pgService, rows[0].id);
+        }
+
+        logger.info('Outbound webhook emitted', { client: client.slug || client.id, event: eventType, subscriptions: subscriptions.length });
+        return subscriptions.length;
+    } catch (err) {
+        logger.error('Error emitting outbound webhook', { client: client.slug || client.id, event: eventType, error: err.message });
+        return 0;
+    }
+}
+
+/**
+ * Sends one delivery. Throws on network errors and non-2xx responses so the
+ * queue retries; the row is left 'pending' until the last attempt.
+ */
+async function deliver(pgService, deliveryId, { lastAttempt = false } = {}) {
+    const { rows } = await pgService.query(
+        `SELECT wd.*, ws.url, ws.secret FROM webhook_deliveries wd
+         JOIN webhook_subscriptions ws ON ws.id = wd.subscription_id
+         WHERE wd.id = $1`,
+        [deliveryId]
+    );
+    const delivery = rows[0];
+    if (!delivery) {
+        logger.warn('Outbound delivery not found', { deliveryId });
+        return null;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+        const res = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Lucari-Webhooks/1.0',
+                'X-Webhook-Event': delivery.event_type,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Signature': `sha256=${signBody(delivery.secret, body)}`,
+            },
+            body,
+            signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS),
+        });
+        responseStatus = res.status;
+        responseBody = (await res.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT);
+        if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (err) {
+        error = err.name === 'TimeoutError' ? `timeout após ${DEFAULT_TIMEOUT_MS}ms` : err.message;
+    }
+
+    const status = error ? (lastAttempt ? 'failed' : 'pending') : 'success';
+    await pgService.query(
+        `UPDATE webhook_deliveries SET
+            status = $2,
+            attempts = attempts + 1,
+            response_status = $3,
+            response_body = $4,
+            error = $5,
+            last_attempt_at = NOW(),
+            delivered_at = CASE WHEN $2 = 'success' THEN NOW() ELSE delivered_at END
+         WHERE id = $1`,
+        [deliveryId, status, responseStatus, responseBody, error]
+    );
+
+    if (error) {
+        logger.warn('Outbound delivery failed', { deliveryId, url: delivery.url, event: delivery.event_type, error, lastAttempt });
+        throw new Error(error);
+    }
+    return { id: deliveryId, status, responseStatus };
+}
+
+/**
+ * Sends a delivery again as a new row (replay_of = original), with the
+ * subscription's current URL and secret.
+ */
+async function replayDelivery(pgService, clientSlug, deliveryId) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, replay_of)
+         SELECT wd.subscription_id, wd.event_id, wd.event_type, wd.payload, wd.id
+         FROM webhook_deliveries wd
+         JOIN webhook_subscriptions ws ON ws.id = wd.subscription_id
+         JOIN clients c ON c.id = ws.client_id
+         WHERE c.slug = $1 AND wd.id = $2
+         RETURNING *`,
+        [clientSlug, deliveryId]
+    );
+    if (!rows[0]) return null;
+
+    await enqueue(pgService, rows[0].id);
+    return mapDelivery(rows[0]);
+}
+
+module.exports = {
+    emit,
+    deliver,
+    replayDelivery,
+    listSubscriptions,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    listDeliveries,
+    validateSubscription,
+    EVENTS,
+};
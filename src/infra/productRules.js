@@ -0,0 +1,203 @@
+/**
+ * ProductRules — Per-client product detection rules
+ *
+ * Reads product_rules rows for a client (ordered by priority) and matches them
+ * against the campaign fields (UTM / ad names) and the first message text.
+ * Campaign matches always win over message matches, same as the original
+ * hardcoded PRODUCT_KEYWORDS behavior.
+ *
+ * Clients without active rules (e.g. created after migration 005) and the
+ * local JSON mode (no PostgreSQL) use the legacy INSS rules (DEFAULT_RULES).
+ */
+
+const cache = require('./cache');
+const { logger } = require('../utils/logger');
+
+const MATCH_TARGETS = ['campaign', 'message', 'both'];
+const CACHE_TTL = 300;
+
+// Legacy rules (previdenciário) — fallback for clients without rules or without PostgreSQL
+const DEFAULT_RULES = [
+    { product: 'BPC/LOAS', keywords: ['bpc', 'loas', 'benefício', 'beneficio', 'deficiência', 'deficiencia', 'idoso'], match_on: 'both', priority: 10 },
+    { product: 'SALÁRIO-MATERNIDADE', keywords: ['maternidade', 'gestante', 'grávida', 'gravida', 'bebê', 'bebe', 'salário-maternidade', 'salario maternidade'], match_on: 'both', priority: 20 },
+    { product: 'AUXÍLIO-DOENÇA', keywords: ['auxílio-doença', 'auxilio doenca', 'doença', 'doenca', 'afastamento', 'incapacidade'], match_on: 'both', priority: 30 },
+    { product: 'APOSENTADORIA', keywords: ['aposentadoria', 'aposentar', 'inss', 'tempo de contribuição'], match_on: 'both', priority: 40 },
+];
+
+function getCampaignText(payload) {
+    return [
+        payload.utmCampaign, payload.utm_campaign, payload.campaign,
+        payload.adName, payload.ad_name, payload.adSetName, payload.adset_name,
+    ].filter(Boolean).join(' ').toLowerCase();
+}
+
+function getMessageText(payload) {
+    return (payload.text?.message || '').toLowerCase();
+}
+
+/**
+ * Matches a payload against an ordered rule list.
+ * Returns the winning rule plus every check made, so callers can explain the result.
+ */
+function matchProduct(payload, rules) {
+    const texts = {
+        campaign: getCampaignText(payload),
+        message: getMessageText(payload),
+    };
+    const checks = [];
+
+    for (const target of ['campaign', 'message']) {
+        const text = texts[target];
+        if (!text) continue;
+
+        for (const rule of rules) {
+            if (rule.active === false) continue;
+            if (rule.match_on !== 'both' && rule.match_on !== target) continue;
+
+            const keyword = (rule.keywords || []).find(kw => kw && text.includes(kw.toLowerCase())) || null;
+            checks.push({ ruleId: rule.id || null, product: rule.product, target, matched: !!keyword, keyword });
+
+            if (keyword) {
+                return { product: rule.product, rule, matchedOn: target, keyword, texts, checks };
+            }
+        }
+    }
+
+    return { product: '', rule: null, matchedOn: null, keyword: null, texts, checks };
+}
+
+function mapRule(row) {
+    return {
+        id: row.id,
+        product: row.product,
+        keywords: row.keywords || [],
+        match_on: row.match_on,
+        priority: row.priority,
+        active: row.active,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+    };
+}
+
+function normalizeKeywords(keywords) {
+    const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(',');
+    return list.map(kw => String(kw).trim().toLowerCase()).filter(Boolean);
+}
+
+function validateRule(data) {
+    const errors = [];
+    if (!data.product || !String(data.product).trim()) errors.push('product é obrigatório');
+    if (normalizeKeywords(data.keywords).length === 0) errors.push('keywords deve ter ao menos uma palavra');
+    if (data.match_on && !MATCH_TARGETS.includes(data.match_on)) {
+        errors.push(`match_on inválido (use: ${MATCH_TARGETS.join(', ')})`);
+    }
+    return errors;
+}
+
+/**
+ * Active rules for a client loaded by clientManager (uses client._db_id).
+ * Falls back to DEFAULT_RULES when the client has none.
+ */
+async function getRules(pgService, client) {
+    if (!pgService.isAvailable() || !client._db_id) return DEFAULT_RULES;
+
+    const cacheKey = `clients:productRules:${client._db_id}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+        const { rows } = await pgService.query(
+            'SELECT * FROM product_rules WHERE client_id = $1 AND active = true ORDER BY priority ASC, created_at ASC',
+            [client._db_id]
+        );
+        const rules = rows.length > 0 ? rows.map(mapRule) : DEFAULT_RULES;
+        await cache.set(cacheKey, rules, CACHE_TTL);
+        return rules;
+    } catch (err) {
+        logger.error('Error reading product rules', { client: client.slug, error: err.message });
+        return DEFAULT_RULES;
+    }
+}
+
+async function listRules(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT pr.* FROM product_rules pr
+         JOIN clients c ON c.id = pr.client_id
+         WHERE c.slug = $1
+         ORDER BY pr.priority ASC, pr.created_at ASC`,
+        [clientSlug]
+    );
+    return rows.map(mapRule);
+}
+
+async function createRule(pgService, clientSlug, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `INSERT INTO product_rules (client_id, product, keywords, match_on, priority, active)
+         SELECT id, $2, $3, $4, $5, $6 FROM clients WHERE slug = $1
+         RETURNING *`,
+        [
+            clientSlug,
+            String(data.product).trim(),
+            normalizeKeywords(data.keywords),
+            data.match_on || 'both',
+            parseInt(data.priority, 10) || 100,
+            data.active !== false,
+        ]
+    );
+    return rows[0] ? mapRule(rows[0]) : null;
+}
+
+async function updateRule(pgService, clientSlug, ruleId, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `UPDATE product_rules pr SET
+            product = $3,
+            keywords = $4,
+            match_on = $5,
+            priority = $6,
+            active = $7,
+            updated_at = NOW()
+         FROM clients c
+         WHERE pr.id = $2 AND pr.client_id = c.id AND c.slug = $1
+         RETURNING pr.*`,
+        [
+            clientSlug,
+            ruleId,
+            String(data.product).trim(),
+            normalizeKeywords(data.keywords),
+            data.match_on || 'both',
+            parseInt(data.priority, 10) || 100,
+            data.active !== false,
+        ]
+    );
+    return rows[0] ? mapRule(rows[0]) : null;
+}
+
+async function deleteRule(pgService, clientSlug, ruleId) {
+    if (!pgService.isAvailable()) return false;
+
+    const { rowCount } = await pgService.query(
+        `DELETE FROM product_rules pr
+         USING clients c
+         WHERE pr.id = $2 AND pr.client_id = c.id AND c.slug = $1`,
+        [clientSlug, ruleId]
+    );
+    return rowCount > 0;
+}
+
+module.exports = {
+    matchProduct,
+    getRules,
+    listRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    validateRule,
+    DEFAULT_RULES,
+    MATCH_TARGETS,
+};
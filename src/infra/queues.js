@@ -15,8 +15,20 @@ const DEFAULT_JOB_OPTIONS = {
     removeOnFail: { count: 200 },
 };
 
+// Subscriber endpoints can be down for a while: 10s, 20s, 40s, 80s...
+const OUTBOUND_JOB_OPTIONS = {
+    attempts: parseInt(process.env.OUTBOUND_WEBHOOK_ATTEMPTS || '6', 10),
+    backoff: {
+        type: 'exponential',
+        delay: 10000,
+    },
+    removeOnComplete: { count: 500 },
+    removeOnFail: { count: 500 },
+};
+
 let tintimQueue = null;
 let kommoQueue = null;
+let outboundQueue = null;
 
 function getTintimQueue() {
     if (!tintimQueue) {
@@ -38,11 +50,23 @@ function getKommoQueue() {
     return kommoQueue;
 }
 
+function getOutboundQueue() {
+    if (!outboundQueue) {
+        outboundQueue = new Queue('webhook-outbound', {
+            connection: getRedis(),
+            defaultJobOptions: OUTBOUND_JOB_OPTIONS,
+        });
+    }
+    return outboundQueue;
+}
+
 async function closeQueues() {
     if (tintimQueue) await tintimQueue.close();
     if (kommoQueue) await kommoQueue.close();
+    if (outboundQueue) await outboundQueue.close();
     tintimQueue = null;
     kommoQueue = null;
+    outboundQueue = null;
 }
 
-module.exports = { getTintimQueue, getKommoQueue, closeQueues };
+module.exports = { getTintimQueue, getKommoQueue, getOutboundQueue, closeQueues };
@@ -0,0 +1,322 @@
+/**
+ * Reprocess — Bulk replay of stored webhook events
+ *
+ * Replays webhook_events (tintim) or kommo_events (kommo) rows matching a filter
+ * (client, date range, processing_result) through the normal handlers, in a
+ * background job tracked in reprocess_jobs.
+ *
+ *   - One job runs at a time; new jobs wait as 'pending'
+ *   - Rate limited (events/minute) to stay inside Google Sheets quotas
+ *   - Checkpointed per event, so a 'running' job resumes after a restart
+ *   - countEvents() is the dry-run preview (nothing is replayed)
+ */
+
+const { logger } = require('../utils/logger');
+
+const SOURCES = {
+    tintim: { table: 'webhook_events' },
+    kommo: { table: 'kommo_events' },
+};
+
+const DEFAULT_RATE_PER_MINUTE = parseInt(process.env.REPROCESS_RATE_PER_MINUTE, 10) || 30;
+const MAX_RATE_PER_MINUTE = 120;
+const BATCH_SIZE = 50;
+const MAX_STORED_ERRORS = 50;
+
+let pg = null;
+let running = false;
+let stopping = false;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function normalizeFilters(filters = {}) {
+    let results = filters.processing_result || [];
+    if (!Array.isArray(results)) results = String(results).split(',');
+    return {
+        client: filters.client ? String(filters.client).trim() : null,
+        from: filters.from || null,
+        to: filters.to || null,
+        processing_result: results.map(r => String(r).trim()).filter(Boolean),
+    };
+}
+
+function validateRequest(data) {
+    const errors = [];
+    if (!SOURCES[data.source]) errors.push(`source inválido (use: ${Object.keys(SOURCES).join(', ')})`);
+    const filters = data.filters || {};
+    for (const field of ['from', 'to']) {
+        if (filters[field] && isNaN(new Date(filters[field]).getTime())) errors.push(`${field} não é uma data válida`);
+    }
+    if (data.rate_per_minute != null) {
+        const rate = parseInt(data.rate_per_minute, 10);
+        if (!rate || rate < 1 || rate > MAX_RATE_PER_MINUTE) errors.push(`rate_per_minute deve estar entre 1 e ${MAX_RATE_PER_MINUTE}`);
+    }
+    return errors;
+}
+
+/**
+ * WHERE clause for the event table (alias e). Params start at $1.
+ */
+function buildWhere(filters, snapshotAt) {
+    const params = [];
+    const conds = [];
+    const add = (sql, value) => {
+        params.push(value);
+        conds.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (snapshotAt) add('e.created_at <= ?', snapshotAt);
+    if (filters.client) add('e.client_id = (SELECT id FROM clients WHERE slug = ?)', filters.client);
+    if (filters.from) add('e.created_at >= ?', filters.from);
+    if (filters.to) add('e.created_at <= ?', filters.to);
+    if (filters.processing_result.length > 0) add('e.processing_result = ANY(?)', filters.processing_result);
+
+    return { where: conds.length > 0 ? `WHERE ${conds.join(' AND ')}` : '', params };
+}
+
+/**
+ * Dry-run preview: how many events match, broken down by processing_result.
+ */
+async function countEvents(pgService, source, rawFilters) {
+    const filters = normalizeFilters(rawFilters);
+    const { where, params } = buildWhere(filters, null);
+    const { rows } = await pgService.query(
+        `SELECT e.processing_result, COUNT(*)::int AS count
+         FROM ${SOURCES[source].table} e
+         ${where}
+         GROUP BY e.processing_result
+         ORDER BY count DESC`,
+        params
+    );
+    return {
+        source,
+        filters,
+        total: rows.reduce((sum, r) => sum + r.count, 0),
+        byResult: rows,
+    };
+}
+
+async function createJob(pgService, data, createdBy) {
+    if (!pgService.isAvailable()) return null;
+
+    const filters = normalizeFilters(data.filters);
+    const preview = await countEvents(pgService, data.source, filters);
+    const rate = data.rate_per_minute ? parseInt(data.rate_per_minute, 10) : DEFAULT_RATE_PER_MINUTE;
+
+    const { rows } = await pgService.query(
+        `INSERT INTO reprocess_jobs (source, filters, rate_per_minute, total, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [data.source, JSON.stringify(filters), rate, preview.total, createdBy || null]
+    );
+    logger.info(`[Reprocess] Job criado: ${rows[0].id} (${data.source}, ${preview.total} eventos, ${rate}/min)`);
+
+    kick();
+    return rows[0];
+}
+
+async function getJob(pgService, jobId) {
+    if (!pgService.isAvailable()) return null;
+    const { rows } = await pgService.query('SELECT * FROM reprocess_jobs WHERE id = $1', [jobId]);
+    return rows[0] || null;
+}
+
+async function listJobs(pgService, limit = 20) {
+    if (!pgService.isAvailable()) return [];
+    const { rows } = await pgService.query(
+        'SELECT * FROM reprocess_jobs ORDER BY created_at DESC LIMIT $1',
+        [limit]
+    );
+    return rows;
+}
+
+/**
+ * Cancels a pending/running job. The runner checks the status between events.
+ */
+async function cancelJob(pgService, jobId) {
+    if (!pgService.isAvailable()) return null;
+    const { rows } = await pgService.query(
+        `UPDATE reprocess_jobs SET status = 'cancelled', finished_at = NOW()
+         WHERE id = $1 AND status IN ('pending', 'running')
+         RETURNING *`,
+        [jobId]
+    );
+    return rows[0] || null;
+}
+
+// kommo_events stores one lead/contact per row — rebuild the webhook body the handler expects
+function toKommoBody(row) {
+    const payload = row.payload || {};
+    const account = payload.account || { id: row.kommo_account_id };
+    const type = row.event_type || '';
+
+    if (type === 'lead.add') return { account, leads: { add: [payload.lead] } };
+    if (type === 'lead.update') return { account, leads: { update: [payload.lead] } };
+    if (type.startsWith('lead.')) return { account, leads: { status: [payload.lead] } };
+    if (type === 'contact.add') return { account, contacts: { add: [payload.contact] } };
+    if (type === 'contact.update') return { account, contacts: { update: [payload.contact] } };
+    return payload; // 'webhook' / 'unknown' store the full body
+}
+
+async function replayEvent(source, row) {
+    if (source === 'kommo') {
+        const kommoHandler = require('../kommoHandler');
+        const body = toKommoBody(row);
+        if (!body.leads && !body.contacts) {
+            return { success: false, error: `Evento ${row.event_type} sem lead/contato para reprocessar` };
+        }
+        const result = await kommoHandler.processWebhook(body, '', '', { skipSignature: true });
+        const failed = (result.results || []).find(r => r && r.status === 'error');
+        return failed ? { success: false, error: failed.error || 'Falha no reprocessamento' } : result;
+    }
+
+    // Eventos com cliente identificado voltam para o mesmo cliente (inclusive os recebidos pela URL do cliente)
+    const webhookHandler = require('../webhookHandler');
+    return webhookHandler.processWebhook(row.payload, { skipIdempotency: true, clientSlug: row.client_slug || undefined });
+}
+
+async function fetchBatch(job) {
+    const filters = normalizeFilters(job.filters);
+    const { where, params } = buildWhere(filters, job.snapshot_at);
+    let cursor = '';
+    if (job.last_event_at) {
+        params.push(job.last_event_at, job.last_event_id);
+        cursor = `${where ? 'AND' : 'WHERE'} (e.created_at, e.id) > ($${params.length - 1}, $${params.length})`;
+    }
+    params.push(BATCH_SIZE);
+
+    const { rows } = await pg.query(
+        `SELECT e.*, c.slug AS client_slug FROM ${SOURCES[job.source].table} e
+         LEFT JOIN clients c ON c.id = e.client_id
+         ${where} ${cursor}
+         ORDER BY e.created_at ASC, e.id ASC
+         LIMIT $${params.length}`,
+        params
+    );
+    return rows;
+}
+
+async function runJob(job) {
+    const interval = Math.ceil(60000 / job.rate_per_minute);
+    logger.info(`[Reprocess] Iniciando job ${job.id} (${job.source}, ${job.processed}/${job.total})`);
+
+    await pg.query(
+        `UPDATE reprocess_jobs SET status = 'running', started_at = COALESCE(started_at, NOW()) WHERE id = $1`,
+        [job.id]
+    );
+
+    let batch = await fetchBatch(job);
+    while (batch.length > 0) {
+        for (const row of batch) {
+            if (stopping) return;
+            const current = await getJob(pg, job.id);
+            if (!current || current.status === 'cancelled') {
+                logger.info(`[Reprocess] Job ${job.id} cancelado`);
+                return;
+            }
+
+            const startedAt = Date.now();
+            let error = null;
+            try {
+                const result = await replayEvent(job.source, row);
+                if (!result || !result.success) error = (result && (result.error || (result.errors || []).join(', '))) || 'Falha no reprocessamento';
+            } catch (err) {
+                error = err.message;
+            }
+
+            const errorEntry = error
+                ? JSON.stringify([{ eventId: row.id, error, at: new Date().toISOString() }])
+                : '[]';
+            await pg.query(
+                `UPDATE reprocess_jobs SET
+                    processed = processed + 1,
+                    succeeded = succeeded + $2,
+                    failed = failed + $3,
+                    last_event_at = $4,
+                    last_event_id = $5,
+                    errors = CASE WHEN jsonb_array_length(errors) < ${MAX_STORED_ERRORS} THEN errors || $6::jsonb ELSE errors END
+                 WHERE id = $1`,
+                [job.id, error ? 0 : 1, error ? 1 : 0, row.created_at, row.id, errorEntry]
+            );
+            job.last_event_at = row.created_at;
+            job.last_event_id = row.id;
+
+            const wait = interval - (Date.now() - startedAt);
+            if (wait > 0) await sleep(wait);
+        }
+        batch = await fetchBatch(job);
+    }
+
+    await pg.query(
+        `UPDATE reprocess_jobs SET status = 'completed', finished_at = NOW() WHERE id = $1 AND status = 'running'`,
+        [job.id]
+    );
+    logger.info(`[Reprocess] Job ${job.id} concluído`);
+}
+
+/**
+ * Runs queued jobs one at a time (running first, so interrupted jobs resume).
+ */
+async function kick() {
+    if (running || stopping || !pg || !pg.isAvailable()) return;
+    running = true;
+    try {
+        while (!stopping) {
+            const { rows } = await pg.query(
+                `SELECT * FROM reprocess_jobs
+                 WHERE status IN ('running', 'pending')
+                 ORDER BY (status = 'running') DESC, created_at ASC
+                 LIMIT 1`
+            );
+            if (rows.length === 0) break;
+
+            try {
+                await runJob(rows[0]);
+            } catch (err) {
+                logger.error(`[Reprocess] Job ${rows[0].id} falhou`, { error: err.message });
+                await pg.query(
+                    `UPDATE reprocess_jobs SET status = 'failed', finished_at = NOW(),
+                        errors = errors || $2::jsonb
+                     WHERE id = $1`,
+                    [rows[0].id, JSON.stringify([{ error: err.message, at: new Date().toISOString() }])]
+                ).catch(updateErr => {
+                    logger.error(`[Reprocess] Erro ao marcar job ${rows[0].id} como falho`, { error: updateErr.message });
+                });
+            }
+        }
+    } catch (err) {
+        // kick() roda sem await: um erro do banco aqui não pode virar rejeição não tratada
+        logger.error('[Reprocess] Erro ao buscar jobs na fila', { error: err.message });
+    } finally {
+        running = false;
+    }
+}
+
+function startReprocessRunner(pgService) {
+    pg = pgService;
+    stopping = false;
+    kick();
+}
+
+// Stops between events; a 'running' job resumes from its checkpoint on next start
+function stopReprocessRunner() {
+    stopping = true;
+}
+
+module.exports = {
+    countEvents,
+    createJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    validateRequest,
+    buildWhere,
+    normalizeFilters,
+    toKommoBody,
+    startReprocessRunner,
+    stopReprocessRunner,
+    SOURCES,
+    DEFAULT_RATE_PER_MINUTE,
+};
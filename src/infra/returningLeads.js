@@ -0,0 +1,92 @@
+/**
+ * ReturningLeads — Leads that write again
+ *
+ * A phone that already has a lead for the client is a returning lead. It is
+ * detected in leads_log (first successful new_lead for the phone) and, when
+ * Postgres is unavailable, by searching the most recent monthly tabs of the
+ * sheet (LEAD_SEARCH_MAX_TABS).
+ *
+ * What happens is set per client (clients.returning_lead_action):
+ *   - tag:    new row "<nome> (Retorno)" whose Comentários link to the first contact (default)
+ *   - reopen: the existing row goes back to "Lead Gerado", with a note in Comentários
+ *   - ignore: nothing is written to the sheet
+ */
+
+const { formatDateBR } = require('../utils/formatter');
+
+const ACTIONS = ['tag', 'reopen', 'ignore'];
+const DEFAULT_ACTION = 'tag';
+
+function getAction(client) {
+    return ACTIONS.includes(client.returning_lead_action) ? client.returning_lead_action : DEFAULT_ACTION;
+}
+
+async function setAction(pgService, clientSlug, action) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `UPDATE clients SET returning_lead_action = $2, updated_at = NOW()
+         WHERE slug = $1
+         RETURNING slug, returning_lead_action`,
+        [clientSlug, action]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Finds the client's earlier lead for this phone.
+ * Returns { firstContactAt, date, sheetName, row, sheetId } or null.
+ * sheetName/row are only set when the row was found in the sheet.
+ */
+async function findPreviousLead(pgService, sheetsService, client, phone, { searchSheets = true } = {}) {
+    const first = await pgService.findFirstLead(client.id, phone);
+
+    // Postgres is the source of truth when available; the sheet scan is the fallback
+    if (!first && pgService.isAvailable()) return null;
+
+    // Onde o lead está (leads_log do 1º contato, tabela leads): a planilha só é
+    // varrida quando a linha não confere mais
+    const known = [];
+    if (first) known.push({ sheetName: first.sheet_name, row: first.sheet_row });
+    if (first && searchSheets) {
+        const current = await pgService.getLead(client.id, { phone });
+        if (current) known.push({ sheetName: current.sheet_name, row: current.sheet_row });
+    }
+
+    const match = searchSheets
+        ? await sheetsService.findLeadInSheets(client, phone, known)
+        : null;
+    if (!first && !match) return null;
+
+    return {
+        firstContactAt: first ? first.created_at : null,
+        date: (match && match.date) || (first ? formatDateBR(first.created_at) : null),
+        sheetName: match ? match.sheetName : (first ? first.sheet_name : null),
+        row: match ? match.row : null,
+        sheetId: match ? match.sheetId : null,
+    };
+}
+
+/**
+ * Comentários of a "(Retorno)" row. Links to the original row when its tab is known.
+ */
+function buildTagComment(previous) {
+    const label = `Retorno — 1º contato em ${previous.date || 'data desconhecida'}`
+        + (previous.sheetName ? ` (${previous.sheetName}${previous.row ? `, linha ${previous.row}` : ''})` : '');
+    if (previous.sheetId === null || previous.sheetId === undefined || !previous.row) return label;
+    return `=HYPERLINK("#gid=${previous.sheetId}&range=A${previous.row}";"${label.replace(/"/g, '""')}")`;
+}
+
+function buildReopenNote(date, origin) {
+    return `Retornou em ${date}${origin ? ` (${origin})` : ''}`;
+}
+
+module.exports = {
+    getAction,
+    setAction,
+    findPreviousLead,
+    buildTagComment,
+    buildReopenNote,
+    ACTIONS,
+    DEFAULT_ACTION,
+};
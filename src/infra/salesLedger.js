@@ -0,0 +1,289 @@
+/**
+ * SalesLedger — Every sale, refund and cancellation of a lead
+ *
+ * lead_sales keeps one entry per event instead of a single sale value per
+ * lead, so a second service sold to the same person adds a sale and a refund
+ * or a cancelled contract subtracts from it. Entries come from the Tintim
+ * handler (sale statuses / sale_amount, statuses mapped as refund or
+ * cancellation), the Kommo handler (Closed Won) and manual entries made in
+ * the dashboard.
+ *
+ *   total:  sales − refunds − cancellations (never below zero)
+ *   latest: the latest sale still standing — reversals consume the most
+ *           recent sales first
+ *
+ * A refund or cancellation without an amount reverses the latest sale.
+ *
+ * After each entry the total becomes leads.sale_amount (a lead whose sales
+ * were all reversed is no longer closed), and the client's sheet_sale_value
+ * chooses what the sheet's "Valor de Fechamento" shows:
+ *   - latest: the latest sale
+ *   - total:  the running total
+ *
+ * The same event is never recorded twice: entries with a source_ref are
+ * unique per client + source (a repeated Kommo sale corrects the amount), and
+ * `amendLatest` — used when the lead's status didn't change — corrects the
+ * latest entry of that kind from the same source only when the event is that
+ * same sale (same event time, or a sale recorded without an amount that the
+ * event now brings). Any other repeated sale is a new entry.
+ */
+
+const { normalizePhone } = require('../utils/formatter');
+const { logger } = require('../utils/logger');
+
+const KINDS = ['sale', 'refund', 'cancellation'];
+const SOURCES = ['tintim', 'kommo', 'manual', 'backfill'];
+const SHEET_VALUE_MODES = ['latest', 'total'];
+
+function roundAmount(value) {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) && amount > 0 ? Math.round(amount * 100) / 100 : 0;
+}
+
+function toISO(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date.toISOString();
+}
+
+function mapRow(row) {
+    return {
+        id: row.id,
+        lead_phone: row.lead_phone,
+        kommo_lead_id: row.kommo_lead_id,
+        kind: row.kind,
+        amount: parseFloat(row.amount) || 0,
+        occurred_at: row.occurred_at,
+        source: row.source,
+        source_ref: row.source_ref,
+        product: row.product,
+        note: row.note,
+        created_by: row.created_by,
+        created_at: row.created_at,
+    };
+}
+
+/**
+ * Totals of a lead's entries (in occurred_at order).
+ * Returns { total, latest, sales, refunds, cancellations }.
+ */
+function summarize(entries) {
+    // What is left of each sale, in order
+    const standing = [];
+    const counts = { sale: 0, refund: 0, cancellation: 0 };
+
+    for (const entry of entries) {
+        let amount = Number(entry.amount) || 0;
+        counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+        if (entry.kind === 'sale') {
+            standing.push(amount);
+            continue;
+        }
+        for (let i = standing.length - 1; i >= 0 && amount > 0; i--) {
+            const reversed = Math.min(standing[i], amount);
+            standing[i] -= reversed;
+            amount -= reversed;
+        }
+    }
+
+    const open = standing.filter(amount => amount > 0);
+    return {
+        total: roundAmount(open.reduce((sum, amount) => sum + amount, 0)),
+        latest: roundAmount(open.length > 0 ? open[open.length - 1] : 0),
+        sales: counts.sale,
+        refunds: counts.refund,
+        cancellations: counts.cancellation,
+    };
+}
+
+/**
+ * Value for the sheet's "Valor de Fechamento" column, per client setting.
+ */
+function sheetValue(client, summary) {
+    if (!summary) return 0;
+    return client && client.sheet_sale_value === 'total' ? summary.total : summary.latest;
+}
+
+function sortEntries(entries) {
+    return entries.sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+}
+
+/**
+ * Whether an event without a matching source_ref is the latest entry again:
+ * same event time, or an entry still without an amount.
+ */
+function isSameSale(latest, entry) {
+    const occurredAt = toISO(entry.occurredAt);
+    if (occurredAt && occurredAt === toISO(latest.occurred_at)) return true;
+    return latest.amount === 0;
+}
+
+async function loadEntries(pgService, clientDbId, phone, kommoLeadId) {
+    const { rows } = await pgService.query(
+        `SELECT * FROM lead_sales
+         WHERE client_id = $1 AND (lead_phone = $2 OR kommo_lead_id = $3)
+         ORDER BY occurred_at, created_at`,
+        [clientDbId, phone, kommoLeadId]
+    );
+    return rows.map(mapRow);
+}
+
+/**
+ * Records a ledger entry for a lead of a client loaded by clientManager:
+ *   { kind, amount, occurredAt, source, sourceRef?, product?, note?, createdBy?,
+ *     phone?, kommoLeadId? }
+ * Returns { entry, summary, recorded, amended } — recorded/amended are false
+ * when the event was already in the ledger — or null when nothing could be
+ * recorded.
+ */
+async function recordEntry(pgService, client, entry, { amendLatest = false } = {}) {
+    if (!pgService.isAvailable() || !client || !client._db_id) return null;
+    if (!KINDS.includes(entry.kind) || !SOURCES.includes(entry.source)) return null;
+
+    const phone = normalizePhone(entry.phone) || null;
+    const kommoLeadId = entry.kommoLeadId ? String(entry.kommoLeadId) : null;
+    if (!phone && !kommoLeadId) return null;
+
+    try {
+        const entries = await loadEntries(pgService, client._db_id, phone, kommoLeadId);
+        const amount = roundAmount(entry.amount);
+        const sourceRef = entry.sourceRef ? String(entry.sourceRef).slice(0, 200) : null;
+
+        let existing = null;
+        if (sourceRef) {
+            existing = entries.find(e => e.source === entry.source && e.source_ref === sourceRef) || null;
+        }
+        if (!existing && amendLatest) {
+            const latest = entries.filter(e => e.kind === entry.kind && e.source === entry.source).pop() || null;
+            if (latest && isSameSale(latest, entry)) existing = latest;
+        }
+
+        if (existing) {
+            // Same event again: only a sale whose amount changed is corrected
+            const amended = entry.kind === 'sale' && amount > 0 && amount !== existing.amount;
+            if (amended) {
+                await pgService.query(
+                    'UPDATE lead_sales SET amount = $2, updated_at = NOW() WHERE id = $1',
+                    [existing.id, amount]
+                );
+                existing.amount = amount;
+            }
+            const summary = summarize(entries);
+            if (amended) {
+                await pgService.upsertLead(client._db_id, { phone, kommoLeadId, saleAmount: summary.total });
+                logger.info('Sales ledger: sale amount corrected', { client: client.slug || client.id, entryId: existing.id, amount });
+            }
+            return { entry: existing, summary, recorded: false, amended };
+        }
+
+        const value = entry.kind !== 'sale' && amount === 0 ? summarize(entries).latest : amount;
+        const occurredAt = toISO(entry.occurredAt) || new Date().toISOString();
+
+        const { rows } = await pgService.query(
+            `INSERT INTO lead_sales (client_id, lead_phone, kommo_lead_id, kind, amount, occurred_at,
+                                     source, source_ref, product, note, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             ON CONFLICT (client_id, source, source_ref) DO NOTHING
+             RETURNING *`,
+            [
+                client._db_id, phone, kommoLeadId, entry.kind, value, occurredAt, entry.source, sourceRef,
+                entry.product || null, entry.note || null, entry.createdBy || null,
+            ]
+        );
+        // Simulations (dry-run) don't insert: the summary still counts the entry
+        const recorded = rows[0] ? mapRow(rows[0]) : {
+            id: null, lead_phone: phone, kommo_lead_id: kommoLeadId, kind: entry.kind, amount: value,
+            occurred_at: occurredAt, source: entry.source, source_ref: sourceRef, product: entry.product || null,
+            note: entry.note || null, created_by: entry.createdBy || null, created_at: null,
+        };
+        const summary = summarize(sortEntries([...entries, recorded]));
+
+        await pgService.upsertLead(client._db_id, {
+            phone,
+            kommoLeadId,
+            saleAmount: summary.total,
+            closedAt: entry.kind === 'sale' ? occurredAt : null,
+            reopened: entry.kind !== 'sale' && summary.total === 0,
+        });
+
+        logger.info(`Sales ledger: ${entry.kind} recorded`, { client: client.slug || client.id, source: entry.source, amount: value, total: summary.total });
+        return { entry: recorded, summary, recorded: true, amended: false };
+    } catch (err) {
+        logger.error('Sales ledger: error recording entry', { client: client.slug || client.id, kind: entry.kind, error: err.message });
+        return null;
+    }
+}
+
+/**
+ * Entries and totals of a lead (phone) of a client (slug).
+ * Returns null when the client doesn't exist.
+ */
+async function listEntries(pgService, clientSlug, phone) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows: clients } = await pgService.query('SELECT id FROM clients WHERE slug = $1', [clientSlug]);
+    if (!clients[0]) return null;
+
+    const normalized = normalizePhone(phone);
+    // Kommo entries without a phone belong to the lead through its Kommo id
+    const { rows: leads } = await pgService.query(
+        'SELECT kommo_lead_id FROM leads WHERE client_id = $1 AND phone = $2',
+        [clients[0].id, normalized]
+    );
+    const entries = await loadEntries(pgService, clients[0].id, normalized, leads[0]?.kommo_lead_id || null);
+    return { phone: normalized, entries, summary: summarize(entries) };
+}
+
+function validateEntry(data) {
+    const errors = [];
+    if (!KINDS.includes(data.kind)) errors.push(`kind inválido (use: ${KINDS.join(', ')})`);
+    const amount = data.amount === undefined || data.amount === null || data.amount === '' ? 0 : Number(data.amount);
+    if (!Number.isFinite(amount) || amount < 0) errors.push('amount deve ser um número positivo');
+    else if (data.kind === 'sale' && amount === 0) errors.push('amount é obrigatório para uma venda');
+    if (data.occurred_at && !toISO(data.occurred_at)) errors.push('occurred_at inválido');
+    return errors;
+}
+
+async function getSettings(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        'SELECT sheet_sale_value FROM clients WHERE slug = $1',
+        [clientSlug]
+    );
+    return rows[0] ? { sheet_sale_value: rows[0].sheet_sale_value || 'latest' } : null;
+}
+
+function validateSettings(data) {
+    const errors = [];
+    if (!SHEET_VALUE_MODES.includes(data.sheet_sale_value)) {
+        errors.push(`sheet_sale_value inválido (use: ${SHEET_VALUE_MODES.join(', ')})`);
+    }
+    return errors;
+}
+
+async function setSettings(pgService, clientSlug, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `UPDATE clients SET sheet_sale_value = $2, updated_at = NOW()
+         WHERE slug = $1
+         RETURNING sheet_sale_value`,
+        [clientSlug, data.sheet_sale_value]
+    );
+    return rows[0] ? { sheet_sale_value: rows[0].sheet_sale_value } : null;
+}
+
+module.exports = {
+    recordEntry,
+    listEntries,
+    summarize,
+    sheetValue,
+    isSameSale,
+    validateEntry,
+    getSettings,
+    setSettings,
+    validateSettings,
+    KINDS,
+    SHEET_VALUE_MODES,
+};
@@ -0,0 +1,246 @@
+/**
+ * Simulation — Dry-run context for the webhook pipeline
+ *
+ * Inside simulation.run(), pgService and sheetsService keep doing reads but
+ * record writes instead of executing them:
+ *   - Postgres INSERT/UPDATE/DELETE → pgWrites
+ *   - lead_trail steps             → trail
+ *   - Google Sheets write calls    → sheetWrites (with the exact cells)
+ *
+ * The context follows the async call chain (AsyncLocalStorage), so concurrent
+ * real webhooks are never affected.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const WRITE_SQL = /^\s*(INSERT|UPDATE|DELETE|TRUNCATE|REFRESH|CREATE|ALTER|DROP)\b/i;
+const TABLE_SQL = /^\s*(?:INSERT\s+INTO|UPDATE|DELETE\s+FROM|TRUNCATE(?:\s+TABLE)?)\s+("?[\w.]+"?)/i;
+
+function current() {
+    return storage.getStore() || null;
+}
+
+function isActive() {
+    return !!storage.getStore();
+}
+
+function isWriteQuery(sql) {
+    return WRITE_SQL.test(sql || '');
+}
+
+/**
+ * Runs fn in a simulation context. Waits for fire-and-forget queries started
+ * by the pipeline (e.g. pgService.logLead) before returning what was recorded.
+ */
+async function run(fn) {
+    const ctx = {
+        trail: [],
+        pgWrites: [],
+        sheetWrites: [],
+        createdSheets: {},
+        pending: [],
+        sheetCache: null,
+    };
+
+    return storage.run(ctx, async () => {
+        let result;
+        let error = null;
+        try {
+            result = await fn();
+        } catch (err) {
+            error = err.message;
+        }
+
+        while (ctx.pending.length > 0) {
+            await Promise.allSettled(ctx.pending.splice(0));
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        return {
+            result: result || null,
+            error,
+            trail: ctx.trail,
+            pgWrites: ctx.pgWrites,
+            sheetWrites: ctx.sheetWrites,
+        };
+    });
+}
+
+function track(promise) {
+    const ctx = current();
+    if (ctx) ctx.pending.push(promise);
+    return promise;
+}
+
+// Splits "a, COALESCE($1, NOW()), $2" on top-level commas only
+function splitTopLevel(list) {
+    const parts = [];
+    let depth = 0;
+    let buf = '';
+    for (const ch of list) {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (ch === ',' && depth === 0) {
+            parts.push(buf.trim());
+            buf = '';
+        } else {
+            buf += ch;
+        }
+    }
+    if (buf.trim()) parts.push(buf.trim());
+    return parts;
+}
+
+function readParens(sql, start) {
+    let depth = 0;
+    for (let i = start; i < sql.length; i++) {
+        if (sql[i] === '(') depth++;
+        if (sql[i] === ')' && --depth === 0) return sql.slice(start + 1, i);
+    }
+    return null;
+}
+
+/**
+ * For single-row "INSERT INTO t (cols) VALUES (...)" builds the row that would
+ * be created ({ column: value }). Other statements return null.
+ */
+function buildInsertRow(sql, params) {
+    const head = sql.match(/^\s*INSERT\s+INTO\s+[\w."]+\s*\(/i);
+    if (!head) return null;
+    const columnsRaw = readParens(sql, head[0].length - 1);
+    const valuesIdx = sql.search(/\)\s*VALUES\s*\(/i);
+    if (!columnsRaw || valuesIdx === -1) return null;
+    const valuesRaw = readParens(sql, sql.indexOf('(', valuesIdx + 1));
+    if (!valuesRaw) return null;
+
+    const columns = splitTopLevel(columnsRaw);
+    const values = splitTopLevel(valuesRaw);
+    if (columns.length !== values.length) return null;
+
+    const row = {};
+    columns.forEach((col, i) => {
+        const placeholder = values[i].match(/\$(\d+)/);
+        row[col] = placeholder ? (params || [])[parseInt(placeholder[1], 10) - 1] : values[i];
+        if (row[col] === undefined) row[col] = null;
+    });
+    return row;
+}
+
+function recordQuery(sql, params) {
+    const ctx = current();
+    if (!ctx) return;
+    const operation = sql.trim().split(/\s+/)[0].toUpperCase();
+    const tableMatch = sql.match(TABLE_SQL);
+    ctx.pgWrites.push({
+        operation,
+        table: tableMatch ? tableMatch[1].replace(/"/g, '') : null,
+        row: operation === 'INSERT' ? buildInsertRow(sql, params) : null,
+        sql: sql.replace(/\s+/g, ' ').trim(),
+        params: params || [],
+    });
+}
+
+function recordTrailStep(step) {
+    const ctx = current();
+    if (ctx) ctx.trail.push(step);
+}
+
+/**
+ * op: 'batchUpdate' | 'values.update' | 'values.batchUpdate'
+ * Value writes keep the exact ranges and values; structural requests are listed by type.
+ */
+function recordSheetWrite(op, params) {
+    const ctx = current();
+    if (!ctx) return;
+
+    const body = params.requestBody || {};
+    const entry = { op, spreadsheetId: params.spreadsheetId };
+
+    if (op === 'values.update') {
+        entry.cells = [{ range: params.range, values: body.values }];
+    } else if (op === 'values.batchUpdate') {
+        entry.cells = (body.data || []).map(d => ({ range: d.range, values: d.values }));
+    } else {
+        entry.requests = (body.requests || []).map(r => Object.keys(r)[0]);
+    }
+    ctx.sheetWrites.push(entry);
+}
+
+function recordCreatedSheet(spreadsheetId, sheetName, headers) {
+    const ctx = current();
+    if (ctx) ctx.createdSheets[`${spreadsheetId}:${sheetName}`] = headers;
+}
+
+// Headers of a tab that only exists inside the simulation
+function getCreatedSheetHeaders(spreadsheetId, sheetName) {
+    const ctx = current();
+    return ctx ? ctx.createdSheets[`${spreadsheetId}:${sheetName}`] || null : null;
+}
+
+function findStep(trail, name) {
+    return trail.find(step => step.step_name === name) || null;
+}
+
+function sheetNameFromRange(range) {
+    const match = String(range || '').match(/^'?(.*?)'?!/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Summary of a simulation run: client, origin, product and target sheet.
+ * Tintim runs are read from the trail; Kommo runs (no trail) from the rows
+ * that would be written to leads_log / kommo_events.
+ */
+function summarize(report, clients) {
+    const leadRow = (report.pgWrites.find(w => w.table === 'leads_log' && w.row) || {}).row || null;
+    const eventRow = (report.pgWrites.find(w => w.table === 'kommo_events' && w.row) || {}).row || null;
+    let eventPayload = null;
+    try {
+        eventPayload = eventRow && eventRow.payload ? JSON.parse(eventRow.payload) : null;
+    } catch (err) {
+        eventPayload = null;
+    }
+
+    const clientStep = findStep(report.trail, 'client_matched');
+    const clientRef = (clientStep && clientStep.metadata && clientStep.metadata.clientSlug)
+        || (leadRow && leadRow.client_id)
+        || (eventRow && eventRow.client_id)
+        || null;
+    const client = clientRef
+        ? (clients || []).find(c => c.id === clientRef || c.slug === clientRef || c._db_id === clientRef) || null
+        : null;
+
+    const originStep = findStep(report.trail, 'origin_detected');
+    const productStep = findStep(report.trail, 'product_detected');
+    const firstCell = report.sheetWrites.find(w => w.cells && w.cells.length > 0);
+
+    return {
+        client: client ? { slug: client.slug || client.id, name: client.name } : null,
+        origin: (originStep && originStep.metadata && originStep.metadata.channel)
+            || (leadRow && leadRow.origin)
+            || (eventPayload && eventPayload.detectedChannel)
+            || null,
+        product: (productStep && productStep.metadata && productStep.metadata.product)
+            || (leadRow && leadRow.product)
+            || null,
+        sheetName: (firstCell && sheetNameFromRange(firstCell.cells[0].range))
+            || (leadRow && leadRow.sheet_name)
+            || null,
+    };
+}
+
+module.exports = {
+    run,
+    summarize,
+    current,
+    isActive,
+    isWriteQuery,
+    track,
+    recordQuery,
+    recordTrailStep,
+    recordSheetWrite,
+    recordCreatedSheet,
+    getCreatedSheetHeaders,
+};
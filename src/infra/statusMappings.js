@@ -0,0 +1,258 @@
+/**
+ * StatusMappings — Per-client Tintim status → sheet status mapping
+ *
+ * Each mapping matches a Tintim status by status.id (preferred) or by name
+ * (case-insensitive) and defines the sheet label, the canonical funnel stage
+ * and whether the status counts as a sale — or reverses one (sale_event:
+ * refund / cancellation, recorded in the sales ledger).
+ *
+ * Statuses with no mapping are recorded in unmapped_statuses so the dashboard
+ * can show them; the caller falls back to the raw name and keyword heuristics.
+ */
+
+const cache = require('./cache');
+const { logger } = require('../utils/logger');
+
+const STAGES = ['new', 'contacted', 'proposal', 'won', 'lost', 'disqualified'];
+const SALE_EVENTS = ['refund', 'cancellation'];
+const CACHE_TTL = 300;
+
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+function statusKey(statusId, statusName) {
+    return statusId ? `id:${statusId}` : `name:${normalizeName(statusName)}`;
+}
+
+/**
+ * Finds the mapping for a status: exact status.id first, then name.
+ */
+function findMapping(mappings, statusId, statusName) {
+    if (statusId) {
+        const byId = mappings.find(m => m.tintim_status_id && String(m.tintim_status_id) === String(statusId));
+        if (byId) return byId;
+    }
+    const name = normalizeName(statusName);
+    if (!name) return null;
+    return mappings.find(m => m.tintim_status_name && normalizeName(m.tintim_status_name) === name) || null;
+}
+
+function mapRow(row) {
+    return {
+        id: row.id,
+        tintim_status_id: row.tintim_status_id,
+        tintim_status_name: row.tintim_status_name,
+        sheet_label: row.sheet_label,
+        stage: row.stage,
+        is_sale: row.is_sale,
+        sale_event: row.sale_event || null,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+    };
+}
+
+function validateMapping(data) {
+    const errors = [];
+    if (!data.tintim_status_id && !data.tintim_status_name) errors.push('informe tintim_status_id ou tintim_status_name');
+    if (!data.sheet_label || !String(data.sheet_label).trim()) errors.push('sheet_label é obrigatório');
+    if (!STAGES.includes(data.stage)) errors.push(`stage inválido (use: ${STAGES.join(', ')})`);
+    if (data.sale_event && !SALE_EVENTS.includes(data.sale_event)) {
+        errors.push(`sale_event inválido (use: ${SALE_EVENTS.join(', ')})`);
+    }
+    if (data.sale_event && data.is_sale === true) errors.push('um status de venda não pode ser estorno/cancelamento');
+    return errors;
+}
+
+/**
+ * Mappings for a client loaded by clientManager (uses client._db_id).
+ */
+async function getMappings(pgService, client) {
+    if (!pgService.isAvailable() || !client._db_id) return [];
+
+    const cacheKey = `clients:statusMappings:${client._db_id}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+        const { rows } = await pgService.query(
+            'SELECT * FROM status_mappings WHERE client_id = $1',
+            [client._db_id]
+        );
+        const mappings = rows.map(mapRow);
+        await cache.set(cacheKey, mappings, CACHE_TTL);
+        return mappings;
+    } catch (err) {
+        logger.error('Error reading status mappings', { client: client.slug, error: err.message });
+        return [];
+    }
+}
+
+async function recordUnmapped(pgService, client, statusId, statusName) {
+    if (!pgService.isAvailable() || !client._db_id) return;
+    if (!statusId && !statusName) return;
+
+    try {
+        await pgService.query(
+            `INSERT INTO unmapped_statuses (client_id, status_key, tintim_status_id, tintim_status_name)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (client_id, status_key) DO UPDATE SET
+                occurrences = unmapped_statuses.occurrences + 1,
+                tintim_status_name = COALESCE(EXCLUDED.tintim_status_name, unmapped_statuses.tintim_status_name),
+                last_seen_at = NOW()`,
+            [client._db_id, statusKey(statusId, statusName), statusId ? String(statusId) : null, statusName || null]
+        );
+    } catch (err) {
+        logger.warn('Error recording unmapped status', { client: client.slug, error: err.message });
+    }
+}
+
+/**
+ * Resolves a Tintim status for a client.
+ * Returns the mapping (or null) — unmapped statuses are recorded for the dashboard.
+ */
+async function resolveStatus(pgService, client, statusId, statusName) {
+    const mappings = await getMappings(pgService, client);
+    const mapping = findMapping(mappings, statusId, statusName);
+    if (!mapping) {
+        await recordUnmapped(pgService, client, statusId, statusName);
+    }
+    return mapping;
+}
+
+async function listMappings(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `SELECT sm.* FROM status_mappings sm
+         JOIN clients c ON c.id = sm.client_id
+         WHERE c.slug = $1
+         ORDER BY sm.stage, sm.sheet_label`,
+        [clientSlug]
+    );
+    return rows.map(mapRow);
+}
+
+// Once a status is mapped it no longer shows up as unmapped
+async function clearUnmapped(pgService, clientDbId, mapping) {
+    const keys = [];
+    if (mapping.tintim_status_id) keys.push(statusKey(mapping.tintim_status_id, null));
+    if (mapping.tintim_status_name) keys.push(statusKey(null, mapping.tintim_status_name));
+
+    await pgService.query(
+        `DELETE FROM unmapped_statuses
+         WHERE client_id = $1 AND (status_key = ANY($2) OR LOWER(tintim_status_name) = $3)`,
+        [clientDbId, keys, normalizeName(mapping.tintim_status_name) || null]
+    );
+}
+
+async function createMapping(pgService, clientSlug, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `INSERT INTO status_mappings (client_id, tintim_status_id, tintim_status_name, sheet_label, stage, is_sale, sale_event)
+         SELECT id, $2, $3, $4, $5, $6, $7 FROM clients WHERE slug = $1
+         RETURNING *`,
+        [
+            clientSlug,
+            data.tintim_status_id ? String(data.tintim_status_id).trim() : null,
+            data.tintim_status_name ? String(data.tintim_status_name).trim() : null,
+            String(data.sheet_label).trim(),
+            data.stage,
+            data.is_sale === true,
+            data.sale_event || null,
+        ]
+    );
+    if (!rows[0]) return null;
+
+    await clearUnmapped(pgService, rows[0].client_id, rows[0]);
+    return mapRow(rows[0]);
+}
+
+async function updateMapping(pgService, clientSlug, mappingId, data) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `UPDATE status_mappings sm SET
+            tintim_status_id = $3,
+            tintim_status_name = $4,
+            sheet_label = $5,
+            stage = $6,
+            is_sale = $7,
+            sale_event = $8,
+            updated_at = NOW()
+         FROM clients c
+         WHERE sm.id = $2 AND sm.client_id = c.id AND c.slug = $1
+         RETURNING sm.*`,
+        [
+            clientSlug,
+            mappingId,
+            data.tintim_status_id ? String(data.tintim_status_id).trim() : null,
+            data.tintim_status_name ? String(data.tintim_status_name).trim() : null,
+            String(data.sheet_label).trim(),
+            data.stage,
+            data.is_sale === true,
+            data.sale_event || null,
+        ]
+    );
+    if (!rows[0]) return null;
+
+    await clearUnmapped(pgService, rows[0].client_id, rows[0]);
+    return mapRow(rows[0]);
+}
+
+async function deleteMapping(pgService, clientSlug, mappingId) {
+    if (!pgService.isAvailable()) return false;
+
+    const { rowCount } = await pgService.query(
+        `DELETE FROM status_mappings sm
+         USING clients c
+         WHERE sm.id = $2 AND sm.client_id = c.id AND c.slug = $1`,
+        [clientSlug, mappingId]
+    );
+    return rowCount > 0;
+}
+
+/**
+ * Unmapped statuses, optionally for a single client (slug).
+ */
+async function listUnmapped(pgService, clientSlug) {
+    if (!pgService.isAvailable()) return [];
+
+    try {
+        const params = [];
+        let where = '';
+        if (clientSlug) {
+            params.push(clientSlug);
+            where = 'WHERE c.slug = $1';
+        }
+        const { rows } = await pgService.query(
+            `SELECT u.id, c.slug AS client_slug, c.name AS client_name,
+                    u.tintim_status_id, u.tintim_status_name, u.occurrences,
+                    u.first_seen_at, u.last_seen_at
+             FROM unmapped_statuses u
+             JOIN clients c ON c.id = u.client_id
+             ${where}
+             ORDER BY u.last_seen_at DESC`,
+            params
+        );
+        return rows;
+    } catch (err) {
+        logger.error('Error listing unmapped statuses', { error: err.message });
+        return [];
+    }
+}
+
+module.exports = {
+    resolveStatus,
+    findMapping,
+    getMappings,
+    listMappings,
+    createMapping,
+    updateMapping,
+    deleteMapping,
+    listUnmapped,
+    validateMapping,
+    STAGES,
+    SALE_EVENTS,
+};
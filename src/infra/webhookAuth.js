@@ -0,0 +1,85 @@
+/**
+ * WebhookAuth — Per-client webhook secrets
+ *
+ * Each client has its own endpoint, /webhook/tintim/:clientSlug, authenticated
+ * with the client's webhook_secret in one of two modes:
+ *   - token: ?token=<secret> in the URL (or X-Webhook-Token header)
+ *   - hmac:  X-Webhook-Signature = hex HMAC-SHA256 of the raw body (optional "sha256=" prefix)
+ *
+ * Rotating a secret only affects that client.
+ */
+
+const crypto = require('crypto');
+
+const AUTH_MODES = ['token', 'hmac'];
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a || ''));
+    const bufB = Buffer.from(String(b || ''));
+    if (bufA.length === 0 || bufA.length !== bufB.length) return false;
+    return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function signBody(secret, rawBody) {
+    return crypto.createHmac('sha256', secret).update(rawBody || '').digest('hex');
+}
+
+/**
+ * Checks a webhook request against the client's secret.
+ * Returns { ok, reason }.
+ */
+function verifyRequest(client, req) {
+    if (!client.webhook_secret) return { ok: false, reason: 'cliente sem webhook_secret' };
+
+    if (client.webhook_auth_mode === 'hmac') {
+        const header = String(req.headers['x-webhook-signature'] || '').replace(/^sha256=/i, '');
+        if (!header) return { ok: false, reason: 'assinatura ausente' };
+        const expected = signBody(client.webhook_secret, req.rawBody);
+        return safeEqual(header.toLowerCase(), expected) ? { ok: true } : { ok: false, reason: 'assinatura inválida' };
+    }
+
+    const token = req.query.token || req.headers['x-webhook-token'];
+    return safeEqual(token, client.webhook_secret) ? { ok: true } : { ok: false, reason: 'token inválido' };
+}
+
+/**
+ * Per-client URL. Token mode embeds the token; HMAC mode signs each request instead.
+ */
+function buildClientUrl(baseUrl, client) {
+    const base = String(baseUrl || '').replace(/\/+$/, '').replace(/\/webhook\/tintim$/, '');
+    const url = `${base}/webhook/tintim/${encodeURIComponent(client.slug || client.id)}`;
+    if (client.webhook_auth_mode === 'hmac' || !client.webhook_secret) return url;
+    return `${url}?token=${client.webhook_secret}`;
+}
+
+/**
+ * Generates a new secret for the client (optionally switching mode).
+ */
+async function rotateSecret(pgService, clientSlug, mode) {
+    if (!pgService.isAvailable()) return null;
+
+    const { rows } = await pgService.query(
+        `UPDATE clients SET
+            webhook_secret = $2,
+            webhook_auth_mode = COALESCE($3, webhook_auth_mode),
+            webhook_secret_rotated_at = NOW(),
+            updated_at = NOW()
+         WHERE slug = $1
+         RETURNING slug, name, webhook_secret, webhook_auth_mode, webhook_secret_rotated_at`,
+        [clientSlug, generateSecret(), mode || null]
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    generateSecret,
+    verifyRequest,
+    buildClientUrl,
+    rotateSecret,
+    signBody,
+    AUTH_MODES,
+};
@@ -0,0 +1,131 @@
+/**
+ * Servidor mock da API Kommo (v4) com respostas gravadas
+ *
+ * Responde GET /api/v4/* com os fixtures de src/fixtures/kommo, para testar
+ * o handler do Kommo sem uma conta real:
+ *
+ *   KOMMO_API_BASE_URL=http://localhost:4010 KOMMO_ACCESS_TOKEN=mock npm start
+ *
+ * Fixture: um arquivo por caminho — /api/v4/leads/1001?with=contacts procura
+ * leads_1001@with=contacts.json e depois leads_1001.json. Conteudo:
+ *   { "status": 200, "headers": { ... }, "body": { ... } }
+ * ou uma sequencia, servida em ordem (a ultima se repete), para simular
+ * limite e instabilidade:
+ *   { "responses": [ { "status": 429, "headers": { "Retry-After": "1" } }, { "status": 200, "body": { ... } } ] }
+ *
+ * Gravacao: --record https://minhaempresa.kommo.com repassa as chamadas (com
+ * o Authorization recebido) para a conta real e grava cada resposta como
+ * fixture. Revise e anonimize os dados antes de versionar.
+ *
+ * Uso:
+ *   npm run kommo:mock -- [--port 4010] [--fixtures <dir>] [--record <url>]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'kommo');
+
+function fixtureNames(url) {
+    const [pathname, query] = url.split('?');
+    const base = pathname.replace(/^\/api\/v4\//, '').replace(/\/+$/, '').replace(/\//g, '_');
+    const names = [];
+    if (query) names.push(`${base}@${decodeURIComponent(query).replace(/[^\w=&.,\[\]-]/g, '_')}.json`);
+    names.push(`${base}.json`);
+    return names;
+}
+
+function createServer({ dir = DEFAULT_FIXTURES_DIR, record = null } = {}) {
+    // Posicao de cada fixture em sequencia
+    const served = new Map();
+
+    function send(res, fixture) {
+        const status = fixture.status || 200;
+        const headers = Object.assign({ 'Content-Type': 'application/hal+json' }, fixture.headers || {});
+        res.writeHead(status, headers);
+        res.end(status === 204 || fixture.body === undefined ? undefined : JSON.stringify(fixture.body));
+    }
+
+    async function proxyAndRecord(req, res, names) {
+        const upstream = await fetch(`${record.replace(/\/+$/, '')}${req.url}`, {
+            headers: { Authorization: req.headers.authorization || '' },
+        });
+        const text = upstream.status === 204 ? '' : await upstream.text();
+        const fixture = { status: upstream.status };
+        const retryAfter = upstream.headers.get('retry-after');
+        if (retryAfter) fixture.headers = { 'Retry-After': retryAfter };
+        if (text) {
+            try {
+                fixture.body = JSON.parse(text);
+            } catch (err) {
+                fixture.body = text;
+            }
+        }
+
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, names[0]), JSON.stringify(fixture, null, 2) + '\n');
+        console.log(`● gravado ${names[0]} (HTTP ${upstream.status})`);
+        send(res, fixture);
+    }
+
+    return http.createServer(async (req, res) => {
+        if (req.method !== 'GET' || !req.url.startsWith('/api/v4/')) {
+            return send(res, { status: 404, body: { title: 'Not Found', detail: 'Mock responde apenas GET /api/v4/*' } });
+        }
+        if (!req.headers.authorization) {
+            return send(res, { status: 401, body: { title: 'Unauthorized' } });
+        }
+
+        const names = fixtureNames(req.url);
+        try {
+            if (record) return await proxyAndRecord(req, res, names);
+
+            const file = names.map(name => path.join(dir, name)).find(f => fs.existsSync(f));
+            if (!file) {
+                console.log(`○ sem fixture para ${req.url} (${names.join(' / ')})`);
+                return send(res, { status: 404, body: { title: 'Not Found', detail: `Fixture não encontrado: ${names[0]}` } });
+            }
+
+            const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (Array.isArray(fixture.responses)) {
+                const index = served.get(file) || 0;
+                served.set(file, index + 1);
+                const response = fixture.responses[Math.min(index, fixture.responses.length - 1)];
+                console.log(`● ${req.url} → ${path.basename(file)} [${index + 1}] (HTTP ${response.status || 200})`);
+                return send(res, response);
+            }
+            console.log(`● ${req.url} → ${path.basename(file)} (HTTP ${fixture.status || 200})`);
+            send(res, fixture);
+        } catch (err) {
+            console.error(`❌ ${req.url}: ${err.message}`);
+            send(res, { status: 500, body: { title: 'Mock error', detail: err.message } });
+        }
+    });
+}
+
+/**
+ * Sobe o mock (uso em testes): resolve com o http.Server ja ouvindo.
+ */
+function start({ port = DEFAULT_PORT, dir, record } = {}) {
+    const server = createServer({ dir, record });
+    return new Promise(resolve => server.listen(port, () => resolve(server)));
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    const port = parseInt(option('port'), 10) || DEFAULT_PORT;
+    const dir = option('fixtures') ? path.resolve(option('fixtures')) : DEFAULT_FIXTURES_DIR;
+    const record = option('record') || null;
+
+    start({ port, dir, record }).then(() => {
+        console.log(`🧪 Mock da API Kommo em http://localhost:${port} (${record ? `gravando de ${record}` : 'fixtures'} → ${dir})`);
+    });
+}
+
+module.exports = { createServer, start, fixtureNames };
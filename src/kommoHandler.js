@@ -11,26 +11,55 @@
  * (primeira mudanca de estagio). O handler detecta isso e insere na planilha
  * no primeiro evento de status quando o lead ainda nao foi processado.
  *
- * Matching de cliente: por kommo_account_id (conta Kommo inteira, todos os pipelines)
+ * Matching de cliente: por kommo_account_id + pipeline do lead (kommo_pipeline_ids;
+ *   cliente sem pipelines recebe os demais, exceto kommo_ignored_pipeline_ids)
  * Filtro de origem: campo custom "Fonte de prospeccao" — so trafego pago vai pra planilha
  * Deteccao de venda: status_id === 142 (Closed Won)
- * Deteccao de perda: status_id === 143 (Closed Lost)
- * Telefone: buscado via API Kommo (lead -> contacts embedded -> contact details -> PHONE)
+ * Deteccao de perda: status_id === 143 (Closed Lost) — Status e motivo da perda (Comentarios) na planilha;
+ *   lead perdido reaberto volta a aparecer em aberto
+ * Demais etapas: mapeamento por cliente + pipeline (kommoStages) define o Status da planilha
+ * Campos customizados: mapeamento por cliente (kommoFields) preenche Produto, Cidade, Comentarios
+ *   e Valor na insercao e nos leads[update]
+ * Sincronizacao reversa (kommoSheetSync): etapa alterada pelo Status da planilha nao e
+ *   reescrita na planilha quando o leads[status] correspondente chega
+ * Vendas viram eventos Purchase da Conversions API da Meta (clientes com meta_capi_enabled)
+ * Livro de vendas: cada lead ganho e uma venda (mudanca de preco corrige o valor)
+ * Telefone: buscado via API Kommo (lead -> contacts embedded -> contact details -> PHONE),
+ *   com limite de chamadas, retry e cache no kommoApi
+ * Credenciais da API: por cliente (kommoAuth, OAuth2 com refresh) ou globais no .env
+ * Feature flags do cliente: kommo_enabled, sheets_enabled, organic_filter, keyword_tracking
  */
 
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('./utils/logger');
-const { formatPhoneBR, formatDateBR } = require('./utils/formatter');
+const { normalizePhone, formatPhone, formatDateBR } = require('./utils/formatter');
 const clientManager = require('./clientManager');
 const sheetsService = require('./sheetsService');
 const pgService = require('./pgService');
+const clientConfig = require('./infra/clientConfig');
+const simulation = require('./infra/simulation');
+const outboundWebhooks = require('./infra/outboundWebhooks');
+const metaCapi = require('./infra/metaCapi');
+const salesLedger = require('./infra/salesLedger');
+const kommoApi = require('./infra/kommoApi');
+const kommoStages = require('./infra/kommoStages');
+const kommoFields = require('./infra/kommoFields');
+const kommoSheetSync = require('./infra/kommoSheetSync');
+const cache = require('./infra/cache');
 
 const KOMMO_STAGE = {
     CLOSED_WON: 142,
     CLOSED_LOST: 143,
 };
 
+// Campos mapeados ja escritos na planilha por lead (evita reescrever a cada leads[update])
+const APPLIED_FIELDS_TTL = 30 * 24 * 3600;
+
+function appliedFieldsKey(client, leadId) {
+    return 'kommo:fields:' + client._db_id + ':' + leadId;
+}
+
 // Valores do campo "Fonte de prospeccao" que sao trafego pago
 const PAID_SOURCES = ['google ads', 'google', 'meta', 'facebook', 'instagram', 'meta ads', 'facebook ads', 'instagram ads', 'trafego pago', 'cpc', 'ppc'];
 
@@ -50,6 +79,29 @@ function isPaidSource(sourceValue) {
     return PAID_SOURCES.some(function(s) { return val.includes(s); });
 }
 
+/**
+ * Feature flags do cliente (defaults quando nao ha cliente mapeado).
+ */
+function getFeatures(client) {
+    if (!client) return clientConfig.DEFAULT_FLAGS;
+    return clientConfig.getConfig(client).features;
+}
+
+/**
+ * Webhooks de saida (lead.created, lead.status_changed, ...) — fire-and-forget.
+ */
+function emitLeadEvent(client, eventType, data) {
+    data.source = 'kommo';
+    outboundWebhooks.emit(pgService, client, eventType, data);
+}
+
+/**
+ * Lead passa no filtro organico? Com organic_filter desligado, todo lead passa.
+ */
+function passesOrganicFilter(isPaid, features) {
+    return isPaid || !features.organic_filter;
+}
+
 /**
  * Garante que o valor seja sempre um array.
  */
@@ -113,142 +165,104 @@ function verifySignature(rawBody, signature, secret) {
 }
 
 /**
- * Encontra o cliente pelo account_id do Kommo.
+ * Clientes (Kommo ou ambos) ligados a um account_id do Kommo.
  */
-function findClientByAccount(accountId) {
-    if (!accountId) return null;
+function findClientsByAccount(accountId) {
+    if (!accountId) return [];
     var aid = String(accountId);
     var clients = clientManager.clients || [];
-    return clients.find(function(c) {
+    return clients.filter(function(c) {
         return (c.webhook_source === 'kommo' || c.webhook_source === 'both') &&
             c.kommo_account_id &&
             String(c.kommo_account_id) === aid;
-    }) || null;
+    });
 }
 
-// ---- Kommo API helpers ----
-
-/**
- * Busca detalhes de um lead via API Kommo, incluindo contatos vinculados.
- * GET https://{subdomain}.kommo.com/api/v4/leads/{id}?with=contacts
- */
-async function fetchLeadFromAPI(leadId) {
-    var subdomain = process.env.KOMMO_SUBDOMAIN;
-    var token = process.env.KOMMO_ACCESS_TOKEN;
-    if (!subdomain || !token) {
-        logger.warn('[Kommo API] KOMMO_SUBDOMAIN ou KOMMO_ACCESS_TOKEN nao configurado');
-        return null;
-    }
-    var url = 'https://' + subdomain + '.kommo.com/api/v4/leads/' + leadId + '?with=contacts';
-    try {
-        var res = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': 'Bearer ' + token,
-                'Content-Type': 'application/json',
-            },
-        });
-        if (!res.ok) {
-            logger.warn('[Kommo API] Falha ao buscar lead ' + leadId + ': HTTP ' + res.status);
-            return null;
-        }
-        return await res.json();
-    } catch (err) {
-        logger.error('[Kommo API] Erro ao buscar lead ' + leadId + ': ' + err.message);
-        return null;
-    }
+function pipelineList(ids) {
+    return (ids || []).map(String);
 }
 
 /**
- * Busca detalhes de um contato via API Kommo.
- * GET https://{subdomain}.kommo.com/api/v4/contacts/{id}
+ * Roteia um evento de lead pela conta + pipeline.
+ *   1. cliente que lista o pipeline em kommo_pipeline_ids
+ *   2. cliente da conta sem pipelines definidos (recebe os demais), a menos
+ *      que o pipeline esteja em kommo_ignored_pipeline_ids
+ * Sem pipeline no evento: o unico cliente da conta, ou o que nao define pipelines.
+ * Retorna { client, reason } — reason 'no_client' (conta sem cliente) ou
+ * 'ignored_pipeline' (ignoredBy: cliente que ignora o pipeline, se houver).
  */
-async function fetchContactFromAPI(contactId) {
-    var subdomain = process.env.KOMMO_SUBDOMAIN;
-    var token = process.env.KOMMO_ACCESS_TOKEN;
-    if (!subdomain || !token) return null;
-    var url = 'https://' + subdomain + '.kommo.com/api/v4/contacts/' + contactId;
-    try {
-        var res = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': 'Bearer ' + token,
-                'Content-Type': 'application/json',
-            },
-        });
-        if (!res.ok) {
-            logger.warn('[Kommo API] Falha ao buscar contato ' + contactId + ': HTTP ' + res.status);
-            return null;
-        }
-        return await res.json();
-    } catch (err) {
-        logger.error('[Kommo API] Erro ao buscar contato ' + contactId + ': ' + err.message);
-        return null;
+function routeKommoEvent(accountId, pipelineId) {
+    var candidates = findClientsByAccount(accountId);
+    if (candidates.length === 0) return { client: null, reason: 'no_client' };
+
+    var catchAll = candidates.filter(function(c) { return pipelineList(c.kommo_pipeline_ids).length === 0; });
+    if (!pipelineId) {
+        var only = candidates.length === 1 ? candidates[0] : (catchAll.length === 1 ? catchAll[0] : null);
+        return only ? { client: only, reason: null } : { client: null, reason: 'ignored_pipeline' };
     }
+
+    var pid = String(pipelineId);
+    var owner = candidates.find(function(c) { return pipelineList(c.kommo_pipeline_ids).includes(pid); });
+    if (owner) return { client: owner, reason: null };
+
+    var ignoredBy = candidates.find(function(c) { return pipelineList(c.kommo_ignored_pipeline_ids).includes(pid); }) || null;
+    var fallback = catchAll.find(function(c) { return !pipelineList(c.kommo_ignored_pipeline_ids).includes(pid); });
+    if (fallback) return { client: fallback, reason: null };
+
+    return { client: null, reason: 'ignored_pipeline', ignoredBy: ignoredBy };
 }
 
 /**
- * Extrai telefone de um contato retornado pela API Kommo.
- * O campo PHONE esta em custom_fields_values com field_code: "PHONE".
+ * Lead da API v4 (custom_fields_values, created_at) no formato do webhook
+ * (custom_fields, date_create), usado pelos handlers.
  */
-function extractPhoneFromContact(contact) {
-    if (!contact || !contact.custom_fields_values) return null;
-    for (var i = 0; i < contact.custom_fields_values.length; i++) {
-        var field = contact.custom_fields_values[i];
-        if (field.field_code === 'PHONE') {
-            if (field.values && field.values.length > 0) {
-                return field.values[0].value || null;
-            }
-        }
-    }
-    return null;
+function apiLeadToWebhookLead(apiLead) {
+    return {
+        id: apiLead.id,
+        name: apiLead.name || '',
+        price: apiLead.price || 0,
+        status_id: apiLead.status_id,
+        pipeline_id: apiLead.pipeline_id,
+        date_create: apiLead.created_at,
+        custom_fields: (apiLead.custom_fields_values || []).map(function(field) {
+            return { id: field.field_id, name: field.field_name, code: field.field_code, values: field.values || [] };
+        }),
+    };
 }
 
+// ---- Kommo API helpers ----
+
 /**
- * Extrai nome de um contato retornado pela API Kommo.
+ * Motivo de perda de um lead (embed loss_reason), ou null.
+ * GET https://{subdomain}.kommo.com/api/v4/leads/{id}?with=loss_reason
  */
-function extractNameFromContact(contact) {
-    if (!contact) return null;
-    return contact.name || null;
+async function fetchLossReason(client, leadId) {
+    var lead = await kommoApi.get(pgService, client, 'leads/' + leadId + '?with=loss_reason', 'motivo de perda do lead ' + leadId);
+    var reasons = (lead && lead._embedded && lead._embedded.loss_reason) || [];
+    return reasons.length > 0 && reasons[0].name ? reasons[0].name : null;
 }
 
 /**
  * Busca telefone e nome do contato principal de um lead via API Kommo.
- * Fluxo: lead (with=contacts) -> contact IDs -> fetch contact -> PHONE
+ * Fluxo: lead (with=contacts) -> contato principal -> PHONE (com cache no kommoApi)
  * Retorna { phone, contactName } ou { phone: null, contactName: null }
  */
-async function fetchPhoneViaAPI(leadId) {
-    var lead = await fetchLeadFromAPI(leadId);
-    if (!lead) return { phone: null, contactName: null };
-
-    // Lead retorna _embedded.contacts com array de { id, is_main }
-    var contacts = (lead._embedded && lead._embedded.contacts) || [];
-    if (contacts.length === 0) {
-        logger.info('[Kommo API] Lead ' + leadId + ' nao tem contatos vinculados');
-        return { phone: null, contactName: null };
-    }
-
-    // Priorizar contato principal (is_main = true)
-    var mainContact = contacts.find(function(c) { return c.is_main; }) || contacts[0];
-    var contactData = await fetchContactFromAPI(mainContact.id);
-    if (!contactData) return { phone: null, contactName: null };
-
-    var phone = extractPhoneFromContact(contactData);
-    var contactName = extractNameFromContact(contactData);
-
-    logger.info('[Kommo API] Lead ' + leadId + ' -> contato ' + mainContact.id + ': phone=' + (phone || 'N/A') + ', name=' + (contactName || 'N/A'));
-    return { phone: phone, contactName: contactName };
+async function fetchPhoneViaAPI(client, leadId) {
+    return kommoApi.getLeadPhone(pgService, client, leadId);
 }
 
 class KommoHandler {
     /**
      * Processa o webhook completo do Kommo.
      * Chamado APOS responder 200 (processamento assincrono).
+     * options.skipSignature: reprocessamento de eventos ja armazenados (sem corpo original).
      */
-    async processWebhook(body, rawBody, signature) {
+    async processWebhook(body, rawBody, signature, options) {
         var secret = process.env.KOMMO_CLIENT_SECRET;
+        var skipSignature = (options && options.skipSignature) || simulation.isActive();
 
-        if (secret && !verifySignature(rawBody || '', signature || '', secret)) {
+        // Simulacao (dry-run) e reprocessamento nao tem a assinatura original do Kommo
+        if (secret && !skipSignature && !verifySignature(rawBody || '', signature || '', secret)) {
             logger.warn('[Kommo] Assinatura invalida no webhook');
             return { success: false, error: 'Invalid signature' };
         }
@@ -259,26 +273,45 @@ class KommoHandler {
 
         logger.info('[Kommo] Webhook recebido - account: ' + subdomain + ' (' + accountId + ')');
 
-        // Encontrar cliente pela conta
-        var client = findClientByAccount(accountId);
-
         var results = [];
+        var self = this;
+
+        // Cada lead vai para o cliente da conta + pipeline dele
+        async function dispatch(lead, handler) {
+            var pipelineId = lead.pipeline_id || lead.old_pipeline_id || null;
+            var route = routeKommoEvent(accountId, pipelineId);
+            var client = route.client;
+
+            if (route.reason === 'ignored_pipeline') {
+                logger.info('[Kommo] Lead ' + lead.id + ' no pipeline ' + (pipelineId || 'N/A') + ' ignorado — nenhum cliente da conta ' + accountId + ' recebe esse pipeline');
+                self.logKommoEvent(route.ignoredBy ? route.ignoredBy._db_id : null, 'lead.pipeline', String(lead.id), String(accountId),
+                    { lead: lead, account: account, pipelineId: pipelineId }, 'ignored_pipeline');
+                return { type: 'lead', leadId: lead.id, pipelineId: pipelineId, status: 'ignored_pipeline' };
+            }
+            if (client && !getFeatures(client).kommo_enabled) {
+                logger.info('[Kommo] Integracao desligada para ' + client.name + ' (kommo_enabled=false) — lead ' + lead.id + ' ignorado');
+                // skippedByFlag: a linha do tempo do lead mostra o passo pulado, como o trail do Tintim
+                self.logKommoEvent(client._db_id, 'webhook', String(lead.id), String(accountId), { lead: lead, account: account, skippedByFlag: 'kommo_enabled' }, 'skipped_by_flag');
+                return { type: 'lead', leadId: lead.id, status: 'skipped_by_flag', client: client.name };
+            }
+            return handler.call(self, lead, account, client);
+        }
 
         // Processar eventos de lead
         if (body.leads) {
             if (body.leads.add) {
                 for (var lead of ensureArray(body.leads.add)) {
-                    results.push(await this.handleLeadAdded(lead, account, client));
+                    results.push(await dispatch(lead, this.handleLeadAdded));
                 }
             }
             if (body.leads.update) {
                 for (var lead of ensureArray(body.leads.update)) {
-                    results.push(await this.handleLeadUpdated(lead, account, client));
+                    results.push(await dispatch(lead, this.handleLeadUpdated));
                 }
             }
             if (body.leads.status) {
                 for (var lead of ensureArray(body.leads.status)) {
-                    results.push(await this.handleLeadStatus(lead, account, client));
+                    results.push(await dispatch(lead, this.handleLeadStatus));
                 }
             }
         }
@@ -306,14 +339,46 @@ class KommoHandler {
     }
 
     /**
-     * Verifica se um lead Kommo ja foi inserido na planilha (lead.add ou lead.first_status).
+     * Importa um lead existente no Kommo (backfill), lido da API v4.
+     * Mesmo roteamento, filtro de trafego pago e busca de telefone de um lead
+     * novo; o lead fica registrado em kommo_events (lead.backfill).
+     * Retorna { status: 'inserted' | 'skipped_pipeline' | 'skipped_organic' | 'failed', ... }.
+     */
+    async importLead(apiLead, client) {
+        var lead = apiLeadToWebhookLead(apiLead);
+        var leadId = lead.id;
+        var accountId = String(client.kommo_account_id || '');
+        var account = { id: accountId };
+
+        var route = routeKommoEvent(accountId, lead.pipeline_id);
+        if (!route.client || route.client.id !== client.id) {
+            return { status: 'skipped_pipeline', leadId: leadId, pipelineId: lead.pipeline_id };
+        }
+
+        var sourceValue = extractLeadSource(lead.custom_fields);
+        var channel = mapSourceToChannel(sourceValue);
+        if (!passesOrganicFilter(isPaidSource(sourceValue), getFeatures(client))) {
+            return { status: 'skipped_organic', leadId: leadId, source: sourceValue };
+        }
+
+        var stageMapping = await kommoStages.resolveStage(pgService, client, lead.pipeline_id, lead.status_id);
+        var result = await this.insertLeadToSheet(leadId, lead.name, lead, client, channel, sourceValue, stageMapping);
+        if (!result.success) return { status: 'failed', leadId: leadId, error: 'Falha ao inserir na planilha' };
+
+        this.logKommoEvent(client._db_id, 'lead.backfill', String(leadId), accountId,
+            { lead: lead, account: account, detectedSource: sourceValue, detectedChannel: channel, note: 'backfill' }, 'success');
+        return { status: 'inserted', leadId: leadId, name: result.displayName, phone: result.phone || null, channel: channel };
+    }
+
+    /**
+     * Verifica se um lead Kommo ja foi inserido na planilha (lead.add, lead.first_status ou backfill).
      * Retorna true se ja foi processado como novo lead.
      */
     async isLeadAlreadyInserted(kommoLeadId) {
         if (!pgService.isAvailable()) return false;
         try {
             var result = await pgService.query(
-                "SELECT COUNT(*) as cnt FROM kommo_events WHERE kommo_lead_id = $1 AND event_type IN ('lead.add', 'lead.first_status') AND processing_result IN ('success', 'filtered_organic')",
+                "SELECT COUNT(*) as cnt FROM kommo_events WHERE kommo_lead_id = $1 AND event_type IN ('lead.add', 'lead.first_status', 'lead.backfill') AND processing_result IN ('success', 'filtered_organic')",
                 [String(kommoLeadId)]
             );
             return parseInt(result.rows[0].cnt, 10) > 0;
@@ -326,15 +391,18 @@ class KommoHandler {
     /**
      * Insere lead de trafego pago na planilha.
      * Compartilhado entre handleLeadAdded e handleLeadStatus (primeiro evento).
+     * stageMapping: etapa mapeada do primeiro evento de status (Status inicial).
      */
-    async insertLeadToSheet(leadId, leadName, lead, client, channel, sourceValue) {
-        var sheetName = await sheetsService.resolveSheetName(client);
+    async insertLeadToSheet(leadId, leadName, lead, client, channel, sourceValue, stageMapping) {
+        var features = getFeatures(client);
+        var initialStatus = (stageMapping && stageMapping.sheet_label) || 'Lead Gerado';
+        var initialStage = (stageMapping && stageMapping.sheet_label && stageMapping.stage) || 'new';
         var createdAt = lead.date_create
             ? new Date(parseInt(lead.date_create, 10) * 1000)
             : new Date();
 
         // Buscar telefone via API Kommo (contato vinculado ao lead)
-        var apiResult = await fetchPhoneViaAPI(leadId);
+        var apiResult = await fetchPhoneViaAPI(client, leadId);
         var phone = apiResult.phone;
         var contactName = apiResult.contactName;
 
@@ -344,33 +412,72 @@ class KommoHandler {
         }
 
         // Usar nome do contato se disponivel (mais completo que o nome do lead)
-        var displayName = contactName || leadName || (phone ? formatPhoneBR(phone) : 'Lead Kommo');
+        var displayName = contactName || leadName || (phone ? formatPhone(phone, client.phone_format) : 'Lead Kommo');
+
+        // Campos customizados mapeados (Produto, Cidade, Comentarios, Valor)
+        var mappedFields = await kommoFields.extractFields(pgService, client, lead.custom_fields);
 
         var leadData = {
             name: displayName + ' (Kommo)',
-            phone: phone ? formatPhoneBR(phone) : '',
+            phone: phone ? formatPhone(phone, client.phone_format) : '',
             origin: channel,
             date: formatDateBR(createdAt.toISOString()),
-            product: '',
-            status: 'Lead Gerado',
+            product: mappedFields.produto || '',
+            city: mappedFields.cidade || null,
+            comment: mappedFields.comentarios || null,
+            saleAmount: mappedFields.valor || null,
+            status: initialStatus,
             phoneRaw: phone || '',
             leadId: uuidv4(),
         };
 
-        var result = await sheetsService.insertLead(client, leadData);
+        var result;
+        if (features.sheets_enabled) {
+            await sheetsService.resolveSheetName(client);
+            result = await sheetsService.insertLead(client, leadData);
+        } else {
+            logger.info('[Kommo] Planilha desligada (sheets_enabled=false) — lead ' + leadId + ' registrado apenas no banco');
+            result = { success: true, sheetName: null };
+        }
+
         if (result.success) {
             logger.info('[Kommo] Lead inserido na planilha: ' + displayName + ' -> ' + client.name + ' (' + channel + ') phone=' + (phone || 'N/A'));
+            if (Object.keys(mappedFields).length > 0 && !simulation.isActive()) {
+                cache.set(appliedFieldsKey(client, leadId), mappedFields, APPLIED_FIELDS_TTL);
+            }
             pgService.logLead(client._db_id, {
                 eventType: 'new_lead',
                 phone: phone || '',
                 name: leadData.name,
-                status: 'Lead Gerado',
+                status: initialStatus,
+                stage: initialStage,
                 origin: channel,
                 sheetName: result.sheetName,
+                sheetRow: result.row || null,
                 result: 'success',
                 error: null,
                 leadDate: typeof createdAt !== 'undefined' && createdAt ? createdAt.toISOString() : (lead && lead.date_create ? new Date(parseInt(lead.date_create, 10) * 1000).toISOString() : null),
             });
+            pgService.upsertLead(client._db_id, {
+                phone: phone,
+                kommoLeadId: leadId,
+                name: displayName,
+                status: initialStatus,
+                stage: initialStage,
+                product: mappedFields.produto || null,
+                origin: channel,
+                firstContactAt: createdAt.toISOString(),
+                sheetName: result.sheetName,
+                sheetRow: result.row || null,
+            });
+            emitLeadEvent(client, 'lead.created', {
+                phone: phone || null,
+                name: displayName,
+                origin: channel,
+                status: initialStatus,
+                sheet_name: result.sheetName,
+                kommo_lead_id: leadId,
+            });
         } else {
             logger.error('[Kommo] Falha ao inserir lead na planilha: ' + (result.error || 'erro desconhecido'));
             pgService.logLead(client._db_id, {
@@ -403,6 +510,8 @@ class KommoHandler {
         var sourceValue = extractLeadSource(lead.custom_fields);
         var channel = mapSourceToChannel(sourceValue);
         var isPaid = isPaidSource(sourceValue);
+        var features = getFeatures(client);
+        var accepted = passesOrganicFilter(isPaid, features);
 
         logger.info('[Kommo] Lead adicionado: id=' + leadId + ', name="' + leadName + '", pipeline=' + pipelineId + ', fonte="' + (sourceValue || 'N/A') + '" (' + channel + ')');
 
@@ -412,7 +521,7 @@ class KommoHandler {
             String(leadId),
             accountId,
             { lead: lead, account: account, detectedSource: sourceValue, detectedChannel: channel, isPaid: isPaid },
-            client ? (isPaid ? 'success' : 'filtered_organic') : 'no_client'
+            client ? (accepted ? 'success' : 'filtered_organic') : 'no_client'
         );
 
         if (!client) {
@@ -421,7 +530,10 @@ class KommoHandler {
         }
 
         // Filtrar organico — mesmo comportamento do Tintim
-        if (!isPaid) {
+        if (!isPaid && !features.organic_filter) {
+            logger.info('[Kommo] Filtro organico ignorado pela flag organic_filter: ' + leadName);
+        }
+        if (!accepted) {
             logger.info('[Kommo] Lead organico ignorado: ' + leadName + ' — fonte: ' + (sourceValue || 'nenhuma') + ' (' + channel + ')');
             pgService.logLead(client._db_id, {
                 eventType: 'new_lead',
@@ -433,6 +545,7 @@ class KommoHandler {
                 error: null,
                 leadDate: typeof createdAt !== 'undefined' && createdAt ? createdAt.toISOString() : (lead && lead.date_create ? new Date(parseInt(lead.date_create, 10) * 1000).toISOString() : null),
             });
+            emitLeadEvent(client, 'lead.filtered', { reason: 'organic', phone: null, name: leadName, origin: channel, kommo_lead_id: leadId });
             return { type: 'lead.add', leadId: leadId, status: 'filtered_organic', source: sourceValue };
         }
 
@@ -448,6 +561,7 @@ class KommoHandler {
 
     /**
      * Lead atualizado no Kommo.
+     * Campos customizados mapeados do cliente sao levados para a linha do lead.
      */
     async handleLeadUpdated(lead, account, client) {
         var leadId = lead.id;
@@ -456,16 +570,88 @@ class KommoHandler {
 
         logger.info('[Kommo] Lead atualizado: id=' + leadId + ', name="' + leadName + '"');
 
+        var status = client ? 'logged' : 'no_client';
+        var fields = null;
+        if (client) {
+            try {
+                var applied = await this.applyMappedFields(lead, client);
+                if (applied) {
+                    status = applied.status;
+                    fields = applied.fields;
+                }
+            } catch (err) {
+                logger.error('[Kommo] Erro ao aplicar campos do lead ' + leadId + ': ' + err.message);
+                status = 'failed';
+            }
+        }
+
         this.logKommoEvent(
             client ? client._db_id : null,
             'lead.update',
             String(leadId),
             accountId,
-            { lead: lead, account: account },
-            client ? 'logged' : 'no_client'
+            { lead: lead, account: account, mappedFields: fields },
+            status
         );
 
-        return { type: 'lead.update', leadId: leadId, status: client ? 'logged' : 'no_client' };
+        return { type: 'lead.update', leadId: leadId, status: status };
+    }
+
+    /**
+     * Leva os campos customizados mapeados (kommoFields) de um leads[update]
+     * para a planilha e para leads. So para leads ja inseridos; campos sem
+     * mudanca desde o ultimo update nao sao reescritos. Valor so enquanto o
+     * lead nao tem venda. Retorna null quando nao ha campo mapeado no evento.
+     */
+    async applyMappedFields(lead, client) {
+        var leadId = lead.id;
+        var fields = await kommoFields.extractFields(pgService, client, lead.custom_fields);
+        if (Object.keys(fields).length === 0) return null;
+
+        var appliedKey = appliedFieldsKey(client, leadId);
+        var previous = await cache.get(appliedKey);
+        if (previous && JSON.stringify(previous) === JSON.stringify(fields)) {
+            return { status: 'fields_unchanged', fields: fields };
+        }
+
+        if (!(await this.isLeadAlreadyInserted(leadId))) {
+            logger.info('[Kommo] Lead ' + leadId + ' ainda nao esta na planilha — campos aplicados na insercao');
+            return { status: 'logged', fields: fields };
+        }
+
+        var known = await pgService.getLead(client._db_id, { kommoLeadId: leadId });
+        var phone = await this.resolveLeadPhone(client, leadId);
+        if (!phone) {
+            logger.warn('[Kommo] Campos do lead ' + leadId + ' sem telefone — nao foi possivel atualizar planilha');
+            return { status: 'no_phone', fields: fields };
+        }
+
+        // Depois da venda, o Valor de Fechamento e do livro de vendas
+        var saleAmount = fields.valor && !(known && known.closed_at) ? fields.valor : null;
+
+        if (getFeatures(client).sheets_enabled) {
+            var result = await sheetsService.updateLeadStatus(client, {
+                phone: phone,
+                product: fields.produto || null,
+                city: fields.cidade || null,
+                commentNote: fields.comentarios || null,
+                saleAmount: saleAmount,
+            });
+            if (!result.success) {
+                logger.warn('[Kommo] Campos do lead ' + leadId + ' nao atualizados na planilha: ' + result.error);
+                return { status: 'failed', fields: fields };
+            }
+        }
+
+        if (fields.produto) {
+            pgService.upsertLead(client._db_id, { phone: phone, kommoLeadId: leadId, product: fields.produto });
+        }
+        if (!simulation.isActive()) {
+            await cache.set(appliedKey, fields, APPLIED_FIELDS_TTL);
+        }
+
+        logger.info('[Kommo] Campos do lead ' + leadId + ' atualizados -> ' + client.name + ': ' + Object.keys(fields).join(', '));
+        return { status: 'fields_updated', fields: fields };
     }
 
     /**
@@ -475,7 +661,9 @@ class KommoHandler {
      * chegam como leads[status] (primeira mudanca de estagio). Quando vemos
      * um lead pela primeira vez aqui, inserimos na planilha como lead novo.
      *
-     * Detecta vendas (142) e perdas (143).
+     * Detecta vendas (142) e perdas (143, com o motivo da perda nos Comentarios);
+     * as demais etapas atualizam o Status da planilha conforme o mapeamento de
+     * etapas do cliente, e um lead perdido que volta a uma etapa ativa e reaberto.
      * Busca telefone via API Kommo.
      */
     async handleLeadStatus(lead, account, client) {
@@ -490,6 +678,8 @@ class KommoHandler {
         var sourceValue = extractLeadSource(lead.custom_fields);
         var channel = mapSourceToChannel(sourceValue);
         var isPaid = isPaidSource(sourceValue);
+        var features = getFeatures(client);
+        var accepted = passesOrganicFilter(isPaid, features);
 
         logger.info('[Kommo] Lead ' + leadId + ' (' + (leadName || 'sem nome') + ') status: ' + oldStatusId + ' -> ' + statusId + ' (pipeline: ' + pipelineId + ', fonte: ' + (sourceValue || 'N/A') + ')');
 
@@ -519,10 +709,13 @@ class KommoHandler {
                 String(leadId),
                 accountId,
                 { lead: lead, account: account, detectedSource: sourceValue, detectedChannel: channel, isPaid: isPaid },
-                isPaid ? 'success' : 'filtered_organic'
+                accepted ? 'success' : 'filtered_organic'
             );
 
-            if (!isPaid) {
+            if (!isPaid && !features.organic_filter) {
+                logger.info('[Kommo] Filtro organico ignorado pela flag organic_filter: ' + (leadName || leadId));
+            }
+            if (!accepted) {
                 logger.info('[Kommo] Lead organico ignorado: ' + (leadName || leadId) + ' — fonte: ' + (sourceValue || 'nenhuma') + ' (' + channel + ')');
                 pgService.logLead(client._db_id, {
                     eventType: 'new_lead',
@@ -534,11 +727,13 @@ class KommoHandler {
                     error: null,
                     leadDate: typeof createdAt !== 'undefined' && createdAt ? createdAt.toISOString() : (lead && lead.date_create ? new Date(parseInt(lead.date_create, 10) * 1000).toISOString() : null),
                 });
+                emitLeadEvent(client, 'lead.filtered', { reason: 'organic', phone: null, name: leadName || null, origin: channel, kommo_lead_id: leadId });
                 return { type: 'lead.first_status', leadId: leadId, status: 'filtered_organic', source: sourceValue };
             }
 
             try {
-                var insertResult = await this.insertLeadToSheet(leadId, leadName, lead, client, channel, sourceValue);
+                var firstStage = await kommoStages.resolveStage(pgService, client, pipelineId, statusId);
+                var insertResult = await this.insertLeadToSheet(leadId, leadName, lead, client, channel, sourceValue, firstStage);
                 return { type: 'lead.first_status', leadId: leadId, status: 'success', client: client.name, channel: channel, phone: insertResult.phone || null };
             } catch (err) {
                 logger.error('[Kommo] Erro ao inserir lead (first_status): ' + err.message);
@@ -561,7 +756,7 @@ class KommoHandler {
             logger.info('[Kommo] VENDA DETECTADA! Lead ' + leadId + ' (' + leadName + ') -> Closed Won (R$ ' + price + ') -> ' + client.name);
 
             // Se ainda nao foi inserido, inserir primeiro
-            if (!alreadyInserted && isPaid) {
+            if (!alreadyInserted && accepted) {
                 logger.info('[Kommo] Lead ' + leadId + ' nunca inserido — inserindo antes de marcar venda');
                 try {
                     await this.insertLeadToSheet(leadId, leadName, lead, client, channel, sourceValue);
@@ -575,7 +770,7 @@ class KommoHandler {
 
             try {
                 // Buscar telefone via API Kommo
-                var apiResult = await fetchPhoneViaAPI(leadId);
+                var apiResult = await fetchPhoneViaAPI(client, leadId);
                 var phone = apiResult.phone;
 
                 // Fallback: buscar nos eventos anteriores
@@ -583,19 +778,53 @@ class KommoHandler {
                     phone = await this.findPhoneForKommoLead(leadId);
                 }
 
+                // Livro de vendas: cada entrada em Closed Won eh uma venda. O last_modified
+                // identifica o evento: o mesmo webhook reenviado nao duplica, e um lead
+                // reaberto e ganho de novo lanca outra venda
+                var wonAt = lead.last_modified ? new Date(parseInt(lead.last_modified, 10) * 1000) : new Date();
+                if (isNaN(wonAt)) wonAt = new Date();
+                var saleRef = 'lead-' + leadId + '@' + Math.floor(wonAt.getTime() / 1000);
+                var ledger = await salesLedger.recordEntry(pgService, client, {
+                    kind: 'sale',
+                    amount: price,
+                    occurredAt: wonAt.toISOString(),
+                    source: 'kommo',
+                    sourceRef: saleRef,
+                    phone: phone,
+                    kommoLeadId: leadId,
+                });
+
                 if (phone) {
                     var updateData = {
                         phone: phone,
                         status: 'Comprou (Kommo)',
-                        closeDate: formatDateBR(new Date().toISOString()),
-                        saleAmount: price,
+                        closeDate: formatDateBR(ledger ? ledger.entry.occurred_at : wonAt.toISOString()),
+                        saleAmount: ledger ? salesLedger.sheetValue(client, ledger.summary) : price,
                     };
-                    await sheetsService.updateLeadStatus(client, updateData);
-
-                    await pgService.upsertKeywordConversion(phone, {
-                        saleAmount: price,
-                        leadStatus: 'Comprou (Kommo)',
-                    });
+                    if (features.sheets_enabled) {
+                        await sheetsService.updateLeadStatus(client, updateData);
+                    } else {
+                        logger.info('[Kommo] Planilha desligada (sheets_enabled=false) — venda do lead ' + leadId + ' registrada apenas no banco');
+                    }
+
+                    if (features.keyword_tracking) {
+                        await pgService.upsertKeywordConversion(phone, {
+                            saleAmount: ledger ? ledger.summary.total : price,
+                            leadStatus: 'Comprou (Kommo)',
+                        });
+                    }
+
+                    // Conversions API: um evento por lancamento do livro; o mesmo webhook
+                    // reenviado (ou reprocessado) nao envia de novo
+                    if (!ledger || ledger.recorded || ledger.amended) {
+                        await metaCapi.recordPurchase(pgService, client, {
+                            phone: phone,
+                            value: ledger ? ledger.entry.amount : price,
+                            source: 'kommo',
+                            eventTime: ledger ? ledger.entry.occurred_at : wonAt.toISOString(),
+                            saleRef: ledger && ledger.entry.id ? 'sale-' + ledger.entry.id : saleRef,
+                        });
+                    }
                 } else {
                     logger.warn('[Kommo] Venda sem telefone para lead ' + leadId + ' — nao foi possivel atualizar planilha');
                 }
@@ -605,12 +834,33 @@ class KommoHandler {
                     phone: phone || '',
                     name: leadName ? leadName + ' (Kommo)' : 'Kommo Lead #' + leadId,
                     status: 'Comprou (Kommo)',
-                    saleAmount: price,
+                    saleAmount: ledger ? ledger.summary.total : price,
                     origin: channel || 'Kommo CRM',
                     result: 'success',
                     error: null,
                     leadDate: typeof createdAt !== 'undefined' && createdAt ? createdAt.toISOString() : (lead && lead.date_create ? new Date(parseInt(lead.date_create, 10) * 1000).toISOString() : null),
                 });
+                pgService.upsertLead(client._db_id, {
+                    phone: phone,
+                    kommoLeadId: leadId,
+                    status: 'Comprou (Kommo)',
+                    stage: 'won',
+                    origin: channel || 'Kommo CRM',
+                });
+
+                var saleEvent = {
+                    phone: phone || null,
+                    name: leadName || null,
+                    origin: channel || 'Kommo CRM',
+                    status: 'Comprou (Kommo)',
+                    stage: 'won',
+                    sale_amount: ledger ? ledger.entry.amount : price,
+                    kommo_lead_id: leadId,
+                    kommo_status_id: statusId,
+                    kommo_old_status_id: oldStatusId,
+                };
+                emitLeadEvent(client, 'lead.status_changed', saleEvent);
+                emitLeadEvent(client, 'lead.sold', Object.assign({}, saleEvent));
             } catch (err) {
                 logger.error('[Kommo] Erro ao processar venda: ' + err.message);
             }
@@ -621,22 +871,150 @@ class KommoHandler {
         if (isLost) {
             logger.info('[Kommo] Lead ' + leadId + ' (' + leadName + ') perdido (Closed Lost) -> ' + client.name);
 
+            var lostPhone = null;
+            var lossReason = null;
+            try {
+                lostPhone = await this.resolveLeadPhone(client, leadId);
+                // O motivo so vai para o comentario da planilha; uma falha na busca nao impede o Status
+                if (lostPhone && features.sheets_enabled) {
+                    lossReason = await fetchLossReason(client, leadId).catch(function (err) {
+                        logger.warn('[Kommo] Motivo de perda do lead ' + leadId + ' indisponivel: ' + err.message);
+                        return null;
+                    });
+                    if (lossReason) logger.info('[Kommo] Motivo da perda do lead ' + leadId + ': ' + lossReason);
+                }
+                if (!lostPhone) {
+                    logger.warn('[Kommo] Perda sem telefone para lead ' + leadId + ' — nao foi possivel atualizar planilha');
+                } else if (features.sheets_enabled) {
+                    var lostResult = await sheetsService.updateLeadStatus(client, {
+                        phone: lostPhone,
+                        status: 'Perdido (Kommo)',
+                        commentNote: 'Motivo da perda: ' + (lossReason || 'não informado'),
+                    });
+                    if (!lostResult.success) {
+                        logger.warn('[Kommo] Perda do lead ' + leadId + ' nao registrada na planilha: ' + lostResult.error);
+                    }
+                }
+            } catch (err) {
+                logger.error('[Kommo] Erro ao registrar perda do lead ' + leadId + ': ' + err.message);
+            }
+
             pgService.logLead(client._db_id, {
                 eventType: 'status_update',
-                phone: '',
+                phone: lostPhone || '',
                 name: leadName ? leadName + ' (Kommo)' : 'Kommo Lead #' + leadId,
                 status: 'Perdido (Kommo)',
+                stage: 'lost',
                 origin: channel || 'Kommo CRM',
                 result: 'success',
                 error: null,
-                leadDate: typeof createdAt !== 'undefined' && createdAt ? createdAt.toISOString() : (lead && lead.date_create ? new Date(parseInt(lead.date_create, 10) * 1000).toISOString() : null),
+                leadDate: lead && lead.date_create ? new Date(parseInt(lead.date_create, 10) * 1000).toISOString() : null,
+            });
+            pgService.upsertLead(client._db_id, {
+                phone: lostPhone,
+                kommoLeadId: leadId,
+                status: 'Perdido (Kommo)',
+                stage: 'lost',
+            });
+
+            emitLeadEvent(client, 'lead.status_changed', {
+                phone: lostPhone,
+                name: leadName || null,
+                origin: channel || 'Kommo CRM',
+                status: 'Perdido (Kommo)',
+                stage: 'lost',
+                loss_reason: lossReason,
+                kommo_lead_id: leadId,
+                kommo_status_id: statusId,
+                kommo_old_status_id: oldStatusId,
             });
 
-            return { type: 'lead.lost', leadId: leadId, client: client.name };
+            return { type: 'lead.lost', leadId: leadId, lossReason: lossReason, client: client.name };
+        }
+
+        // Status intermediario de lead ja processado: etapa mapeada vai para a planilha
+        var stageMapping = await kommoStages.resolveStage(pgService, client, pipelineId, statusId);
+        var sheetLabel = stageMapping ? stageMapping.sheet_label : null;
+        var stage = stageMapping ? stageMapping.stage : null;
+        var stagePhone = null;
+
+        // Lead perdido reaberto: a planilha sempre volta a mostrar o lead em aberto
+        var reopened = oldStatusId === KOMMO_STAGE.CLOSED_LOST;
+        if (reopened) {
+            logger.info('[Kommo] Lead ' + leadId + ' reaberto (Closed Lost -> ' + statusId + ') -> ' + client.name);
+            sheetLabel = sheetLabel || 'Reaberto (Kommo)';
+            stage = stage || 'contacted';
+        }
+
+        // Etapa movida pela propria planilha (sincronizacao reversa): o Status ja esta la
+        var fromSheet = !simulation.isActive() && await kommoSheetSync.consumePushMarker(client, leadId, statusId);
+        if (fromSheet) {
+            logger.info('[Kommo] Lead ' + leadId + ' movido pelo Status da planilha — planilha nao reescrita');
+        }
+
+        if (sheetLabel) {
+            try {
+                stagePhone = await this.resolveLeadPhone(client, leadId);
+                if (!stagePhone) {
+                    logger.warn('[Kommo] Etapa "' + sheetLabel + '" sem telefone para lead ' + leadId + ' — nao foi possivel atualizar planilha');
+                } else if (features.sheets_enabled && !fromSheet) {
+                    var stageUpdate = { phone: stagePhone, status: sheetLabel };
+                    if (reopened) stageUpdate.commentNote = 'Reaberto no Kommo';
+                    var stageResult = await sheetsService.updateLeadStatus(client, stageUpdate);
+                    if (!stageResult.success) {
+                        logger.warn('[Kommo] Etapa do lead ' + leadId + ' nao atualizada na planilha: ' + stageResult.error);
+                    }
+                }
+
+                pgService.logLead(client._db_id, {
+                    eventType: 'status_update',
+                    phone: stagePhone || '',
+                    name: leadName ? leadName + ' (Kommo)' : 'Kommo Lead #' + leadId,
+                    status: sheetLabel,
+                    stage: stage,
+                    origin: channel || 'Kommo CRM',
+                    result: 'success',
+                    error: null,
+                    leadDate: lead && lead.date_create ? new Date(parseInt(lead.date_create, 10) * 1000).toISOString() : null,
+                });
+                pgService.upsertLead(client._db_id, {
+                    phone: stagePhone,
+                    kommoLeadId: leadId,
+                    status: sheetLabel,
+                    stage: stage,
+                });
+            } catch (err) {
+                logger.error('[Kommo] Erro ao atualizar etapa do lead ' + leadId + ': ' + err.message);
+            }
+        } else {
+            logger.info('[Kommo] Etapa ' + statusId + ' (pipeline ' + pipelineId + ') sem status mapeado — planilha nao alterada');
         }
 
-        // Status intermediario de lead ja processado
-        return { type: 'lead.status', leadId: leadId, statusId: statusId, client: client.name };
+        emitLeadEvent(client, 'lead.status_changed', {
+            phone: stagePhone,
+            name: leadName || null,
+            origin: channel || 'Kommo CRM',
+            status: sheetLabel,
+            stage: stage,
+            kommo_lead_id: leadId,
+            kommo_status_id: statusId,
+            kommo_old_status_id: oldStatusId,
+        });
+        return { type: 'lead.status', leadId: leadId, statusId: statusId, status: sheetLabel, client: client.name };
+    }
+
+    /**
+     * Telefone de um lead Kommo ja processado: estado atual (leads), API Kommo
+     * e, por ultimo, eventos de contato anteriores.
+     */
+    async resolveLeadPhone(client, leadId) {
+        var known = await pgService.getLead(client._db_id, { kommoLeadId: leadId });
+        if (known && known.phone) return known.phone;
+
+        var apiResult = await fetchPhoneViaAPI(client, leadId);
+        if (apiResult.phone) return apiResult.phone;
+
+        return await this.findPhoneForKommoLead(leadId);
     }
 
     /**
@@ -646,12 +1024,15 @@ class KommoHandler {
     async handleContactEvent(contact, account, action) {
         var contactId = contact.id;
         var contactName = contact.name || '';
-        var phone = extractCustomField(contact.custom_fields, 'PHONE');
+        var phone = normalizePhone(extractCustomField(contact.custom_fields, 'PHONE')) || null;
         var email = extractCustomField(contact.custom_fields, 'EMAIL');
         var linkedLeads = contact.linked_leads_id || [];
 
         logger.info('[Kommo] Contato ' + action + ': id=' + contactId + ', name="' + contactName + '", phone=' + (phone || 'N/A') + ', email=' + (email || 'N/A') + ', leads=' + JSON.stringify(linkedLeads));
 
+        // Telefone/nome do contato e vinculos com leads podem ter mudado
+        await kommoApi.invalidateContact(account.subdomain, contactId, ensureArray(linkedLeads));
+
         if (phone && linkedLeads.length > 0) {
             var leadsArr = ensureArray(linkedLeads);
             for (var i = 0; i < leadsArr.length; i++) {
@@ -691,7 +1072,7 @@ class KommoHandler {
                 [String(kommoLeadId)]
             );
             if (result.rows.length > 0 && result.rows[0].phone) {
-                return String(result.rows[0].phone).replace(/"/g, '');
+                return normalizePhone(String(result.rows[0].phone).replace(/"/g, '')) || null;
             }
             return null;
         } catch (err) {
@@ -11,6 +11,9 @@
 
 const { Pool } = require('pg');
 const { logger } = require('./utils/logger');
+const simulation = require('./infra/simulation');
+const { generateSecret } = require('./infra/webhookAuth');
+const { normalizePhone, phoneTail, matchPhone } = require('./utils/formatter');
 
 /**
  * Retorna meia-noite de "hoje" no fuso de São Paulo (UTC-3) em formato ISO.
@@ -28,6 +31,59 @@ function getTodayStartISO() {
     )).toISOString();
 }
 
+/**
+ * Dígitos com que um telefone pode ter sido gravado em colunas/payloads brutos
+ * (webhook_events, kommo_events, lead_trail): com DDI e, para o Brasil, sem.
+ */
+function phoneDigitCandidates(normalized) {
+    const digits = normalized.replace(/\D/g, "");
+    const candidates = [digits];
+    if (digits.startsWith("55") && (digits.length === 12 || digits.length === 13)) candidates.push(digits.slice(2));
+    return candidates;
+}
+
+/**
+ * Colunas agrupadas em cada nível da análise Meta (/api/meta/*).
+ */
+const META_LEVELS = {
+    campaign: ["campaign"],
+    adset: ["campaign", "adset_name"],
+    ad: ["campaign", "adset_name", "ad_id", "ad_name"],
+    creative: ["creative_title", "creative_body", "creative_media_type", "creative_thumbnail_url"],
+};
+
+/**
+ * WHERE de cliente/período das consultas de meta_conversions (alias opcional da tabela).
+ */
+function buildConversionFilters(clientId, startDate, endDate, alias = "") {
+    const col = (name) => (alias ? `${alias}.${name}` : name);
+    let where = "WHERE 1=1";
+    const params = [];
+    if (clientId) { params.push(clientId); where += ` AND ${col("client_id")} = $${params.length}`; }
+    if (startDate) { params.push(startDate); where += ` AND ${col("created_at")} >= $${params.length}`; }
+    if (endDate) { params.push(endDate); where += ` AND ${col("created_at")} <= $${params.length}`; }
+    return { where, params };
+}
+
+/**
+ * Lançamentos do livro de vendas (lead_sales) no período $1..$2, com a origem
+ * do lead: `net` é o valor com sinal (estornos e cancelamentos negativos).
+ * `upper` é o operador do fim do período ("<=" ou "<").
+ */
+function ledgerInPeriod(upper = "<=") {
+    return `
+        SELECT s.client_id, s.kind,
+               CASE WHEN s.kind = 'sale' THEN s.amount ELSE -s.amount END AS net,
+               COALESCE(l.origin, 'WhatsApp') AS origin
+        FROM lead_sales s
+        LEFT JOIN LATERAL (
+            SELECT origin FROM leads
+            WHERE client_id = s.client_id AND (phone = s.lead_phone OR kommo_lead_id = s.kommo_lead_id)
+            LIMIT 1
+        ) l ON true
+        WHERE s.occurred_at >= $1 AND ($2::timestamptz IS NULL OR s.occurred_at ${upper} $2)`;
+}
+
 class PgService {
     constructor() {
         this.pool = null;
@@ -69,8 +125,16 @@ class PgService {
 
     /**
      * Helper para executar queries com tratamento de erro padrão.
+     * Em simulação (dry-run), escritas são apenas registradas; leituras executam normalmente.
      */
     async query(text, params) {
+        if (simulation.isActive()) {
+            if (simulation.isWriteQuery(text)) {
+                simulation.recordQuery(text, params);
+                return { rows: [], rowCount: 0 };
+            }
+            return simulation.track(this.pool.query(text, params));
+        }
         return this.pool.query(text, params);
     }
 
@@ -99,7 +163,22 @@ class PgService {
                 active: c.active,
                 webhook_source: c.webhook_source || 'tintim',
                 kommo_pipeline_id: c.kommo_pipeline_id || '',
+                kommo_pipeline_ids: c.kommo_pipeline_ids || [],
+                kommo_ignored_pipeline_ids: c.kommo_ignored_pipeline_ids || [],
                 kommo_account_id: c.kommo_account_id || '',
+                feature_flags: c.feature_flags || {},
+                webhook_secret: c.webhook_secret || '',
+                webhook_auth_mode: c.webhook_auth_mode || 'token',
+                returning_lead_action: c.returning_lead_action || 'tag',
+                phone_format: c.phone_format || 'br',
+                google_ads_conversion_name: c.google_ads_conversion_name || '',
+                google_ads_timezone: c.google_ads_timezone || 'America/Sao_Paulo',
+                google_ads_currency: c.google_ads_currency || 'BRL',
+                google_ads_auto_export: c.google_ads_auto_export === true,
+                meta_capi_enabled: c.meta_capi_enabled === true,
+                meta_capi_currency: c.meta_capi_currency || 'BRL',
+                meta_page_id: c.meta_page_id || '',
+                sheet_sale_value: c.sheet_sale_value || 'latest',
             }));
         } catch (error) {
             logger.error('Erro ao carregar clientes do PostgreSQL', { error: error.message });
@@ -126,7 +205,19 @@ class PgService {
                 active: c.active,
                 webhook_source: c.webhook_source || 'tintim',
                 kommo_pipeline_id: c.kommo_pipeline_id || '',
+                kommo_pipeline_ids: c.kommo_pipeline_ids || [],
+                kommo_ignored_pipeline_ids: c.kommo_ignored_pipeline_ids || [],
                 kommo_account_id: c.kommo_account_id || '',
+                feature_flags: c.feature_flags || {},
+                webhook_auth_mode: c.webhook_auth_mode || 'token',
+                webhook_secret_rotated_at: c.webhook_secret_rotated_at || null,
+                returning_lead_action: c.returning_lead_action || 'tag',
+                phone_format: c.phone_format || 'br',
+                google_ads_conversion_name: c.google_ads_conversion_name || '',
+                google_ads_timezone: c.google_ads_timezone || 'America/Sao_Paulo',
+                google_ads_currency: c.google_ads_currency || 'BRL',
+                google_ads_auto_export: c.google_ads_auto_export === true,
+                sheet_sale_value: c.sheet_sale_value || 'latest',
                 created_at: c.created_at,
                 updated_at: c.updated_at,
             }));
@@ -141,8 +232,9 @@ class PgService {
 
         try {
             const { rows } = await this.query(
-                `INSERT INTO clients (slug, name, tintim_instance_id, tintim_account_code, tintim_account_token, spreadsheet_id, sheet_name, active, webhook_source, kommo_pipeline_id, kommo_account_id)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                `INSERT INTO clients (slug, name, tintim_instance_id, tintim_account_code, tintim_account_token, spreadsheet_id, sheet_name, active, webhook_source, kommo_pipeline_id, kommo_account_id, webhook_secret, webhook_secret_rotated_at,
+                                      kommo_pipeline_ids, kommo_ignored_pipeline_ids)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), $13, $14)
                  RETURNING *`,
                 [
                     clientData.id,
@@ -156,6 +248,9 @@ class PgService {
                     clientData.webhook_source || 'tintim',
                     clientData.kommo_pipeline_id || null,
                     clientData.kommo_account_id || null,
+                    generateSecret(),
+                    clientData.kommo_pipeline_ids || [],
+                    clientData.kommo_ignored_pipeline_ids || [],
                 ]
             );
 
@@ -183,6 +278,8 @@ class PgService {
                     webhook_source = $8,
                     kommo_pipeline_id = $9,
                     kommo_account_id = $10,
+                    kommo_pipeline_ids = $12,
+                    kommo_ignored_pipeline_ids = $13,
                     updated_at = NOW()
                  WHERE slug = $11
                  RETURNING *`,
@@ -198,6 +295,8 @@ class PgService {
                     updates.kommo_pipeline_id || null,
                     updates.kommo_account_id || null,
                     slug,
+                    updates.kommo_pipeline_ids || [],
+                    updates.kommo_ignored_pipeline_ids || [],
                 ]
             );
 
@@ -209,6 +308,18 @@ class PgService {
         }
     }
 
+    async setClientPhoneFormat(slug, format) {
+        if (!this.isAvailable()) return null;
+
+        const { rows } = await this.query(
+            `UPDATE clients SET phone_format = $2, updated_at = NOW()
+             WHERE slug = $1
+             RETURNING slug, phone_format`,
+            [slug, format]
+        );
+        return rows[0] || null;
+    }
+
     async deleteClient(slug) {
         if (!this.isAvailable()) return null;
 
@@ -230,32 +341,34 @@ class PgService {
     // LEADS LOG
     // ============================================================
 
+    /**
+     * Resolve clientId: pode ser UUID direto ou slug.
+     */
+    async resolveClientUuid(clientId) {
+        if (!clientId) return null;
+        const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(clientId);
+        if (isUuid) return clientId;
+
+        const { rows } = await this.query(
+            'SELECT id FROM clients WHERE slug = $1',
+            [clientId]
+        );
+        return rows[0]?.id || null;
+    }
+
     async logLead(clientId, leadInfo) {
         if (!this.isAvailable()) return;
 
         try {
-            let clientUuid = null;
-            if (clientId) {
-                // Resolver clientId: pode ser UUID direto ou slug
-                const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(clientId);
-                if (isUuid) {
-                    clientUuid = clientId;
-                } else {
-                    const { rows } = await this.query(
-                        'SELECT id FROM clients WHERE slug = $1',
-                        [clientId]
-                    );
-                    clientUuid = rows[0]?.id || null;
-                }
-            }
+            const clientUuid = await this.resolveClientUuid(clientId);
 
             await this.query(
-                `INSERT INTO leads_log (client_id, event_type, phone, lead_name, status, product, sale_amount, origin, sheet_name, sheet_row, processing_result, error_message, created_at)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, NOW()))`,
+                `INSERT INTO leads_log (client_id, event_type, phone, lead_name, status, product, sale_amount, origin, sheet_name, sheet_row, processing_result, error_message, created_at, stage, first_contact_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, NOW()), $14, $15)`,
                 [
                     clientUuid,
                     leadInfo.eventType || 'new_lead',
-                    leadInfo.phone,
+                    normalizePhone(leadInfo.phone) || leadInfo.phone,
                     leadInfo.name,
                     leadInfo.status,
                     leadInfo.product,
@@ -266,6 +379,8 @@ class PgService {
                     leadInfo.result || 'success',
                     leadInfo.error || null,
                     leadInfo.leadDate || null,
+                    leadInfo.stage || null,
+                    leadInfo.firstContactAt || null,
                 ]
             );
         } catch (error) {
@@ -273,6 +388,149 @@ class PgService {
         }
     }
 
+    // ============================================================
+    // LEADS (estado atual)
+    // ============================================================
+
+    /**
+     * Atualiza o estado atual do lead em `leads` (uma linha por cliente +
+     * telefone normalizado, ou pelo id do lead no Kommo). Sem telefone, só
+     * atualiza um lead do Kommo já existente.
+     * Campos ausentes mantêm o valor atual; a origem e o primeiro contato
+     * guardam o que veio primeiro. `closedAt` marca a venda (o primeiro
+     * fechamento é mantido) e `reopened` limpa o fechamento. `saleAmount` é o
+     * total do livro de vendas (salesLedger) e substitui o valor atual.
+     */
+    async upsertLead(clientId, lead) {
+        if (!this.isAvailable()) return;
+
+        const phone = normalizePhone(lead.phone) || null;
+        const kommoLeadId = lead.kommoLeadId ? String(lead.kommoLeadId) : null;
+        if (!phone && !kommoLeadId) return;
+
+        try {
+            const clientUuid = await this.resolveClientUuid(clientId);
+            if (!clientUuid) return;
+
+            const params = [
+                clientUuid,
+                phone,
+                kommoLeadId,
+                lead.name || null,
+                lead.status || null,
+                lead.stage || null,
+                lead.product || null,
+                lead.origin || null,
+                lead.firstContactAt || null,
+                lead.closedAt || null,
+                lead.saleAmount !== undefined && lead.saleAmount !== null ? lead.saleAmount : null,
+                lead.sheetName || null,
+                lead.sheetRow || null,
+                !!lead.reopened,
+            ];
+            const assignments = `
+                    phone = COALESCE($2, leads.phone),
+                    kommo_lead_id = COALESCE($3, leads.kommo_lead_id),
+                    name = COALESCE($4, leads.name),
+                    status = COALESCE($5::text, leads.status),
+                    stage = CASE WHEN $5::text IS NULL THEN leads.stage ELSE $6 END,
+                    product = COALESCE($7, leads.product),
+                    origin = COALESCE(leads.origin, $8),
+                    first_contact_at = LEAST(leads.first_contact_at, $9::timestamptz),
+                    closed_at = CASE WHEN $14 THEN NULL ELSE COALESCE(leads.closed_at, $10::timestamptz) END,
+                    sale_amount = COALESCE($11::numeric, leads.sale_amount),
+                    sheet_name = COALESCE($12::text, leads.sheet_name),
+                    sheet_row = CASE WHEN $12::text IS NULL THEN leads.sheet_row ELSE $13 END,
+                    updated_at = NOW(),
+                    last_event_at = NOW()`;
+
+            // Lead do Kommo já conhecido pelo id (o telefone pode ainda não existir)
+            if (kommoLeadId) {
+                const { rowCount } = await this.query(
+                    `UPDATE leads SET ${assignments}
+                     WHERE client_id = $1 AND kommo_lead_id = $3`,
+                    params
+                );
+                if (rowCount > 0) return;
+            }
+            if (!phone) return;
+
+            await this.query(
+                `INSERT INTO leads (client_id, phone, kommo_lead_id, name, status, stage, product, origin,
+                                    first_contact_at, closed_at, sale_amount, sheet_name, sheet_row)
+                 VALUES ($1, $2, $3, $4, $5::text, $6, $7, $8, COALESCE($9::timestamptz, NOW()), CASE WHEN $14 THEN NULL ELSE $10::timestamptz END,
+                         $11::numeric, $12::text, $13)
+                 ON CONFLICT (client_id, phone) DO UPDATE SET ${assignments}`,
+                params
+            );
+        } catch (error) {
+            logger.warn('Erro ao atualizar lead no PostgreSQL', { error: error.message });
+        }
+    }
+
+    /**
+     * Estado atual do lead (tabela leads) pelo telefone normalizado ou pelo id
+     * do lead no Kommo. Retorna a linha ou null.
+     */
+    async getLead(clientId, { phone, kommoLeadId } = {}) {
+        if (!this.isAvailable()) return null;
+
+        const normalized = normalizePhone(phone) || null;
+        const kommoId = kommoLeadId ? String(kommoLeadId) : null;
+        if (!normalized && !kommoId) return null;
+
+        try {
+            const clientUuid = await this.resolveClientUuid(clientId);
+            if (!clientUuid) return null;
+
+            const { rows } = await this.query(
+                `SELECT * FROM leads
+                 WHERE client_id = $1 AND (phone = $2 OR kommo_lead_id = $3)
+                 ORDER BY (phone = $2) DESC NULLS LAST
+                 LIMIT 1`,
+                [clientUuid, normalized, kommoId]
+            );
+            return rows[0] || null;
+        } catch (error) {
+            logger.warn("Erro ao buscar lead no PostgreSQL", { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Primeiro lead registrado com sucesso para o telefone.
+     * Busca pelos últimos 9 dígitos (indexado) e escolhe o match exato do número
+     * normalizado; o match por final só vale para registros sem número completo.
+     * Retorna { phone, lead_name, sheet_name, sheet_row, created_at } ou null.
+     */
+    async findFirstLead(clientSlug, phone) {
+        if (!this.isAvailable()) return null;
+
+        const tail = phoneTail(phone);
+        if (tail.length < 8) return null;
+
+        try {
+            const { rows } = await this.query(
+                `SELECT l.phone, l.lead_name, l.sheet_name, l.sheet_row, l.created_at
+                 FROM leads_log l
+                 JOIN clients c ON c.id = l.client_id
+                 WHERE c.slug = $1
+                   AND l.event_type = 'new_lead'
+                   AND l.processing_result = 'success'
+                   AND RIGHT(regexp_replace(l.phone, '\\D', '', 'g'), 9) = $2
+                 ORDER BY l.created_at ASC
+                 LIMIT 50`,
+                [clientSlug, tail]
+            );
+            return rows.find(r => matchPhone(r.phone, phone) === 'exact')
+                || rows.find(r => matchPhone(r.phone, phone) === 'tail')
+                || null;
+        } catch (error) {
+            logger.warn('Erro ao buscar lead anterior no PostgreSQL', { error: error.message });
+            return null;
+        }
+    }
+
     async getRecentLeads(limit = 20) {
         if (!this.isAvailable()) return [];
 
@@ -365,31 +623,81 @@ class PgService {
         }
     }
 
-    async checkDuplicateWebhook(phone, eventType, windowSeconds = 30) {
-        if (!this.isAvailable()) return false;
+    /**
+     * Registra a chave de idempotência de um webhook do Tintim como 'processing'.
+     * Retorna { duplicate: false } se a chave é nova, expirou, falhou antes ou
+     * ficou em 'processing' por mais de staleMinutes (processo caiu no meio), e
+     * { duplicate: true, status, originalTraceId, firstSeenAt } se já foi
+     * processada ou ainda está em processamento.
+     */
+    async claimIdempotencyKey(key, traceId, info = {}, retentionHours = 72, staleMinutes = 10) {
+        if (!this.isAvailable()) return { duplicate: false };
 
         try {
-            const windowStart = new Date(Date.now() - windowSeconds * 1000).toISOString();
+            const { rows } = await this.query(
+                `INSERT INTO webhook_idempotency (idempotency_key, trace_id, phone, event_type, status_id, source_updated_at, expires_at, status, updated_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(hours => $7), 'processing', NOW())
+                 ON CONFLICT (idempotency_key) DO UPDATE SET
+                    trace_id = EXCLUDED.trace_id,
+                    created_at = NOW(),
+                    expires_at = EXCLUDED.expires_at,
+                    status = 'processing',
+                    updated_at = NOW()
+                 WHERE webhook_idempotency.expires_at < NOW()
+                    OR webhook_idempotency.status = 'failed'
+                    OR (webhook_idempotency.status = 'processing'
+                        AND webhook_idempotency.updated_at < NOW() - make_interval(mins => $8))
+                 RETURNING trace_id`,
+                [key, traceId, info.phone || null, info.eventType || null, info.statusId || null, info.updatedAt || null, retentionHours, staleMinutes]
+            );
+            if (rows.length > 0) return { duplicate: false };
 
-            let sql = `SELECT COUNT(*) as count FROM webhook_events WHERE created_at >= $1`;
-            const params = [windowStart];
-            let paramIdx = 2;
+            const existing = await this.query(
+                'SELECT trace_id, status, created_at FROM webhook_idempotency WHERE idempotency_key = $1',
+                [key]
+            );
+            return {
+                duplicate: true,
+                status: existing.rows[0]?.status || null,
+                originalTraceId: existing.rows[0]?.trace_id || null,
+                firstSeenAt: existing.rows[0]?.created_at || null,
+            };
+        } catch (error) {
+            logger.warn('Erro ao verificar chave de idempotência', { error: error.message });
+            return { duplicate: false };
+        }
+    }
 
-            if (phone) {
-                sql += ` AND phone = $${paramIdx}`;
-                params.push(phone);
-                paramIdx++;
-            }
-            if (eventType) {
-                sql += ` AND event_type = $${paramIdx}`;
-                params.push(eventType);
-            }
+    /**
+     * Fecha a chave reivindicada por traceId: 'done' (resultado com sucesso) ou
+     * 'failed' (a próxima entrega do mesmo evento pode reprocessar).
+     */
+    async finishIdempotencyKey(key, traceId, status) {
+        if (!this.isAvailable()) return;
 
-            const { rows } = await this.query(sql, params);
-            return parseInt(rows[0].count, 10) > 0;
+        try {
+            await this.query(
+                `UPDATE webhook_idempotency SET status = $3, updated_at = NOW()
+                 WHERE idempotency_key = $1 AND trace_id = $2`,
+                [key, traceId, status]
+            );
         } catch (error) {
-            logger.warn('Erro ao verificar duplicata de webhook', { error: error.message });
-            return false;
+            logger.warn('Erro ao atualizar chave de idempotência', { error: error.message });
+        }
+    }
+
+    /**
+     * Remove chaves de idempotência fora da janela de retenção.
+     */
+    async purgeExpiredIdempotencyKeys() {
+        if (!this.isAvailable()) return 0;
+
+        try {
+            const { rowCount } = await this.query('DELETE FROM webhook_idempotency WHERE expires_at < NOW()');
+            return rowCount;
+        } catch (error) {
+            logger.warn('Erro ao limpar chaves de idempotência', { error: error.message });
+            return 0;
         }
     }
 
@@ -523,9 +831,9 @@ class PgService {
             const from = startDate || getTodayStartISO();
 
             let sql = `SELECT c.slug, COUNT(*) as count
-                        FROM leads_log l
+                        FROM leads l
                         JOIN clients c ON l.client_id = c.id
-                        WHERE l.created_at >= $1 AND l.processing_result = 'success' AND l.event_type = 'new_lead'`;
+                        WHERE l.created_at >= $1`;
             const params = [from];
             let paramIdx = 2;
 
@@ -553,64 +861,284 @@ class PgService {
         return this.getLeadsCountByClient();
     }
 
-    async getLeadTimeline(phone) {
-        if (!this.isAvailable()) return [];
+    /**
+     * Linha do tempo de um telefone em todas as fontes: webhooks Tintim,
+     * eventos Kommo (via contato), leads_log (aba/linha de cada escrita),
+     * traces do lead_trail, keyword_conversions, meta_conversions e eventos
+     * da Conversions API. Opcionalmente restrita a um cliente (slug).
+     */
+    async getLeadTimeline(phone, clientSlug = null) {
+        const normalized = normalizePhone(phone);
+        const empty = { phone: normalized, name: null, clients: [], firstSeen: null, lastSeen: null, sheetRows: [], items: [] };
+        if (!this.isAvailable() || !normalized) return empty;
 
         try {
-            const cleanPhone = phone.replace(/[^\d+]/g, '');
-            const pattern = `%${cleanPhone}%`;
+            const candidates = phoneDigitCandidates(normalized);
+            const clientFilter = (alias) => clientSlug ? ` AND ${alias}.client_id = (SELECT id FROM clients WHERE slug = $2)` : "";
+            const params = (first) => clientSlug ? [first, clientSlug] : [first];
 
-            const [eventsResult, logsResult] = await Promise.all([
+            const [events, logs, trail, kommo, keywords, meta, capi] = await Promise.all([
                 this.query(
-                    `SELECT w.*, c.name as client_name
+                    `SELECT w.id, w.created_at, w.event_type, w.processing_result, w.payload, c.name as client_name
                      FROM webhook_events w
                      LEFT JOIN clients c ON w.client_id = c.id
-                     WHERE w.phone ILIKE $1
-                     ORDER BY w.created_at ASC
-                     LIMIT 100`,
-                    [pattern]
+                     WHERE regexp_replace(COALESCE(w.phone, ''), '\D', '', 'g') = ANY($1)${clientFilter("w")}
+                     ORDER BY w.created_at DESC
+                     LIMIT 200`,
+                    params(candidates)
                 ),
                 this.query(
-                    `SELECT l.*, c.name as client_name
+                    `SELECT l.*, c.name as client_name, c.slug as client_slug
                      FROM leads_log l
                      LEFT JOIN clients c ON l.client_id = c.id
-                     WHERE l.phone ILIKE $1
-                     ORDER BY l.created_at ASC
-                     LIMIT 100`,
-                    [pattern]
+                     WHERE l.phone = $1${clientFilter("l")}
+                     ORDER BY l.created_at DESC
+                     LIMIT 200`,
+                    params(normalized)
+                ),
+                this.query(
+                    `SELECT t.trace_id, t.step_order, t.step_name, t.status, t.detail, t.metadata, t.duration_ms, t.created_at
+                     FROM lead_trail t
+                     WHERE t.trace_id IN (
+                         SELECT r.trace_id FROM lead_trail r
+                         WHERE r.step_name = 'webhook_received'
+                           AND regexp_replace(COALESCE(r.metadata->'payload'->>'phone', ''), '\D', '', 'g') = ANY($1)
+                           ${clientSlug ? `AND EXISTS (
+                               SELECT 1 FROM lead_trail m
+                               WHERE m.trace_id = r.trace_id AND m.step_name = 'client_matched' AND m.metadata->>'clientSlug' = $2
+                           )` : ""}
+                         ORDER BY r.created_at DESC
+                         LIMIT 50
+                     )
+                     ORDER BY t.created_at ASC, t.step_order ASC`,
+                    params(candidates)
+                ),
+                this.query(
+                    `SELECT k.id, k.created_at, k.event_type, k.kommo_lead_id, k.processing_result, k.payload, c.name as client_name
+                     FROM kommo_events k
+                     LEFT JOIN clients c ON k.client_id = c.id
+                     WHERE k.kommo_lead_id IN (
+                         SELECT DISTINCT kc.kommo_lead_id FROM kommo_events kc
+                         WHERE kc.kommo_lead_id IS NOT NULL
+                           AND regexp_replace(COALESCE(kc.payload->>'phone', ''), '\D', '', 'g') = ANY($1)
+                         UNION
+                         SELECT ld.kommo_lead_id FROM leads ld
+                         WHERE ld.kommo_lead_id IS NOT NULL
+                           AND regexp_replace(COALESCE(ld.phone, ''), '\D', '', 'g') = ANY($1)
+                     )${clientFilter("k")}
+                     ORDER BY k.created_at DESC
+                     LIMIT 200`,
+                    params(candidates)
+                ),
+                this.query(
+                    `SELECT kw.*, c.name as client_name
+                     FROM keyword_conversions kw
+                     LEFT JOIN clients c ON kw.client_id = c.id
+                     WHERE kw.lead_phone = $1${clientFilter("kw")}
+                     ORDER BY kw.created_at DESC
+                     LIMIT 50`,
+                    params(normalized)
+                ),
+                this.query(
+                    `SELECT mc.*, c.name as client_name
+                     FROM meta_conversions mc
+                     LEFT JOIN clients c ON mc.client_id = c.id
+                     WHERE mc.lead_phone = $1${clientFilter("mc")}
+                     ORDER BY mc.created_at DESC
+                     LIMIT 50`,
+                    params(normalized)
+                ),
+                this.query(
+                    `SELECT e.id, e.event_id, e.event_time, e.created_at, e.value, e.currency, e.status, e.attempts,
+                            e.delivery, e.error, e.source, c.name as client_name
+                     FROM meta_capi_events e
+                     LEFT JOIN clients c ON e.client_id = c.id
+                     WHERE e.lead_phone = $1${clientFilter("e")}
+                     ORDER BY e.created_at DESC
+                     LIMIT 50`,
+                    params(normalized)
                 ),
             ]);
 
-            const events = eventsResult.rows.map(e => ({
-                id: `evt_${e.id}`,
-                timestamp: e.created_at,
-                type: 'webhook',
-                phone: e.phone,
-                client: e.client_name || 'Desconhecido',
-                event_type: e.event_type,
-                status: e.processing_result,
-                payload: e.payload,
-            }));
+            const items = [];
+
+            for (const e of events.rows) {
+                items.push({
+                    id: `evt_${e.id}`,
+                    timestamp: e.created_at,
+                    type: "webhook",
+                    source: "tintim",
+                    client: e.client_name || "Desconhecido",
+                    event_type: e.event_type,
+                    status: e.processing_result,
+                    payload: e.payload,
+                });
+            }
 
-            const logs = logsResult.rows.map(l => ({
-                id: `log_${l.id}`,
-                timestamp: l.created_at,
-                type: 'processing',
-                phone: l.phone,
-                client: l.client_name || 'Desconhecido',
-                name: l.lead_name,
-                event_type: l.event_type,
-                status: l.status,
-                result: l.processing_result,
-                error_message: l.error_message,
-                sale_amount: l.sale_amount,
-                sheet_name: l.sheet_name,
-            }));
+            for (const l of logs.rows) {
+                items.push({
+                    id: `log_${l.id}`,
+                    timestamp: l.created_at,
+                    type: "processing",
+                    source: "pipeline",
+                    client: l.client_name || "Desconhecido",
+                    client_slug: l.client_slug || null,
+                    name: l.lead_name,
+                    event_type: l.event_type,
+                    status: l.status,
+                    stage: l.stage || null,
+                    origin: l.origin,
+                    product: l.product,
+                    result: l.processing_result,
+                    error_message: l.error_message,
+                    sale_amount: l.sale_amount,
+                    sheet_name: l.sheet_name,
+                    sheet_row: l.sheet_row,
+                });
+            }
+
+            // Um item por trace, com os passos em ordem
+            const traces = new Map();
+            for (const step of trail.rows) {
+                if (!traces.has(step.trace_id)) {
+                    traces.set(step.trace_id, {
+                        id: `trace_${step.trace_id}`,
+                        timestamp: step.created_at,
+                        type: "trail",
+                        source: "tintim",
+                        trace_id: step.trace_id,
+                        client: null,
+                        status: "ok",
+                        steps: [],
+                    });
+                }
+                const trace = traces.get(step.trace_id);
+                trace.steps.push({
+                    step_order: step.step_order,
+                    step_name: step.step_name,
+                    status: step.status,
+                    detail: step.detail,
+                    duration_ms: step.duration_ms,
+                    created_at: step.created_at,
+                    sheet_name: step.metadata && step.metadata.sheetName || null,
+                    sheet_row: step.metadata && step.metadata.row || null,
+                });
+                if (step.step_name === "client_matched" && step.metadata) trace.client = step.metadata.clientName || step.metadata.clientSlug || null;
+                if (step.status === "error") trace.status = "error";
+            }
+            items.push(...traces.values());
+
+            for (const k of kommo.rows) {
+                items.push({
+                    id: `kommo_${k.id}`,
+                    timestamp: k.created_at,
+                    type: "kommo",
+                    source: "kommo",
+                    client: k.client_name || "Desconhecido",
+                    event_type: k.event_type,
+                    kommo_lead_id: k.kommo_lead_id,
+                    status: k.processing_result,
+                    skipped_by_flag: (k.payload && k.payload.skippedByFlag) || null,
+                    payload: k.payload,
+                });
+            }
+
+            for (const kw of keywords.rows) {
+                items.push({
+                    id: `kw_${kw.id}`,
+                    timestamp: kw.created_at,
+                    type: "keyword",
+                    source: "google_ads",
+                    client: kw.client_name || "Desconhecido",
+                    keyword: kw.keyword,
+                    campaign: kw.campaign,
+                    gclid: kw.gclid,
+                    landing_page: kw.landing_page,
+                    device_type: kw.device_type,
+                });
+                if (kw.converted) {
+                    items.push({
+                        id: `kw_sale_${kw.id}`,
+                        timestamp: kw.converted_at || kw.created_at,
+                        type: "keyword_sale",
+                        source: "google_ads",
+                        client: kw.client_name || "Desconhecido",
+                        keyword: kw.keyword,
+                        sale_amount: kw.sale_amount,
+                        exported: !!kw.google_ads_export_id,
+                    });
+                }
+            }
+
+            for (const mc of meta.rows) {
+                items.push({
+                    id: `meta_${mc.id}`,
+                    timestamp: mc.created_at,
+                    type: "meta",
+                    source: "meta",
+                    client: mc.client_name || "Desconhecido",
+                    campaign: mc.campaign,
+                    adset_name: mc.adset_name,
+                    ad_name: mc.ad_name || mc.ad_id,
+                    ctwa_clid: mc.ctwa_clid,
+                });
+                if (mc.converted) {
+                    items.push({
+                        id: `meta_sale_${mc.id}`,
+                        timestamp: mc.converted_at || mc.created_at,
+                        type: "meta_sale",
+                        source: "meta",
+                        client: mc.client_name || "Desconhecido",
+                        campaign: mc.campaign,
+                        sale_amount: mc.sale_amount,
+                    });
+                }
+            }
 
-            return [...events, ...logs].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            for (const e of capi.rows) {
+                items.push({
+                    id: `capi_${e.id}`,
+                    timestamp: e.created_at,
+                    type: "capi",
+                    source: "meta_capi",
+                    client: e.client_name || "Desconhecido",
+                    event_id: e.event_id,
+                    sale_amount: e.value,
+                    currency: e.currency,
+                    status: e.status,
+                    attempts: e.attempts,
+                    delivery: e.delivery,
+                    error_message: e.error,
+                });
+            }
+
+            items.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+            const sheetRows = [];
+            for (const item of items) {
+                const rows = item.type === "trail" ? item.steps : [item];
+                for (const r of rows) {
+                    if (!r.sheet_name) continue;
+                    const client = item.client || "Desconhecido";
+                    if (!sheetRows.some(x => x.client === client && x.sheet_name === r.sheet_name && x.sheet_row === (r.sheet_row || null))) {
+                        sheetRows.push({ client, sheet_name: r.sheet_name, sheet_row: r.sheet_row || null });
+                    }
+                }
+            }
+            const named = logs.rows.find(l => l.lead_name) || keywords.rows.find(k => k.lead_name) || meta.rows.find(m => m.lead_name);
+
+            return {
+                phone: normalized,
+                name: named ? (named.lead_name || null) : null,
+                clients: [...new Set(items.map(i => i.client).filter(Boolean))],
+                firstSeen: items.length ? items[0].timestamp : null,
+                lastSeen: items.length ? items[items.length - 1].timestamp : null,
+                sheetRows,
+                items,
+            };
         } catch (error) {
-            logger.error('Erro ao buscar timeline do lead', { error: error.message });
-            return [];
+            logger.error("Erro ao buscar timeline do lead", { error: error.message });
+            return empty;
         }
     }
 
@@ -700,12 +1228,12 @@ class PgService {
         try {
             const from = startDate || getTodayStartISO();
 
-            const buildWhere = (extra = '') => {
-                let where = `WHERE created_at >= $1`;
+            const buildWhere = (extra = '', column = 'created_at') => {
+                let where = `WHERE ${column} >= $1`;
                 const params = [from];
                 let idx = 2;
                 if (endDate) {
-                    where += ` AND created_at <= $${idx}`;
+                    where += ` AND ${column} <= $${idx}`;
                     params.push(endDate);
                     idx++;
                 }
@@ -719,10 +1247,19 @@ class PgService {
                 `SELECT COUNT(*) as count FROM leads_log ${nlq.where}`, nlq.params
             );
 
-            // 2. Sales
-            const sq = buildWhere(`event_type = 'status_update' AND processing_result = 'success' AND (sale_amount > 0 OR status ILIKE ANY(ARRAY['%comprou%','%fechou%','%vendido%','%ganhou%','%contrato%']))`);
+            // 1b. Returning leads (phone already had a lead) — includes the ones ignored by the client's action
+            const rlq = buildWhere(`event_type = 'returning_lead' AND processing_result IN ('success', 'filtered')`);
+            const { rows: rlRows } = await this.query(
+                `SELECT COUNT(*) as count FROM leads_log ${rlq.where}`, rlq.params
+            );
+
+            // 2. Sales + revenue — lançamentos do livro de vendas no período
+            // (estornos e cancelamentos descontam da receita)
+            const sq = buildWhere('', 'occurred_at');
             const { rows: sRows } = await this.query(
-                `SELECT COUNT(*) as count FROM leads_log ${sq.where}`, sq.params
+                `SELECT COUNT(*) FILTER (WHERE kind = 'sale') as count,
+                        COALESCE(SUM(CASE WHEN kind = 'sale' THEN amount ELSE -amount END), 0) as total
+                 FROM lead_sales ${sq.where}`, sq.params
             );
 
             // 3. Errors
@@ -737,22 +1274,17 @@ class PgService {
                 `SELECT COUNT(*) as count FROM leads_log ${pq.where}`, pq.params
             );
 
-            // 5. Revenue
-            const rq = buildWhere(`sale_amount IS NOT NULL AND sale_amount > 0`);
-            const { rows: rRows } = await this.query(
-                `SELECT COALESCE(SUM(sale_amount), 0) as total FROM leads_log ${rq.where}`, rq.params
-            );
-
             const newLeads = parseInt(nlRows[0].count, 10);
             const sales = parseInt(sRows[0].count, 10);
 
             return {
                 newLeads,
+                returningLeads: parseInt(rlRows[0].count, 10),
                 sales,
                 errors: parseInt(eRows[0].count, 10),
                 processed: parseInt(pRows[0].count, 10),
                 received: newLeads + sales,
-                revenue: parseFloat(rRows[0].total) || 0,
+                revenue: parseFloat(sRows[0].total) || 0,
             };
         } catch (error) {
             logger.error('Erro ao buscar stats do dashboard', { error: error.message });
@@ -765,36 +1297,29 @@ class PgService {
 
         try {
             const from = startDate || getTodayStartISO();
-            // CTE: para cada telefone, pega a origem do PRIMEIRO new_lead (origem real)
-            // Vendas vêm pelo WhatsApp mas devem ser atribuídas à origem original do lead
-            let sql = `
-                WITH lead_first_origin AS (
-                    SELECT DISTINCT ON (phone)
-                        phone,
-                        COALESCE(origin, 'WhatsApp') AS true_origin
-                    FROM leads_log
-                    WHERE event_type = 'new_lead' AND processing_result = 'success'
-                    ORDER BY phone, created_at ASC
-                )
-                SELECT
-                    COALESCE(lfo.true_origin, COALESCE(l.origin, 'WhatsApp')) AS origin,
-                    COUNT(*) FILTER (WHERE l.event_type = 'new_lead' AND l.processing_result = 'success') AS leads,
-                    COUNT(*) FILTER (WHERE l.sale_amount > 0
-                        OR (l.processing_result = 'success' AND l.status ILIKE ANY(ARRAY['%comprou%','%fechou%','%vendido%','%ganhou%','%contrato%']))) AS sales,
-                    COALESCE(SUM(l.sale_amount) FILTER (WHERE l.sale_amount > 0), 0) AS revenue
-                FROM leads_log l
-                LEFT JOIN lead_first_origin lfo ON lfo.phone = l.phone
-                WHERE l.created_at >= $1`;
-            const params = [from];
-            let idx = 2;
-            if (endDate) {
-                sql += ` AND l.created_at <= $${idx}`;
-                params.push(endDate);
-                idx++;
-            }
-            sql += ` GROUP BY COALESCE(lfo.true_origin, COALESCE(l.origin, 'WhatsApp')) ORDER BY leads DESC`;
-
-            const { rows } = await this.query(sql, params);
+            // leads.origin é a origem do primeiro contato: vendas ficam com a origem real
+            // do lead, não com o canal da atualização de status
+            const { rows } = await this.query(
+                `WITH created AS (
+                    SELECT COALESCE(origin, 'WhatsApp') AS origin, COUNT(*) AS leads
+                    FROM leads
+                    WHERE created_at >= $1 AND ($2::timestamptz IS NULL OR created_at <= $2)
+                    GROUP BY 1
+                 ),
+                 sold AS (
+                    SELECT origin, COUNT(*) FILTER (WHERE kind = 'sale') AS sales, SUM(net) AS revenue
+                    FROM (${ledgerInPeriod()}) ledger
+                    GROUP BY origin
+                 )
+                 SELECT COALESCE(c.origin, s.origin) AS origin,
+                        COALESCE(c.leads, 0) AS leads,
+                        COALESCE(s.sales, 0) AS sales,
+                        COALESCE(s.revenue, 0) AS revenue
+                 FROM created c
+                 FULL JOIN sold s ON s.origin = c.origin
+                 ORDER BY leads DESC`,
+                [from, endDate || null]
+            );
             return rows.map(r => ({
                 origin: r.origin,
                 leads: parseInt(r.leads, 10),
@@ -812,39 +1337,28 @@ class PgService {
 
         try {
             const from = startDate || getTodayStartISO();
-            // Mesma lógica: atribui vendas à origem real do lead (não do canal de venda)
-            const params = [from];
-            let idx = 2;
-            let dateFilter = '';
-            if (endDate) {
-                dateFilter = ` AND l.created_at <= $${idx}`;
-                params.push(endDate);
-                idx++;
-            }
-            const sql = `
-                WITH lead_first_origin AS (
-                    SELECT DISTINCT ON (phone)
-                        phone,
-                        COALESCE(origin, 'WhatsApp') AS true_origin
-                    FROM leads_log
-                    WHERE event_type = 'new_lead' AND processing_result = 'success'
-                    ORDER BY phone, created_at ASC
-                )
-                SELECT c.slug, c.name,
-                    COALESCE(lfo.true_origin, COALESCE(l.origin, 'WhatsApp')) AS origin,
-                    COUNT(*) FILTER (WHERE l.event_type = 'new_lead' AND l.processing_result = 'success') AS leads,
-                    COUNT(*) FILTER (WHERE l.sale_amount > 0
-                        OR (l.processing_result = 'success' AND l.status ILIKE ANY(ARRAY['%comprou%','%fechou%','%vendido%','%ganhou%','%contrato%']))) AS sales,
-                    COALESCE(SUM(l.sale_amount) FILTER (WHERE l.sale_amount > 0), 0) AS revenue
-                FROM clients c
-                LEFT JOIN leads_log l ON l.client_id = c.id AND l.created_at >= $1${dateFilter}
-                LEFT JOIN lead_first_origin lfo ON lfo.phone = l.phone
-                WHERE c.active = true
-                GROUP BY c.id, c.slug, c.name, COALESCE(lfo.true_origin, COALESCE(l.origin, 'WhatsApp'))
-                HAVING COUNT(*) FILTER (WHERE l.event_type = 'new_lead' AND l.processing_result = 'success') > 0
-                ORDER BY c.name, leads DESC`;
-
-            const { rows } = await this.query(sql, params);
+            // Mesma lógica: vendas atribuídas à origem real do lead (leads.origin)
+            const { rows } = await this.query(
+                `WITH sold AS (
+                    SELECT client_id, origin, COUNT(*) FILTER (WHERE kind = 'sale') AS sales, SUM(net) AS revenue
+                    FROM (${ledgerInPeriod()}) ledger
+                    GROUP BY client_id, origin
+                 )
+                 SELECT c.slug, c.name, o.origin, o.leads,
+                    COALESCE(s.sales, 0) AS sales,
+                    COALESCE(s.revenue, 0) AS revenue
+                 FROM clients c
+                 JOIN (
+                    SELECT client_id, COALESCE(origin, 'WhatsApp') AS origin, COUNT(*) AS leads
+                    FROM leads
+                    WHERE created_at >= $1 AND ($2::timestamptz IS NULL OR created_at <= $2)
+                    GROUP BY client_id, COALESCE(origin, 'WhatsApp')
+                 ) o ON o.client_id = c.id
+                 LEFT JOIN sold s ON s.client_id = c.id AND s.origin = o.origin
+                 WHERE c.active = true
+                 ORDER BY c.name, o.leads DESC`,
+                [from, endDate || null]
+            );
             return rows.map(r => ({
                 slug: r.slug,
                 name: r.name,
@@ -1239,6 +1753,13 @@ class PgService {
     // ============================================================
 
     async addTrailStep(traceId, stepOrder, stepName, status, detail, metadata, durationMs) {
+        if (simulation.isActive()) {
+            simulation.recordTrailStep({
+                trace_id: traceId, step_order: stepOrder, step_name: stepName, status,
+                detail: detail || null, metadata: metadata || null, duration_ms: durationMs || null,
+            });
+            return;
+        }
         if (!this.isAvailable()) return;
         try {
             await this.query(
@@ -1313,13 +1834,21 @@ class PgService {
     }
 
     async getPayloadByTraceId(traceId) {
+        const received = await this.getWebhookReceivedByTraceId(traceId);
+        return received?.payload || null;
+    }
+
+    /**
+     * Metadata do passo webhook_received: { payload, clientSlug } (clientSlug quando veio pela URL do cliente).
+     */
+    async getWebhookReceivedByTraceId(traceId) {
         if (!this.isAvailable()) return null;
         try {
             const { rows } = await this.query(
                 `SELECT metadata FROM lead_trail WHERE trace_id = $1 AND step_name = 'webhook_received' LIMIT 1`,
                 [traceId]
             );
-            return rows[0]?.metadata?.payload || null;
+            return rows[0]?.metadata || null;
         } catch (error) {
             logger.error("Erro ao buscar payload por trace_id", { error: error.message });
             return null;
@@ -1343,7 +1872,7 @@ class PgService {
                  RETURNING id`,
                 [data.clientId, data.keyword, data.campaign, data.utmSource, data.utmMedium,
                  data.utmContent, data.gclid, data.landingPage, data.deviceType, data.locationState,
-                 data.leadPhone, data.leadName, data.leadStatus, data.product,
+                 normalizePhone(data.leadPhone) || data.leadPhone, data.leadName, data.leadStatus, data.product,
                  data.saleAmount || 0, data.converted || false]
             );
             return rows[0]?.id || null;
@@ -1360,7 +1889,7 @@ class PgService {
                 `UPDATE keyword_conversions
                  SET sale_amount = $1, converted = true, lead_status = COALESCE($2, lead_status), converted_at = NOW()
                  WHERE id = (SELECT id FROM keyword_conversions WHERE lead_phone = $3 ORDER BY created_at DESC LIMIT 1)`,
-                [data.saleAmount || 0, data.leadStatus || null, phone]
+                [data.saleAmount || 0, data.leadStatus || null, normalizePhone(phone)]
             );
             if (rowCount === 0) {
                 logger.info("Nenhum keyword_conversion encontrado para telefone: " + phone + " (lead pode nao ser Google Ads)");
@@ -1571,7 +2100,7 @@ class PgService {
                     w.payload->'visit'->>'name',
                     w.payload->'visit'->'meta'->'http_user_agent'->'device'->>'type',
                     w.payload->'location'->>'state',
-                    w.payload->>'phone',
+                    '+' || regexp_replace(w.payload->>'phone', '\\D', '', 'g'),
                     COALESCE(w.payload->>'chatName', w.payload->>'name', ''),
                     'Lead Gerado',
                     '',
@@ -1584,7 +2113,7 @@ class PgService {
                 AND COALESCE(LOWER(w.payload->>'source'), '') NOT LIKE '%facebook%'
                 AND NOT EXISTS (
                     SELECT 1 FROM keyword_conversions kc
-                    WHERE kc.lead_phone = w.payload->>'phone'
+                    WHERE kc.lead_phone IN (w.payload->>'phone', '+' || regexp_replace(w.payload->>'phone', '\\D', '', 'g'))
                       AND kc.created_at = w.created_at
                 )
             `);
@@ -1596,6 +2125,220 @@ class PgService {
         }
     }
 
+    // ============================================================
+    // META (click-to-WhatsApp attribution)
+    // ============================================================
+
+    async saveMetaConversion(data) {
+        if (!this.isAvailable()) return null;
+        try {
+            const { rows } = await this.query(
+                `INSERT INTO meta_conversions
+                 (client_id, ctwa_clid, campaign, adset_name, ad_id, ad_name, creative_title, creative_body,
+                  creative_media_type, creative_source_url, creative_thumbnail_url, utm_source, utm_medium, utm_content,
+                  location_state, lead_phone, lead_name, lead_status, product)
+                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
+                 RETURNING id`,
+                [data.clientId, data.ctwaClid, data.campaign, data.adsetName, data.adId, data.adName,
+                 data.creativeTitle, data.creativeBody, data.creativeMediaType, data.creativeSourceUrl,
+                 data.creativeThumbnailUrl, data.utmSource, data.utmMedium, data.utmContent, data.locationState,
+                 normalizePhone(data.leadPhone) || data.leadPhone, data.leadName, data.leadStatus, data.product]
+            );
+            return rows[0]?.id || null;
+        } catch (error) {
+            logger.error("Erro ao salvar meta conversion", { error: error.message });
+            return null;
+        }
+    }
+
+    async upsertMetaConversion(phone, data) {
+        if (!this.isAvailable()) return;
+        try {
+            const { rowCount } = await this.query(
+                `UPDATE meta_conversions
+                 SET sale_amount = $1, converted = true, lead_status = COALESCE($2, lead_status), converted_at = NOW()
+                 WHERE id = (SELECT id FROM meta_conversions WHERE lead_phone = $3 ORDER BY created_at DESC LIMIT 1)`,
+                [data.saleAmount || 0, data.leadStatus || null, normalizePhone(phone)]
+            );
+            if (rowCount === 0) {
+                logger.info("Nenhum meta_conversion encontrado para telefone: " + phone + " (lead pode nao ser Meta Ads)");
+            }
+        } catch (error) {
+            logger.error("Erro ao upsert meta conversion", { error: error.message });
+        }
+    }
+
+    async getMetaStats(clientId, startDate, endDate) {
+        const empty = { totalLeads: 0, withClickId: 0, campaigns: 0, ads: 0, totalConversions: 0, conversionRate: 0, totalValue: 0, topCampaign: null, topAd: null };
+        if (!this.isAvailable()) return empty;
+        try {
+            const { where, params } = buildConversionFilters(clientId, startDate, endDate);
+
+            const { rows } = await this.query(`
+                SELECT
+                    COUNT(*) as total_leads,
+                    COUNT(ctwa_clid) as with_click_id,
+                    COUNT(DISTINCT campaign) as campaigns,
+                    COUNT(DISTINCT COALESCE(ad_id, ad_name)) as ads,
+                    SUM(CASE WHEN converted THEN 1 ELSE 0 END) as total_conversions,
+                    ROUND(SUM(CASE WHEN converted THEN 1 ELSE 0 END)::numeric / NULLIF(COUNT(*),0) * 100, 1) as conversion_rate,
+                    SUM(sale_amount) as total_value
+                FROM meta_conversions
+                ${where}
+            `, params);
+
+            const { rows: topCampaign } = await this.query(`
+                SELECT campaign, COUNT(*) as cnt FROM meta_conversions
+                ${where} AND campaign IS NOT NULL AND campaign != ''
+                GROUP BY campaign ORDER BY cnt DESC LIMIT 1
+            `, params);
+
+            const { rows: topAd } = await this.query(`
+                SELECT ad_name, COUNT(*) as cnt FROM meta_conversions
+                ${where} AND ad_name IS NOT NULL AND ad_name != ''
+                GROUP BY ad_name ORDER BY cnt DESC LIMIT 1
+            `, params);
+
+            const stats = rows[0] || {};
+            return {
+                totalLeads: parseInt(stats.total_leads || 0, 10),
+                withClickId: parseInt(stats.with_click_id || 0, 10),
+                campaigns: parseInt(stats.campaigns || 0, 10),
+                ads: parseInt(stats.ads || 0, 10),
+                totalConversions: parseInt(stats.total_conversions || 0, 10),
+                conversionRate: parseFloat(stats.conversion_rate || 0),
+                totalValue: parseFloat(stats.total_value || 0),
+                topCampaign: topCampaign[0]?.campaign || null,
+                topAd: topAd[0]?.ad_name || null,
+            };
+        } catch (error) {
+            logger.error("Erro ao buscar meta stats", { error: error.message });
+            return empty;
+        }
+    }
+
+    /**
+     * Performance agrupada por nível: campaign, adset, ad ou creative (META_LEVELS).
+     */
+    async getMetaPerformance(level, clientId, startDate, endDate) {
+        if (!this.isAvailable() || !META_LEVELS[level]) return [];
+        try {
+            const { where, params } = buildConversionFilters(clientId, startDate, endDate);
+            const columns = META_LEVELS[level].join(", ");
+
+            const { rows } = await this.query(`
+                SELECT ${columns},
+                       COUNT(*) as leads,
+                       SUM(CASE WHEN converted THEN 1 ELSE 0 END) as conversions,
+                       ROUND(SUM(CASE WHEN converted THEN 1 ELSE 0 END)::numeric / NULLIF(COUNT(*),0) * 100, 1) as rate,
+                       SUM(sale_amount) as total_value,
+                       MAX(created_at) as last_date
+                FROM meta_conversions
+                ${where}
+                GROUP BY ${columns}
+                ORDER BY leads DESC
+            `, params);
+            return rows;
+        } catch (error) {
+            logger.error("Erro ao buscar meta performance", { level, error: error.message });
+            return [];
+        }
+    }
+
+    async getMetaTrend(clientId, startDate, endDate) {
+        if (!this.isAvailable()) return [];
+        try {
+            const { where, params } = buildConversionFilters(clientId, startDate, endDate);
+
+            const { rows } = await this.query(`
+                SELECT DATE(created_at AT TIME ZONE 'America/Sao_Paulo') as day,
+                       COUNT(*) as leads,
+                       SUM(CASE WHEN converted THEN 1 ELSE 0 END) as conversions
+                FROM meta_conversions
+                ${where}
+                GROUP BY day
+                ORDER BY day ASC
+            `, params);
+            return rows;
+        } catch (error) {
+            logger.error("Erro ao buscar meta trend", { error: error.message });
+            return [];
+        }
+    }
+
+    async getMetaDetail(filters, clientId, startDate, endDate) {
+        if (!this.isAvailable()) return [];
+        try {
+            const { where, params } = buildConversionFilters(clientId, startDate, endDate, "mc");
+            let detailWhere = where;
+            for (const column of ["campaign", "adset_name", "ad_id", "ad_name", "creative_title"]) {
+                if (filters[column] === undefined) continue;
+                params.push(filters[column]);
+                detailWhere += ` AND mc.${column} IS NOT DISTINCT FROM $${params.length}`;
+            }
+
+            const { rows } = await this.query(`
+                SELECT mc.*, c.name as client_name
+                FROM meta_conversions mc
+                LEFT JOIN clients c ON c.id = mc.client_id
+                ${detailWhere}
+                ORDER BY mc.created_at DESC
+                LIMIT 500
+            `, params);
+            return rows;
+        } catch (error) {
+            logger.error("Erro ao buscar meta detail", { error: error.message });
+            return [];
+        }
+    }
+
+    async backfillMeta() {
+        if (!this.isAvailable()) return 0;
+        try {
+            const { rowCount } = await this.query(`
+                INSERT INTO meta_conversions (client_id, ctwa_clid, campaign, adset_name, ad_id, ad_name,
+                    creative_title, creative_body, creative_media_type, creative_source_url, creative_thumbnail_url,
+                    utm_source, utm_medium, utm_content, location_state, lead_phone, lead_name, lead_status, product, created_at)
+                SELECT
+                    w.client_id,
+                    COALESCE(w.payload->>'ctwa_clid', w.payload->'ad'->>'ctwa_clid'),
+                    COALESCE(w.payload->>'utm_campaign', w.payload->'visit'->'params'->>'utm_campaign', w.payload->'ad'->>'campaign_name'),
+                    COALESCE(w.payload->>'adSetName', w.payload->'ad'->>'adset_name'),
+                    COALESCE(w.payload->'ad'->>'id', w.payload->'ad'->>'ad_id', w.payload->'ad'->>'source_id'),
+                    COALESCE(w.payload->>'adName', w.payload->'ad'->>'name'),
+                    COALESCE(w.payload->'ad'->>'headline', w.payload->'ad'->>'title'),
+                    w.payload->'ad'->>'body',
+                    w.payload->'ad'->>'media_type',
+                    w.payload->'ad'->>'source_url',
+                    COALESCE(w.payload->'ad'->>'thumbnail_url', w.payload->'ad'->>'image_url'),
+                    w.payload->>'utm_source',
+                    w.payload->>'utm_medium',
+                    w.payload->>'utm_content',
+                    w.payload->'location'->>'state',
+                    '+' || regexp_replace(w.payload->>'phone', '\\D', '', 'g'),
+                    COALESCE(w.payload->>'chatName', w.payload->>'name', ''),
+                    'Lead Gerado',
+                    '',
+                    w.created_at
+                FROM webhook_events w
+                WHERE w.payload->>'event_type' = 'lead.create'
+                AND (w.payload->>'ctwa_clid' IS NOT NULL
+                   OR jsonb_typeof(w.payload->'ad') = 'object'
+                   OR w.payload->>'adName' IS NOT NULL)
+                AND NOT EXISTS (
+                    SELECT 1 FROM meta_conversions mc
+                    WHERE mc.lead_phone = '+' || regexp_replace(w.payload->>'phone', '\\D', '', 'g')
+                      AND mc.created_at = w.created_at
+                )
+            `);
+            logger.info(`Backfill meta: ${rowCount} registros migrados`);
+            return rowCount;
+        } catch (error) {
+            logger.error("Erro ao executar backfill de meta", { error: error.message });
+            return 0;
+        }
+    }
+
     async getOverviewStats({ from, to } = {}) {
         if (!this.isAvailable()) return null;
 
@@ -1606,98 +2349,67 @@ class PgService {
             // Period bounds: use caller-supplied dates or default to 7d
             const fromTs = from || new Date(Date.now() - 7 * 86400000).toISOString();
             const toTs = to || null;
+            const createdInPeriod = `l.created_at >= $1 AND ($2::timestamptz IS NULL OR l.created_at < $2)`;
 
             const [clientSummary, funnel, origins, healthStats, todayVsYesterday, keywordsSummary] = await Promise.all([
-                // Per-client summary — respects selected period, includes main product
+                // Per-client summary — respects selected period, includes main product (tabela leads);
+                // sales and revenue come from the sales ledger entries of the period
                 this.query(`
+                    WITH sold AS (
+                        SELECT client_id, count(*) FILTER (WHERE kind = 'sale') AS sales, sum(net) AS revenue
+                        FROM (${ledgerInPeriod("<")}) ledger
+                        GROUP BY client_id
+                    )
                     SELECT c.name, c.slug,
                         mode() WITHIN GROUP (ORDER BY l.product)
                             FILTER (WHERE l.product IS NOT NULL AND l.product != '') AS main_product,
-                        count(l.id) FILTER (
-                            WHERE l.processing_result = 'success' AND l.event_type = 'new_lead'
-                        ) AS total_leads,
-                        count(l.id) FILTER (
-                            WHERE l.sale_amount > 0
-                               OR (l.processing_result = 'success' AND l.status ILIKE ANY(
-                                    ARRAY['%comprou%','%fechou%','%vendido%','%ganhou%','%contrato%']
-                               ))
-                        ) AS sales,
-                        COALESCE(sum(l.sale_amount) FILTER (WHERE l.sale_amount > 0), 0) AS revenue,
-                        max(l.created_at) FILTER (WHERE l.processing_result = 'success') AS last_lead_at
+                        count(l.id) AS total_leads,
+                        COALESCE(max(s.sales), 0) AS sales,
+                        COALESCE(max(s.revenue), 0) AS revenue,
+                        max(l.created_at) AS last_lead_at
                     FROM clients c
-                    LEFT JOIN leads_log l ON l.client_id = c.id
-                        AND l.created_at >= $1
-                        AND ($2::timestamptz IS NULL OR l.created_at < $2)
+                    LEFT JOIN leads l ON l.client_id = c.id AND ${createdInPeriod}
+                    LEFT JOIN sold s ON s.client_id = c.id
                     WHERE c.active = true
                     GROUP BY c.id, c.name, c.slug
                     ORDER BY total_leads DESC
                 `, [fromTs, toTs]),
-                // Conversion funnel — respects period, includes product context
+                // Conversion funnel — leads created in the period by current stage
+                // (unmapped Tintim statuses have no stage and fall back to the status text)
                 this.query(`
                     SELECT
-                        count(*) FILTER (WHERE processing_result = 'success' AND event_type = 'new_lead') AS leads_gerados,
-                        count(*) FILTER (WHERE status = 'Lead Conectado') AS leads_conectados,
-                        count(*) FILTER (WHERE status ILIKE '%atendimento%') AS em_atendimento,
-                        count(*) FILTER (WHERE status ILIKE '%proposta%') AS proposta,
-                        count(*) FILTER (WHERE sale_amount > 0 OR status ILIKE ANY(ARRAY['%comprou%','%fechou%','%vendido%','%ganhou%','%contrato%'])) AS vendas,
-                        count(*) FILTER (WHERE status ILIKE '%desqualificado%') AS desqualificados,
-                        json_agg(DISTINCT product) FILTER (WHERE product IS NOT NULL AND product != '') AS products_in_funnel,
-                        COALESCE(sum(sale_amount) FILTER (WHERE sale_amount > 0), 0) AS receita_total
-                    FROM leads_log
-                    WHERE created_at >= $1 AND ($2::timestamptz IS NULL OR created_at < $2)
-                      AND processing_result = 'success'
+                        count(*) AS leads_gerados,
+                        count(*) FILTER (WHERE l.stage = 'contacted' OR (l.stage IS NULL AND l.status = 'Lead Conectado')) AS leads_conectados,
+                        count(*) FILTER (WHERE l.status ILIKE '%atendimento%') AS em_atendimento,
+                        count(*) FILTER (WHERE l.stage = 'proposal' OR (l.stage IS NULL AND l.status ILIKE '%proposta%')) AS proposta,
+                        count(*) FILTER (WHERE l.closed_at IS NOT NULL) AS vendas,
+                        count(*) FILTER (WHERE l.stage = 'disqualified' OR (l.stage IS NULL AND l.status ILIKE '%desqualificado%')) AS desqualificados,
+                        json_agg(DISTINCT l.product) FILTER (WHERE l.product IS NOT NULL AND l.product != '') AS products_in_funnel,
+                        COALESCE(sum(l.sale_amount) FILTER (WHERE l.closed_at IS NOT NULL), 0) AS receita_total
+                    FROM leads l
+                    WHERE ${createdInPeriod}
                 `, [fromTs, toTs]),
-                // Origin breakdown — sales attributed to original lead origin (not status-update channel)
+                // Origin breakdown — leads.origin is the lead's first origin, so sales
+                // are attributed to it (not to the status-update channel)
                 this.query(`
-                    WITH period_events AS (
-                        SELECT phone, origin, sale_amount, event_type, processing_result, status
-                        FROM leads_log
-                        WHERE created_at >= $1 AND ($2::timestamptz IS NULL OR created_at < $2)
-                    ),
-                    first_origin_per_phone AS (
-                        SELECT DISTINCT ON (payload->>'phone')
-                               payload->>'phone' AS phone,
-                               CASE
-                                   WHEN (payload->>'source') ILIKE '%google%'
-                                     OR (payload->>'utm_source') ILIKE '%google%'
-                                     OR (payload->>'gclid') IS NOT NULL
-                                   THEN 'Google Ads'
-                                   WHEN (payload->>'source') ILIKE '%meta%'
-                                     OR (payload->>'source') ILIKE '%facebook%'
-                                     OR (payload->>'source') ILIKE '%instagram%'
-                                     OR (payload->>'utm_source') ILIKE '%facebook%'
-                                     OR (payload->>'utm_source') ILIKE '%meta%'
-                                     OR (payload->>'fbclid') IS NOT NULL
-                                   THEN 'Meta Ads'
-                                   ELSE NULL
-                               END AS lead_origin
-                        FROM webhook_events
-                        WHERE payload->>'phone' IS NOT NULL
-                        ORDER BY payload->>'phone', created_at ASC
-                    ),
-                    leads_by_origin AS (
-                        SELECT COALESCE(pe.origin, 'WhatsApp') AS origin,
-                               count(*) FILTER (WHERE pe.event_type = 'new_lead' AND pe.processing_result = 'success') AS total
-                        FROM period_events pe
-                        GROUP BY COALESCE(pe.origin, 'WhatsApp')
+                    WITH created AS (
+                        SELECT COALESCE(l.origin, 'WhatsApp') AS origin, count(*) AS total
+                        FROM leads l
+                        WHERE ${createdInPeriod}
+                        GROUP BY 1
                     ),
-                    sales_by_true_origin AS (
-                        SELECT COALESCE(fo.lead_origin, pe.origin, 'WhatsApp') AS origin,
-                               count(*) AS sales,
-                               COALESCE(sum(pe.sale_amount) FILTER (WHERE pe.sale_amount > 0), 0) AS revenue
-                        FROM period_events pe
-                        LEFT JOIN first_origin_per_phone fo ON fo.phone = pe.phone
-                        WHERE pe.sale_amount > 0
-                           OR pe.status ILIKE ANY(ARRAY['%comprou%','%fechou%','%vendido%','%ganhou%','%contrato%'])
-                        GROUP BY COALESCE(fo.lead_origin, pe.origin, 'WhatsApp')
+                    sold AS (
+                        SELECT origin, count(*) FILTER (WHERE kind = 'sale') AS sales, sum(net) AS revenue
+                        FROM (${ledgerInPeriod("<")}) ledger
+                        GROUP BY origin
                     )
-                    SELECT COALESCE(lo.origin, so.origin) AS origin,
-                           COALESCE(lo.total, 0) AS total,
-                           COALESCE(so.sales, 0) AS sales,
-                           COALESCE(so.revenue, 0) AS revenue
-                    FROM leads_by_origin lo
-                    FULL OUTER JOIN sales_by_true_origin so ON so.origin = lo.origin
-                    ORDER BY COALESCE(lo.total, 0) DESC
+                    SELECT COALESCE(c.origin, s.origin) AS origin,
+                           COALESCE(c.total, 0) AS total,
+                           COALESCE(s.sales, 0) AS sales,
+                           COALESCE(s.revenue, 0) AS revenue
+                    FROM created c
+                    FULL JOIN sold s ON s.origin = c.origin
+                    ORDER BY total DESC
                 `, [fromTs, toTs]),
                 // Health stats (always fixed windows — not period-filtered)
                 this.query(`
@@ -1712,12 +2424,10 @@ class PgService {
                 // Today vs Yesterday comparison (always fixed to today)
                 this.query(`
                     SELECT
-                        count(*) FILTER (WHERE created_at >= $1
-                            AND processing_result = 'success' AND event_type = 'new_lead') AS today,
-                        count(*) FILTER (WHERE created_at >= $2
-                            AND created_at < $1
-                            AND processing_result = 'success' AND event_type = 'new_lead') AS yesterday
-                    FROM leads_log
+                        count(*) FILTER (WHERE created_at >= $1) AS today,
+                        count(*) FILTER (WHERE created_at >= $2 AND created_at < $1) AS yesterday
+                    FROM leads
+                    WHERE created_at >= $2
                 `, [todayStart, yesterdayStart]),
                 // Google Ads keywords summary — respects period
                 this.query(`
@@ -6,7 +6,9 @@
  *   GET  /health        → Health check (expanded with pool + queue stats)
  *   GET  /metrics       → Prometheus metrics
  *   POST /webhook/tintim → Recebimento de leads do Tintim (async via BullMQ)
+ *   POST /webhook/tintim/:clientSlug → Webhook Tintim por cliente (token ou HMAC do cliente)
  *   POST /webhook/kommo  → Recebimento de leads do Kommo CRM
+ *   GET  /oauth/kommo/callback → Retorno da autorização OAuth do Kommo (state por cliente)
  *
  *   Auth:
  *   POST /api/auth/login  → Login
@@ -18,6 +20,51 @@
  *   POST   /admin/clients      → Criar novo
  *   PUT    /admin/clients/:id  → Atualizar
  *   DELETE /admin/clients/:id  → Remover
+ *   GET/POST       /admin/clients/:id/product-rules          → Regras de produto
+ *   PUT/DELETE     /admin/clients/:id/product-rules/:ruleId  → Editar/remover regra
+ *   POST           /admin/clients/:id/product-rules/test     → Testar payload
+ *   GET/POST       /admin/clients/:id/channel-rules          → Regras de canal/origem
+ *   PUT/DELETE     /admin/clients/:id/channel-rules/:ruleId  → Editar/remover regra
+ *   PUT            /admin/clients/:id/channel-rules/order    → Reordenar
+ *   POST           /admin/clients/:id/channel-rules/reset    → Restaurar padrão
+ *   GET/POST       /admin/clients/:id/status-mappings        → Mapeamento de status Tintim
+ *   PUT/DELETE     /admin/clients/:id/status-mappings/:mappingId
+ *   GET            /api/dashboard/unmapped-statuses          → Status sem mapeamento
+ *   GET            /api/leads/:phone/timeline                → Visão 360 do lead (todas as fontes, ?client=slug)
+ *   GET/PUT        /admin/clients/:id/returning-leads        → Ação para leads retornando (tag/reopen/ignore)
+ *   GET/PUT        /admin/clients/:id/phone-format           → Formato do telefone na planilha (br/international/e164)
+ *   POST           /admin/clients/:id/webhook-secret/rotate  → Novo token/segredo HMAC do webhook
+ *   GET/POST       /admin/clients/:id/webhook-subscriptions  → Webhooks de saída (eventos do lead)
+ *   PUT/DELETE     /admin/clients/:id/webhook-subscriptions/:subscriptionId
+ *   GET            /admin/clients/:id/webhook-subscriptions/:subscriptionId/deliveries → Log de entregas
+ *   POST           /admin/clients/:id/webhook-deliveries/:deliveryId/replay → Reenviar entrega
+ *   GET/PUT        /admin/clients/:id/google-ads             → Conversão offline do Google Ads (nome, fuso, moeda, automático)
+ *   GET/POST       /admin/clients/:id/google-ads/exports     → Arquivos de conversões offline (POST dry_run: contagem)
+ *   GET            /admin/clients/:id/google-ads/exports/:exportId/csv → Download do CSV
+ *   GET/PUT        /admin/clients/:id/meta-capi              → Conversions API da Meta (envio, dataset, token)
+ *   GET            /admin/clients/:id/meta-capi/events       → Eventos Purchase e status de entrega
+ *   POST           /admin/clients/:id/meta-capi/flush        → Enviar pendentes agora
+ *   POST           /admin/clients/:id/meta-capi/retry        → Reenfileirar eventos com falha
+ *   GET/PUT        /admin/clients/:id/sales-ledger           → Valor de Fechamento na planilha (última venda/total)
+ *   GET/POST       /admin/clients/:id/leads/:phone/sales     → Livro de vendas do lead (POST: lançamento manual)
+ *   GET/PUT/DELETE /admin/clients/:id/kommo                  → Credenciais da API Kommo do cliente (OAuth2 ou token de longa duração)
+ *   GET            /admin/clients/:id/kommo/authorize        → URL de autorização OAuth do Kommo
+ *   POST           /admin/clients/:id/kommo/refresh          → Renovar o token agora
+ *   GET            /admin/clients/:id/kommo-stages           → Etapas dos pipelines Kommo e Status da planilha
+ *   POST           /admin/clients/:id/kommo-stages/sync      → Buscar pipelines/etapas na API Kommo
+ *   PUT            /admin/clients/:id/kommo-stages/:mappingId → Status da planilha / etapa do funil
+ *   GET            /admin/clients/:id/kommo-fields           → Campos customizados Kommo → Produto/Cidade/Comentários/Valor
+ *   GET            /admin/clients/:id/kommo-fields/available → Campos de lead da conta Kommo (API)
+ *   PUT/DELETE     /admin/clients/:id/kommo-fields/:sheetField
+ *   GET/POST       /admin/clients/:id/kommo-backfill         → Importar leads existentes no Kommo (período/pipeline)
+ *   GET            /admin/clients/:id/kommo-backfill/:jobId  → Progresso e leads inseridos
+ *   POST           /admin/clients/:id/kommo-backfill/:jobId/cancel → Cancelar importação
+ *   GET/PUT        /admin/clients/:id/kommo-sheet-sync       → Status da planilha → etapa no Kommo (liga/desliga, últimas mudanças)
+ *   POST           /admin/clients/:id/kommo-sheet-sync/run   → Verificar a planilha agora
+ *   POST           /api/webhook/simulate                     → Dry-run de payload Tintim/Kommo (sem escrita)
+ *   POST           /api/reprocess/jobs                       → Reprocessar eventos por filtro (dry_run: contagem)
+ *   GET            /api/reprocess/jobs[/:id]                 → Progresso dos jobs
+ *   POST           /api/reprocess/jobs/:id/cancel            → Cancelar job
  *   POST   /admin/reload       → Forçar recarga
  *
  *   Admin:
@@ -34,6 +81,7 @@ const PgSession = require('connect-pg-simple')(session);
 const bcrypt = require('bcryptjs');
 const path = require('path');
 const { logger } = require('./utils/logger');
+const { formatPhone, normalizePhone, formatDateBR, PHONE_FORMATS } = require('./utils/formatter');
 const webhookHandler = require('./webhookHandler');
 const kommoHandler = require('./kommoHandler');
 const clientManager = require('./clientManager');
@@ -55,6 +103,22 @@ const { startBusinessAlerts, stopBusinessAlerts } = require('./infra/businessAle
 
 // Phase 4: Config & DLQ
 const clientConfig = require('./infra/clientConfig');
+const productRules = require('./infra/productRules');
+const channelRules = require('./infra/channelRules');
+const statusMappings = require('./infra/statusMappings');
+const simulation = require('./infra/simulation');
+const reprocess = require('./infra/reprocess');
+const webhookAuth = require('./infra/webhookAuth');
+const returningLeads = require('./infra/returningLeads');
+const outboundWebhooks = require('./infra/outboundWebhooks');
+const googleAdsExport = require('./infra/googleAdsExport');
+const metaCapi = require('./infra/metaCapi');
+const salesLedger = require('./infra/salesLedger');
+const kommoAuth = require('./infra/kommoAuth');
+const kommoStages = require('./infra/kommoStages');
+const kommoBackfill = require('./infra/kommoBackfill');
+const kommoFields = require('./infra/kommoFields');
+const kommoSheetSync = require('./infra/kommoSheetSync');
 const dlqHandler = require('./workers/dlqHandler');
 
 // Inicializar PostgreSQL ANTES de tudo
@@ -90,7 +154,13 @@ app.use((req, res, next) => {
     if (req.path === '/webhook/kommo' && req.method === 'POST') {
         return next();
     }
-    express.json({ limit: '1mb' })(req, res, next);
+    express.json({
+        limit: '1mb',
+        // Corpo bruto para validar a assinatura HMAC dos webhooks por cliente
+        verify: function(req, _res, buf) {
+            if (req.path.startsWith('/webhook/tintim/')) req.rawBody = buf.toString('utf8');
+        },
+    })(req, res, next);
 });
 
 // Security Headers
@@ -328,6 +398,48 @@ app.post('/webhook/tintim', async (req, res) => {
     }
 });
 
+// Webhook por cliente — token/HMAC próprio do cliente (rotacionável sem afetar os demais)
+app.post('/webhook/tintim/:clientSlug', async (req, res) => {
+    const client = clientManager.findBySlug(req.params.clientSlug);
+    if (!client) {
+        return res.status(404).json({ error: 'Cliente não encontrado' });
+    }
+
+    const auth = webhookAuth.verifyRequest(client, req);
+    if (!auth.ok) {
+        logger.warn('Webhook rejected: invalid client credentials', { client: client.slug, reason: auth.reason, ip: req.ip });
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const rateLimited = await checkRateLimit(`webhook:${req.ip}`, MAX_REQUESTS, 60);
+    if (rateLimited) {
+        logger.warn(`Rate limit excedido para IP ${req.ip}`);
+        return res.status(429).json({ error: 'Too many requests' });
+    }
+
+    if (isRedisConnected()) {
+        try {
+            const job = await getTintimQueue().add('tintim-webhook', {
+                payload: req.body,
+                clientSlug: client.slug,
+                receivedAt: new Date().toISOString(),
+                ip: req.ip,
+            });
+            return res.json({ status: 'queued', jobId: job.id });
+        } catch (err) {
+            logger.warn('Failed to queue webhook, falling back to sync', { error: err.message });
+        }
+    }
+
+    try {
+        await webhookHandler.processWebhook(req.body, { clientSlug: client.slug });
+        res.json({ status: 'received' });
+    } catch (error) {
+        logger.error('Erro no webhook', { client: client.slug, error: error.message });
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
 // Kommo CRM Webhook (x-www-form-urlencoded with raw body for signature verification)
 // Phase 1: Also queued via BullMQ with sync fallback
 app.post('/webhook/kommo', express.urlencoded({
@@ -365,175 +477,1014 @@ app.post('/webhook/kommo', express.urlencoded({
     try {
         await kommoHandler.processWebhook(req.body, req.rawBody, signature);
     } catch (error) {
-        logger.error('Erro no webhook Kommo', { error: error.message });
+        logger.error('Erro no webhook Kommo', { error: error.message });
+    }
+});
+
+// Kommo OAuth — retorno da autorização (o state identifica o cliente)
+app.get(kommoAuth.CALLBACK_PATH, async (req, res) => {
+    const page = (title, message) => `<!DOCTYPE html><html lang="pt-BR"><head><meta charset="utf-8"><title>${title}</title></head>`
+        + `<body style="font-family: sans-serif; padding: 32px;"><h2>${title}</h2><p>${message}</p>`
+        + '<p>Você pode fechar esta janela e voltar ao dashboard.</p></body></html>';
+    const escape = (value) => String(value).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+    if (req.query.error) {
+        return res.status(400).send(page('Autorização negada', escape(req.query.error)));
+    }
+    try {
+        const connected = await kommoAuth.handleCallback(pgService, {
+            code: req.query.code,
+            state: req.query.state,
+            referer: req.query.referer,
+        });
+        res.send(page('Kommo conectado', `Integração de <b>${escape(connected.name)}</b> conectada com sucesso.`));
+    } catch (error) {
+        logger.warn('Kommo OAuth callback failed', { error: error.message });
+        res.status(400).send(page('Falha ao conectar o Kommo', escape(error.message)));
+    }
+});
+
+// ====================================================
+// Auto-migrate plaintext passwords to bcrypt on startup
+// ====================================================
+async function migratePasswordsToHash() {
+    if (!pgService.isAvailable()) return;
+    try {
+        const { rows } = await pgService.query('SELECT id, password_hash FROM users');
+        for (const user of rows) {
+            if (user.password_hash && !user.password_hash.startsWith('$2')) {
+                const hashed = await bcrypt.hash(user.password_hash, 10);
+                await pgService.query('UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2', [hashed, user.id]);
+                logger.info(`Password migrated to bcrypt for user ${user.id}`);
+            }
+        }
+    } catch (error) {
+        logger.error('Erro na migração de senhas', { error: error.message });
+    }
+}
+
+// Setup check (public)
+app.get('/api/auth/setup-needed', async (_req, res) => {
+    const count = await pgService.countUsers();
+    res.json({ setupNeeded: count === 0 });
+});
+
+// Setup — create first admin (only works with 0 users)
+app.post('/api/auth/setup', async (req, res) => {
+    const { email, password, name } = req.body;
+
+    if (!email || !password || !name) {
+        return res.status(400).json({ error: 'Nome, email e senha são obrigatórios' });
+    }
+    if (password.length < 6) {
+        return res.status(400).json({ error: 'Senha deve ter no mínimo 6 caracteres' });
+    }
+
+    const count = await pgService.countUsers();
+    if (count > 0) {
+        return res.status(403).json({ error: 'Setup já foi realizado. Use o login.' });
+    }
+
+    try {
+        const passwordHash = await bcrypt.hash(password, 10);
+        const user = await pgService.createUser(email, passwordHash, name, 'admin');
+        logger.info(`Setup: primeiro admin criado — ${email}`);
+        res.status(201).json({ user: { id: user.id, email: user.email, name: user.name } });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Email já cadastrado' });
+        }
+        res.status(500).json({ error: 'Erro ao criar conta' });
+    }
+});
+
+// Login
+app.post('/api/auth/login', async (req, res) => {
+    const { email, password } = req.body;
+    const ip = req.ip;
+    const now = Date.now();
+
+    // Rate limit por IP
+    const ipKey = `ip:${ip}`;
+    const ipEntry = loginRateLimit.get(ipKey) || { count: 0, start: now };
+    if (now - ipEntry.start > LOGIN_WINDOW) { ipEntry.count = 0; ipEntry.start = now; }
+    ipEntry.count++;
+    loginRateLimit.set(ipKey, ipEntry);
+    if (ipEntry.count > LOGIN_MAX_PER_IP) {
+        logger.warn(`Login rate limit (IP): ${ip}`);
+        return res.status(429).json({ error: 'Muitas tentativas. Aguarde 15 minutos.' });
+    }
+
+    // Rate limit por email
+    if (email) {
+        const emailKey = `email:${email.toLowerCase()}`;
+        const emailEntry = loginRateLimit.get(emailKey) || { count: 0, start: now };
+        if (now - emailEntry.start > LOGIN_WINDOW) { emailEntry.count = 0; emailEntry.start = now; }
+        emailEntry.count++;
+        loginRateLimit.set(emailKey, emailEntry);
+        if (emailEntry.count > LOGIN_MAX_PER_EMAIL) {
+            logger.warn(`Login rate limit (email): ${email}`);
+            return res.status(429).json({ error: 'Muitas tentativas. Aguarde 15 minutos.' });
+        }
+    }
+
+    const user = await pgService.findUserByEmail(email);
+
+    if (user) {
+        const storedHash = user.password_hash;
+        if (storedHash && storedHash.startsWith('$2')) {
+            const valid = await bcrypt.compare(password, storedHash);
+            if (valid) {
+                req.session.userId = user.id;
+                req.session.user = { id: user.id, email: user.email, name: user.name };
+
+                logger.info(`Login bem-sucedido: ${email}`);
+
+                return req.session.save((err) => {
+                    if (err) {
+                        logger.error('Erro ao salvar sessão', err);
+                        return res.status(500).json({ error: 'Erro de sessão' });
+                    }
+                    res.json({ user: req.session.user });
+                });
+            }
+        }
+    }
+
+    logger.warn(`Tentativa de login falhou: ${email}`);
+    res.status(401).json({ error: 'Credenciais inválidas' });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    req.session.destroy();
+    res.json({ status: 'ok' });
+});
+
+app.get('/api/auth/me', (req, res) => {
+    if (req.session && req.session.user) {
+        res.json({ user: req.session.user });
+    } else {
+        res.status(401).json({ error: 'Não autenticado' });
+    }
+});
+
+// ====================================================
+// Rotas Privadas (Admin)
+// ====================================================
+// Todas as rotas abaixo requerem autenticação
+
+// 1. Clientes
+app.get('/admin/clients', requireAuth, async (_req, res) => {
+    const clients = await clientManager.getAllClients(); // Usa pgService internamente
+    res.json(clients);
+});
+
+app.post('/admin/clients', requireAuth, async (req, res) => {
+    try {
+        const newClient = await clientManager.addClient(req.body);
+        // Phase 2: Invalidate client cache
+        await cache.invalidatePattern('clients:*');
+        res.status(201).json(newClient);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.put('/admin/clients/:id', requireAuth, async (req, res) => {
+    try {
+        const updated = await clientManager.updateClient(req.params.id, req.body);
+        if (!updated) return res.status(404).json({ error: 'Cliente não encontrado' });
+        // Phase 2: Invalidate client cache
+        await cache.invalidatePattern('clients:*');
+        res.json(updated);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/admin/clients/:id', requireAuth, async (req, res) => {
+    try {
+        const success = await clientManager.deleteClient(req.params.id);
+        if (!success) return res.status(404).json({ error: 'Cliente não encontrado' });
+        // Phase 2: Invalidate client cache
+        await cache.invalidatePattern('clients:*');
+        res.json({ status: 'deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 1.1 Regras de produto por cliente
+app.get('/admin/clients/:id/product-rules', requireAuth, async (req, res) => {
+    try {
+        const rules = await productRules.listRules(pgService, req.params.id);
+        if (!rules) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+        res.json(rules);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/product-rules', requireAuth, async (req, res) => {
+    const errors = productRules.validateRule(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    try {
+        const rule = await productRules.createRule(pgService, req.params.id, req.body);
+        if (!rule) return res.status(404).json({ error: 'Cliente não encontrado' });
+        await cache.invalidatePattern('clients:*');
+        res.status(201).json(rule);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/admin/clients/:id/product-rules/:ruleId', requireAuth, async (req, res) => {
+    const errors = productRules.validateRule(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    try {
+        const rule = await productRules.updateRule(pgService, req.params.id, req.params.ruleId, req.body);
+        if (!rule) return res.status(404).json({ error: 'Regra não encontrada' });
+        await cache.invalidatePattern('clients:*');
+        res.json(rule);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/admin/clients/:id/product-rules/:ruleId', requireAuth, async (req, res) => {
+    try {
+        const success = await productRules.deleteRule(pgService, req.params.id, req.params.ruleId);
+        if (!success) return res.status(404).json({ error: 'Regra não encontrada' });
+        await cache.invalidatePattern('clients:*');
+        res.json({ status: 'deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Testa um payload do Tintim contra as regras ativas do cliente (sem efeitos colaterais)
+app.post('/admin/clients/:id/product-rules/test', requireAuth, async (req, res) => {
+    try {
+        const payload = req.body.payload || req.body;
+        const allRules = pgService.isAvailable()
+            ? await productRules.listRules(pgService, req.params.id)
+            : productRules.DEFAULT_RULES;
+        const activeRules = allRules.filter(r => r.active !== false);
+        // Mesmo fallback do pipeline: sem regras ativas valem as padrão
+        const rules = activeRules.length > 0 ? activeRules : productRules.DEFAULT_RULES;
+        const match = productRules.matchProduct(payload, rules);
+
+        res.json({
+            product: match.product || null,
+            matched: !!match.product,
+            rule: match.rule,
+            matchedOn: match.matchedOn,
+            keyword: match.keyword,
+            reason: match.product
+                ? `Keyword "${match.keyword}" encontrada em ${match.matchedOn === 'campaign' ? 'campos de campanha' : 'mensagem'} (regra "${match.rule.product}", prioridade ${match.rule.priority})`
+                : 'Nenhuma regra ativa encontrou keywords nos campos de campanha ou na mensagem',
+            texts: match.texts,
+            rulesEvaluated: rules.length,
+            usingDefaults: activeRules.length === 0,
+            checks: match.checks,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 1.2 Regras de canal/origem por cliente (ordenadas por prioridade)
+app.get('/admin/clients/:id/channel-rules', requireAuth, async (req, res) => {
+    try {
+        const rules = await channelRules.listRules(pgService, req.params.id);
+        if (!rules) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+        res.json({
+            rules: rules.length > 0 ? rules : channelRules.DEFAULT_RULES,
+            usingDefaults: rules.length === 0,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/channel-rules', requireAuth, async (req, res) => {
+    const errors = channelRules.validateRule(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    try {
+        const rule = await channelRules.createRule(pgService, req.params.id, req.body);
+        if (!rule) return res.status(404).json({ error: 'Cliente não encontrado' });
+        await cache.invalidatePattern('clients:*');
+        res.status(201).json(rule);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/admin/clients/:id/channel-rules/order', requireAuth, async (req, res) => {
+    const ids = req.body.ids;
+    if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'ids deve ser uma lista' });
+
+    try {
+        const rules = await channelRules.reorderRules(pgService, req.params.id, ids);
+        await cache.invalidatePattern('clients:*');
+        res.json({ rules, usingDefaults: false });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/channel-rules/reset', requireAuth, async (req, res) => {
+    try {
+        const rules = await channelRules.resetRules(pgService, req.params.id);
+        if (!rules) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+        await cache.invalidatePattern('clients:*');
+        res.json({ rules, usingDefaults: false });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/admin/clients/:id/channel-rules/:ruleId', requireAuth, async (req, res) => {
+    const errors = channelRules.validateRule(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    try {
+        const rule = await channelRules.updateRule(pgService, req.params.id, req.params.ruleId, req.body);
+        if (!rule) return res.status(404).json({ error: 'Regra não encontrada' });
+        await cache.invalidatePattern('clients:*');
+        res.json(rule);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/admin/clients/:id/channel-rules/:ruleId', requireAuth, async (req, res) => {
+    try {
+        const success = await channelRules.deleteRule(pgService, req.params.id, req.params.ruleId);
+        if (!success) return res.status(404).json({ error: 'Regra não encontrada' });
+        await cache.invalidatePattern('clients:*');
+        res.json({ status: 'deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 1.3 Mapeamento de status do Tintim por cliente
+app.get('/admin/clients/:id/status-mappings', requireAuth, async (req, res) => {
+    try {
+        const mappings = await statusMappings.listMappings(pgService, req.params.id);
+        if (!mappings) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+        const unmapped = await statusMappings.listUnmapped(pgService, req.params.id);
+        res.json({ mappings, unmapped, stages: statusMappings.STAGES, saleEvents: statusMappings.SALE_EVENTS });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/status-mappings', requireAuth, async (req, res) => {
+    const errors = statusMappings.validateMapping(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    try {
+        const mapping = await statusMappings.createMapping(pgService, req.params.id, req.body);
+        if (!mapping) return res.status(404).json({ error: 'Cliente não encontrado' });
+        await cache.invalidatePattern('clients:*');
+        res.status(201).json(mapping);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/admin/clients/:id/status-mappings/:mappingId', requireAuth, async (req, res) => {
+    const errors = statusMappings.validateMapping(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    try {
+        const mapping = await statusMappings.updateMapping(pgService, req.params.id, req.params.mappingId, req.body);
+        if (!mapping) return res.status(404).json({ error: 'Mapeamento não encontrado' });
+        await cache.invalidatePattern('clients:*');
+        res.json(mapping);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/admin/clients/:id/status-mappings/:mappingId', requireAuth, async (req, res) => {
+    try {
+        const success = await statusMappings.deleteMapping(pgService, req.params.id, req.params.mappingId);
+        if (!success) return res.status(404).json({ error: 'Mapeamento não encontrado' });
+        await cache.invalidatePattern('clients:*');
+        res.json({ status: 'deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/admin/clients/:id/returning-leads', requireAuth, async (req, res) => {
+    const client = clientManager.findBySlug(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Cliente não encontrado' });
+    res.json({ action: returningLeads.getAction(client), actions: returningLeads.ACTIONS });
+});
+
+app.put('/admin/clients/:id/returning-leads', requireAuth, async (req, res) => {
+    const action = req.body && req.body.action;
+    if (!returningLeads.ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `action inválida (use: ${returningLeads.ACTIONS.join(', ')})` });
+    }
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const updated = await returningLeads.setAction(pgService, req.params.id, action);
+        if (!updated) return res.status(404).json({ error: 'Cliente não encontrado' });
+        // Handlers read the action from the in-memory client list
+        await clientManager.reloadClients();
+        res.json({ action: updated.returning_lead_action });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/admin/clients/:id/phone-format', requireAuth, async (req, res) => {
+    const client = clientManager.findBySlug(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Cliente não encontrado' });
+    const format = client.phone_format || 'br';
+    res.json({ format, formats: PHONE_FORMATS, example: formatPhone('5533988836450', format) });
+});
+
+app.put('/admin/clients/:id/phone-format', requireAuth, async (req, res) => {
+    const format = req.body && req.body.format;
+    if (!PHONE_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format inválido (use: ${PHONE_FORMATS.join(', ')})` });
+    }
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const updated = await pgService.setClientPhoneFormat(req.params.id, format);
+        if (!updated) return res.status(404).json({ error: 'Cliente não encontrado' });
+        await clientManager.reloadClients();
+        res.json({ format: updated.phone_format, example: formatPhone('5533988836450', updated.phone_format) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Webhooks de saída por cliente
+app.get('/admin/clients/:id/webhook-subscriptions', requireAuth, async (req, res) => {
+    try {
+        const subscriptions = await outboundWebhooks.listSubscriptions(pgService, req.params.id);
+        if (!subscriptions) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+        res.json({ subscriptions, events: outboundWebhooks.EVENTS });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/webhook-subscriptions', requireAuth, async (req, res) => {
+    const errors = outboundWebhooks.validateSubscription(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    try {
+        const subscription = await outboundWebhooks.createSubscription(pgService, req.params.id, req.body);
+        if (!subscription) return res.status(404).json({ error: 'Cliente não encontrado' });
+        await cache.invalidatePattern('clients:*');
+        res.status(201).json(subscription);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/admin/clients/:id/webhook-subscriptions/:subscriptionId', requireAuth, async (req, res) => {
+    const errors = outboundWebhooks.validateSubscription(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    try {
+        const subscription = await outboundWebhooks.updateSubscription(pgService, req.params.id, req.params.subscriptionId, req.body);
+        if (!subscription) return res.status(404).json({ error: 'Assinatura não encontrada' });
+        await cache.invalidatePattern('clients:*');
+        res.json(subscription);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/admin/clients/:id/webhook-subscriptions/:subscriptionId', requireAuth, async (req, res) => {
+    try {
+        const success = await outboundWebhooks.deleteSubscription(pgService, req.params.id, req.params.subscriptionId);
+        if (!success) return res.status(404).json({ error: 'Assinatura não encontrada' });
+        await cache.invalidatePattern('clients:*');
+        res.json({ status: 'deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/admin/clients/:id/webhook-subscriptions/:subscriptionId/deliveries', requireAuth, async (req, res) => {
+    try {
+        const deliveries = await outboundWebhooks.listDeliveries(pgService, req.params.id, req.params.subscriptionId, { limit: req.query.limit });
+        if (!deliveries) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+        res.json({ deliveries });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/webhook-deliveries/:deliveryId/replay', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const delivery = await outboundWebhooks.replayDelivery(pgService, req.params.id, req.params.deliveryId);
+        if (!delivery) return res.status(404).json({ error: 'Entrega não encontrada' });
+        res.status(202).json(delivery);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Exportação de conversões offline para o Google Ads
+app.get('/admin/clients/:id/google-ads', requireAuth, async (req, res) => {
+    const client = clientManager.findBySlug(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Cliente não encontrado' });
+    res.json(googleAdsExport.getSettings(client));
+});
+
+app.put('/admin/clients/:id/google-ads', requireAuth, async (req, res) => {
+    const errors = googleAdsExport.validateSettings(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const settings = await googleAdsExport.setSettings(pgService, req.params.id, req.body);
+        if (!settings) return res.status(404).json({ error: 'Cliente não encontrado' });
+        await clientManager.reloadClients();
+        res.json(settings);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/admin/clients/:id/google-ads/exports', requireAuth, async (req, res) => {
+    try {
+        const list = await googleAdsExport.listExports(pgService, req.params.id, { limit: req.query.limit });
+        if (!list) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+        const pending = await googleAdsExport.previewExport(pgService, req.params.id);
+        res.json({ exports: list, pending });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/google-ads/exports', requireAuth, async (req, res) => {
+    const body = req.body || {};
+    const errors = googleAdsExport.validateExportRequest(body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    const options = { from: body.from, to: body.to, includeExported: body.include_exported === true };
+    try {
+        if (body.dry_run) {
+            const preview = await googleAdsExport.previewExport(pgService, req.params.id, options);
+            if (!preview) return res.status(404).json({ error: 'Cliente não encontrado' });
+            return res.json({ dryRun: true, ...preview });
+        }
+
+        const client = clientManager.findBySlug(req.params.id);
+        if (client && !googleAdsExport.getSettings(client).conversion_name) {
+            return res.status(400).json({ error: 'Configure o nome da conversão do Google Ads antes de exportar' });
+        }
+        const createdBy = req.session.user ? req.session.user.email : null;
+        const result = await googleAdsExport.createExport(pgService, req.params.id, { ...options, createdBy });
+        if (!result) return res.status(404).json({ error: 'Cliente não encontrado' });
+        res.status(result.export ? 201 : 200).json(result);
+    } catch (error) {
+        logger.error('Erro ao exportar conversões do Google Ads', { client: req.params.id, error: error.message });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/admin/clients/:id/google-ads/exports/:exportId/csv', requireAuth, async (req, res) => {
+    try {
+        const file = await googleAdsExport.getExportFile(pgService, req.params.id, req.params.exportId);
+        if (!file) return res.status(404).json({ error: 'Exportação não encontrada' });
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.csv);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Conversions API da Meta (vendas → eventos Purchase)
+app.get('/admin/clients/:id/meta-capi', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const settings = await metaCapi.getSettings(pgService, req.params.id);
+        if (!settings) return res.status(404).json({ error: 'Cliente não encontrado' });
+        res.json({ ...settings, deliveries: metaCapi.DELIVERY_MODES });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/admin/clients/:id/meta-capi', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const current = await metaCapi.getSettings(pgService, req.params.id);
+        if (!current) return res.status(404).json({ error: 'Cliente não encontrado' });
+        const errors = metaCapi.validateSettings(req.body || {}, { hasToken: current.has_token });
+        if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+        const settings = await metaCapi.setSettings(pgService, req.params.id, req.body);
+        // Handlers read meta_capi_enabled/currency/page_id from the in-memory client list
+        await clientManager.reloadClients();
+        res.json(settings);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/admin/clients/:id/meta-capi/events', requireAuth, async (req, res) => {
+    try {
+        const result = await metaCapi.listEvents(pgService, req.params.id, {
+            status: req.query.status,
+            phone: req.query.phone,
+            limit: req.query.limit,
+        });
+        if (!result) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/meta-capi/flush', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const results = await metaCapi.flushPending(pgService, { clientSlug: req.params.id });
+        res.json({ results });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/meta-capi/retry', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const retried = await metaCapi.retryFailed(pgService, req.params.id, (req.body && req.body.event_id) || null);
+        res.json({ retried });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Livro de vendas (vendas, estornos e cancelamentos por lead)
+app.get('/admin/clients/:id/sales-ledger', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const settings = await salesLedger.getSettings(pgService, req.params.id);
+        if (!settings) return res.status(404).json({ error: 'Cliente não encontrado' });
+        res.json({ ...settings, modes: salesLedger.SHEET_VALUE_MODES });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/admin/clients/:id/sales-ledger', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    const errors = salesLedger.validateSettings(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    try {
+        const settings = await salesLedger.setSettings(pgService, req.params.id, req.body);
+        if (!settings) return res.status(404).json({ error: 'Cliente não encontrado' });
+        // Handlers read sheet_sale_value from the in-memory client list
+        await clientManager.reloadClients();
+        res.json(settings);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/admin/clients/:id/leads/:phone/sales', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+    if (!normalizePhone(req.params.phone)) return res.status(400).json({ error: 'Telefone inválido' });
+
+    try {
+        const ledger = await salesLedger.listEntries(pgService, req.params.id, req.params.phone);
+        if (!ledger) return res.status(404).json({ error: 'Cliente não encontrado' });
+        res.json(ledger);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/leads/:phone/sales', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+    const phone = normalizePhone(req.params.phone);
+    if (!phone) return res.status(400).json({ error: 'Telefone inválido' });
+
+    const body = req.body || {};
+    const errors = salesLedger.validateEntry(body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    // Lançamento manual usa o cliente carregado (planilha e modo do valor)
+    const client = clientManager.findBySlug(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Cliente não encontrado ou inativo' });
+
+    try {
+        const result = await salesLedger.recordEntry(pgService, client, {
+            kind: body.kind,
+            amount: body.amount,
+            occurredAt: body.occurred_at,
+            source: 'manual',
+            product: body.product ? String(body.product).trim() : null,
+            note: body.note ? String(body.note).trim() : null,
+            createdBy: req.session.user ? req.session.user.email : null,
+            phone,
+        });
+        if (!result) return res.status(500).json({ error: 'Não foi possível registrar o lançamento' });
+
+        // Valor de Fechamento da planilha segue o livro
+        let sheet = null;
+        if (clientConfig.getConfig(client).features.sheets_enabled) {
+            const updateData = { phone, saleAmount: salesLedger.sheetValue(client, result.summary) };
+            if (body.kind === 'sale') updateData.closeDate = formatDateBR(result.entry.occurred_at);
+            try {
+                sheet = await sheetsService.updateLeadStatus(client, updateData);
+            } catch (err) {
+                sheet = { success: false, error: err.message };
+            }
+        }
+
+        res.status(201).json({ entry: result.entry, summary: result.summary, sheet });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Credenciais da API Kommo por cliente (OAuth2 com refresh automático)
+app.get('/admin/clients/:id/kommo', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const settings = await kommoAuth.getSettings(pgService, req.params.id);
+        if (!settings) return res.status(404).json({ error: 'Cliente não encontrado' });
+        const defaultRedirectUri = `${req.protocol}://${req.get('host')}${kommoAuth.CALLBACK_PATH}`;
+        res.json({ ...settings, default_redirect_uri: defaultRedirectUri });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/admin/clients/:id/kommo', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const current = await kommoAuth.getSettings(pgService, req.params.id);
+        if (!current) return res.status(404).json({ error: 'Cliente não encontrado' });
+
+        const errors = kommoAuth.validateSettings(req.body || {}, { hasSecret: !!current.has_secret });
+        if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+        const settings = await kommoAuth.setSettings(pgService, req.params.id, req.body);
+        if (!settings) return res.status(404).json({ error: 'Cliente não encontrado' });
+        res.json(settings);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/admin/clients/:id/kommo', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const deleted = await kommoAuth.deleteIntegration(pgService, req.params.id);
+        if (!deleted) return res.status(404).json({ error: 'Integração não encontrada' });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/admin/clients/:id/kommo/authorize', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const url = await kommoAuth.buildAuthorizeUrl(pgService, req.params.id, {
+            defaultRedirectUri: `${req.protocol}://${req.get('host')}${kommoAuth.CALLBACK_PATH}`,
+        });
+        if (!url) return res.status(404).json({ error: 'Salve a integração do Kommo antes de conectar' });
+        res.json({ url });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/kommo/refresh', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const settings = await kommoAuth.refreshNow(pgService, req.params.id);
+        if (!settings) return res.status(404).json({ error: 'Integração não encontrada' });
+        res.json(settings);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Etapas dos pipelines Kommo por cliente (Status da planilha)
+app.get('/admin/clients/:id/kommo-stages', requireAuth, async (req, res) => {
+    try {
+        const mappings = await kommoStages.listMappings(pgService, req.params.id);
+        if (!mappings) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+        res.json({ mappings, stages: statusMappings.STAGES });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/clients/:id/kommo-stages/sync', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    const client = clientManager.findBySlug(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Cliente não encontrado ou inativo' });
+
+    try {
+        const result = await kommoStages.syncStages(pgService, client);
+        if (!result) return res.status(502).json({ error: 'Não foi possível buscar os pipelines na API do Kommo' });
+        const mappings = await kommoStages.listMappings(pgService, req.params.id);
+        res.json({ ...result, mappings });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/admin/clients/:id/kommo-stages/:mappingId', requireAuth, async (req, res) => {
+    const errors = kommoStages.validateMapping(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    try {
+        const mapping = await kommoStages.updateMapping(pgService, req.params.id, req.params.mappingId, req.body);
+        if (!mapping) return res.status(404).json({ error: 'Etapa não encontrada' });
+        res.json(mapping);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Campos customizados do Kommo → campos da planilha, por cliente
+app.get('/admin/clients/:id/kommo-fields', requireAuth, async (req, res) => {
+    try {
+        const mappings = await kommoFields.listMappings(pgService, req.params.id);
+        if (!mappings) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+        res.json({ mappings, sheetFields: kommoFields.SHEET_FIELDS });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
 });
 
-// ====================================================
-// Auto-migrate plaintext passwords to bcrypt on startup
-// ====================================================
-async function migratePasswordsToHash() {
-    if (!pgService.isAvailable()) return;
+app.get('/admin/clients/:id/kommo-fields/available', requireAuth, async (req, res) => {
+    const client = clientManager.findBySlug(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Cliente não encontrado ou inativo' });
+
     try {
-        const { rows } = await pgService.query('SELECT id, password_hash FROM users');
-        for (const user of rows) {
-            if (user.password_hash && !user.password_hash.startsWith('$2')) {
-                const hashed = await bcrypt.hash(user.password_hash, 10);
-                await pgService.query('UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2', [hashed, user.id]);
-                logger.info(`Password migrated to bcrypt for user ${user.id}`);
-            }
-        }
+        const fields = await kommoFields.fetchLeadFields(pgService, client);
+        if (!fields) return res.status(502).json({ error: 'Não foi possível buscar os campos na API do Kommo' });
+        res.json(fields);
     } catch (error) {
-        logger.error('Erro na migração de senhas', { error: error.message });
+        res.status(500).json({ error: error.message });
     }
-}
-
-// Setup check (public)
-app.get('/api/auth/setup-needed', async (_req, res) => {
-    const count = await pgService.countUsers();
-    res.json({ setupNeeded: count === 0 });
 });
 
-// Setup — create first admin (only works with 0 users)
-app.post('/api/auth/setup', async (req, res) => {
-    const { email, password, name } = req.body;
+app.put('/admin/clients/:id/kommo-fields/:sheetField', requireAuth, async (req, res) => {
+    const errors = kommoFields.validateMapping(req.params.sheetField, req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
 
-    if (!email || !password || !name) {
-        return res.status(400).json({ error: 'Nome, email e senha são obrigatórios' });
-    }
-    if (password.length < 6) {
-        return res.status(400).json({ error: 'Senha deve ter no mínimo 6 caracteres' });
+    try {
+        const mapping = await kommoFields.setMapping(pgService, req.params.id, req.params.sheetField, req.body);
+        if (!mapping) return res.status(404).json({ error: 'Cliente não encontrado' });
+        res.json(mapping);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
+});
 
-    const count = await pgService.countUsers();
-    if (count > 0) {
-        return res.status(403).json({ error: 'Setup já foi realizado. Use o login.' });
+app.delete('/admin/clients/:id/kommo-fields/:sheetField', requireAuth, async (req, res) => {
+    try {
+        const success = await kommoFields.deleteMapping(pgService, req.params.id, req.params.sheetField);
+        if (!success) return res.status(404).json({ error: 'Mapeamento não encontrado' });
+        res.json({ status: 'deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
+});
 
+// Status alterado na planilha → etapa do lead no Kommo (sincronização reversa)
+app.get('/admin/clients/:id/kommo-sheet-sync', requireAuth, async (req, res) => {
     try {
-        const passwordHash = await bcrypt.hash(password, 10);
-        const user = await pgService.createUser(email, passwordHash, name, 'admin');
-        logger.info(`Setup: primeiro admin criado — ${email}`);
-        res.status(201).json({ user: { id: user.id, email: user.email, name: user.name } });
+        const events = await kommoSheetSync.listEvents(pgService, req.params.id);
+        if (!events) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+        const flags = await clientConfig.getFlags(pgService, req.params.id);
+        const client = clientManager.findBySlug(req.params.id);
+        res.json({
+            enabled: flags.kommo_reverse_sync === true,
+            webhook_source: client ? client.webhook_source : null,
+            interval_minutes: kommoSheetSync.INTERVAL_MS / 60000,
+            events,
+        });
     } catch (error) {
-        if (error.code === '23505') {
-            return res.status(409).json({ error: 'Email já cadastrado' });
-        }
-        res.status(500).json({ error: 'Erro ao criar conta' });
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Login
-app.post('/api/auth/login', async (req, res) => {
-    const { email, password } = req.body;
-    const ip = req.ip;
-    const now = Date.now();
-
-    // Rate limit por IP
-    const ipKey = `ip:${ip}`;
-    const ipEntry = loginRateLimit.get(ipKey) || { count: 0, start: now };
-    if (now - ipEntry.start > LOGIN_WINDOW) { ipEntry.count = 0; ipEntry.start = now; }
-    ipEntry.count++;
-    loginRateLimit.set(ipKey, ipEntry);
-    if (ipEntry.count > LOGIN_MAX_PER_IP) {
-        logger.warn(`Login rate limit (IP): ${ip}`);
-        return res.status(429).json({ error: 'Muitas tentativas. Aguarde 15 minutos.' });
-    }
+app.put('/admin/clients/:id/kommo-sheet-sync', requireAuth, async (req, res) => {
+    const body = req.body || {};
+    if (typeof body.enabled !== 'boolean') return res.status(400).json({ error: 'enabled deve ser true ou false' });
 
-    // Rate limit por email
-    if (email) {
-        const emailKey = `email:${email.toLowerCase()}`;
-        const emailEntry = loginRateLimit.get(emailKey) || { count: 0, start: now };
-        if (now - emailEntry.start > LOGIN_WINDOW) { emailEntry.count = 0; emailEntry.start = now; }
-        emailEntry.count++;
-        loginRateLimit.set(emailKey, emailEntry);
-        if (emailEntry.count > LOGIN_MAX_PER_EMAIL) {
-            logger.warn(`Login rate limit (email): ${email}`);
-            return res.status(429).json({ error: 'Muitas tentativas. Aguarde 15 minutos.' });
-        }
+    const client = clientManager.findBySlug(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Cliente não encontrado ou inativo' });
+    if (body.enabled && client.webhook_source !== 'kommo') {
+        return res.status(400).json({ error: "Disponível apenas para clientes com webhook_source = 'kommo'" });
     }
 
-    const user = await pgService.findUserByEmail(email);
-
-    if (user) {
-        const storedHash = user.password_hash;
-        if (storedHash && storedHash.startsWith('$2')) {
-            const valid = await bcrypt.compare(password, storedHash);
-            if (valid) {
-                req.session.userId = user.id;
-                req.session.user = { id: user.id, email: user.email, name: user.name };
+    const flags = await clientConfig.setFlags(pgService, req.params.id, { kommo_reverse_sync: body.enabled });
+    if (!flags) return res.status(404).json({ error: 'Cliente não encontrado' });
+    // Handlers read flags from the in-memory client list
+    await clientManager.reloadClients();
+    await cache.invalidatePattern('clients:*');
+    res.json({ enabled: flags.kommo_reverse_sync === true });
+});
 
-                logger.info(`Login bem-sucedido: ${email}`);
+app.post('/admin/clients/:id/kommo-sheet-sync/run', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
 
-                return req.session.save((err) => {
-                    if (err) {
-                        logger.error('Erro ao salvar sessão', err);
-                        return res.status(500).json({ error: 'Erro de sessão' });
-                    }
-                    res.json({ user: req.session.user });
-                });
-            }
-        }
+    const client = clientManager.findBySlug(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Cliente não encontrado ou inativo' });
+    if (!kommoSheetSync.isEnabled(client)) {
+        return res.status(400).json({ error: 'Sincronização reversa desligada para este cliente (ou planilha/Kommo desligados nas feature flags)' });
     }
 
-    logger.warn(`Tentativa de login falhou: ${email}`);
-    res.status(401).json({ error: 'Credenciais inválidas' });
-});
-
-app.post('/api/auth/logout', (req, res) => {
-    req.session.destroy();
-    res.json({ status: 'ok' });
+    try {
+        res.json(await kommoSheetSync.syncClient(pgService, sheetsService, client));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-app.get('/api/auth/me', (req, res) => {
-    if (req.session && req.session.user) {
-        res.json({ user: req.session.user });
-    } else {
-        res.status(401).json({ error: 'Não autenticado' });
+// Importação de leads existentes no Kommo (backfill)
+app.get('/admin/clients/:id/kommo-backfill', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+    try {
+        res.json(await kommoBackfill.listJobs(pgService, req.params.id));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
 });
 
-// ====================================================
-// Rotas Privadas (Admin)
-// ====================================================
-// Todas as rotas abaixo requerem autenticação
+app.post('/admin/clients/:id/kommo-backfill', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
 
-// 1. Clientes
-app.get('/admin/clients', requireAuth, async (_req, res) => {
-    const clients = await clientManager.getAllClients(); // Usa pgService internamente
-    res.json(clients);
-});
+    const errors = kommoBackfill.validateRequest(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+    const client = clientManager.findBySlug(req.params.id);
+    if (!client) return res.status(404).json({ error: 'Cliente não encontrado ou inativo' });
 
-app.post('/admin/clients', requireAuth, async (req, res) => {
     try {
-        const newClient = await clientManager.addClient(req.body);
-        // Phase 2: Invalidate client cache
-        await cache.invalidatePattern('clients:*');
-        res.status(201).json(newClient);
+        const createdBy = req.session.user ? req.session.user.email : null;
+        const job = await kommoBackfill.createJob(pgService, client, req.body, { createdBy });
+        res.status(201).json(job);
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        logger.error('Erro ao criar backfill do Kommo', { client: req.params.id, error: error.message });
+        res.status(500).json({ error: error.message });
     }
 });
 
-app.put('/admin/clients/:id', requireAuth, async (req, res) => {
+app.get('/admin/clients/:id/kommo-backfill/:jobId', requireAuth, async (req, res) => {
     try {
-        const updated = await clientManager.updateClient(req.params.id, req.body);
-        if (!updated) return res.status(404).json({ error: 'Cliente não encontrado' });
-        // Phase 2: Invalidate client cache
-        await cache.invalidatePattern('clients:*');
-        res.json(updated);
+        const job = await kommoBackfill.getJob(pgService, req.params.jobId);
+        if (!job || job.client_slug !== req.params.id) return res.status(404).json({ error: 'Job não encontrado' });
+        res.json(job);
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        res.status(500).json({ error: error.message });
     }
 });
 
-app.delete('/admin/clients/:id', requireAuth, async (req, res) => {
+app.post('/admin/clients/:id/kommo-backfill/:jobId/cancel', requireAuth, async (req, res) => {
     try {
-        const success = await clientManager.deleteClient(req.params.id);
-        if (!success) return res.status(404).json({ error: 'Cliente não encontrado' });
-        // Phase 2: Invalidate client cache
-        await cache.invalidatePattern('clients:*');
-        res.json({ status: 'deleted' });
+        const current = await kommoBackfill.getJob(pgService, req.params.jobId);
+        if (!current || current.client_slug !== req.params.id) return res.status(404).json({ error: 'Job não encontrado' });
+        const job = await kommoBackfill.cancelJob(pgService, req.params.jobId);
+        if (!job) return res.status(409).json({ error: 'Job já finalizado' });
+        res.json(job);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -586,6 +1537,15 @@ app.get('/api/dashboard/investigate', requireAuth, async (req, res) => {
     res.json(results);
 });
 
+app.get('/api/leads/:phone/timeline', requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+    if (!normalizePhone(req.params.phone)) return res.status(400).json({ error: 'Telefone inválido' });
+
+    const timeline = await pgService.getLeadTimeline(req.params.phone, req.query.client || null);
+    if (timeline.items.length === 0) return res.status(404).json({ error: 'Nenhum evento encontrado para este telefone' });
+    res.json(timeline);
+});
+
 app.get('/api/dashboard/origins', requireAuth, async (req, res) => {
     const { from, to } = req.query;
     const origins = await pgService.getOriginBreakdown(from, to);
@@ -630,6 +1590,11 @@ app.get('/api/dashboard/overview', requireAuth, async (req, res) => {
 });
 
 // Errors Summary (for Erros tab)
+app.get('/api/dashboard/unmapped-statuses', requireAuth, async (_req, res) => {
+    const unmapped = await statusMappings.listUnmapped(pgService);
+    res.json(unmapped);
+});
+
 app.get('/api/dashboard/errors-summary', requireAuth, async (_req, res) => {
     const summary = await pgService.getErrorsSummary();
     if (!summary) return res.status(500).json({ error: 'Erro ao carregar resumo de erros' });
@@ -655,7 +1620,47 @@ app.get('/admin/settings/webhook-url', requireAuth, async (req, res) => {
     const proto = req.headers['x-forwarded-proto'] || req.protocol || 'https';
     const host = req.headers['x-forwarded-host'] || req.hostname;
     const fallback = `${proto}://${host}/webhook/tintim`;
-    res.json({ webhook_url: url || fallback });
+    const webhookUrl = url || fallback;
+
+    // URL própria de cada cliente (/webhook/tintim/:clientSlug)
+    const clients = clientManager.clients.map(c => ({
+        slug: c.slug || c.id,
+        name: c.name,
+        auth_mode: c.webhook_auth_mode || 'token',
+        webhook_url: webhookAuth.buildClientUrl(webhookUrl, c),
+        has_secret: !!c.webhook_secret,
+    }));
+    res.json({ webhook_url: webhookUrl, clients });
+});
+
+// Gera um novo segredo para o webhook do cliente (opcionalmente trocando o modo token/hmac)
+app.post('/admin/clients/:id/webhook-secret/rotate', requireAuth, async (req, res) => {
+    const mode = req.body && req.body.mode;
+    if (mode && !webhookAuth.AUTH_MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode inválido (use: ${webhookAuth.AUTH_MODES.join(', ')})` });
+    }
+    if (!pgService.isAvailable()) return res.status(503).json({ error: 'PostgreSQL indisponível' });
+
+    try {
+        const rotated = await webhookAuth.rotateSecret(pgService, req.params.id, mode);
+        if (!rotated) return res.status(404).json({ error: 'Cliente não encontrado' });
+        await clientManager.reloadClients();
+
+        const baseUrl = await pgService.getSetting('webhook_url');
+        const proto = req.headers['x-forwarded-proto'] || req.protocol || 'https';
+        const host = req.headers['x-forwarded-host'] || req.hostname;
+        logger.info(`Segredo do webhook rotacionado: ${rotated.slug} (${rotated.webhook_auth_mode})`);
+        res.json({
+            slug: rotated.slug,
+            auth_mode: rotated.webhook_auth_mode,
+            secret: rotated.webhook_secret,
+            rotated_at: rotated.webhook_secret_rotated_at,
+            webhook_url: webhookAuth.buildClientUrl(baseUrl || `${proto}://${host}`, rotated),
+        });
+    } catch (error) {
+        logger.error('Erro ao rotacionar segredo do webhook', { client: req.params.id, error: error.message });
+        res.status(500).json({ error: error.message });
+    }
 });
 
 app.post('/admin/settings/webhook-url', requireAuth, async (req, res) => {
@@ -816,7 +1821,7 @@ app.post("/api/alerts/webhook/:id/resend", requireAuth, async (req, res) => {
 
     try {
         const webhookHandler = require("./webhookHandler");
-        const result = await webhookHandler.processWebhook(webhook.payload);
+        const result = await webhookHandler.processWebhook(webhook.payload, { skipIdempotency: true });
         res.json({ success: true, result });
         logger.info(`Webhook reenviado com sucesso: ${webhookId}`);
     } catch (error) {
@@ -882,6 +1887,58 @@ app.post('/api/keywords/backfill', requireAuth, async (_req, res) => {
     }
 });
 
+// ====================================================
+// Meta API (atribuição click-to-WhatsApp)
+// ====================================================
+
+app.get('/api/meta/stats', requireAuth, async (req, res) => {
+    const { client, from, to } = req.query;
+    const cacheKey = `meta:stats:${client || ''}:${from || ''}:${to || ''}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const stats = await pgService.getMetaStats(client || null, from || null, to || null);
+    await cache.set(cacheKey, stats, 120);
+    res.json(stats);
+});
+
+// campaigns → campaign, adsets → adset, ads → ad, creatives → creative
+for (const [path, level] of [['campaigns', 'campaign'], ['adsets', 'adset'], ['ads', 'ad'], ['creatives', 'creative']]) {
+    app.get(`/api/meta/${path}`, requireAuth, async (req, res) => {
+        const { client, from, to } = req.query;
+        const data = await pgService.getMetaPerformance(level, client || null, from || null, to || null);
+        res.json(data);
+    });
+}
+
+app.get('/api/meta/trend', requireAuth, async (req, res) => {
+    const { client, from, to } = req.query;
+    const data = await pgService.getMetaTrend(client || null, from || null, to || null);
+    res.json(data);
+});
+
+app.get('/api/meta/detail', requireAuth, async (req, res) => {
+    const { client, from, to } = req.query;
+    const filters = {};
+    for (const column of ['campaign', 'adset_name', 'ad_id', 'ad_name', 'creative_title']) {
+        if (req.query[column] !== undefined) filters[column] = req.query[column] || null;
+    }
+    if (Object.keys(filters).length === 0) {
+        return res.status(400).json({ error: 'informe campaign, adset_name, ad_id, ad_name ou creative_title' });
+    }
+    const data = await pgService.getMetaDetail(filters, client || null, from || null, to || null);
+    res.json(data);
+});
+
+app.post('/api/meta/backfill', requireAuth, async (_req, res) => {
+    try {
+        const count = await pgService.backfillMeta();
+        res.json({ success: true, migrated: count });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ====================================================
 // Trail & Alerts API (novo sistema de rastreamento)
 // ====================================================
@@ -905,13 +1962,16 @@ app.get("/api/alerts/trail/:traceId", requireAuth, async (req, res) => {
 
 app.post("/api/alerts/retry/:traceId", requireAuth, async (req, res) => {
     const traceId = req.params.traceId;
-    const payload = await pgService.getPayloadByTraceId(traceId);
-    if (!payload) {
+    const received = await pgService.getWebhookReceivedByTraceId(traceId);
+    if (!received || !received.payload) {
         return res.status(404).json({ error: "Payload original não encontrado para este trace" });
     }
 
     try {
-        const result = await webhookHandler.processWebhook(payload);
+        const result = await webhookHandler.processWebhook(received.payload, {
+            skipIdempotency: true,
+            clientSlug: received.clientSlug || undefined,
+        });
         logger.info(`Webhook reenviado via trail: ${traceId}`, { newTraceId: result.traceId });
         res.json({ success: true, result });
     } catch (error) {
@@ -920,6 +1980,91 @@ app.post("/api/alerts/retry/:traceId", requireAuth, async (req, res) => {
     }
 });
 
+// Reprocessamento em massa de webhook_events / kommo_events por filtro
+// dry_run: true devolve só a contagem de eventos afetados
+app.post("/api/reprocess/jobs", requireAuth, async (req, res) => {
+    if (!pgService.isAvailable()) return res.status(503).json({ error: "PostgreSQL indisponível" });
+    const errors = reprocess.validateRequest(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: errors.join("; ") });
+
+    try {
+        if (req.body.dry_run) {
+            const preview = await reprocess.countEvents(pgService, req.body.source, req.body.filters);
+            return res.json({ dryRun: true, ...preview });
+        }
+        const createdBy = req.session.user ? req.session.user.email : null;
+        const job = await reprocess.createJob(pgService, req.body, createdBy);
+        res.status(201).json(job);
+    } catch (error) {
+        logger.error("Erro ao criar job de reprocessamento", { error: error.message });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get("/api/reprocess/jobs", requireAuth, async (_req, res) => {
+    try {
+        res.json(await reprocess.listJobs(pgService));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get("/api/reprocess/jobs/:id", requireAuth, async (req, res) => {
+    try {
+        const job = await reprocess.getJob(pgService, req.params.id);
+        if (!job) return res.status(404).json({ error: "Job não encontrado" });
+        res.json(job);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post("/api/reprocess/jobs/:id/cancel", requireAuth, async (req, res) => {
+    try {
+        const job = await reprocess.cancelJob(pgService, req.params.id);
+        if (!job) return res.status(404).json({ error: "Job não encontrado ou já finalizado" });
+        res.json(job);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Dry-run do pipeline: processa um payload Tintim ou Kommo sem escrever na planilha nem no banco
+app.post("/api/webhook/simulate", requireAuth, async (req, res) => {
+    const body = req.body || {};
+    const payload = body.payload && typeof body.payload === "object" ? body.payload : body;
+    if (!payload || Object.keys(payload).length === 0) {
+        return res.status(400).json({ error: "Payload vazio" });
+    }
+
+    let source = body.source;
+    if (!source) {
+        source = (payload.leads || payload.contacts || payload.account) ? "kommo" : "tintim";
+    }
+    if (!["tintim", "kommo"].includes(source)) {
+        return res.status(400).json({ error: "source inválido (use: tintim, kommo)" });
+    }
+
+    try {
+        const report = await simulation.run(() => (source === "kommo"
+            ? kommoHandler.processWebhook(payload, "", "")
+            : webhookHandler.processWebhook(payload, { skipIdempotency: true })));
+
+        res.json({
+            source,
+            ...simulation.summarize(report, clientManager.clients),
+            result: report.result,
+            error: report.error,
+            trail: report.trail,
+            sheetWrites: report.sheetWrites,
+            pgWrites: report.pgWrites,
+        });
+    } catch (error) {
+        logger.error("Erro na simulação de webhook", { source, error: error.message });
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.get("/api/alerts/error-count", requireAuth, async (_req, res) => {
     const stats = await pgService.getTrailErrorStats();
     res.json(stats);
@@ -985,6 +2130,8 @@ app.get('/api/admin/features/:slug', requireAuth, async (req, res) => {
 app.put('/api/admin/features/:slug', requireAuth, async (req, res) => {
     const result = await clientConfig.setFlags(pgService, req.params.slug, req.body);
     if (!result) return res.status(404).json({ error: 'Client not found' });
+    // Handlers read flags from the in-memory client list
+    await clientManager.reloadClients();
     await cache.invalidatePattern('clients:*');
     res.json(result);
 });
@@ -1048,6 +2195,14 @@ async function startServer() {
             }, 15 * 60 * 1000);
         }
 
+        // Purge expired webhook idempotency keys every hour
+        if (pgService.isAvailable()) {
+            setInterval(async () => {
+                const purged = await pgService.purgeExpiredIdempotencyKeys();
+                if (purged > 0) logger.debug(`Purged ${purged} expired idempotency keys`);
+            }, 60 * 60 * 1000);
+        }
+
         // Phase 3: Pool monitoring — update Prometheus gauges every 15s
         if (pgService.isAvailable() && pgService.pool) {
             setInterval(() => {
@@ -1082,6 +2237,29 @@ async function startServer() {
         // Phase 3: Start business alerts
         startBusinessAlerts(pgService);
 
+        // Bulk reprocessing runner (resumes interrupted jobs)
+        if (pgService.isAvailable()) {
+            reprocess.startReprocessRunner(pgService);
+            kommoBackfill.startBackfillRunner(pgService);
+        }
+
+        // Daily Google Ads offline conversion files (clients with auto export)
+        // and Meta Conversions API batches
+        if (pgService.isAvailable()) {
+            googleAdsExport.startScheduledExports(pgService);
+            metaCapi.startCapiDispatcher(pgService);
+        }
+
+        // Kommo OAuth tokens (refresh before expiry, alert on failures)
+        if (pgService.isAvailable()) {
+            kommoAuth.startTokenRefresh(pgService);
+        }
+
+        // Status da planilha → etapa no Kommo (clientes com kommo_reverse_sync)
+        if (pgService.isAvailable()) {
+            kommoSheetSync.startSheetSync(pgService, sheetsService);
+        }
+
         // ====================================================
         // Cross-Service Proxy (SDR + Calculadora)
         // ====================================================
@@ -1222,6 +2400,12 @@ async function gracefulShutdown(signal) {
 
         // 2. Stop business alerts
         stopBusinessAlerts();
+        reprocess.stopReprocessRunner();
+        kommoBackfill.stopBackfillRunner();
+        googleAdsExport.stopScheduledExports();
+        metaCapi.stopCapiDispatcher();
+        kommoAuth.stopTokenRefresh();
+        kommoSheetSync.stopSheetSync();
 
         // 3. Close BullMQ workers (drain current jobs)
         await closeWorkers();
@@ -12,9 +12,13 @@ const { google } = require('googleapis');
 const path = require('path');
 const { logger } = require('./utils/logger');
 const pgService = require('./pgService');
+const simulation = require('./infra/simulation');
+const { matchPhone } = require('./utils/formatter');
 
 const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || '3', 10);
 const RETRY_DELAY = parseInt(process.env.RETRY_DELAY || '2000', 10);
+// Abas mensais mais recentes consultadas ao procurar um lead que não está onde o banco diz
+const LEAD_SEARCH_MAX_TABS = parseInt(process.env.LEAD_SEARCH_MAX_TABS || '6', 10);
 
 const MESES_BR = [
     'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
@@ -71,7 +75,32 @@ class SheetsService {
         this.auth = null;
         this.sheets = null;
         this.drive = null;
-        this.spreadsheetCache = new Map();
+        this._spreadsheetCache = new Map();
+    }
+
+    /**
+     * Cache de abas/mapeamentos. Em simulação usa uma cópia isolada, para que
+     * abas "criadas" no dry-run nunca entrem no cache real.
+     */
+    get spreadsheetCache() {
+        const sim = simulation.current();
+        if (!sim) return this._spreadsheetCache;
+        if (!sim.sheetCache) sim.sheetCache = new Map(this._spreadsheetCache);
+        return sim.sheetCache;
+    }
+
+    /**
+     * Ponto único de escrita na API do Sheets.
+     * Em simulação apenas registra a operação (células exatas) e não escreve.
+     */
+    async sheetsWrite(op, params) {
+        if (simulation.isActive()) {
+            simulation.recordSheetWrite(op, params);
+            return { data: {} };
+        }
+        if (op === 'values.update') return this.sheets.spreadsheets.values.update(params);
+        if (op === 'values.batchUpdate') return this.sheets.spreadsheets.values.batchUpdate(params);
+        return this.sheets.spreadsheets.batchUpdate(params);
     }
 
     async initialize() {
@@ -229,7 +258,7 @@ class SheetsService {
             // Criar aba nova
             logger.info(`Criando nova aba: "${sheetName}"`);
 
-            await this.sheets.spreadsheets.batchUpdate({
+            await this.sheetsWrite('batchUpdate', {
                 spreadsheetId,
                 requestBody: {
                     requests: [{
@@ -263,8 +292,10 @@ class SheetsService {
                 }
             }
 
+            simulation.recordCreatedSheet(spreadsheetId, sheetName, headersToUse);
+
             const lastColLetter = String.fromCharCode(64 + headersToUse.length);
-            await this.sheets.spreadsheets.values.update({
+            await this.sheetsWrite('values.update', {
                 spreadsheetId,
                 range: `'${sheetName}'!A1:${lastColLetter}1`,
                 valueInputOption: 'RAW',
@@ -281,7 +312,7 @@ class SheetsService {
                 .find(s => s.properties.title === sheetName)?.properties.sheetId;
 
             if (sheetId !== undefined) {
-                await this.sheets.spreadsheets.batchUpdate({
+                await this.sheetsWrite('batchUpdate', {
                     spreadsheetId,
                     requestBody: {
                         requests: [
@@ -348,12 +379,15 @@ class SheetsService {
             return this.spreadsheetCache.get(cacheKey);
         }
 
-        const response = await this.sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: `'${sheetName}'!1:1`,
-        });
-
-        const headers = (response.data.values || [[]])[0];
+        // Aba criada apenas dentro de uma simulação: usa os headers que seriam escritos
+        let headers = simulation.getCreatedSheetHeaders(spreadsheetId, sheetName);
+        if (!headers) {
+            const response = await this.sheets.spreadsheets.values.get({
+                spreadsheetId,
+                range: `'${sheetName}'!1:1`,
+            });
+            headers = (response.data.values || [[]])[0];
+        }
         const mapping = {};
 
         for (let i = 0; i < headers.length; i++) {
@@ -464,7 +498,7 @@ class SheetsService {
             });
 
             // Inserir os leads ativos na nova aba (a partir da linha 2, após cabeçalho)
-            await this.sheets.spreadsheets.values.update({
+            await this.sheetsWrite('values.update', {
                 spreadsheetId,
                 range: `'${targetSheetName}'!A2:${lastCol}${cleanedRows.length + 1}`,
                 valueInputOption: 'RAW',
@@ -483,7 +517,8 @@ class SheetsService {
      * Insere um lead na planilha usando mapeamento dinâmico de colunas.
      * Escreve SOMENTE nas colunas necessárias via batchUpdate (células individuais).
      * NUNCA escreve nas colunas DIA (preserva fórmulas existentes).
-     * NUNCA escreve em Cidade, Data Fechamento, Valor (equipe preenche).
+     * Cidade, Data Fechamento e Valor ficam para a equipe, exceto quando vêm
+     * no leadData (campos mapeados do Kommo, leads recuperados).
      */
     async insertLead(client, leadData) {
         let lastError = null;
@@ -524,9 +559,18 @@ class SheetsService {
                     addCell('produto', leadData.product);
                 }
 
+                // Cidade: SOMENTE se veio de um campo mapeado do Kommo
+                if (leadData.city) {
+                    addCell('cidade', leadData.city);
+                }
+
                 // Status: usa valor do leadData (default "Lead Gerado")
                 addCell('status', leadData.status || 'Lead Gerado');
-                // Comentários: deixados vazios (equipe preenche manualmente)
+                // Comentários: vazios (equipe preenche), exceto a referência de leads que retornaram
+                // e o campo mapeado do Kommo
+                if (leadData.comment) {
+                    addCell('comentarios', leadData.comment);
+                }
 
                 // Para leads recuperados: escreve fechamento/valor se fornecidos
                 if (leadData.closeDate) {
@@ -539,7 +583,7 @@ class SheetsService {
                     addCell('valor', formattedValue);
                 }
 
-                // NUNCA escreve: DIA 1-5, Cidade
+                // NUNCA escreve: DIA 1-5
 
                 if (updates.length === 0) {
                     throw new Error('Nenhuma coluna mapeada para inserção');
@@ -550,7 +594,7 @@ class SheetsService {
                     const sheetMeta = await this.sheets.spreadsheets.get({ spreadsheetId });
                     const sheetObj = sheetMeta.data.sheets.find(s => s.properties.title === sheetName);
                     if (sheetObj) {
-                        await this.sheets.spreadsheets.batchUpdate({
+                        await this.sheetsWrite('batchUpdate', {
                             spreadsheetId,
                             requestBody: {
                                 requests: [{
@@ -570,7 +614,7 @@ class SheetsService {
                 }
 
                 // Usar batchUpdate com células individuais (não sobrescreve DIAs)
-                await this.sheets.spreadsheets.values.batchUpdate({
+                await this.sheetsWrite('values.batchUpdate', {
                     spreadsheetId,
                     requestBody: {
                         valueInputOption: 'USER_ENTERED',
@@ -591,7 +635,7 @@ class SheetsService {
                     columns: updates.map(u => u.range.split('!')[1]),
                 });
 
-                return { success: true, attempt, sheetName };
+                return { success: true, attempt, sheetName, row: nextRow };
             } catch (error) {
                 lastError = error;
                 logger.warn(`Tentativa ${attempt}/${MAX_RETRIES} falhou`, {
@@ -619,43 +663,69 @@ class SheetsService {
     }
 
     /**
-     * Busca um lead na planilha pelo telefone (coluna B).
-     * Usa normalização para comparar números independente da formatação.
+     * Busca um lead na planilha pelo telefone (coluna Telefone do mapeamento, B por padrão).
+     * Compara pelo número normalizado (E.164); o match pelos últimos 9 dígitos só é
+     * aceito como fallback, para células sem número completo (ex: sem DDD).
      * Retorna o número da linha (1-indexed) ou null se não encontrar.
      */
     async findLeadRowByPhone(spreadsheetId, sheetName, phone) {
         try {
+            const colMap = await this.getColumnMapping(spreadsheetId, sheetName);
+            const letter = colMap.telefone ? colMap.telefone.letter : 'B';
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId,
-                range: `'${sheetName}'!B:B`,
+                range: `'${sheetName}'!${letter}:${letter}`,
             });
 
             const values = response.data.values || [];
-
-            // Normalizar: extrair só dígitos para comparação
-            const normalizePhone = (p) => (p || '').replace(/\D/g, '');
-            const targetDigits = normalizePhone(phone);
-
-            // Pegar os últimos 8-9 dígitos (sem DDI/DDD) para match flexível
-            const targetTail = targetDigits.slice(-9);
+            let tailRow = null;
 
             for (let i = 1; i < values.length; i++) { // Pular cabeçalho (i=0)
-                const cellDigits = normalizePhone(values[i][0]);
-                const cellTail = cellDigits.slice(-9);
-
-                if (cellTail === targetTail && targetTail.length >= 8) {
+                const match = matchPhone((values[i] || [])[0], phone);
+                if (match === 'exact') {
                     logger.info(`Lead encontrado na linha ${i + 1} pelo telefone ${phone}`);
                     return i + 1; // Linha 1-indexed
                 }
+                if (match === 'tail' && !tailRow) tailRow = i + 1;
             }
 
-            return null; // Não encontrado
+            if (tailRow) {
+                logger.info(`Lead encontrado na linha ${tailRow} pelo final do telefone ${phone} (número incompleto na planilha)`);
+            }
+            return tailRow; // null = não encontrado
         } catch (error) {
             logger.warn(`Erro ao buscar lead por telefone em "${sheetName}"`, { error: error.message });
             return null;
         }
     }
 
+    /**
+     * Lê as colunas Telefone e Status de uma aba (uma única chamada).
+     * Retorna [{ row, phone, status }] das linhas com telefone — phone como está
+     * na célula, row 1-indexed — ou null se a aba não tiver essas colunas.
+     */
+    async readLeadStatuses(spreadsheetId, sheetName) {
+        const colMap = await this.getColumnMapping(spreadsheetId, sheetName);
+        if (!colMap.telefone || !colMap.status) return null;
+
+        const response = await this.sheets.spreadsheets.values.batchGet({
+            spreadsheetId,
+            ranges: [
+                `'${sheetName}'!${colMap.telefone.letter}:${colMap.telefone.letter}`,
+                `'${sheetName}'!${colMap.status.letter}:${colMap.status.letter}`,
+            ],
+        });
+        const [phones, statuses] = (response.data.valueRanges || []).map(r => r.values || []);
+
+        const rows = [];
+        for (let i = 1; i < (phones || []).length; i++) { // Pular cabeçalho (i=0)
+            const phone = String((phones[i] || [])[0] || '').trim();
+            if (!phone) continue;
+            rows.push({ row: i + 1, phone, status: String(((statuses || [])[i] || [])[0] || '').trim() });
+        }
+        return rows;
+    }
+
     /**
      * Retorna lista de nomes de abas mensais existentes, ordenadas da mais recente para a mais antiga.
      */
@@ -695,10 +765,131 @@ class SheetsService {
         }
     }
 
+    /**
+     * Procura um telefone na planilha com no máximo 3 leituras, qualquer que seja
+     * a idade da planilha:
+     *   1. known: posições já conhecidas [{ sheetName, row }] (tabela leads /
+     *      leads_log) — confere só as células da linha (uma leitura)
+     *   2. as abas conhecidas, a aba fixa do cliente e as LEAD_SEARCH_MAX_TABS abas
+     *      mensais mais recentes — colunas Telefone e Data em um único batchGet
+     * Retorna { sheetName, row, date, sheetId } ou null.
+     */
+    async findLeadInSheets(client, phone, known = []) {
+        const spreadsheetId = client.spreadsheet_id;
+        if (!spreadsheetId) return null;
+
+        const hints = known.filter(k => k && k.sheetName);
+        try {
+            const found = await this.matchLeadRows(spreadsheetId, phone, hints.filter(k => k.row));
+            if (found) return { ...found, sheetId: await this.getSheetIdByName(spreadsheetId, found.sheetName) };
+
+            const candidates = hints.map(k => k.sheetName);
+            if (client.sheet_name && client.sheet_name !== 'auto') candidates.push(client.sheet_name);
+            candidates.push(...(await this.getMonthlySheetNames(spreadsheetId)).slice(0, LEAD_SEARCH_MAX_TABS));
+
+            const scanned = await this.matchLeadRows(spreadsheetId, phone, [...new Set(candidates)].map(sheetName => ({ sheetName })));
+            if (scanned) return { ...scanned, sheetId: await this.getSheetIdByName(spreadsheetId, scanned.sheetName) };
+        } catch (error) {
+            logger.warn('Erro ao procurar lead nas abas', { error: error.message });
+        }
+        return null;
+    }
+
+    /**
+     * Lê Telefone e Data das abas (linha específica quando `row` é dado, senão a
+     * coluna toda) em um único batchGet e devolve o primeiro match, na ordem das
+     * abas: { sheetName, row, date } ou null. Match exato vence o pelo final do número.
+     */
+    async matchLeadRows(spreadsheetId, phone, targets) {
+        if (targets.length === 0) return null;
+
+        const reads = [];
+        for (const target of targets) {
+            const colMap = await this.getColumnMapping(spreadsheetId, target.sheetName);
+            const phoneLetter = colMap.telefone ? colMap.telefone.letter : 'B';
+            const cells = letter => target.row
+                ? `'${target.sheetName}'!${letter}${target.row}`
+                : `'${target.sheetName}'!${letter}:${letter}`;
+            reads.push({ ...target, phoneRange: cells(phoneLetter), dateRange: colMap.data ? cells(colMap.data.letter) : null });
+        }
+
+        const ranges = reads.flatMap(r => (r.dateRange ? [r.phoneRange, r.dateRange] : [r.phoneRange]));
+        const response = await this.sheets.spreadsheets.values.batchGet({ spreadsheetId, ranges });
+        const valueRanges = response.data.valueRanges || [];
+
+        let index = 0;
+        let tailMatch = null;
+        for (const read of reads) {
+            const phones = (valueRanges[index++] || {}).values || [];
+            const dates = read.dateRange ? ((valueRanges[index++] || {}).values || []) : [];
+            // Linha específica: a leitura começa nela; coluna toda: pula o cabeçalho
+            const first = read.row ? 0 : 1;
+            for (let i = first; i < phones.length; i++) {
+                const match = matchPhone((phones[i] || [])[0], phone);
+                if (!match) continue;
+                const found = {
+                    sheetName: read.sheetName,
+                    row: read.row || i + 1,
+                    date: (dates[i] || [])[0] || null,
+                };
+                if (match === 'exact') return found;
+                if (!tailMatch) tailMatch = found;
+            }
+        }
+        return tailMatch;
+    }
+
+    /**
+     * Reabre a linha existente de um lead que voltou: volta o status e acrescenta
+     * uma nota aos Comentários (o texto da equipe é preservado).
+     */
+    async reopenLead(client, match, { status, note }) {
+        try {
+            const spreadsheetId = client.spreadsheet_id;
+            const colMap = await this.getColumnMapping(spreadsheetId, match.sheetName);
+            const updates = [];
+
+            if (colMap.status) {
+                updates.push({
+                    range: `'${match.sheetName}'!${colMap.status.letter}${match.row}`,
+                    values: [[status || 'Lead Gerado']],
+                });
+            }
+
+            if (note && colMap.comentarios) {
+                const range = `'${match.sheetName}'!${colMap.comentarios.letter}${match.row}`;
+                const response = await this.sheets.spreadsheets.values.get({ spreadsheetId, range });
+                const current = ((response.data.values || [])[0] || [])[0] || '';
+                updates.push({ range, values: [[current ? `${current} | ${note}` : note]] });
+            }
+
+            if (updates.length === 0) {
+                return { success: false, error: 'Colunas Status/Comentários não encontradas' };
+            }
+
+            await this.sheetsWrite('values.batchUpdate', {
+                spreadsheetId,
+                requestBody: {
+                    valueInputOption: 'RAW',
+                    data: updates,
+                },
+            });
+
+            logger.info(`Lead reaberto na linha ${match.row} de "${match.sheetName}"`, { client: client.name });
+            return { success: true, sheetName: match.sheetName, row: match.row };
+        } catch (error) {
+            logger.warn('Erro ao reabrir lead', { client: client.name, error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Atualiza o status de um lead existente na planilha.
      * Usa mapeamento dinâmico de colunas para encontrar as colunas corretas.
      * Busca primeiro no mês atual, depois em meses anteriores.
+     * updateData.comment substitui os Comentários; updateData.commentNote é
+     * acrescentado ao texto existente. updateData.product / updateData.city
+     * (campos mapeados do Kommo) atualizam Produto e Cidade.
      */
     async updateLeadStatus(client, updateData) {
         let lastError = null;
@@ -779,6 +970,20 @@ class SheetsService {
                     });
                 }
 
+                // Produto e Cidade
+                if (updateData.product && colMap.produto) {
+                    updates.push({
+                        range: `'${sheetName}'!${colMap.produto.letter}${row}`,
+                        values: [[updateData.product]],
+                    });
+                }
+                if (updateData.city && colMap.cidade) {
+                    updates.push({
+                        range: `'${sheetName}'!${colMap.cidade.letter}${row}`,
+                        values: [[updateData.city]],
+                    });
+                }
+
                 // Status Lead (coluna mapeada, não hardcoded H)
                 if (updateData.status && colMap.status) {
                     updates.push({
@@ -793,6 +998,14 @@ class SheetsService {
                         range: `'${sheetName}'!${colMap.comentarios.letter}${row}`,
                         values: [[updateData.comment]],
                     });
+                } else if (updateData.commentNote && colMap.comentarios) {
+                    // Nota acrescentada ao texto da equipe (repetida não duplica)
+                    const range = `'${sheetName}'!${colMap.comentarios.letter}${row}`;
+                    const response = await this.sheets.spreadsheets.values.get({ spreadsheetId, range });
+                    const current = ((response.data.values || [])[0] || [])[0] || '';
+                    if (!current.endsWith(updateData.commentNote)) {
+                        updates.push({ range, values: [[current ? `${current} | ${updateData.commentNote}` : updateData.commentNote]] });
+                    }
                 }
 
                 if (updates.length === 0) {
@@ -800,7 +1013,7 @@ class SheetsService {
                 }
 
                 // Executar todas as atualizações de uma vez
-                await this.sheets.spreadsheets.values.batchUpdate({
+                await this.sheetsWrite('values.batchUpdate', {
                     spreadsheetId,
                     requestBody: {
                         valueInputOption: 'RAW',
@@ -877,7 +1090,7 @@ class SheetsService {
             const sheetId = await this.getSheetIdByName(spreadsheetId, sheetName);
             if (sheetId === null) return;
 
-            await this.sheets.spreadsheets.batchUpdate({
+            await this.sheetsWrite('batchUpdate', {
                 spreadsheetId,
                 requestBody: {
                     requests: [{
@@ -1021,7 +1234,7 @@ class SheetsService {
             if (updates.length === 0) return;
 
             // Escrever fórmulas
-            await this.sheets.spreadsheets.values.batchUpdate({
+            await this.sheetsWrite('values.batchUpdate', {
                 spreadsheetId,
                 requestBody: {
                     valueInputOption: 'USER_ENTERED',
@@ -1035,7 +1248,7 @@ class SheetsService {
                 const diaStartCol = colMap[diaFields[0]].index;
                 const diaEndCol = colMap[diaFields[Math.min(diaFields.length, offsets.length) - 1]].index + 1;
 
-                await this.sheets.spreadsheets.batchUpdate({
+                await this.sheetsWrite('batchUpdate', {
                     spreadsheetId,
                     requestBody: {
                         requests: [{
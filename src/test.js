@@ -0,0 +1,1142 @@
+/**
+ * Testes — npm test
+ *
+ * Sem framework: cada test() usa o assert do Node e os testes rodam em ordem.
+ * Nada de PostgreSQL, Redis, Sheets ou Kommo: o pgService fica indisponível e,
+ * quando um teste precisa de banco, troca os métodos por objetos falsos com
+ * stub() (restaurados ao fim do teste). O processo sai com código 1 se algum
+ * teste falhar.
+ */
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { logger } = require('./utils/logger');
+logger.silent = true;
+
+const { normalizePhone, matchPhone, formatPhoneBR } = require('./utils/formatter');
+const clientManager = require('./clientManager');
+const clientConfig = require('./infra/clientConfig');
+const channelRules = require('./infra/channelRules');
+const statusMappings = require('./infra/statusMappings');
+const { buildIdempotencyKey } = require('./utils/idempotency');
+const simulation = require('./infra/simulation');
+const reprocess = require('./infra/reprocess');
+const webhookAuth = require('./infra/webhookAuth');
+const returningLeads = require('./infra/returningLeads');
+const outboundWebhooks = require('./infra/outboundWebhooks');
+const googleAdsExport = require('./infra/googleAdsExport');
+const metaCapi = require('./infra/metaCapi');
+const salesLedger = require('./infra/salesLedger');
+const kommoAuth = require('./infra/kommoAuth');
+const kommoApi = require('./infra/kommoApi');
+const kommoStages = require('./infra/kommoStages');
+const kommoSheetSync = require('./infra/kommoSheetSync');
+const kommoBackfill = require('./infra/kommoBackfill');
+const kommoFields = require('./infra/kommoFields');
+const cache = require('./infra/cache');
+const pgService = require('./pgService');
+const sheetsService = require('./sheetsService');
+const webhookHandler = require('./webhookHandler');
+const kommoHandler = require('./kommoHandler');
+
+const tests = [];
+const restores = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+/**
+ * Troca métodos de um objeto durante o teste atual.
+ */
+function stub(target, methods) {
+    for (const [name, fn] of Object.entries(methods)) {
+        const original = target[name];
+        const own = Object.prototype.hasOwnProperty.call(target, name);
+        restores.push(() => {
+            if (own) target[name] = original;
+            else delete target[name];
+        });
+        target[name] = fn;
+    }
+}
+
+/**
+ * pgService falso: handler(sql, params) devolve { rows } (padrão: nenhuma linha)
+ * e cada consulta fica em queries.
+ */
+function fakePg(handler = () => null) {
+    const queries = [];
+    return {
+        queries,
+        isAvailable: () => true,
+        async query(sql, params = []) {
+            queries.push({ sql, params });
+            return (await handler(sql, params)) || { rows: [] };
+        },
+    };
+}
+
+/**
+ * Clientes carregados pelo clientManager durante o teste atual.
+ */
+function useClients(clients) {
+    stub(clientManager, { clients });
+}
+
+// ── Telefones (E.164) ───────────────────────────────────────
+
+test('normalizePhone: Brasil, EUA e Portugal, com e sem DDI', () => {
+    const cases = [
+        // Brasil — com e sem DDI
+        ['33988836450', '+5533988836450'],
+        ['(33)98883-6450', '+5533988836450'],
+        ['(33)3222-1234', '+553332221234'],
+        ['033988836450', '+5533988836450'],
+        ['5533988836450', '+5533988836450'],
+        ['+55 33 98883-6450', '+5533988836450'],
+        ['0055 33 98883-6450', '+5533988836450'],
+        // EUA — com e sem "+"
+        ['14155552671', '+14155552671'],
+        ['+1 415 555 2671', '+14155552671'],
+        ['001 415 555 2671', '+14155552671'],
+        // Portugal — com e sem "+"
+        ['351912345678', '+351912345678'],
+        ['+351 912 345 678', '+351912345678'],
+        ['00351912345678', '+351912345678'],
+        // Incompletos e vazios
+        ['98883-6450', '988836450'],
+        ['', ''],
+        [null, ''],
+    ];
+    for (const [input, expected] of cases) {
+        assert.strictEqual(normalizePhone(input), expected, `normalizePhone(${JSON.stringify(input)})`);
+    }
+});
+
+test('migration 012 usa a mesma lista de DDDs que normalizePhone', () => {
+    const migration = fs.readFileSync(path.join(__dirname, '..', 'migrations', '012_add_phone_normalization.sql'), 'utf-8');
+    const migrationAreaCodes = new Set(migration.match(/left\(national, 2\) IN \(([^)]*)\)/)[1].match(/\d{2}/g));
+    for (let ddd = 11; ddd <= 99; ddd++) {
+        const brazilian = normalizePhone(`${ddd}988836450`).startsWith(`+55${ddd}`);
+        assert.strictEqual(migrationAreaCodes.has(String(ddd)), brazilian, `DDD ${ddd} na migration 012`);
+    }
+});
+
+test('matchPhone e formatPhoneBR', () => {
+    assert.strictEqual(matchPhone('14155552671', '+1 415 555 2671'), 'exact');
+    assert.strictEqual(matchPhone('351912345678', '+5533912345678'), null);
+    assert.strictEqual(matchPhone('98883-6450', '5533988836450'), 'tail');
+
+    assert.strictEqual(formatPhoneBR('5533988836450'), '(33)98883-6450');
+    assert.strictEqual(formatPhoneBR('14155552671').startsWith('+1'), true);
+});
+
+// ── Feature flags ───────────────────────────────────────────
+
+test('clientConfig: flags do cliente sobre os padrões', () => {
+    const { features } = clientConfig.getConfig({ feature_flags: { sheets_enabled: false } });
+    assert.strictEqual(features.sheets_enabled, false);
+    assert.strictEqual(features.kommo_enabled, true);
+    assert.strictEqual(features.kommo_reverse_sync, false);
+    assert.deepStrictEqual(clientConfig.getConfig({}).features, clientConfig.DEFAULT_FLAGS);
+});
+
+test('Kommo: kommo_enabled desligado registra o evento como pulado pela flag', async () => {
+    useClients([{
+        id: 'acme', name: 'Acme', _db_id: 'uuid-acme', webhook_source: 'kommo', kommo_account_id: '900',
+        feature_flags: { kommo_enabled: false },
+    }]);
+    const logged = [];
+    stub(kommoHandler, {
+        logKommoEvent: (...args) => logged.push(args),
+        handleLeadStatus: () => assert.fail('lead não deveria ser processado'),
+    });
+
+    const result = await kommoHandler.processWebhook(
+        { account: { id: '900' }, leads: { status: [{ id: 1, status_id: 55500002, pipeline_id: 5550000 }] } },
+        null, null, { skipSignature: true }
+    );
+    assert.strictEqual(result.results[0].status, 'skipped_by_flag');
+    assert.strictEqual(logged[0][5], 'skipped_by_flag');
+    assert.strictEqual(logged[0][4].skippedByFlag, 'kommo_enabled');
+});
+
+// ── Regras de canal ─────────────────────────────────────────
+
+test('channelRules: regras padrão detectam Google, Meta e WhatsApp', () => {
+    const rules = channelRules.DEFAULT_RULES;
+    const google = channelRules.matchOrigin({ source: 'google', utm_medium: 'cpc' }, rules);
+    assert.strictEqual(google.channel, 'Google Ads');
+    assert.strictEqual(google.isPaid, true);
+    const meta = channelRules.matchOrigin({ utm_campaign: 'Instagram_Black_Friday' }, rules);
+    assert.strictEqual(meta.channel, 'Meta Ads');
+    assert.strictEqual(meta.field, 'campaign');
+    assert.strictEqual(channelRules.matchOrigin({ medium: 'cpc' }, rules).isPaid, false);
+
+    const organic = channelRules.matchOrigin({ chatName: 'Maria' }, rules);
+    assert.strictEqual(organic.channel, 'WhatsApp');
+    assert.strictEqual(organic.isPaid, false);
+    assert.strictEqual(organic.rule, null);
+});
+
+test('channelRules: regra inativa ou com regex inválida é ignorada; caminho no payload', () => {
+    const rules = [
+        { field: 'source', pattern: 'google', channel: 'Desligada', is_paid: true, active: false },
+        { field: 'source', pattern: '(', channel: 'Quebrada', is_paid: true },
+        { field: 'ad.headline', pattern: 'consulta', channel: 'Anúncio', is_paid: true },
+    ];
+    assert.strictEqual(channelRules.matchOrigin({ source: 'google' }, rules).channel, 'WhatsApp');
+    assert.strictEqual(channelRules.matchOrigin({ ad: { headline: 'Consulta grátis' } }, rules).channel, 'Anúncio');
+});
+
+test('channelRules: cliente sem regras usa as padrão', async () => {
+    const client = { id: 'acme', _db_id: 'uuid-acme' };
+    assert.strictEqual(await channelRules.getRules(fakePg(), client), channelRules.DEFAULT_RULES);
+
+    const own = await channelRules.getRules(fakePg(() => ({
+        rows: [{ id: 'r1', field: 'source', pattern: 'tiktok', channel: 'TikTok', is_paid: true, priority: 1, active: true }],
+    })), client);
+    assert.deepStrictEqual(own.map(r => r.channel), ['TikTok']);
+});
+
+// ── Mapeamento de status do Tintim ──────────────────────────
+
+test('statusMappings.findMapping: id do status primeiro, depois o nome', () => {
+    const mappings = [
+        { id: 'a', tintim_status_id: '10', tintim_status_name: 'Comprou', sheet_label: 'Venda', stage: 'won' },
+        { id: 'b', tintim_status_id: null, tintim_status_name: '  Em negociação ', sheet_label: 'Proposta', stage: 'proposal' },
+    ];
+    assert.strictEqual(statusMappings.findMapping(mappings, 10, 'Outro nome').id, 'a');
+    assert.strictEqual(statusMappings.findMapping(mappings, 99, 'em NEGOCIAÇÃO').id, 'b');
+    assert.strictEqual(statusMappings.findMapping(mappings, null, 'comprou').id, 'a');
+    assert.strictEqual(statusMappings.findMapping(mappings, 99, ''), null);
+});
+
+test('statusMappings.validateMapping', () => {
+    assert.deepStrictEqual(statusMappings.validateMapping({ tintim_status_name: 'Comprou', sheet_label: 'Venda', stage: 'won' }), []);
+    assert.strictEqual(statusMappings.validateMapping({ sheet_label: 'Venda', stage: 'won' }).length, 1);
+    assert.strictEqual(statusMappings.validateMapping({ tintim_status_id: '1', sheet_label: 'X', stage: 'ganho' }).length, 1);
+    assert.strictEqual(statusMappings.validateMapping({ tintim_status_id: '1', sheet_label: 'X', stage: 'won', is_sale: true, sale_event: 'refund' }).length, 1);
+});
+
+test('statusMappings.resolveStatus registra status sem mapeamento', async () => {
+    const client = { id: 'acme', _db_id: 'uuid-acme' };
+    const pg = fakePg(sql => sql.startsWith('SELECT * FROM status_mappings')
+        ? { rows: [{ id: 'a', tintim_status_id: '10', sheet_label: 'Venda', stage: 'won', is_sale: true }] }
+        : null);
+
+    const mapped = await statusMappings.resolveStatus(pg, client, '10', 'Comprou');
+    assert.strictEqual(mapped.sheet_label, 'Venda');
+    assert.strictEqual(pg.queries.some(q => q.sql.includes('unmapped_statuses')), false);
+
+    assert.strictEqual(await statusMappings.resolveStatus(pg, client, null, 'Novo Status'), null);
+    const unmapped = pg.queries.find(q => q.sql.includes('INSERT INTO unmapped_statuses'));
+    assert.deepStrictEqual(unmapped.params, ['uuid-acme', 'name:novo status', null, 'Novo Status']);
+});
+
+// ── Idempotência dos webhooks do Tintim ─────────────────────
+
+const TINTIM_STATUS = {
+    event_type: 'lead.update',
+    phone: '5533988836450',
+    account: { code: 'inst-1', name: 'Acme' },
+    status: { id: 10, name: 'Comprou' },
+    updated_isoformat: '2026-02-10T23:20:21-03:00',
+    sale_amount: 500,
+};
+
+test('buildIdempotencyKey: reentrega igual gera a mesma chave, outro status não', () => {
+    const key = buildIdempotencyKey(TINTIM_STATUS);
+    assert.match(key, /^[0-9a-f]{64}$/);
+    // Ordem das chaves, espaços nas pontas e campos vazios não mudam a chave
+    const reordered = { sale_amount: 500, status: { name: ' Comprou ', id: 10 }, ...TINTIM_STATUS, ad: null, name: '' };
+    assert.strictEqual(buildIdempotencyKey(reordered), key);
+    assert.notStrictEqual(buildIdempotencyKey({ ...TINTIM_STATUS, status: { id: 11, name: 'Perdido' } }), key);
+    assert.notStrictEqual(buildIdempotencyKey({ ...TINTIM_STATUS, updated_isoformat: '2026-02-10T23:25:00-03:00' }), key);
+});
+
+test('claimIdempotencyKey: chave nova, duplicada e em processamento', async () => {
+    const fresh = fakePg(sql => sql.startsWith('INSERT') ? { rows: [{ trace_id: 't2' }] } : null);
+    assert.deepStrictEqual(await pgService.claimIdempotencyKey.call(fresh, 'k', 't2', {}, 72, 10), { duplicate: false });
+    assert.ok(fresh.queries[0].sql.includes("status = 'failed'"), 'chave falha pode ser reivindicada');
+    assert.deepStrictEqual(fresh.queries[0].params.slice(-2), [72, 10]);
+
+    const taken = fakePg(sql => sql.startsWith('SELECT')
+        ? { rows: [{ trace_id: 't1', status: 'processing', created_at: '2026-02-10T00:00:00Z' }] }
+        : null);
+    const claim = await pgService.claimIdempotencyKey.call(taken, 'k', 't2');
+    assert.strictEqual(claim.duplicate, true);
+    assert.strictEqual(claim.status, 'processing');
+    assert.strictEqual(claim.originalTraceId, 't1');
+});
+
+test('processWebhook: a chave fica done no sucesso e failed na falha ou exceção', async () => {
+    const finished = [];
+    let claim = { duplicate: false };
+    stub(pgService, {
+        claimIdempotencyKey: async () => claim,
+        finishIdempotencyKey: async (key, traceId, status) => finished.push(status),
+        addTrailStep: async () => {},
+        logWebhookEvent: () => {},
+    });
+    stub(clientManager, { findByInstanceId: () => null });
+
+    // Cliente não encontrado: resultado de falha libera a chave
+    const failed = await webhookHandler.processWebhook(TINTIM_STATUS);
+    assert.strictEqual(failed.success, false);
+    // Evento ignorado: sucesso
+    await webhookHandler.processWebhook({ ...TINTIM_STATUS, event_type: 'lead.delete' });
+    assert.deepStrictEqual(finished, ['failed', 'done']);
+
+    // Exceção no processamento: failed e o erro sobe
+    stub(webhookHandler, { processClaimedWebhook: async () => { throw new Error('Sheets fora do ar'); } });
+    await assert.rejects(webhookHandler.processWebhook(TINTIM_STATUS), /Sheets fora do ar/);
+    assert.deepStrictEqual(finished, ['failed', 'done', 'failed']);
+
+    // Duplicado não reivindica nem fecha a chave
+    claim = { duplicate: true, status: 'done', originalTraceId: 't1' };
+    const duplicate = await webhookHandler.processWebhook(TINTIM_STATUS);
+    assert.strictEqual(duplicate.duplicateOf, 't1');
+    assert.strictEqual(finished.length, 3);
+});
+
+// ── Simulação (dry-run) ─────────────────────────────────────
+
+test('isWriteQuery: escritas e leituras', () => {
+    for (const sql of ['INSERT INTO leads_log (a) VALUES ($1)', '  update clients SET x = 1', 'DELETE FROM t', 'REFRESH MATERIALIZED VIEW v']) {
+        assert.strictEqual(simulation.isWriteQuery(sql), true, sql);
+    }
+    for (const sql of ['SELECT * FROM leads_log', 'WITH x AS (SELECT 1) SELECT * FROM x', '', undefined]) {
+        assert.strictEqual(simulation.isWriteQuery(sql), false, String(sql));
+    }
+});
+
+test('simulation.run: pgService registra escritas sem executá-las e lê normalmente', async () => {
+    const pool = fakePg(sql => sql.startsWith('SELECT') ? { rows: [{ id: 1 }] } : null);
+    stub(pgService, { pool });
+
+    const report = await simulation.run(async () => {
+        const read = await pgService.query('SELECT id FROM clients WHERE slug = $1', ['acme']);
+        const write = await pgService.query(
+            'INSERT INTO leads_log (client_id, phone, origin, created_at) VALUES ($1, $2, $3, COALESCE($4, NOW()))',
+            ['acme', '+5533988836450', 'Meta Ads']
+        );
+        assert.deepStrictEqual(read.rows, [{ id: 1 }]);
+        assert.strictEqual(write.rowCount, 0);
+        return 'ok';
+    });
+
+    assert.strictEqual(report.result, 'ok');
+    assert.deepStrictEqual(pool.queries.map(q => q.sql.split(' ')[0]), ['SELECT'], 'só a leitura chega ao banco');
+    assert.strictEqual(report.pgWrites.length, 1);
+    assert.strictEqual(report.pgWrites[0].table, 'leads_log');
+    assert.deepStrictEqual(report.pgWrites[0].row, {
+        client_id: 'acme', phone: '+5533988836450', origin: 'Meta Ads', created_at: null,
+    });
+    assert.strictEqual(simulation.isActive(), false, 'contexto não vaza para fora do run');
+
+    // Fora da simulação a escrita vai direto ao banco
+    await pgService.query('UPDATE clients SET name = $1', ['x']);
+    assert.strictEqual(pool.queries.length, 2);
+});
+
+// ── Reprocessamento em massa ────────────────────────────────
+
+test('reprocess.validateRequest: fonte, datas e ritmo', () => {
+    assert.deepStrictEqual(reprocess.validateRequest({ source: 'kommo', filters: { from: '2026-02-01' }, rate_per_minute: 30 }), []);
+    const errors = reprocess.validateRequest({ source: 'sheets', filters: { to: 'ontem' }, rate_per_minute: 500 });
+    assert.strictEqual(errors.length, 3);
+    assert.ok(errors[0].startsWith('source inválido'));
+});
+
+test('reprocess.buildWhere: filtros viram condições numeradas a partir de $1', () => {
+    const filters = reprocess.normalizeFilters({ client: ' acme ', from: '2026-02-01', processing_result: 'error, client_not_found' });
+    const { where, params } = reprocess.buildWhere(filters, '2026-02-10T00:00:00Z');
+    assert.strictEqual(where, 'WHERE e.created_at <= $1 AND e.client_id = (SELECT id FROM clients WHERE slug = $2)'
+        + ' AND e.created_at >= $3 AND e.processing_result = ANY($4)');
+    assert.deepStrictEqual(params, ['2026-02-10T00:00:00Z', 'acme', '2026-02-01', ['error', 'client_not_found']]);
+
+    assert.deepStrictEqual(reprocess.buildWhere(reprocess.normalizeFilters({}), null), { where: '', params: [] });
+});
+
+test('reprocess.toKommoBody: remonta o corpo do webhook a partir de kommo_events', () => {
+    const lead = { id: 7, status_id: 142, pipeline_id: 3 };
+    const account = { id: 99, subdomain: 'acme' };
+    assert.deepStrictEqual(reprocess.toKommoBody({ event_type: 'lead.status', payload: { account, lead } }),
+        { account, leads: { status: [lead] } });
+    assert.deepStrictEqual(reprocess.toKommoBody({ event_type: 'lead.add', kommo_account_id: 99, payload: { lead } }),
+        { account: { id: 99 }, leads: { add: [lead] } });
+    const contact = { id: 5 };
+    assert.deepStrictEqual(reprocess.toKommoBody({ event_type: 'contact.update', payload: { account, contact } }),
+        { account, contacts: { update: [contact] } });
+    // Corpo completo guardado como 'webhook' volta como está
+    const body = { account, leads: { delete: [{ id: 7 }] } };
+    assert.strictEqual(reprocess.toKommoBody({ event_type: 'webhook', payload: body }), body);
+});
+
+test('reprocess.countEvents: prévia somada por resultado', async () => {
+    const pg = fakePg(() => ({ rows: [{ processing_result: 'error', count: 4 }, { processing_result: 'success', count: 6 }] }));
+    const preview = await reprocess.countEvents(pg, 'tintim', { client: 'acme' });
+    assert.strictEqual(preview.total, 10);
+    assert.ok(pg.queries[0].sql.includes('FROM webhook_events e'));
+    assert.deepStrictEqual(pg.queries[0].params, ['acme']);
+});
+
+// ── Autenticação dos webhooks por cliente ───────────────────
+
+test('webhookAuth.verifyRequest: modo hmac confere a assinatura do corpo bruto', () => {
+    const client = { slug: 'acme', webhook_secret: 's3cr3t', webhook_auth_mode: 'hmac' };
+    const rawBody = '{"phone":"5533988836450"}';
+    const signature = crypto.createHmac('sha256', 's3cr3t').update(rawBody).digest('hex');
+    assert.strictEqual(webhookAuth.signBody('s3cr3t', rawBody), signature);
+
+    const request = header => ({ headers: { 'x-webhook-signature': header }, query: {}, rawBody });
+    assert.deepStrictEqual(webhookAuth.verifyRequest(client, request(signature)), { ok: true });
+    assert.deepStrictEqual(webhookAuth.verifyRequest(client, request(`sha256=${signature.toUpperCase()}`)), { ok: true });
+    assert.strictEqual(webhookAuth.verifyRequest(client, { ...request(signature), rawBody: rawBody + ' ' }).reason, 'assinatura inválida');
+    assert.strictEqual(webhookAuth.verifyRequest(client, request('')).reason, 'assinatura ausente');
+    // O token na URL não vale no modo hmac
+    assert.strictEqual(webhookAuth.verifyRequest(client, { headers: {}, query: { token: 's3cr3t' }, rawBody }).ok, false);
+});
+
+test('webhookAuth.verifyRequest e buildClientUrl: modo token', () => {
+    const client = { slug: 'acme', webhook_secret: 's3cr3t', webhook_auth_mode: 'token' };
+    assert.strictEqual(webhookAuth.verifyRequest(client, { headers: {}, query: { token: 's3cr3t' } }).ok, true);
+    assert.strictEqual(webhookAuth.verifyRequest(client, { headers: { 'x-webhook-token': 's3cr3t' }, query: {} }).ok, true);
+    assert.strictEqual(webhookAuth.verifyRequest(client, { headers: {}, query: { token: 's3cr3' } }).reason, 'token inválido');
+    assert.strictEqual(webhookAuth.verifyRequest({ slug: 'x' }, { headers: {}, query: {} }).reason, 'cliente sem webhook_secret');
+
+    assert.strictEqual(webhookAuth.buildClientUrl('https://app.example.com/webhook/tintim/', client),
+        'https://app.example.com/webhook/tintim/acme?token=s3cr3t');
+    assert.strictEqual(webhookAuth.buildClientUrl('https://app.example.com', { ...client, webhook_auth_mode: 'hmac' }),
+        'https://app.example.com/webhook/tintim/acme');
+});
+
+// ── Leads que retornam ──────────────────────────────────────
+
+test('returningLeads: ação padrão e textos da linha', () => {
+    assert.strictEqual(returningLeads.getAction({}), 'tag');
+    assert.strictEqual(returningLeads.getAction({ returning_lead_action: 'reopen' }), 'reopen');
+    assert.strictEqual(returningLeads.getAction({ returning_lead_action: 'apagar' }), 'tag');
+
+    assert.strictEqual(returningLeads.buildTagComment({ date: '03/01/2026', sheetName: 'Janeiro', row: 12, sheetId: 345 }),
+        '=HYPERLINK("#gid=345&range=A12";"Retorno — 1º contato em 03/01/2026 (Janeiro, linha 12)")');
+    // Sem aba conhecida não há link
+    assert.strictEqual(returningLeads.buildTagComment({ date: null, sheetName: 'Janeiro', row: null, sheetId: null }),
+        'Retorno — 1º contato em data desconhecida (Janeiro)');
+    assert.strictEqual(returningLeads.buildReopenNote('10/02/2026', 'Google Ads'), 'Retornou em 10/02/2026 (Google Ads)');
+});
+
+test('returningLeads.findPreviousLead: Postgres decide, a planilha só localiza a linha', async () => {
+    const client = { id: 'acme' };
+    const sheetCalls = [];
+    const sheets = {
+        async findLeadInSheets(c, phone, known) {
+            sheetCalls.push(known);
+            return { date: '03/01/2026', sheetName: 'Janeiro', row: 12, sheetId: 345 };
+        },
+    };
+
+    // Sem lead anterior no banco: não é retorno, nem olha a planilha
+    const none = { isAvailable: () => true, findFirstLead: async () => null };
+    assert.strictEqual(await returningLeads.findPreviousLead(none, sheets, client, '+5533988836450'), null);
+    assert.strictEqual(sheetCalls.length, 0);
+
+    const pg = {
+        isAvailable: () => true,
+        findFirstLead: async () => ({ created_at: '2026-01-03T12:00:00Z', sheet_name: 'Janeiro', sheet_row: 10 }),
+        getLead: async () => ({ sheet_name: 'Janeiro', sheet_row: 12 }),
+    };
+    const previous = await returningLeads.findPreviousLead(pg, sheets, client, '+5533988836450');
+    assert.deepStrictEqual(previous, {
+        firstContactAt: '2026-01-03T12:00:00Z', date: '03/01/2026', sheetName: 'Janeiro', row: 12, sheetId: 345,
+    });
+    assert.deepStrictEqual(sheetCalls[0], [{ sheetName: 'Janeiro', row: 10 }, { sheetName: 'Janeiro', row: 12 }]);
+
+    // Sem varrer a planilha: data e aba vêm do leads_log
+    const quick = await returningLeads.findPreviousLead(pg, sheets, client, '+5533988836450', { searchSheets: false });
+    assert.strictEqual(quick.sheetName, 'Janeiro');
+    assert.strictEqual(quick.row, null);
+    assert.strictEqual(sheetCalls.length, 1);
+});
+
+// ── Webhooks de saída ───────────────────────────────────────
+
+test('outboundWebhooks.validateSubscription: url e eventos', () => {
+    assert.deepStrictEqual(outboundWebhooks.validateSubscription({ url: 'https://crm.example.com/hook', events: ['lead.sold'] }), []);
+    const errors = outboundWebhooks.validateSubscription({ url: 'ftp://crm.example.com', events: ['lead.sold', 'lead.deleted'] });
+    assert.strictEqual(errors.length, 2);
+    assert.ok(errors[1].startsWith('eventos inválidos: lead.deleted'));
+    assert.deepStrictEqual(outboundWebhooks.validateSubscription({ url: 'https://crm.example.com' }), ['events é obrigatório']);
+});
+
+test('outboundWebhooks.deliver: corpo assinado com o secret da inscrição e status da entrega', async () => {
+    const payload = { id: 'evt-1', event: 'lead.sold', data: { phone: '+5533988836450', amount: 500 } };
+    const pg = fakePg(sql => sql.startsWith('SELECT')
+        ? { rows: [{ id: 'd1', url: 'https://crm.example.com/hook', secret: 'sub-secret', event_type: 'lead.sold', payload }] }
+        : null);
+    const requests = [];
+    let status = 200;
+    stub(globalThis, {
+        fetch: async (url, options) => {
+            requests.push({ url, options });
+            return { status, ok: status < 300, text: async () => 'ok' };
+        },
+    });
+
+    assert.deepStrictEqual(await outboundWebhooks.deliver(pg, 'd1'), { id: 'd1', status: 'success', responseStatus: 200 });
+    const { headers, body } = requests[0].options;
+    assert.strictEqual(body, JSON.stringify(payload));
+    assert.strictEqual(headers['X-Webhook-Signature'],
+        `sha256=${crypto.createHmac('sha256', 'sub-secret').update(body).digest('hex')}`);
+    assert.strictEqual(headers['X-Webhook-Event'], 'lead.sold');
+
+    // Erro HTTP: continua pendente para a fila tentar de novo; na última tentativa, failed
+    status = 500;
+    await assert.rejects(outboundWebhooks.deliver(pg, 'd1'), /HTTP 500/);
+    await assert.rejects(outboundWebhooks.deliver(pg, 'd1', { lastAttempt: true }), /HTTP 500/);
+    const updates = pg.queries.filter(q => q.sql.startsWith('UPDATE')).map(q => q.params[1]);
+    assert.deepStrictEqual(updates, ['success', 'pending', 'failed']);
+});
+
+test('outboundWebhooks.emit: nada é emitido em simulação', async () => {
+    const pg = fakePg();
+    const report = await simulation.run(() => outboundWebhooks.emit(pg, { id: 'acme', _db_id: 1 }, 'lead.sold', {}));
+    assert.strictEqual(report.result, null);
+    assert.strictEqual(pg.queries.length, 0);
+});
+
+// ── Atribuição Meta (click-to-WhatsApp) ─────────────────────
+
+test('saveMetaConversion e upsertMetaConversion: telefone normalizado e venda no último registro', async () => {
+    const pg = fakePg(sql => sql.startsWith('INSERT') ? { rows: [{ id: 42 }] } : { rows: [], rowCount: 1 });
+    const id = await pgService.saveMetaConversion.call(pg, {
+        clientId: 3, ctwaClid: 'ARAkLk', campaign: 'Black Friday', adsetName: 'Lookalike', adName: 'Vídeo 1',
+        leadPhone: '(33) 98883-6450', leadName: 'Maria', leadStatus: 'Lead Gerado', product: 'Curso',
+    });
+    assert.strictEqual(id, 42);
+    const insert = pg.queries[0].params;
+    assert.deepStrictEqual([insert[0], insert[1], insert[2], insert[3], insert[5]], [3, 'ARAkLk', 'Black Friday', 'Lookalike', 'Vídeo 1']);
+    assert.strictEqual(insert[15], '+5533988836450');
+
+    await pgService.upsertMetaConversion.call(pg, '5533988836450', { saleAmount: 500, leadStatus: 'Comprou' });
+    const update = pg.queries[1];
+    assert.ok(update.sql.includes('ORDER BY created_at DESC LIMIT 1'), 'só a atribuição mais recente recebe a venda');
+    assert.deepStrictEqual(update.params, [500, 'Comprou', '+5533988836450']);
+});
+
+// ── Exportação de conversões offline do Google Ads ──────────
+
+test('googleAdsExport.buildCsv: modelo do Google com fuso, valor e campos escapados', () => {
+    const csv = googleAdsExport.buildCsv([
+        { gclid: 'Cj0KCQ', conversion_time: '2026-02-10 21:15:00', sale_amount: '1500' },
+        { gclid: 'Cj1,x', conversion_time: '2026-02-11 09:00:00', sale_amount: null },
+    ], { conversionName: 'Venda "WhatsApp"', timezone: 'America/Sao_Paulo', currency: 'BRL' });
+
+    assert.deepStrictEqual(csv.split('\r\n'), [
+        'Parameters:TimeZone=America/Sao_Paulo',
+        googleAdsExport.CSV_HEADER.join(','),
+        'Cj0KCQ,"Venda ""WhatsApp""",2026-02-10 21:15:00,1500.00,BRL',
+        '"Cj1,x","Venda ""WhatsApp""",2026-02-11 09:00:00,,',
+        '',
+    ]);
+});
+
+test('googleAdsExport: validação de período e configurações', () => {
+    assert.deepStrictEqual(googleAdsExport.validateExportRequest({ from: '2026-02-01', to: '2026-02-28' }), []);
+    assert.deepStrictEqual(googleAdsExport.validateExportRequest({ from: '2026-03-01', to: '2026-02-28' }), ['from deve ser anterior a to']);
+    assert.deepStrictEqual(googleAdsExport.validateExportRequest({ from: '01/02/2026' }), ['from inválido (use YYYY-MM-DD)']);
+
+    assert.deepStrictEqual(googleAdsExport.validateSettings({ timezone: 'America/Sao_Paulo', currency: 'BRL' }), []);
+    assert.strictEqual(googleAdsExport.validateSettings({ timezone: 'Brasil/Minas', currency: 'real', auto_export: true }).length, 3);
+    assert.deepStrictEqual(googleAdsExport.getSettings({}), {
+        conversion_name: '', timezone: 'America/Sao_Paulo', currency: 'BRL', auto_export: false,
+    });
+});
+
+// ── Meta Conversions API ────────────────────────────────────
+
+test('metaCapi.buildEvent: telefone com hash e origem pelo ctwa_clid', () => {
+    const hash = crypto.createHash('sha256').update('5533988836450').digest('hex');
+    assert.strictEqual(metaCapi.hashPhone('(33) 98883-6450'), hash);
+    assert.strictEqual(metaCapi.hashPhone('+55 33 98883-6450'), hash);
+
+    const base = { eventId: 'kommo-abc', eventTime: new Date('2026-02-10T12:00:00Z'), phone: '5533988836450', value: '500', currency: 'BRL' };
+    const system = metaCapi.buildEvent(base);
+    assert.strictEqual(system.action_source, 'system_generated');
+    assert.strictEqual(system.event_time, 1770724800);
+    assert.deepStrictEqual(system.user_data, { ph: [hash] });
+    assert.deepStrictEqual(system.custom_data, { value: 500, currency: 'BRL' });
+
+    const ctwa = metaCapi.buildEvent({ ...base, ctwaClid: 'ARAkLk', pageId: '123' });
+    assert.strictEqual(ctwa.action_source, 'business_messaging');
+    assert.strictEqual(ctwa.messaging_channel, 'whatsapp');
+    assert.deepStrictEqual(ctwa.user_data, { ph: [hash], ctwa_clid: 'ARAkLk', page_id: '123' });
+});
+
+test('metaCapi.recordPurchase: event_id estável por venda e só para clientes habilitados', async () => {
+    const pg = fakePg(sql => sql.startsWith('INSERT') ? { rows: [{ id: 1, inserted: true }] } : null);
+    const client = { id: 'acme', _db_id: 3, meta_capi_enabled: true };
+    const sale = { phone: '5533988836450', value: 500, source: 'kommo', saleRef: 'lead-7@142' };
+
+    assert.strictEqual(await metaCapi.recordPurchase(pg, { ...client, meta_capi_enabled: false }, sale), null);
+    assert.strictEqual(pg.queries.length, 0);
+
+    const first = await metaCapi.recordPurchase(pg, client, sale);
+    const again = await metaCapi.recordPurchase(pg, client, { ...sale, value: 600 });
+    const other = await metaCapi.recordPurchase(pg, client, { ...sale, saleRef: 'lead-8@142' });
+    assert.match(first.eventId, /^kommo-[0-9a-f]{40}$/);
+    assert.strictEqual(again.eventId, first.eventId, 'reentrega da mesma venda não gera outro evento');
+    assert.notStrictEqual(other.eventId, first.eventId);
+    assert.ok(pg.queries.find(q => q.sql.startsWith('INSERT')).sql.includes("status = 'pending' AND EXCLUDED.value > meta_capi_events.value"));
+});
+
+// ── Timeline do lead ────────────────────────────────────────
+
+test('getLeadTimeline: fontes em ordem cronológica, trail agrupado e linhas da planilha', async () => {
+    const pg = fakePg(sql => {
+        if (sql.includes('FROM webhook_events')) {
+            return { rows: [{ id: 1, created_at: '2026-02-10T10:00:00Z', event_type: 'lead.create', processing_result: 'success', client_name: 'Acme' }] };
+        }
+        if (sql.includes('FROM leads_log')) {
+            return { rows: [{ id: 2, created_at: '2026-02-10T10:00:02Z', lead_name: 'Maria', client_name: 'Acme', sheet_name: 'Fevereiro', sheet_row: 12 }] };
+        }
+        if (sql.includes('FROM lead_trail')) {
+            return { rows: [
+                { trace_id: 'tr1', step_order: 1, step_name: 'client_matched', status: 'ok', created_at: '2026-02-10T10:00:01Z', metadata: { clientName: 'Acme' } },
+                { trace_id: 'tr1', step_order: 2, step_name: 'sheet_written', status: 'ok', created_at: '2026-02-10T10:00:02Z', metadata: { sheetName: 'Fevereiro', row: 12 } },
+            ] };
+        }
+        if (sql.includes('FROM kommo_events')) {
+            return { rows: [{ id: 3, created_at: '2026-02-12T09:00:00Z', event_type: 'lead.status', kommo_lead_id: 7, client_name: 'Acme', payload: { skippedByFlag: 'kommo_enabled' } }] };
+        }
+        return null;
+    });
+
+    const timeline = await pgService.getLeadTimeline.call(pg, '(33) 98883-6450', 'acme');
+    assert.strictEqual(timeline.phone, '+5533988836450');
+    assert.strictEqual(timeline.name, 'Maria');
+    assert.deepStrictEqual(timeline.items.map(i => i.id), ['evt_1', 'trace_tr1', 'log_2', 'kommo_3']);
+    assert.deepStrictEqual(timeline.items[1].steps.map(s => s.step_name), ['client_matched', 'sheet_written']);
+    assert.strictEqual(timeline.items[3].skipped_by_flag, 'kommo_enabled');
+    // Mesma linha vista no trail e no leads_log aparece uma vez
+    assert.deepStrictEqual(timeline.sheetRows, [{ client: 'Acme', sheet_name: 'Fevereiro', sheet_row: 12 }]);
+    assert.strictEqual(timeline.firstSeen, '2026-02-10T10:00:00Z');
+
+    // Telefone buscado com e sem DDI; cliente filtrado pelo slug em $2
+    const webhookQuery = pg.queries.find(q => q.sql.includes('FROM webhook_events'));
+    assert.deepStrictEqual(webhookQuery.params, [['5533988836450', '33988836450'], 'acme']);
+});
+
+// ── Tabela leads (estado atual) ─────────────────────────────
+
+test('upsertLead: lead do Kommo atualiza pelo id, senão insere pelo telefone', async () => {
+    const CLIENT_UUID = '6f1c2a9e-1b2c-4d5e-8f90-123456789abc';
+    let knownKommoLead = true;
+    const pg = fakePg(sql => sql.startsWith('UPDATE') ? { rows: [], rowCount: knownKommoLead ? 1 : 0 } : null);
+    pg.resolveClientUuid = pgService.resolveClientUuid;
+
+    await pgService.upsertLead.call(pg, CLIENT_UUID, { kommoLeadId: 7, phone: '(33) 98883-6450', status: 'Comprou', saleAmount: 0 });
+    assert.deepStrictEqual(pg.queries.map(q => q.sql.trim().split(/\s+/)[0]), ['UPDATE']);
+    const params = pg.queries[0].params;
+    assert.deepStrictEqual([params[0], params[1], params[2], params[10]], [CLIENT_UUID, '+5533988836450', '7', 0]);
+
+    // Id do Kommo ainda desconhecido: cai no upsert por cliente + telefone
+    knownKommoLead = false;
+    await pgService.upsertLead.call(pg, CLIENT_UUID, { kommoLeadId: 8, phone: '5533988836450', reopened: true });
+    assert.deepStrictEqual(pg.queries.slice(1).map(q => q.sql.trim().split(/\s+/)[0]), ['UPDATE', 'INSERT']);
+    assert.ok(pg.queries[2].sql.includes('ON CONFLICT (client_id, phone)'));
+    assert.strictEqual(pg.queries[2].params[13], true);
+
+    // Sem telefone nem id do Kommo não há o que gravar
+    await pgService.upsertLead.call(pg, CLIENT_UUID, { name: 'Maria' });
+    assert.strictEqual(pg.queries.length, 3);
+});
+
+test('getLead: slug resolvido e busca por telefone normalizado ou id do Kommo', async () => {
+    const pg = fakePg(sql => sql.includes('FROM clients')
+        ? { rows: [{ id: 'uuid-acme' }] }
+        : { rows: [{ phone: '+5533988836450', stage: 'Comprou' }] });
+    pg.resolveClientUuid = pgService.resolveClientUuid;
+
+    const lead = await pgService.getLead.call(pg, 'acme', { phone: '33988836450' });
+    assert.strictEqual(lead.stage, 'Comprou');
+    assert.deepStrictEqual(pg.queries[0].params, ['acme']);
+    assert.deepStrictEqual(pg.queries[1].params, ['uuid-acme', '+5533988836450', null]);
+    assert.strictEqual(await pgService.getLead.call(pg, 'acme', {}), null);
+});
+
+// ── Livro de vendas ─────────────────────────────────────────
+
+test('salesLedger.summarize: estornos consomem as vendas mais recentes', () => {
+    const entries = [
+        { kind: 'sale', amount: 1000 },
+        { kind: 'sale', amount: 300 },
+        { kind: 'refund', amount: 500 },
+        { kind: 'sale', amount: 200 },
+    ];
+    assert.deepStrictEqual(salesLedger.summarize(entries), { total: 1000, latest: 200, sales: 3, refunds: 1, cancellations: 0 });
+    // Cancelamento maior que o que resta não deixa o total negativo
+    assert.deepStrictEqual(salesLedger.summarize([...entries, { kind: 'cancellation', amount: 5000 }]),
+        { total: 0, latest: 0, sales: 3, refunds: 1, cancellations: 1 });
+
+    const summary = salesLedger.summarize(entries);
+    assert.strictEqual(salesLedger.sheetValue({ sheet_sale_value: 'total' }, summary), 1000);
+    assert.strictEqual(salesLedger.sheetValue({}, summary), 200);
+    assert.strictEqual(salesLedger.sheetValue({}, null), 0);
+});
+
+test('salesLedger.isSameSale: mesmo horário ou venda ainda sem valor', () => {
+    const latest = { amount: 500, occurred_at: '2026-02-10T23:20:21.000Z' };
+    assert.strictEqual(salesLedger.isSameSale(latest, { occurredAt: '2026-02-10T20:20:21-03:00' }), true);
+    assert.strictEqual(salesLedger.isSameSale(latest, { occurredAt: '2026-03-01T10:00:00Z' }), false);
+    assert.strictEqual(salesLedger.isSameSale(latest, {}), false);
+    assert.strictEqual(salesLedger.isSameSale({ ...latest, amount: 0 }, { occurredAt: '2026-03-01T10:00:00Z' }), true);
+});
+
+test('salesLedger.recordEntry: venda repetida corrige o valor e estorno sem valor reverte a última', async () => {
+    const client = { id: 'acme', _db_id: 3 };
+    const stored = [{ id: 1, kind: 'sale', amount: '0', occurred_at: '2026-02-10T12:00:00Z', source: 'tintim', source_ref: null }];
+    const leads = [];
+    const pg = fakePg(sql => {
+        if (sql.startsWith('SELECT')) return { rows: stored };
+        if (sql.startsWith('INSERT')) return { rows: [] };
+        return null;
+    });
+    pg.upsertLead = async (clientId, lead) => leads.push(lead);
+
+    // Tintim manda o valor num update posterior, sem mudar o status
+    const amended = await salesLedger.recordEntry(pg, client,
+        { kind: 'sale', amount: 'R$ 800', source: 'tintim', phone: '5533988836450' }, { amendLatest: true });
+    assert.strictEqual(amended.recorded, false);
+    assert.strictEqual(amended.amended, false, 'valor em texto não é número');
+
+    const corrected = await salesLedger.recordEntry(pg, client,
+        { kind: 'sale', amount: 800, source: 'tintim', phone: '5533988836450' }, { amendLatest: true });
+    assert.strictEqual(corrected.amended, true);
+    assert.deepStrictEqual(pg.queries.find(q => q.sql.startsWith('UPDATE')).params, [1, 800]);
+    assert.strictEqual(leads.pop().saleAmount, 800);
+
+    stored[0].amount = '800';
+    const refund = await salesLedger.recordEntry(pg, client,
+        { kind: 'refund', source: 'manual', phone: '5533988836450', occurredAt: '2026-02-11T12:00:00Z' });
+    assert.strictEqual(refund.recorded, true);
+    assert.strictEqual(refund.entry.amount, 800);
+    assert.strictEqual(refund.summary.total, 0);
+    assert.strictEqual(leads.pop().reopened, true, 'lead sem venda de pé deixa de estar fechado');
+});
+
+// ── Credenciais do Kommo (OAuth) ────────────────────────────
+
+test('kommoAuth.validateSettings: subdomínio normalizado e chave de criptografia', () => {
+    stub(process.env, { KOMMO_CREDENTIALS_KEY: 'chave-de-teste' });
+    assert.deepStrictEqual(kommoAuth.validateSettings({ subdomain: 'https://Acme.kommo.com/leads' }), []);
+    assert.deepStrictEqual(kommoAuth.validateSettings({ subdomain: 'acme.example.com' }), ['subdomain inválido (ex: minhaempresa)']);
+    assert.deepStrictEqual(kommoAuth.validateSettings({ subdomain: 'acme', integration_id: 'abc' }),
+        ['client_secret é obrigatório para a integração OAuth']);
+    assert.deepStrictEqual(kommoAuth.validateSettings({ subdomain: 'acme', integration_id: 'abc' }, { hasSecret: true }), []);
+
+    delete process.env.KOMMO_CREDENTIALS_KEY;
+    assert.deepStrictEqual(kommoAuth.validateSettings({ subdomain: 'acme', access_token: 'x' }),
+        ['KOMMO_CREDENTIALS_KEY não configurada no servidor']);
+});
+
+test('kommoAuth.handleCallback: o secret só vai para o subdomínio válido do referer', async () => {
+    stub(process.env, { KOMMO_CREDENTIALS_KEY: 'chave-de-teste' });
+
+    // Secret cifrado como o cadastro grava
+    const saved = fakePg(() => ({ rows: [{ client_id: 3, subdomain: 'acme' }] }));
+    await kommoAuth.setSettings(saved, 'acme', { subdomain: 'acme', integration_id: 'int-1', client_secret: 'top-secret' });
+    const encryptedSecret = saved.queries[0].params[3];
+    assert.match(encryptedSecret, /^v1:/);
+    assert.ok(!encryptedSecret.includes('top-secret'));
+
+    const pg = fakePg(sql => sql.startsWith('SELECT')
+        ? { rows: [{ client_id: 3, slug: 'acme', name: 'Acme', subdomain: 'acme', integration_id: 'int-1', client_secret: encryptedSecret, redirect_uri: 'https://app.example.com/oauth/kommo/callback' }] }
+        : null);
+    const requests = [];
+    stub(globalThis, {
+        fetch: async (url, options) => {
+            requests.push({ url, body: JSON.parse(options.body) });
+            return { ok: true, status: 200, text: async () => JSON.stringify({ access_token: 'at', refresh_token: 'rt', expires_in: 86400 }) };
+        },
+    });
+
+    await assert.rejects(kommoAuth.handleCallback(pg, { code: 'c', state: 's', referer: 'evil.example.com/acme.kommo.com' }),
+        /Subdomínio do Kommo inválido/);
+    assert.strictEqual(requests.length, 0);
+
+    const connected = await kommoAuth.handleCallback(pg, { code: 'c', state: 's', referer: 'acme2.kommo.com' });
+    assert.deepStrictEqual(connected, { slug: 'acme', name: 'Acme' });
+    assert.strictEqual(requests[0].url, `${kommoAuth.apiBaseUrl('acme2')}/oauth2/access_token`);
+    assert.strictEqual(requests[0].body.client_secret, 'top-secret');
+    // Subdomínio do referer passa a ser o da integração
+    assert.strictEqual(pg.queries.find(q => q.sql.includes('refresh_token = $3')).params[4], 'acme2');
+});
+
+// ── Etapas do Kommo ─────────────────────────────────────────
+
+test('kommoStages.findMapping: etapa pelo status, pipeline quando informado', () => {
+    const mappings = [
+        { pipeline_id: 1, status_id: 10, sheet_label: 'Qualificado' },
+        { pipeline_id: 2, status_id: 10, sheet_label: 'Agendado' },
+    ];
+    assert.strictEqual(kommoStages.findMapping(mappings, '2', '10').sheet_label, 'Agendado');
+    assert.strictEqual(kommoStages.findMapping(mappings, null, 10).sheet_label, 'Qualificado');
+    assert.strictEqual(kommoStages.findMapping(mappings, 3, 10), null);
+});
+
+test('kommoStages.resolveStage: etapa nova sincroniza sem rótulo; falha espera só o retry', async () => {
+    const table = [];
+    const pg = fakePg((sql, params) => {
+        if (sql.startsWith('SELECT')) return { rows: table };
+        if (sql.startsWith('INSERT')) {
+            table.push({ pipeline_id: params[1], status_id: params[3], status_name: params[4], sheet_label: null });
+        }
+        return null;
+    });
+    let pipelines = {
+        _embedded: { pipelines: [{ id: 5, name: 'Vendas', _embedded: { statuses: [{ id: 10, name: 'Qualificado', sort: 20 }, { id: 142, name: 'Ganho' }] } }] },
+    };
+    const apiCalls = [];
+    stub(kommoApi, { get: async (pgService, client, endpoint) => { apiCalls.push(endpoint); return pipelines; } });
+
+    const client = { id: 'acme', _db_id: 'stages-ok' };
+    const mapping = await kommoStages.resolveStage(pg, client, 5, 10);
+    assert.strictEqual(mapping.status_name, 'Qualificado');
+    assert.strictEqual(mapping.sheet_label, null);
+    assert.strictEqual(table.length, 1, 'Closed Won não é sincronizado');
+    assert.ok(pg.queries.find(q => q.sql.startsWith('INSERT')).sql.includes('NULL, NOW()'));
+    // Fechados e etapas desconhecidas dentro do intervalo não chamam a API
+    assert.strictEqual(await kommoStages.resolveStage(pg, client, 5, 142), null);
+    assert.strictEqual(await kommoStages.resolveStage(pg, client, 5, 99), null);
+    assert.deepStrictEqual(apiCalls, ['leads/pipelines']);
+
+    pipelines = null;
+    const failing = { id: 'beta', _db_id: 'stages-fail' };
+    assert.strictEqual(await kommoStages.resolveStage(pg, failing, 5, 99), null);
+    assert.strictEqual(await kommoStages.resolveStage(pg, failing, 5, 99), null);
+    assert.strictEqual(apiCalls.length, 2, 'nova tentativa só depois do intervalo de retry');
+});
+
+// ── Roteamento de pipelines do Kommo ────────────────────────
+
+test('Kommo: evento vai para o dono do pipeline, o cliente sem pipelines recebe o resto', async () => {
+    useClients([
+        { id: 'vendas', name: 'Vendas', _db_id: 'uuid-vendas', webhook_source: 'kommo', kommo_account_id: '900', kommo_pipeline_ids: [1] },
+        { id: 'geral', name: 'Geral', _db_id: 'uuid-geral', webhook_source: 'both', kommo_account_id: '900', kommo_ignored_pipeline_ids: ['2'] },
+        { id: 'outra', name: 'Outra', _db_id: 'uuid-outra', webhook_source: 'kommo', kommo_account_id: '901' },
+        { id: 'tintim', name: 'Tintim', _db_id: 'uuid-tintim', webhook_source: 'tintim', kommo_account_id: '900', kommo_pipeline_ids: [3] },
+    ]);
+    const logged = [];
+    stub(kommoHandler, {
+        logKommoEvent: (...args) => logged.push(args),
+        handleLeadStatus: async (lead, account, client) => ({ leadId: lead.id, status: 'routed', client: client.id }),
+    });
+
+    const result = await kommoHandler.processWebhook({
+        account: { id: 900 },
+        leads: { status: [
+            { id: 11, status_id: 10, pipeline_id: 1 },
+            { id: 12, status_id: 10, pipeline_id: 3 },
+            { id: 13, status_id: 10, pipeline_id: 2 },
+        ] },
+    }, null, null, { skipSignature: true });
+
+    assert.deepStrictEqual(result.results.map(r => r.client || r.status), ['vendas', 'geral', 'ignored_pipeline']);
+    // O pipeline ignorado fica registrado para o cliente que o ignora
+    assert.strictEqual(logged.length, 1);
+    assert.deepStrictEqual([logged[0][0], logged[0][1], logged[0][5]], ['uuid-geral', 'lead.pipeline', 'ignored_pipeline']);
+});
+
+test('Kommo: sem pipeline no evento, só o cliente que não define pipelines', async () => {
+    const vendas = { id: 'vendas', name: 'Vendas', webhook_source: 'kommo', kommo_account_id: '900', kommo_pipeline_ids: [1] };
+    useClients([vendas, { id: 'suporte', name: 'Suporte', webhook_source: 'kommo', kommo_account_id: '900', kommo_pipeline_ids: [4] }]);
+    stub(kommoHandler, {
+        logKommoEvent: () => {},
+        handleLeadStatus: async (lead, account, client) => ({ status: 'routed', client: client.id }),
+    });
+    const body = { account: { id: '900' }, leads: { status: [{ id: 11, status_id: 10 }] } };
+
+    assert.strictEqual((await kommoHandler.processWebhook(body, null, null, { skipSignature: true })).results[0].status, 'ignored_pipeline');
+    useClients([vendas]);
+    assert.strictEqual((await kommoHandler.processWebhook(body, null, null, { skipSignature: true })).results[0].client, 'vendas');
+});
+
+// ── Perda e reabertura no Kommo ─────────────────────────────
+
+/**
+ * Lead do Kommo já inserido na planilha, com telefone conhecido; as escritas
+ * na planilha e as chamadas à API ficam em sheetWrites / apiCalls.
+ */
+function stubKommoLead({ lossReason = null } = {}) {
+    const sheetWrites = [];
+    const apiCalls = [];
+    stub(kommoHandler, {
+        logKommoEvent: () => {},
+        isLeadAlreadyInserted: async () => true,
+        resolveLeadPhone: async () => '+5533988836450',
+    });
+    stub(kommoApi, {
+        get: async (pgService, client, endpoint) => {
+            apiCalls.push(endpoint);
+            return { _embedded: { loss_reason: lossReason ? [{ name: lossReason }] : [] } };
+        },
+    });
+    stub(sheetsService, { updateLeadStatus: async (client, update) => { sheetWrites.push(update); return { success: true }; } });
+    stub(kommoStages, { resolveStage: async () => null });
+    stub(kommoSheetSync, { consumePushMarker: async () => false });
+    return { sheetWrites, apiCalls };
+}
+
+test('Kommo: lead perdido vai para a planilha com o motivo da perda', async () => {
+    const { sheetWrites, apiCalls } = stubKommoLead({ lossReason: 'Preço alto' });
+    const client = { id: 'acme', name: 'Acme', _db_id: 'uuid-acme' };
+    const lead = { id: 7, status_id: 143, old_status_id: 10, pipeline_id: 5 };
+
+    const result = await kommoHandler.handleLeadStatus(lead, { id: 900 }, client);
+    assert.strictEqual(result.type, 'lead.lost');
+    assert.strictEqual(result.lossReason, 'Preço alto');
+    assert.deepStrictEqual(apiCalls, ['leads/7?with=loss_reason']);
+    assert.deepStrictEqual(sheetWrites, [{ phone: '+5533988836450', status: 'Perdido (Kommo)', commentNote: 'Motivo da perda: Preço alto' }]);
+
+    // Planilha desligada: nem busca o motivo
+    await kommoHandler.handleLeadStatus(lead, { id: 900 }, { ...client, feature_flags: { sheets_enabled: false } });
+    assert.strictEqual(apiCalls.length, 1);
+    assert.strictEqual(sheetWrites.length, 1);
+});
+
+test('Kommo: lead perdido reaberto volta a aparecer em aberto na planilha', async () => {
+    const { sheetWrites } = stubKommoLead();
+    const client = { id: 'acme', name: 'Acme', _db_id: 'uuid-acme' };
+
+    const result = await kommoHandler.handleLeadStatus({ id: 7, status_id: 10, old_status_id: 143, pipeline_id: 5 }, { id: 900 }, client);
+    assert.strictEqual(result.status, 'Reaberto (Kommo)');
+    assert.deepStrictEqual(sheetWrites, [{ phone: '+5533988836450', status: 'Reaberto (Kommo)', commentNote: 'Reaberto no Kommo' }]);
+
+    // Etapa intermediária sem rótulo e sem reabertura não toca a planilha
+    await kommoHandler.handleLeadStatus({ id: 7, status_id: 11, old_status_id: 10, pipeline_id: 5 }, { id: 900 }, client);
+    assert.strictEqual(sheetWrites.length, 1);
+});
+
+// ── Backfill do Kommo ───────────────────────────────────────
+
+test('kommoBackfill.validateRequest: período, pipeline e ritmo', () => {
+    assert.deepStrictEqual(kommoBackfill.validateRequest({ from: '2026-01-01', to: '2026-01-31', pipeline_id: ' 5 ' }), []);
+    assert.deepStrictEqual(kommoBackfill.validateRequest({ to: '2026-01-31' }), ['from é obrigatório']);
+    assert.deepStrictEqual(kommoBackfill.validateRequest({ from: '2026-02-01', to: '2026-01-31' }), ['from deve ser anterior a to']);
+    assert.strictEqual(kommoBackfill.validateRequest({ from: '2026-01-01', to: 'ontem', pipeline_id: 'Vendas', rate_per_minute: 0 }).length, 3);
+});
+
+test('kommoBackfill.runJob: pula leads já registrados e conta cada resultado', async () => {
+    useClients([{ id: 'acme', name: 'Acme', _db_id: 'uuid-acme' }]);
+    const pg = fakePg(sql => {
+        if (sql.includes('FROM kommo_events')) return { rows: [{ kommo_lead_id: 1 }] };
+        if (sql.includes('FROM kommo_backfill_jobs j')) return { rows: [{ id: 'job-1', status: 'running' }] };
+        if (sql.includes('RETURNING')) return { rows: [{ id: 'job-1' }] };
+        return null;
+    });
+    const paths = [];
+    stub(kommoApi, {
+        get: async (pgService, client, endpoint) => {
+            paths.push(endpoint);
+            return { _embedded: { leads: [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }] } };
+        },
+    });
+    const imported = [];
+    stub(kommoHandler, {
+        importLead: async (apiLead) => {
+            imported.push(apiLead.id);
+            if (apiLead.id === 2) return { status: 'inserted', leadId: 2, name: 'Maria', phone: '+5533988836450', channel: 'Google Ads' };
+            if (apiLead.id === 3) return { status: 'skipped_organic', leadId: 3 };
+            throw new Error('Sheets fora do ar');
+        },
+    });
+
+    const job = { id: 'job-1', client_id: 'uuid-acme', page: 1, rate_per_minute: 120, pipeline_ids: ['5'], date_from: '2026-01-01T03:00:00Z', date_to: '2026-02-01T03:00:00Z' };
+    await kommoBackfill.runJob(pg, job);
+
+    assert.deepStrictEqual(imported, [2, 3, 4], 'lead já em kommo_events não é reimportado');
+    const query = new URLSearchParams(paths[0].split('?')[1]);
+    assert.strictEqual(query.get('filter[created_at][from]'), '1767236400');
+    assert.strictEqual(query.get('filter[pipeline_id][0]'), '5');
+
+    const progress = pg.queries.find(q => q.sql.includes('page = $2')).params;
+    // page, scanned, inserted, skipped_existing, skipped_organic, skipped_pipeline, failed
+    assert.deepStrictEqual(progress.slice(1, 8), [2, 4, 1, 1, 1, 0, 1]);
+    assert.strictEqual(JSON.parse(progress[8])[0].kommo_lead_id, 2);
+    assert.strictEqual(JSON.parse(progress[9])[0].error, 'Sheets fora do ar');
+    assert.ok(pg.queries[pg.queries.length - 1].sql.includes("status = 'completed'"));
+});
+
+// ── Campos personalizados do Kommo ──────────────────────────
+
+const KOMMO_CUSTOM_FIELDS = [
+    { id: 501, code: 'PRODUTO', values: [{ value: 'Implante' }, { value: 'Clareamento' }] },
+    { id: 502, name: 'Cidade', values: [{ value: '  Governador Valadares ' }] },
+    { id: 503, name: 'Orçamento', values: [{ value: 'R$ 1.500,50' }] },
+    { id: 504, name: 'Observações', values: [{ value: '' }] },
+];
+
+test('kommoFields.fieldText e parseAmount: id ou código, múltiplos valores e valores em reais', () => {
+    assert.strictEqual(kommoFields.fieldText(KOMMO_CUSTOM_FIELDS, '501'), 'Implante, Clareamento');
+    assert.strictEqual(kommoFields.fieldText(KOMMO_CUSTOM_FIELDS, 'produto'), 'Implante, Clareamento');
+    assert.strictEqual(kommoFields.fieldText(KOMMO_CUSTOM_FIELDS, '502'), 'Governador Valadares');
+    assert.strictEqual(kommoFields.fieldText(KOMMO_CUSTOM_FIELDS, '504'), null);
+    assert.strictEqual(kommoFields.fieldText(KOMMO_CUSTOM_FIELDS, '999'), null);
+
+    assert.strictEqual(kommoFields.parseAmount('R$ 1.500,50'), 1500.5);
+    assert.strictEqual(kommoFields.parseAmount('1500'), 1500);
+    assert.strictEqual(kommoFields.parseAmount('a combinar'), null);
+    assert.strictEqual(kommoFields.parseAmount('0'), null);
+});
+
+test('kommoFields.extractFields: só os campos mapeados pelo cliente', async () => {
+    const pg = fakePg(() => ({ rows: [
+        { sheet_field: 'produto', kommo_field: 'PRODUTO' },
+        { sheet_field: 'cidade', kommo_field: '502' },
+        { sheet_field: 'valor', kommo_field: '503' },
+        { sheet_field: 'comentarios', kommo_field: '504' },
+    ] }));
+    const fields = await kommoFields.extractFields(pg, { id: 'acme', _db_id: 'uuid-acme' }, KOMMO_CUSTOM_FIELDS);
+    assert.deepStrictEqual(fields, { produto: 'Implante, Clareamento', cidade: 'Governador Valadares', valor: 1500.5 });
+
+    assert.strictEqual(kommoFields.validateMapping('telefone', { kommo_field: '' }).length, 2);
+    assert.deepStrictEqual(kommoFields.validateMapping('cidade', { kommo_field: '502' }), []);
+});
+
+// ── Cliente da API do Kommo ─────────────────────────────────
+
+/**
+ * Redis em memória (cache.get/set/del) para o teste atual.
+ */
+function useMemoryCache() {
+    const store = new Map();
+    stub(cache, {
+        get: async key => (store.has(key) ? store.get(key) : null),
+        set: async (key, value) => { store.set(key, value); },
+        del: async key => { store.delete(key); },
+    });
+    return store;
+}
+
+test('kommoApi.getLeadPhone: lead → contato → telefone, em cache pela conta do Kommo', async () => {
+    const store = useMemoryCache();
+    stub(kommoAuth, { getAccessToken: async () => ({ subdomain: 'Acme', token: 'at' }) });
+    const urls = [];
+    stub(globalThis, {
+        fetch: async url => {
+            urls.push(url);
+            const body = url.includes('/leads/7')
+                ? { id: 7, _embedded: { contacts: [{ id: 54 }, { id: 55, is_main: true }] } }
+                : { id: 55, name: 'Maria', custom_fields_values: [{ field_code: 'PHONE', values: [{ value: '(33) 98883-6450' }] }] };
+            return { ok: true, status: 200, json: async () => body };
+        },
+    });
+    const client = { id: 'acme', _db_id: 'uuid-acme' };
+
+    assert.deepStrictEqual(await kommoApi.getLeadPhone(pgService, client, 7), { phone: '+5533988836450', contactName: 'Maria' });
+    assert.deepStrictEqual(urls.map(u => u.replace(kommoAuth.apiBaseUrl('Acme'), '')), ['/api/v4/leads/7?with=contacts', '/api/v4/contacts/55']);
+    assert.deepStrictEqual([...store.keys()], ['kommo:acme:lead:7', 'kommo:acme:contact:55']);
+
+    await kommoApi.getLeadPhone(pgService, client, 7);
+    assert.strictEqual(urls.length, 2, 'segunda busca vem do cache');
+
+    // Webhook de contato (account.subdomain) derruba as mesmas chaves
+    await kommoApi.invalidateContact('ACME', 55, [7]);
+    assert.strictEqual(store.size, 0);
+});
+
+test('kommoApi.get: 429 é repetido após o Retry-After; 404 devolve null', async () => {
+    stub(kommoAuth, { getAccessToken: async () => ({ subdomain: 'retry-test', token: 'at' }) });
+    const statuses = [429, 200, 404];
+    let calls = 0;
+    stub(globalThis, {
+        fetch: async () => {
+            const status = statuses[calls++];
+            return { ok: status < 300, status, headers: new Map([['retry-after', '0']]), json: async () => ({ id: 7 }) };
+        },
+    });
+    const client = { id: 'acme' };
+
+    assert.deepStrictEqual(await kommoApi.get(pgService, client, 'leads/7', 'lead 7'), { id: 7 });
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(await kommoApi.get(pgService, client, 'leads/8', 'lead 8'), null);
+    assert.strictEqual(calls, 3);
+});
+
+// ── Status da planilha → Kommo ──────────────────────────────
+
+test('kommoSheetSync.isEnabled: só clientes Kommo com planilha e a flag ligada', () => {
+    const client = { webhook_source: 'kommo', spreadsheet_id: 'sheet-1', feature_flags: { kommo_reverse_sync: true } };
+    assert.strictEqual(kommoSheetSync.isEnabled(client), true);
+    assert.strictEqual(kommoSheetSync.isEnabled({ ...client, webhook_source: 'both' }), false);
+    assert.strictEqual(kommoSheetSync.isEnabled({ ...client, feature_flags: {} }), false);
+    assert.strictEqual(kommoSheetSync.isEnabled({ ...client, feature_flags: { kommo_reverse_sync: true, sheets_enabled: false } }), false);
+});
+
+test('kommoSheetSync.syncClient: Status mudado pelo time move o lead, sem eco do webhook', async () => {
+    useMemoryCache();
+    const client = { id: 'acme', _db_id: 'uuid-acme', spreadsheet_id: 'sheet-1', kommo_account_id: '900' };
+    const pg = fakePg(sql => sql.includes('FROM leads') ? { rows: [
+        { phone: '+5533988836450', kommo_lead_id: '7', status: 'Lead Gerado', sheet_name: 'Fevereiro' },
+        { phone: '+5533988830000', kommo_lead_id: '8', status: 'Agendado', sheet_name: 'Fevereiro' },
+        { phone: '+5533988831111', kommo_lead_id: '9', status: 'Lead Gerado', sheet_name: 'Fevereiro' },
+    ] } : null);
+    pg.upsertLead = async () => {};
+    const sheets = {
+        sheets: {},
+        getMonthlySheetNames: async () => ['Fevereiro'],
+        readLeadStatuses: async () => [
+            { phone: '33988836450', row: 12, status: 'agendado ' },
+            { phone: '33988830000', row: 13, status: 'Agendado' },
+            { phone: '33988831111', row: 14, status: 'Cancelado' },
+        ],
+    };
+    stub(kommoStages, { getMappings: async () => [
+        { pipeline_id: 5, status_id: 20, sheet_label: 'Agendado', stage: 'contacted', sort: 20 },
+    ] });
+    const patches = [];
+    stub(kommoApi, {
+        get: async () => ({ id: 7, status_id: 10, pipeline_id: 5 }),
+        patch: async (pgService, c, path, label, body) => { patches.push({ path, body }); return { id: 7 }; },
+    });
+
+    const summary = await kommoSheetSync.syncClient(pg, sheets, client);
+    assert.deepStrictEqual(summary, { checked: 3, changed: 2, moved: 1, skipped: 1, failed: 0 });
+    assert.deepStrictEqual(patches, [{ path: 'leads/7', body: { status_id: 20, pipeline_id: 5 } }]);
+
+    // O webhook causado pela mudança não reescreve a planilha (uma vez só)
+    assert.strictEqual(await kommoSheetSync.consumePushMarker(client, '7', 20), true);
+    assert.strictEqual(await kommoSheetSync.consumePushMarker(client, '7', 20), false);
+
+    // Status sem etapa já recusado não é tentado de novo
+    const logged = pg.queries.filter(q => q.sql.startsWith('INSERT INTO kommo_events')).length;
+    const again = await kommoSheetSync.syncClient(pg, sheets, client);
+    assert.strictEqual(again.skipped, 1);
+    assert.strictEqual(pg.queries.filter(q => q.sql.startsWith('INSERT INTO kommo_events')).length, logged + 1, 'só o lead 7 volta a ser processado');
+});
+
+// ─────────────────────────────────────────────────────────────
+
+async function run() {
+    let failed = 0;
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ ${name}`);
+        } catch (err) {
+            failed++;
+            console.error(`❌ ${name}\n   ${err.stack || err.message}`);
+        } finally {
+            while (restores.length > 0) restores.pop()();
+        }
+    }
+    console.log(`\n${tests.length - failed}/${tests.length} testes passaram`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
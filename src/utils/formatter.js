@@ -1,16 +1,107 @@
 /**
  * Formatter — Formatação de dados para padrão da planilha do cliente
+ *
+ * Telefones passam por uma camada E.164:
+ *   - normalizePhone() → forma canônica "+5533988836450", usada para gravar e comparar
+ *   - formatPhone()    → exibição na planilha, conforme o phone_format do cliente
+ *   - matchPhone()     → igualdade exata pelo número normalizado; o final de 9
+ *     dígitos só vale como fallback para números incompletos (sem DDD)
  */
 
+const DEFAULT_COUNTRY_CODE = '55';
+const PHONE_FORMATS = ['br', 'international', 'e164'];
+const TAIL_LENGTH = 9;
+
+function phoneDigits(phone) {
+    return String(phone || '').replace(/\D/g, '');
+}
+
+// DDDs brasileiros em uso (Anatel)
+const BR_AREA_CODES = new Set([
+    11, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 24, 27, 28,
+    31, 32, 33, 34, 35, 37, 38, 41, 42, 43, 44, 45, 46, 47, 48, 49,
+    51, 53, 54, 55, 61, 62, 63, 64, 65, 66, 67, 68, 69,
+    71, 73, 74, 75, 77, 79, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+    91, 92, 93, 94, 95, 96, 97, 98, 99,
+].map(String));
+
+/**
+ * Número nacional brasileiro sem DDI: DDD válido + celular de 9 dígitos
+ * (começa com 9) ou fixo de 8 dígitos (começa com 2-5; 6-9 para celulares
+ * antigos que ainda chegam sem o nono dígito).
+ */
+function isBrazilianNational(digits) {
+    if (!BR_AREA_CODES.has(digits.slice(0, 2))) return false;
+    const subscriber = digits.slice(2);
+    if (subscriber.length === 9) return subscriber.startsWith('9');
+    if (subscriber.length === 8) return /^[2-9]/.test(subscriber);
+    return false;
+}
+
+/**
+ * Normaliza para E.164 ("+<DDI><número>"). Aceita "+1 415 555-2671",
+ * "0055 33 98883-6450", "(33)98883-6450" (nacional → DDI padrão) ou
+ * "5533988836450" (campo phone do Tintim).
+ * O DDI padrão só é acrescentado a números claramente brasileiros (DDD válido
+ * + assinante de 8-9 dígitos); os demais são tratados como já tendo DDI
+ * ("14155552671" → "+14155552671"). Quando o provedor manda o número em E.164
+ * (phone_e164 do Tintim), prefira passá-lo.
+ * Números incompletos (menos de 10 dígitos) voltam só com os dígitos, sem "+".
+ */
+function normalizePhone(phone, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+    const raw = String(phone || '').trim();
+    const digits = phoneDigits(raw);
+    if (!digits) return '';
+    if (digits.length < 10) return digits;
+
+    // Com "+" ou "00" o DDI já veio explícito
+    if (raw.startsWith('+')) return `+${digits}`;
+    if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+
+    // Nacional com DDD ("0" de discagem interurbana opcional)
+    const national = digits.startsWith('0') ? digits.slice(1) : digits;
+    if (isBrazilianNational(national)) return `+${defaultCountryCode}${national}`;
+
+    return `+${digits}`;
+}
+
+function phoneTail(phone) {
+    return phoneDigits(phone).slice(-TAIL_LENGTH);
+}
+
+/**
+ * Compara dois telefones. Retorna 'exact', 'tail' (fallback) ou null.
+ * O fallback por final só é usado quando um dos lados não tem número completo,
+ * para não confundir números iguais de DDDs/países diferentes.
+ */
+function matchPhone(candidate, target) {
+    const a = normalizePhone(candidate);
+    const b = normalizePhone(target);
+    if (!a || !b) return null;
+    if (a === b) return 'exact';
+
+    const incomplete = !a.startsWith('+') || !b.startsWith('+');
+    const tail = phoneTail(a);
+    if (incomplete && tail.length >= 8 && tail === phoneTail(b)) return 'tail';
+    return null;
+}
+
 /**
  * Formata telefone de "5533988836450" para "(33)98883-6450"
- * Segue o padrão que o cliente já usa na planilha (sem espaço após DDD)
+ * Segue o padrão que o cliente já usa na planilha (sem espaço após DDD).
+ * Números estrangeiros saem no formato internacional.
  */
 function formatPhoneBR(phone) {
     if (!phone) return '';
 
-    const digits = phone.replace(/\D/g, '');
-    const national = digits.startsWith('55') ? digits.slice(2) : digits;
+    const normalized = normalizePhone(phone);
+    if (normalized.startsWith('+') && !normalized.startsWith(`+${DEFAULT_COUNTRY_CODE}`)) {
+        return formatPhoneInternational(normalized);
+    }
+
+    const national = normalized.startsWith('+')
+        ? normalized.slice(DEFAULT_COUNTRY_CODE.length + 1)
+        : normalized;
 
     if (national.length === 11) {
         // Celular: (XX)XXXXX-XXXX
@@ -28,6 +119,33 @@ function formatPhoneBR(phone) {
     return phone;
 }
 
+/**
+ * "+55 33 98883-6450" para números brasileiros; demais países: "+<DDI><número>"
+ * (o tamanho do DDI varia, então o número não é agrupado).
+ */
+function formatPhoneInternational(phone) {
+    const normalized = normalizePhone(phone);
+    const brPrefix = `+${DEFAULT_COUNTRY_CODE}`;
+
+    if (normalized.startsWith(brPrefix) && (normalized.length === 13 || normalized.length === 14)) {
+        const national = normalized.slice(brPrefix.length);
+        const split = national.length === 11 ? 7 : 6;
+        return `${brPrefix} ${national.slice(0, 2)} ${national.slice(2, split)}-${national.slice(split)}`;
+    }
+    return normalized;
+}
+
+/**
+ * Formata o telefone para a planilha conforme o phone_format do cliente:
+ * 'br' (padrão), 'international' ou 'e164'.
+ */
+function formatPhone(phone, format = 'br') {
+    if (!phone) return '';
+    if (format === 'e164') return normalizePhone(phone);
+    if (format === 'international') return formatPhoneInternational(phone);
+    return formatPhoneBR(phone);
+}
+
 /**
  * Retorna a data no formato DD/MM/YYYY (padrão da planilha)
  * Ex: "2026-02-10T14:30:00" → "10/02/2026"
@@ -54,4 +172,14 @@ function formatDateBR(isoString) {
     return `${day}/${month}/${year}`;
 }
 
-module.exports = { formatPhoneBR, formatDateBR };
+module.exports = {
+    normalizePhone,
+    phoneTail,
+    matchPhone,
+    formatPhone,
+    formatPhoneBR,
+    formatPhoneInternational,
+    formatDateBR,
+    PHONE_FORMATS,
+    DEFAULT_COUNTRY_CODE,
+};
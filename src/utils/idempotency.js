@@ -0,0 +1,56 @@
+/**
+ * Idempotency — Chaves estáveis para webhooks do Tintim
+ *
+ * A chave combina os identificadores do próprio Tintim (status.id e
+ * updated_isoformat) com um hash do payload normalizado. Reentregas idênticas
+ * geram a mesma chave; mudanças rápidas de status geram chaves diferentes.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Normaliza recursivamente: chaves ordenadas, strings sem espaços nas pontas,
+ * valores vazios (null, undefined, "") removidos.
+ */
+function normalizeValue(value) {
+    if (Array.isArray(value)) return value.map(normalizeValue);
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const key of Object.keys(value).sort()) {
+            const v = normalizeValue(value[key]);
+            if (v === undefined || v === null || v === '') continue;
+            out[key] = v;
+        }
+        return out;
+    }
+    if (typeof value === 'string') return value.trim();
+    return value;
+}
+
+function hashPayload(payload) {
+    return crypto.createHash('sha256').update(JSON.stringify(normalizeValue(payload || {}))).digest('hex');
+}
+
+/**
+ * Extrai os identificadores do Tintim usados na chave.
+ */
+function extractIdentifiers(payload) {
+    const status = payload && payload.status;
+    return {
+        phone: String(payload.phone || payload.phone_e164 || '').replace(/\D/g, ''),
+        eventType: payload.event_type || '',
+        statusId: status && typeof status === 'object' && status.id != null ? String(status.id) : '',
+        updatedAt: payload.updated_isoformat || '',
+    };
+}
+
+/**
+ * Gera a chave de idempotência (sha256 hex, 64 caracteres) de um payload bruto.
+ */
+function buildIdempotencyKey(payload) {
+    const ids = extractIdentifiers(payload);
+    const material = [ids.eventType, ids.phone, ids.statusId, ids.updatedAt, hashPayload(payload)].join('|');
+    return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+module.exports = { buildIdempotencyKey, extractIdentifiers, hashPayload };
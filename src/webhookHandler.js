@@ -2,7 +2,7 @@
  * WebhookHandler — Processa webhooks do Tintim
  * 
  * Suporta dois tipos de evento:
- *   1. CONVERSA CRIADA → Insere lead novo na planilha
+ *   1. CONVERSA CRIADA → Insere lead novo na planilha (telefone já conhecido → lead retornando)
  *   2. CONVERSA ALTERADA → Atualiza status do lead existente
  * 
  * Mapeamento para colunas da planilha:
@@ -12,8 +12,8 @@
  *   D: Data 1º Contato   ← moment (formatado DD/MM/YYYY)
  *   E: Data Fechamento   ← Preenchido na atualização de status (venda)
  *   F: Valor Fechamento  ← sale_amount do Tintim
- *   G: Produto           ← Auto-detectado por keywords ou campanha
- *   H: Status Lead       ← "Lead Gerado" (novo) / Status do Tintim (atualização)
+ *   G: Produto           ← Regras de produto do cliente (product_rules)
+ *   H: Status Lead       ← "Lead Gerado" (novo) / Status mapeado do cliente (atualização)
  *   I-M: DIA 1-5         ← Preenchidos pela equipe
  *   N: Comentários       ← Registro automático
  */
@@ -21,20 +21,20 @@
 const { v4: uuidv4 } = require("uuid");
 const { logger, logLead } = require("./utils/logger");
 const { validateTintimPayload } = require("./utils/validator");
-const { formatPhoneBR, formatDateBR } = require("./utils/formatter");
+const { normalizePhone, formatPhone, formatDateBR } = require("./utils/formatter");
+const { buildIdempotencyKey, extractIdentifiers } = require("./utils/idempotency");
 const clientManager = require("./clientManager");
 const sheetsService = require("./sheetsService");
 const pgService = require("./pgService");
-
-/**
- * Regras de detecção de produto.
- */
-const PRODUCT_KEYWORDS = [
-    { product: "BPC/LOAS", keywords: ["bpc", "loas", "benefício", "beneficio", "deficiência", "deficiencia", "idoso"] },
-    { product: "SALÁRIO-MATERNIDADE", keywords: ["maternidade", "gestante", "grávida", "gravida", "bebê", "bebe", "salário-maternidade", "salario maternidade"] },
-    { product: "AUXÍLIO-DOENÇA", keywords: ["auxílio-doença", "auxilio doenca", "doença", "doenca", "afastamento", "incapacidade"] },
-    { product: "APOSENTADORIA", keywords: ["aposentadoria", "aposentar", "inss", "tempo de contribuição"] },
-];
+const productRules = require("./infra/productRules");
+const channelRules = require("./infra/channelRules");
+const clientConfig = require("./infra/clientConfig");
+const statusMappings = require("./infra/statusMappings");
+const simulation = require("./infra/simulation");
+const returningLeads = require("./infra/returningLeads");
+const outboundWebhooks = require("./infra/outboundWebhooks");
+const metaCapi = require("./infra/metaCapi");
+const salesLedger = require("./infra/salesLedger");
 
 const SALE_STATUS_KEYWORDS = [
     "venda", "vendido", "fechou", "fechado", "ganho", "ganhou",
@@ -49,65 +49,24 @@ function isSaleStatus(statusName) {
     return SALE_STATUS_KEYWORDS.some(kw => normalized.includes(kw));
 }
 
-function detectOrigin(payload) {
-    const source = (payload.source || "").toLowerCase();
-    const channel = (payload.channel || "").toLowerCase();
-    const medium = (payload.medium || "").toLowerCase();
-    const utmSource = (payload.utmSource || payload.utm_source || "").toLowerCase();
-    const utmMedium = (payload.utmMedium || payload.utm_medium || "").toLowerCase();
-    const allFields = [source, channel, medium, utmSource, utmMedium].join(" ");
-
-    if (allFields.match(/google|gclid|g_ads|googleads|search|pmax|performance.max/)) {
-        return { channel: "Google Ads", comment: "Lead chegou pelo Google Ads" };
-    }
-    if (allFields.match(/meta|facebook|instagram|fb|ig|fbclid|meta_ads/)) {
-        return { channel: "Meta Ads", comment: "Lead chegou no Wpp pelo Meta" };
-    }
-    if (allFields.match(/cpc|cpm|paid|ads|ppc/)) {
-        return { channel: "Tráfego Pago", comment: "Lead chegou via tráfego pago" };
-    }
-
-    const campaignFields = [
-        payload.utmCampaign, payload.utm_campaign, payload.campaign,
-        payload.adName, payload.ad_name, payload.adSetName, payload.adset_name,
-    ].filter(Boolean).join(" ").toLowerCase();
-
-    if (campaignFields.match(/google|gclid|search|pmax/)) {
-        return { channel: "Google Ads", comment: "Lead chegou pelo Google Ads" };
-    }
-    if (campaignFields.match(/meta|facebook|instagram|fb|ig/)) {
-        return { channel: "Meta Ads", comment: "Lead chegou no Wpp pelo Meta" };
-    }
-
-    return { channel: "WhatsApp", comment: "Lead chegou via WhatsApp" };
+/**
+ * Detecta a origem usando as regras de canal do cliente (tabela channel_rules).
+ * Retorna { channel, isPaid, rule, field, value }.
+ */
+function detectOrigin(payload, rules) {
+    return channelRules.matchOrigin(payload, rules);
 }
 
-function detectProduct(payload) {
-    const campaignFields = [
-        payload.utmCampaign, payload.utm_campaign, payload.campaign,
-        payload.adName, payload.ad_name, payload.adSetName, payload.adset_name,
-    ].filter(Boolean).join(" ").toLowerCase();
-
-    if (campaignFields) {
-        for (const rule of PRODUCT_KEYWORDS) {
-            if (rule.keywords.some(kw => campaignFields.includes(kw))) {
-                logger.info(`Produto detectado por campanha: ${rule.product}`);
-                return rule.product;
-            }
-        }
-    }
-
-    const message = (payload.text?.message || "").toLowerCase();
-    if (message) {
-        for (const rule of PRODUCT_KEYWORDS) {
-            if (rule.keywords.some(kw => message.includes(kw))) {
-                logger.info(`Produto detectado por mensagem: ${rule.product}`);
-                return rule.product;
-            }
-        }
+/**
+ * Detecta o produto usando as regras do cliente (tabela product_rules).
+ * Retorna o resultado completo do match (produto, regra, campo e keyword).
+ */
+function detectProduct(payload, rules) {
+    const match = productRules.matchProduct(payload, rules);
+    if (match.product) {
+        logger.info(`Produto detectado por ${match.matchedOn === "campaign" ? "campanha" : "mensagem"}: ${match.product} (keyword: ${match.keyword})`);
     }
-
-    return "";
+    return match;
 }
 
 function isStatusUpdate(payload) {
@@ -128,25 +87,72 @@ function extractStatusId(payload) {
     return null;
 }
 
+// Atribuição Meta (click-to-WhatsApp): ctwa_clid + anúncio de origem do Tintim
+function extractMetaAttribution(payload) {
+    const ad = payload.ad && typeof payload.ad === "object" ? payload.ad : {};
+    const params = (payload.visit && payload.visit.params) || {};
+    return {
+        ctwaClid: payload.ctwa_clid || ad.ctwa_clid || null,
+        campaign: payload.utm_campaign || payload.utmCampaign || params.utm_campaign || ad.campaign_name || null,
+        adsetName: payload.adSetName || payload.adset_name || ad.adset_name || null,
+        adId: ad.id || ad.ad_id || ad.source_id || null,
+        adName: payload.adName || payload.ad_name || ad.name || (typeof payload.ad === "string" ? payload.ad : null),
+        creativeTitle: ad.headline || ad.title || null,
+        creativeBody: ad.body || null,
+        creativeMediaType: ad.media_type || null,
+        creativeSourceUrl: ad.source_url || null,
+        creativeThumbnailUrl: ad.thumbnail_url || ad.image_url || null,
+        utmSource: payload.utm_source || params.utm_source || null,
+        utmMedium: payload.utm_medium || params.utm_medium || null,
+        utmContent: payload.utm_content || params.utm_content || null,
+    };
+}
+
+function hasMetaAttribution(meta) {
+    return !!(meta.ctwaClid || meta.adId || meta.adName);
+}
+
+// Webhooks de saída — fire-and-forget, não bloqueia o pipeline
+function emitLeadEvent(client, eventType, data) {
+    outboundWebhooks.emit(pgService, client, eventType, { source: "tintim", ...data });
+}
+
 // Helper: trail tracker para um webhook
 class TrailTracker {
     constructor(traceId) {
         this.traceId = traceId;
         this.stepCount = 0;
         this.lastTime = Date.now();
+        this.enabled = true;
     }
 
     async step(stepName, status, detail, metadata) {
+        // Em simulação o trail completo é sempre devolvido, mesmo com trail_tracking desligado
+        if (!this.enabled && !simulation.isActive()) return;
         this.stepCount++;
         const now = Date.now();
         const durationMs = now - this.lastTime;
         this.lastTime = now;
         await pgService.addTrailStep(this.traceId, this.stepCount, stepName, status, detail, metadata, durationMs);
     }
+
+    // Etapa não executada por causa de uma feature flag do cliente
+    async skippedByFlag(stepName, flag, metadata) {
+        await this.step(stepName, "skipped", `Ignorado pela flag ${flag}`, { ...metadata, flag, skippedByFlag: true });
+    }
 }
 
+// Janela de retenção das chaves de idempotência (horas)
+const IDEMPOTENCY_RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS, 10) || 72;
+// Chave em 'processing' há mais que isso: o processamento morreu no meio e a reentrega reprocessa
+const IDEMPOTENCY_STALE_MINUTES = 10;
+
 class WebhookHandler {
-    async processWebhook(rawPayload) {
+    /**
+     * options.skipIdempotency: reprocessamento manual (retry/reenvio) ignora a checagem de duplicata.
+     * options.clientSlug: webhook recebido pela URL do cliente (/webhook/tintim/:clientSlug).
+     */
+    async processWebhook(rawPayload, options = {}) {
         const traceId = uuidv4();
         const trail = new TrailTracker(traceId);
 
@@ -155,19 +161,49 @@ class WebhookHandler {
         // Step 1: webhook_received
         const phone = rawPayload.phone || rawPayload.phone_e164 || "";
         const eventType = rawPayload.event_type || "";
-        await trail.step("webhook_received", "ok", `Webhook recebido: ${eventType || "sem tipo"} | ${phone || "sem telefone"}`, { payload: rawPayload });
+        await trail.step("webhook_received", "ok", `Webhook recebido: ${eventType || "sem tipo"} | ${phone || "sem telefone"}`, { payload: rawPayload, clientSlug: options.clientSlug || null });
 
         // Step 2: duplicate_check
-        if (phone && eventType) {
-            const isDuplicate = await pgService.checkDuplicateWebhook(phone, eventType, 30);
-            if (isDuplicate) {
-                logger.info("⚡ Webhook duplicado ignorado (idempotência)", { phone, eventType });
-                await trail.step("duplicate_check", "skipped", "Webhook duplicado ignorado (idempotência)", { phone, eventType });
-                return { success: true, message: "Duplicado ignorado", traceId };
+        const idempotencyKey = buildIdempotencyKey(rawPayload);
+        let claimed = false;
+        if (options.skipIdempotency) {
+            await trail.step("duplicate_check", "skipped", "Reprocessamento manual — checagem de duplicata ignorada", { idempotencyKey });
+        } else {
+            const claim = await pgService.claimIdempotencyKey(idempotencyKey, traceId, extractIdentifiers(rawPayload), IDEMPOTENCY_RETENTION_HOURS, IDEMPOTENCY_STALE_MINUTES);
+            if (claim.duplicate) {
+                logger.info("⚡ Webhook duplicado ignorado (idempotência)", { phone, eventType, originalTraceId: claim.originalTraceId });
+                const inProgress = claim.status === "processing";
+                await trail.step("duplicate_check", "skipped", `Webhook duplicado ignorado${inProgress ? " (original ainda em processamento)" : ""} (original: ${claim.originalTraceId || "desconhecido"})`, {
+                    phone,
+                    eventType,
+                    idempotencyKey,
+                    originalTraceId: claim.originalTraceId,
+                    originalStatus: claim.status,
+                    firstSeenAt: claim.firstSeenAt,
+                });
+                return { success: true, message: "Duplicado ignorado", traceId, duplicateOf: claim.originalTraceId };
             }
+            claimed = true;
+            await trail.step("duplicate_check", "ok", "Não é duplicado", { phone, eventType, idempotencyKey });
         }
-        await trail.step("duplicate_check", "ok", "Não é duplicado", { phone, eventType });
 
+        // A chave só fica 'done' com resultado de sucesso: falha (planilha fora,
+        // cliente não encontrado, payload inválido, exceção) libera o reenvio
+        let result;
+        try {
+            result = await this.processClaimedWebhook(rawPayload, options, trail, traceId);
+        } catch (err) {
+            if (claimed) await pgService.finishIdempotencyKey(idempotencyKey, traceId, "failed");
+            throw err;
+        }
+        if (claimed) await pgService.finishIdempotencyKey(idempotencyKey, traceId, result.success === false ? "failed" : "done");
+        return result;
+    }
+
+    /**
+     * Etapas 3+ de um webhook já reivindicado (validação, cliente, processamento).
+     */
+    async processClaimedWebhook(rawPayload, options, trail, traceId) {
         // Step 3: payload_validated
         const validation = validateTintimPayload(rawPayload);
         if (!validation.valid) {
@@ -196,23 +232,39 @@ class WebhookHandler {
             return { success: true, message: `Evento ${payload.event_type} ignorado`, traceId };
         }
 
-        // Step 4: client_matched
-        const client = clientManager.findByInstanceId(payload.instanceId);
+        // Step 4: client_matched — pela URL do cliente ou pelo instanceId (account.code)
+        const client = options.clientSlug
+            ? clientManager.findBySlug(options.clientSlug)
+            : clientManager.findByInstanceId(payload.instanceId);
         if (!client) {
-            logger.warn("Nenhum cliente para instanceId", { instanceId: payload.instanceId });
-            await trail.step("client_matched", "error", `Nenhum cliente encontrado para instanceId: ${payload.instanceId}`, { instanceId: payload.instanceId });
+            const ref = options.clientSlug ? `slug: ${options.clientSlug}` : `instanceId: ${payload.instanceId}`;
+            logger.warn("Nenhum cliente para o webhook", { instanceId: payload.instanceId, clientSlug: options.clientSlug });
+            await trail.step("client_matched", "error", `Nenhum cliente encontrado para ${ref}`, { instanceId: payload.instanceId, clientSlug: options.clientSlug || null });
             logLead(payload, "NO_CLIENT", { instanceId: payload.instanceId });
             pgService.logWebhookEvent(payload, null, "no_client");
             return { success: false, error: "Cliente não encontrado", traceId };
         }
-        await trail.step("client_matched", "ok", `Cliente identificado: ${client.name}`, { clientSlug: client.slug, clientName: client.name });
+        if (options.clientSlug && client.tintim_instance_id && payload.instanceId && payload.instanceId !== client.tintim_instance_id) {
+            logger.warn("instanceId do payload difere do cliente da URL", { clientSlug: client.slug, instanceId: payload.instanceId });
+        }
+        await trail.step("client_matched", "ok", `Cliente identificado: ${client.name}`, {
+            clientSlug: client.slug,
+            clientName: client.name,
+            matchedBy: options.clientSlug ? "url" : "instanceId",
+        });
+
+        const { features } = clientConfig.getConfig(client);
+        if (!features.trail_tracking) {
+            await trail.skippedByFlag("trail_tracking", "trail_tracking");
+            trail.enabled = false;
+        }
 
         // Step 5+: processar
         let result;
         if (isStatusUpdate(payload)) {
-            result = await this.processStatusUpdate(payload, client, trail);
+            result = await this.processStatusUpdate(payload, client, trail, features);
         } else {
-            result = await this.processNewLead(payload, client, trail);
+            result = await this.processNewLead(payload, client, trail, features);
         }
 
         if (result.type !== "filtered") {
@@ -223,43 +275,63 @@ class WebhookHandler {
         return result;
     }
 
-    async processNewLead(payload, client, trail) {
-        const phone = payload.phone || payload.phone_e164?.replace("+", "") || "";
+    async processNewLead(payload, client, trail, features = clientConfig.DEFAULT_FLAGS) {
+        const phone = normalizePhone(payload.phone_e164 || payload.phone);
 
         logger.info(`📥 Novo lead recebido para: ${client.name}`, { phone, chatName: payload.chatName, eventType: payload.event_type });
 
         // origin_detected
-        const origin = detectOrigin(payload);
-        await trail.step("origin_detected", "ok", `Origem: ${origin.channel}`, { channel: origin.channel, source: payload.source, utmSource: payload.utm_source || payload.utmSource });
+        const originRules = await channelRules.getRules(pgService, client);
+        const origin = detectOrigin(payload, originRules);
+        await trail.step("origin_detected", "ok", `Origem: ${origin.channel}${origin.isPaid ? " (pago)" : ""}`, {
+            channel: origin.channel,
+            isPaid: origin.isPaid,
+            ruleId: origin.rule?.id || null,
+            field: origin.field,
+            source: payload.source,
+            utmSource: payload.utm_source || payload.utmSource,
+        });
 
         // organic_filtered
-        const PAID_CHANNELS = ["Meta Ads", "Google Ads"];
-        if (!PAID_CHANNELS.includes(origin.channel)) {
+        if (!features.organic_filter) {
+            await trail.skippedByFlag("organic_filtered", "organic_filter", { channel: origin.channel });
+        } else if (!origin.isPaid) {
             logger.info(`🚫 Lead orgânico ignorado: ${payload.chatName || phone} — origem: ${origin.channel}`);
             await trail.step("organic_filtered", "skipped", `Lead orgânico filtrado (${origin.channel})`, { phone, channel: origin.channel, client: client.name });
 
             pgService.logLead(client.id, { eventType: "new_lead", phone, name: payload.chatName || phone, status: "Ignorado (Orgânico)", origin: origin.channel, result: "filtered", error: null, leadDate: payload.moment || null });
             pgService.logWebhookEvent(payload, client.id, "filtered_organic");
+            emitLeadEvent(client, "lead.filtered", { reason: "organic", phone, name: payload.chatName || null, origin: origin.channel, trace_id: trail.traceId });
 
             return { success: true, message: "Lead orgânico ignorado (sem campanha)", type: "filtered" };
         }
 
         // product_detected
         let product = "";
+        let productMatch = null;
         try {
-            product = detectProduct(payload);
+            const rules = await productRules.getRules(pgService, client);
+            productMatch = detectProduct(payload, rules);
+            product = productMatch.product;
         } catch (err) {
             logger.warn("Falha na detecção de produto", { error: err.message });
             await trail.step("product_detected", "error", `Falha na detecção de produto: ${err.message}`, { error: err.message });
             pgService.logLead(client.id, { eventType: "new_lead", phone, name: payload.chatName, status: "Erro", result: "failed", error: `Falha técnica: Detecção de produto (${err.message})`, leadDate: payload.moment || null });
             return { success: false, error: err.message, type: "new_lead" };
         }
-        await trail.step("product_detected", "ok", product ? `Produto: ${product}` : "Produto não identificado", { product });
+        await trail.step("product_detected", "ok", product ? `Produto: ${product}` : "Produto não identificado", {
+            product,
+            ruleId: productMatch.rule?.id || null,
+            matchedOn: productMatch.matchedOn,
+            keyword: productMatch.keyword,
+        });
 
         // keyword_extracted - save Google Ads keyword data
-        if (origin.channel === "Google Ads") {
+        if (origin.channel === "Google Ads" && !features.keyword_tracking) {
+            await trail.skippedByFlag("keyword_extracted", "keyword_tracking");
+        } else if (origin.channel === "Google Ads") {
             const keywordData = {
-                clientId: client.id,
+                clientId: client._db_id,
                 keyword: payload.utm_term || (payload.visit && payload.visit.params && payload.visit.params.utm_term) || null,
                 campaign: payload.utm_campaign || (payload.visit && payload.visit.params && payload.visit.params.utm_campaign) || null,
                 utmSource: payload.utm_source || "google",
@@ -280,6 +352,97 @@ class WebhookHandler {
                 { keyword: keywordData.keyword, campaign: keywordData.campaign });
         }
 
+        // meta_attributed - save Meta click-to-WhatsApp attribution
+        const meta = extractMetaAttribution(payload);
+        const isMetaLead = origin.channel === "Meta Ads" || hasMetaAttribution(meta);
+        if (isMetaLead) {
+            await pgService.saveMetaConversion({
+                ...meta,
+                clientId: client._db_id,
+                locationState: (payload.location && payload.location.state) || null,
+                leadPhone: phone,
+                leadName: payload.chatName || "",
+                leadStatus: extractStatusName(payload) || "Lead Gerado",
+                product: product,
+            });
+            await trail.step("meta_attributed", "ok",
+                `Campanha: ${meta.campaign || "N/A"} | Conjunto: ${meta.adsetName || "N/A"} | Anúncio: ${meta.adName || meta.adId || "N/A"}`,
+                { ctwaClid: meta.ctwaClid, campaign: meta.campaign, adsetName: meta.adsetName, adId: meta.adId, adName: meta.adName });
+        }
+
+        const leadId = uuidv4();
+
+        // returning_lead — telefone que já gerou lead para este cliente (em qualquer aba mensal)
+        const previous = await returningLeads.findPreviousLead(pgService, sheetsService, client, phone, { searchSheets: features.sheets_enabled });
+        const returningAction = previous ? returningLeads.getAction(client) : null;
+        const eventType = previous ? "returning_lead" : "new_lead";
+        const firstContactAt = previous ? previous.firstContactAt : null;
+        const eventData = {
+            phone,
+            name: payload.chatName || null,
+            origin: origin.channel,
+            product: product || null,
+            status: "Lead Gerado",
+            returning: !!previous,
+            first_contact_at: firstContactAt,
+            trace_id: trail.traceId,
+        };
+        // Estado atual do lead (tabela leads)
+        const leadState = {
+            phone,
+            name: payload.chatName || null,
+            status: "Lead Gerado",
+            stage: "new",
+            product: product || null,
+            origin: origin.channel,
+            firstContactAt: firstContactAt || payload.moment || null,
+        };
+        if (previous) {
+            logger.info(`🔁 Lead retornando: ${payload.chatName || phone} → ${client.name} (1º contato em ${previous.date || "?"}, ação: ${returningAction})`);
+            await trail.step("returning_lead", returningAction === "ignore" ? "skipped" : "ok", `Lead retornando — 1º contato em ${previous.date || "?"} (ação: ${returningAction})`, {
+                action: returningAction,
+                firstContactAt,
+                firstContactDate: previous.date,
+                sheetName: previous.sheetName,
+                row: previous.row,
+            });
+        }
+
+        if (returningAction === "ignore") {
+            pgService.logLead(client.id, { eventType, phone, name: payload.chatName || phone, status: "Ignorado (Retorno)", product, origin: origin.channel, sheetName: previous.sheetName, sheetRow: previous.row, result: "filtered", error: null, leadDate: payload.moment || null, firstContactAt });
+            emitLeadEvent(client, "lead.filtered", { ...eventData, reason: "returning_lead", status: null });
+            return { success: true, leadId, client: client.name, type: eventType, returningAction };
+        }
+
+        // Sem planilha: registra o lead apenas no PostgreSQL
+        if (!features.sheets_enabled) {
+            await trail.skippedByFlag("sheet_resolved", "sheets_enabled");
+            await trail.skippedByFlag("lead_inserted", "sheets_enabled");
+            logger.info(`📝 Lead registrado sem planilha (sheets_enabled=false): ${payload.chatName || phone} → ${client.name}`);
+            pgService.logLead(client.id, { eventType, phone, name: payload.chatName || phone, status: "Lead Gerado", product, origin: origin.channel, result: "success", error: null, leadDate: payload.moment || null, firstContactAt });
+            pgService.upsertLead(client.id, leadState);
+            emitLeadEvent(client, "lead.created", eventData);
+            return { success: true, leadId, client: client.name, type: eventType, sheetsSkipped: true };
+        }
+
+        // lead_reopened — volta a linha original para "Lead Gerado" em vez de criar outra
+        if (returningAction === "reopen" && previous.row) {
+            const reopened = await sheetsService.reopenLead(client, previous, {
+                status: "Lead Gerado",
+                note: returningLeads.buildReopenNote(formatDateBR(payload.moment), origin.channel),
+            });
+            if (reopened.success) {
+                await trail.step("lead_reopened", "ok", `Linha ${previous.row} da aba ${previous.sheetName} reaberta`, { sheetName: previous.sheetName, row: previous.row });
+                logger.info(`✅ Lead reaberto: ${payload.chatName || phone} → ${client.name} (${previous.sheetName}, linha ${previous.row})`);
+                pgService.logLead(client.id, { eventType, phone, name: payload.chatName || phone, status: "Lead Gerado", product, origin: origin.channel, sheetName: previous.sheetName, sheetRow: previous.row, result: "success", error: null, leadDate: payload.moment || null, firstContactAt });
+                pgService.upsertLead(client.id, { ...leadState, sheetName: previous.sheetName, sheetRow: previous.row, reopened: true });
+                emitLeadEvent(client, "lead.created", { ...eventData, reopened: true, sheet_name: previous.sheetName, sheet_row: previous.row });
+                return { success: true, leadId, client: client.name, type: eventType, returningAction, sheetName: previous.sheetName, row: previous.row };
+            }
+            // Sem conseguir reabrir, o retorno entra como linha nova marcada
+            await trail.step("lead_reopened", "error", `Falha ao reabrir linha: ${reopened.error} — inserindo linha (Retorno)`, { error: reopened.error });
+        }
+
         // sheet_resolved
         let sheetName;
         try {
@@ -292,14 +455,14 @@ class WebhookHandler {
         }
 
         // lead_inserted
-        const leadId = uuidv4();
         const leadData = {
-            name: (payload.chatName || formatPhoneBR(phone)) + " (Auto)",
-            phone: formatPhoneBR(phone),
+            name: (payload.chatName || formatPhone(phone, client.phone_format)) + (previous ? " (Retorno)" : "") + " (Auto)",
+            phone: formatPhone(phone, client.phone_format),
             origin: origin.channel,
             date: formatDateBR(payload.moment),
             product: product,
             status: "Lead Gerado",
+            comment: previous ? returningLeads.buildTagComment(previous) : undefined,
             phoneRaw: phone,
             message: payload.text?.message || "",
             messageId: payload.messageId || "",
@@ -314,22 +477,24 @@ class WebhookHandler {
         }
 
         if (result.success) {
-            await trail.step("lead_inserted", "ok", `Lead inserido na linha da aba ${result.sheetName}`, { leadName: leadData.name, phone: leadData.phone, sheetName: result.sheetName });
+            await trail.step("lead_inserted", "ok", `Lead inserido na linha ${result.row || "?"} da aba ${result.sheetName}`, { leadName: leadData.name, phone: leadData.phone, sheetName: result.sheetName, row: result.row || null });
             logLead(leadData, "SUCCESS", { client: client.name, sheet: result.sheetName });
             logger.info(`✅ Lead inserido: ${leadData.name} → ${client.name} (${result.sheetName})${product ? ` [${product}]` : ""}`);
-            pgService.logLead(client.id, { eventType: "new_lead", phone: payload.phone, name: leadData.name, status: "Lead Gerado", product, origin: origin.channel, sheetName: result.sheetName, result: "success", error: null, leadDate: payload.moment || null });
+            pgService.logLead(client.id, { eventType, phone, name: leadData.name, status: "Lead Gerado", product, origin: origin.channel, sheetName: result.sheetName, sheetRow: result.row || null, result: "success", error: null, leadDate: payload.moment || null, firstContactAt });
+            pgService.upsertLead(client.id, { ...leadState, sheetName: result.sheetName, sheetRow: result.row || null });
+            emitLeadEvent(client, "lead.created", { ...eventData, sheet_name: result.sheetName });
         } else {
             const errorMsg = result.error || "Erro desconhecido na inserção";
             await trail.step("lead_inserted", "error", `Falha ao inserir lead: ${errorMsg}`, { error: errorMsg, client: client.name });
             logLead(leadData, "FAILED", { client: client.name, error: errorMsg });
             logger.error("❌ Falha ao inserir lead", { error: errorMsg });
-            pgService.logLead(client.id, { eventType: "new_lead", phone: payload.phone, name: leadData.name, status: "Erro", product, origin: origin.channel, result: "failed", error: `Falha Planilha: ${errorMsg}`, leadDate: payload.moment || null });
+            pgService.logLead(client.id, { eventType, phone, name: leadData.name, status: "Erro", product, origin: origin.channel, result: "failed", error: `Falha Planilha: ${errorMsg}`, leadDate: payload.moment || null, firstContactAt });
         }
 
-        return { success: result.success, leadId, client: client.name, type: "new_lead" };
+        return { success: result.success, leadId, client: client.name, type: eventType, returningAction: returningAction || undefined };
     }
 
-    async processStatusUpdate(payload, client, trail) {
+    async processStatusUpdate(payload, client, trail, features = clientConfig.DEFAULT_FLAGS) {
         const statusName = extractStatusName(payload);
         const statusId = extractStatusId(payload);
         const saleAmount = payload.sale_amount || null;
@@ -338,28 +503,125 @@ class WebhookHandler {
         logger.info(`🔄 Atualização de status para: ${client.name}`, { phone: payload.phone, leadName, eventType: payload.event_type, statusId, newStatus: statusName, saleAmount, source: payload.source });
 
         // origin_detected
-        const origin = detectOrigin(payload);
-        await trail.step("origin_detected", "ok", `Origem: ${origin.channel}`, { channel: origin.channel });
+        const originRules = await channelRules.getRules(pgService, client);
+        const origin = detectOrigin(payload, originRules);
+        await trail.step("origin_detected", "ok", `Origem: ${origin.channel}${origin.isPaid ? " (pago)" : ""}`, { channel: origin.channel, isPaid: origin.isPaid, ruleId: origin.rule?.id || null });
+
+        // status_mapped
+        const mapping = await statusMappings.resolveStatus(pgService, client, statusId, statusName);
+        const sheetStatus = mapping ? mapping.sheet_label : statusName;
+        const isSale = mapping ? mapping.is_sale : isSaleStatus(statusName);
+        const stage = mapping ? mapping.stage : null;
+        // Lançamento do livro de vendas: estorno/cancelamento vêm do mapeamento
+        const saleEvent = mapping?.sale_event || ((isSale || saleAmount) ? "sale" : null);
+        if (mapping) {
+            await trail.step("status_mapped", "ok", `Status "${statusName}" → "${sheetStatus}" (${stage}${isSale ? ", venda" : ""})`, { statusId, statusName, sheetStatus, stage, isSale, mappingId: mapping.id });
+        } else {
+            await trail.step("status_mapped", "skipped", `Status "${statusName}" sem mapeamento — usando nome do Tintim`, { statusId, statusName, isSale, unmapped: true });
+        }
 
         const updateData = {
-            phone: payload.phone,
-            status: statusName,
+            phone: normalizePhone(payload.phone_e164 || payload.phone),
+            status: sheetStatus,
             name: payload.chatName ? (payload.chatName + " (Auto)") : undefined,
         };
 
-        if (isSaleStatus(statusName) || saleAmount) {
-            updateData.closeDate = formatDateBR(new Date().toISOString());
-            if (saleAmount) {
-                updateData.saleAmount = parseFloat(saleAmount);
+        // Estado atual do lead (tabela leads); fechamento e valor vêm do livro de vendas
+        const leadState = {
+            phone: updateData.phone,
+            status: sheetStatus,
+            stage: stage || (isSale ? "won" : null),
+            origin: origin.channel,
+        };
+
+        const emitStatusEvents = (extra = {}) => {
+            const eventData = {
+                phone: updateData.phone,
+                name: payload.chatName || payload.name || null,
+                origin: origin.channel,
+                status: sheetStatus,
+                tintim_status: statusName,
+                stage,
+                sale_amount: saleAmount ? parseFloat(saleAmount) : (isSale ? 0 : null),
+                trace_id: trail.traceId,
+                ...extra,
+            };
+            emitLeadEvent(client, "lead.status_changed", eventData);
+            if (isSale) emitLeadEvent(client, "lead.sold", eventData);
+        };
+
+        // sale_recorded — cada venda, estorno ou cancelamento é um lançamento do livro de vendas.
+        // Status repetido (o lead já estava nele) só corrige o valor quando é a mesma venda
+        // (mesmo horário do evento ou venda lançada sem valor); senão é uma nova venda.
+        let ledger = null;
+        const saleTime = payload.updated_isoformat || new Date().toISOString();
+        if (saleEvent && updateData.phone) {
+            const previous = await pgService.getLead(client.id, { phone: updateData.phone });
+            const ledgerRules = await productRules.getRules(pgService, client);
+            ledger = await salesLedger.recordEntry(pgService, client, {
+                kind: saleEvent,
+                amount: saleAmount,
+                occurredAt: saleTime,
+                source: "tintim",
+                sourceRef: payload.updated_isoformat ? `${statusId || statusName}@${payload.updated_isoformat}` : null,
+                product: detectProduct(payload, ledgerRules).product || null,
+                phone: updateData.phone,
+            }, { amendLatest: !!previous && previous.status === sheetStatus });
+
+            if (ledger) {
+                const detail = ledger.recorded ? "registrado" : ledger.amended ? "valor corrigido" : "já registrado";
+                await trail.step("sale_recorded", "ok", `Lançamento "${saleEvent}" ${detail} — total R$ ${ledger.summary.total}`, { kind: saleEvent, amount: ledger.entry.amount, recorded: ledger.recorded, amended: ledger.amended, total: ledger.summary.total, latest: ledger.summary.latest });
             }
+        }
+        // Valor de Fechamento da planilha: última venda ou total, conforme o cliente
+        const sheetSaleValue = ledger ? salesLedger.sheetValue(client, ledger.summary) : (saleAmount ? parseFloat(saleAmount) : null);
+
+        if (saleEvent === "sale") {
+            updateData.closeDate = formatDateBR(ledger ? ledger.entry.occurred_at : saleTime);
+        }
+        if (saleEvent && (sheetSaleValue || saleEvent !== "sale")) {
+            updateData.saleAmount = sheetSaleValue || 0;
+        }
+
+        if (saleEvent === "sale") {
+            // Conversões de keyword/Meta guardam o total do lead
+            const conversionAmount = ledger ? ledger.summary.total : (saleAmount ? parseFloat(saleAmount) : 0);
             // Upsert keyword conversion for ANY sale (lead may have come from Google Ads originally)
-            const salePhone = payload.phone || payload.phone_e164?.replace("+", "") || "";
-            if (salePhone) {
+            const salePhone = updateData.phone;
+            if (!features.keyword_tracking) {
+                await trail.skippedByFlag("keyword_extracted", "keyword_tracking");
+            } else if (salePhone) {
                 await pgService.upsertKeywordConversion(salePhone, {
-                    saleAmount: saleAmount ? parseFloat(saleAmount) : 0,
-                    leadStatus: statusName,
+                    saleAmount: conversionAmount,
+                    leadStatus: sheetStatus,
                 });
             }
+            if (salePhone) {
+                await pgService.upsertMetaConversion(salePhone, {
+                    saleAmount: conversionAmount,
+                    leadStatus: sheetStatus,
+                });
+            }
+            // Conversions API: only clients with meta_capi_enabled record the purchase
+            // (one event per ledger sale; a repeated status only updates its value)
+            if (salePhone && (!ledger || ledger.recorded || ledger.amended)) {
+                await metaCapi.recordPurchase(pgService, client, {
+                    phone: salePhone,
+                    value: ledger ? ledger.entry.amount : (saleAmount ? parseFloat(saleAmount) : 0),
+                    source: "tintim",
+                    eventTime: ledger ? ledger.entry.occurred_at : saleTime,
+                    saleRef: ledger && ledger.entry.id ? `sale-${ledger.entry.id}` : undefined,
+                });
+            }
+        }
+
+        // Sem planilha: registra a atualização apenas no PostgreSQL
+        if (!features.sheets_enabled) {
+            await trail.skippedByFlag("status_updated", "sheets_enabled", { status: sheetStatus });
+            pgService.logLead(client.id, { eventType: "status_update", phone: updateData.phone, name: leadName, status: sheetStatus, stage, saleAmount: saleAmount ? parseFloat(saleAmount) : (isSale ? 0 : null), result: "success", error: null, leadDate: payload.moment || null });
+            pgService.upsertLead(client.id, leadState);
+            emitStatusEvents();
+            return { success: true, client: client.name, type: "status_update", status: sheetStatus, stage, saleAmount, sheetsSkipped: true };
         }
 
         // status_updated
@@ -373,29 +635,32 @@ class WebhookHandler {
         // sale_recovered — se lead não encontrado
         const isNotFound = result.error && (result.error.includes("Lead não encontrado") || result.error.includes("não encontrado na planilha"));
 
-        if (!result.success && isNotFound && (isSaleStatus(statusName) || saleAmount)) {
-            const recoveryOrigin = detectOrigin(payload);
-            const PAID_CHANNELS = ["Meta Ads", "Google Ads"];
-            if (!PAID_CHANNELS.includes(recoveryOrigin.channel)) {
+        if (!result.success && isNotFound && saleEvent === "sale") {
+            const recoveryOrigin = origin;
+            if (!features.organic_filter) {
+                await trail.skippedByFlag("organic_filtered", "organic_filter", { channel: recoveryOrigin.channel });
+            } else if (!recoveryOrigin.isPaid) {
                 logger.info(`🚫 Recuperação de venda ignorada (lead orgânico): ${payload.chatName || payload.phone}`);
                 await trail.step("organic_filtered", "skipped", "Venda orgânica ignorada (sem campanha)", { phone: payload.phone, channel: recoveryOrigin.channel });
+                emitLeadEvent(client, "lead.filtered", { reason: "organic", phone: updateData.phone, name: payload.chatName || null, origin: recoveryOrigin.channel, status: sheetStatus, trace_id: trail.traceId });
                 return { success: true, message: "Venda orgânica ignorada (sem campanha)", type: "filtered" };
             }
 
             logger.warn("⚠️ Lead não encontrado para atualização de venda. Tentando inserir como novo...", { phone: payload.phone });
             await trail.step("sale_recovered", "ok", "Tentando recuperar venda (lead não encontrado na planilha)", { phone: payload.phone });
 
+            const recoveryRules = await productRules.getRules(pgService, client);
             const recoveryLeadData = {
-                name: (payload.chatName || formatPhoneBR(payload.phone)) + " (Recuperado)",
-                phone: formatPhoneBR(payload.phone),
+                name: (payload.chatName || formatPhone(updateData.phone, client.phone_format)) + " (Recuperado)",
+                phone: formatPhone(updateData.phone, client.phone_format),
                 origin: recoveryOrigin.channel,
                 date: formatDateBR(new Date().toISOString()),
-                product: detectProduct(payload) || "Indefinido",
+                product: detectProduct(payload, recoveryRules).product || "Indefinido",
                 status: "Venda (Cliente não encontrado)",
-                phoneRaw: payload.phone,
+                phoneRaw: updateData.phone,
                 leadId: uuidv4(),
-                saleAmount: saleAmount ? parseFloat(saleAmount) : 0,
-                closeDate: formatDateBR(new Date().toISOString()),
+                saleAmount: updateData.saleAmount || 0,
+                closeDate: updateData.closeDate,
             };
 
             let insertResult = { success: false, error: "Iniciado recovery" };
@@ -407,7 +672,7 @@ class WebhookHandler {
 
             if (insertResult.success) {
                 logger.info(`✅ Venda recuperada! Lead inserido: ${recoveryLeadData.name}`);
-                await trail.step("lead_inserted", "ok", `Venda recuperada e inserida em ${insertResult.sheetName}`, { leadName: recoveryLeadData.name, recovered: true });
+                await trail.step("lead_inserted", "ok", `Venda recuperada e inserida em ${insertResult.sheetName}`, { leadName: recoveryLeadData.name, sheetName: insertResult.sheetName, row: insertResult.row || null, recovered: true });
                 result = { success: true, sheetName: insertResult.sheetName, row: insertResult.row, recovered: true };
             } else {
                 logger.error("❌ Falha ao tentar recuperar venda", { error: insertResult.error });
@@ -416,19 +681,21 @@ class WebhookHandler {
         }
 
         if (result.success) {
-            logger.info(`✅ Status atualizado: ${payload.chatName || payload.phone} → "${statusName}"${saleAmount ? ` (R$ ${saleAmount})` : ""} [linha ${result.row}]`);
-            await trail.step("status_updated", "ok", `Status "${statusName}" atualizado com sucesso${result.recovered ? " (venda recuperada)" : ""}`, { status: statusName, row: result.row, sheetName: result.sheetName, recovered: result.recovered || false });
+            logger.info(`✅ Status atualizado: ${payload.chatName || payload.phone} → "${sheetStatus}"${saleAmount ? ` (R$ ${saleAmount})` : ""} [linha ${result.row}]`);
+            await trail.step("status_updated", "ok", `Status "${sheetStatus}" atualizado com sucesso${result.recovered ? " (venda recuperada)" : ""}`, { status: sheetStatus, stage, row: result.row, sheetName: result.sheetName, recovered: result.recovered || false });
 
-            pgService.logLead(client.id, { eventType: "status_update", phone: payload.phone, name: leadName, status: statusName, saleAmount: saleAmount ? parseFloat(saleAmount) : (isSaleStatus(statusName) ? 0 : null), sheetName: result.sheetName, sheetRow: result.row, result: "success", error: null, leadDate: payload.moment || null });
+            pgService.logLead(client.id, { eventType: "status_update", phone: updateData.phone, name: leadName, status: sheetStatus, stage, saleAmount: saleAmount ? parseFloat(saleAmount) : (isSale ? 0 : null), sheetName: result.sheetName, sheetRow: result.row, result: "success", error: null, leadDate: payload.moment || null });
+            pgService.upsertLead(client.id, { ...leadState, sheetName: result.sheetName, sheetRow: result.row, name: result.recovered ? (payload.chatName || null) : null });
+            emitStatusEvents({ sheet_name: result.sheetName, sheet_row: result.row, recovered: result.recovered || false });
         } else {
             const errorMsg = result.error || "Erro desconhecido na atualização";
             logger.warn("⚠️ Não foi possível atualizar status", { error: errorMsg, phone: payload.phone });
-            await trail.step("status_updated", "error", `Falha ao atualizar status: ${errorMsg}`, { error: errorMsg, phone: payload.phone, status: statusName });
+            await trail.step("status_updated", "error", `Falha ao atualizar status: ${errorMsg}`, { error: errorMsg, phone: payload.phone, status: sheetStatus });
 
-            pgService.logLead(client.id, { eventType: "status_update", phone: payload.phone, name: leadName, status: "Erro Update", saleAmount: saleAmount ? parseFloat(saleAmount) : (isSaleStatus(statusName) ? 0 : null), result: "failed", error: `Falha Planilha: ${errorMsg}`, leadDate: payload.moment || null });
+            pgService.logLead(client.id, { eventType: "status_update", phone: updateData.phone, name: leadName, status: "Erro Update", stage, saleAmount: saleAmount ? parseFloat(saleAmount) : (isSale ? 0 : null), result: "failed", error: `Falha Planilha: ${errorMsg}`, leadDate: payload.moment || null });
         }
 
-        return { success: result.success, client: client.name, type: "status_update", status: statusName, saleAmount, recovered: result.recovered };
+        return { success: result.success, client: client.name, type: "status_update", status: sheetStatus, stage, saleAmount, recovered: result.recovered };
     }
 }
 
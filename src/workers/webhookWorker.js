@@ -6,6 +6,8 @@
  *   - Rate limit: 10 jobs/sec
  *   - 3 retries with exponential backoff
  *   - Cache invalidation after successful processing
+ *
+ * Also sends outbound webhook deliveries (webhook-outbound queue).
  */
 
 const { Worker } = require('bullmq');
@@ -14,6 +16,7 @@ const { logger } = require('../utils/logger');
 
 let tintimWorker = null;
 let kommoWorker = null;
+let outboundWorker = null;
 
 function startWorkers() {
     const webhookHandler = require('../webhookHandler');
@@ -21,16 +24,17 @@ function startWorkers() {
 
     // Tintim webhook worker
     tintimWorker = new Worker('webhook-tintim', async (job) => {
-        const { payload } = job.data;
-        logger.info(`[Worker] Processing tintim job ${job.id}`, { attemptsMade: job.attemptsMade });
+        const { payload, clientSlug } = job.data;
+        logger.info(`[Worker] Processing tintim job ${job.id}`, { attemptsMade: job.attemptsMade, clientSlug });
 
-        const result = await webhookHandler.processWebhook(payload);
+        const result = await webhookHandler.processWebhook(payload, { clientSlug });
 
         // Invalidate caches after processing
         try {
             const cache = require('../infra/cache');
             await cache.invalidatePattern('dashboard:*');
             await cache.invalidatePattern('keywords:*');
+            await cache.invalidatePattern('meta:*');
         } catch (err) {
             // Cache invalidation is best-effort
         }
@@ -92,6 +96,7 @@ function startWorkers() {
             const cache = require('../infra/cache');
             await cache.invalidatePattern('dashboard:*');
             await cache.invalidatePattern('keywords:*');
+            await cache.invalidatePattern('meta:*');
         } catch (err) {
             // Cache invalidation is best-effort
         }
@@ -119,22 +124,42 @@ function startWorkers() {
         });
     });
 
-    logger.info('[Worker] Webhook workers started (tintim + kommo)');
-    return { tintimWorker, kommoWorker };
+    // Outbound webhook deliveries
+    outboundWorker = new Worker('webhook-outbound', async (job) => {
+        const pgService = require('../pgService');
+        const outboundWebhooks = require('../infra/outboundWebhooks');
+        const lastAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+        return outboundWebhooks.deliver(pgService, job.data.deliveryId, { lastAttempt });
+    }, {
+        connection: getRedis(),
+        concurrency: 5,
+    });
+
+    outboundWorker.on('failed', (job, err) => {
+        logger.warn(`[Worker] Outbound job ${job?.id} failed`, {
+            error: err.message,
+            attemptsMade: job?.attemptsMade,
+        });
+    });
+
+    logger.info('[Worker] Webhook workers started (tintim + kommo + outbound)');
+    return { tintimWorker, kommoWorker, outboundWorker };
 }
 
 async function closeWorkers() {
     const closes = [];
     if (tintimWorker) closes.push(tintimWorker.close());
     if (kommoWorker) closes.push(kommoWorker.close());
+    if (outboundWorker) closes.push(outboundWorker.close());
     await Promise.all(closes);
     tintimWorker = null;
     kommoWorker = null;
+    outboundWorker = null;
     logger.info('[Worker] All workers closed');
 }
 
 function getWorkers() {
-    return { tintimWorker, kommoWorker };
+    return { tintimWorker, kommoWorker, outboundWorker };
 }
 
 module.exports = { startWorkers, closeWorkers, getWorkers };